@@ -0,0 +1,85 @@
+// File system and terminal tools offered to models through native tool calling.
+// Execution stays with the caller so its approval rules apply.
+const agentTools = [
+  {
+    name: 'read',
+    description: 'Read a text file and return its contents.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path, absolute or relative to the working directory' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'write',
+    description: 'Write content to a file, replacing it if it exists. The user is asked to approve every write.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path, absolute or relative to the working directory' },
+        content: { type: 'string', description: 'Complete new file content' }
+      },
+      required: ['path', 'content']
+    }
+  },
+  {
+    name: 'list',
+    description: 'List the entries of a directory.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory path, absolute or relative to the working directory' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'exists',
+    description: 'Check whether a file or directory exists.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Path to check, absolute or relative to the working directory' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'exec',
+    description: 'Run a shell command in the working directory and return its output. "cd <dir>" changes the working directory for later calls.',
+    parameters: {
+      type: 'object',
+      properties: {
+        command: { type: 'string', description: 'Shell command to run' }
+      },
+      required: ['command']
+    }
+  }
+];
+
+const agentToolNames = agentTools.map(tool => tool.name);
+
+// Agentic workers get the same tools confined to their task directory, plus grep.
+// Calls are proxied to the main thread, which applies the usual rules.
+const workerTools = [
+  ...agentTools.map(tool => tool.name === 'exec'
+    ? { ...tool, description: 'Run a shell command in the task directory and return its output. Commands that change files need user approval.' }
+    : tool),
+  {
+    name: 'grep',
+    description: 'Search the files under a directory for lines matching a regular expression. Returns "path:line: text" for each match.',
+    parameters: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string', description: 'JavaScript regular expression to search for' },
+        path: { type: 'string', description: 'Directory or file to search, relative to the task directory (default: the task directory)' },
+        glob: { type: 'string', description: 'Only search files whose name matches this glob, e.g. "*.js"' }
+      },
+      required: ['pattern']
+    }
+  }
+];
+
+export { agentTools, agentToolNames, workerTools };
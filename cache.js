@@ -0,0 +1,146 @@
+// On-disk response cache for model calls, one JSON file per entry named by the
+// hash of the request. Entries are written to a temp file and renamed into
+// place, so the main thread and agent workers can share the directory.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { threadId } from 'worker_threads';
+
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+// Pruning lists the whole directory, so it runs every few writes rather than each one
+const PRUNE_EVERY_WRITES = 25;
+
+const state = {
+  dir: null,
+  enabled: false,
+  ttlMs: DEFAULT_TTL_MS,
+  maxEntries: DEFAULT_MAX_ENTRIES,
+  maxBytes: DEFAULT_MAX_BYTES,
+  writesSincePrune: 0,
+  stats: { hits: 0, misses: 0, writes: 0 }
+};
+
+function configureCache(options = {}) {
+  state.dir = options.dir ?? state.dir;
+  state.enabled = !!(options.enabled ?? state.enabled) && !!state.dir;
+  state.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+  state.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+  state.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+}
+
+// Settings for configureCache in another thread
+function getCacheSettings() {
+  const { dir, enabled, ttlMs, maxEntries, maxBytes } = state;
+  return { dir, enabled, ttlMs, maxEntries, maxBytes };
+}
+
+function isCacheEnabled() {
+  return state.enabled;
+}
+
+function cacheKey(request) {
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+function entryPath(key) {
+  return path.join(state.dir, `${key}.json`);
+}
+
+// The cached value, or undefined when missing, expired or unreadable
+function readCache(key) {
+  if (!state.enabled) return undefined;
+  try {
+    const entry = JSON.parse(fs.readFileSync(entryPath(key), 'utf8'));
+    if (Date.now() - entry.created <= state.ttlMs) {
+      state.stats.hits++;
+      return entry.value;
+    }
+    fs.rmSync(entryPath(key), { force: true });
+  } catch {}
+  state.stats.misses++;
+  return undefined;
+}
+
+// meta (e.g. provider and model) is stored alongside for inspection
+function writeCache(key, value, meta = {}) {
+  if (!state.enabled) return;
+  try {
+    fs.mkdirSync(state.dir, { recursive: true });
+    const temp = path.join(state.dir, `${key}.${process.pid}-${threadId}.tmp`);
+    fs.writeFileSync(temp, JSON.stringify({ created: Date.now(), ...meta, value }));
+    fs.renameSync(temp, entryPath(key));
+    state.stats.writes++;
+    if (++state.writesSincePrune >= PRUNE_EVERY_WRITES) pruneCache();
+  } catch {}
+}
+
+function listEntries() {
+  if (!state.dir || !fs.existsSync(state.dir)) return [];
+  const entries = [];
+  for (const name of fs.readdirSync(state.dir)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const stat = fs.statSync(path.join(state.dir, name));
+      entries.push({ file: path.join(state.dir, name), size: stat.size, time: stat.mtimeMs });
+    } catch {}
+  }
+  return entries;
+}
+
+// Drop expired entries, then the oldest until within maxEntries and maxBytes
+function pruneCache() {
+  state.writesSincePrune = 0;
+  const now = Date.now();
+  const entries = listEntries().sort((a, b) => b.time - a.time);
+  let count = 0;
+  let bytes = 0;
+  let removed = 0;
+  for (const entry of entries) {
+    count++;
+    bytes += entry.size;
+    if (now - entry.time <= state.ttlMs && count <= state.maxEntries && bytes <= state.maxBytes) continue;
+    fs.rmSync(entry.file, { force: true });
+    removed++;
+  }
+  return removed;
+}
+
+function cacheStats() {
+  const entries = listEntries();
+  return {
+    dir: state.dir,
+    enabled: state.enabled,
+    entries: entries.length,
+    bytes: entries.reduce((total, entry) => total + entry.size, 0),
+    ttlMs: state.ttlMs,
+    maxEntries: state.maxEntries,
+    maxBytes: state.maxBytes,
+    ...state.stats
+  };
+}
+
+// Remove every entry (and leftover temp files); returns how many entries there were
+function clearCache() {
+  if (!state.dir || !fs.existsSync(state.dir)) return 0;
+  let removed = 0;
+  for (const name of fs.readdirSync(state.dir)) {
+    if (!name.endsWith('.json') && !name.endsWith('.tmp')) continue;
+    fs.rmSync(path.join(state.dir, name), { force: true });
+    if (name.endsWith('.json')) removed++;
+  }
+  return removed;
+}
+
+export {
+  configureCache,
+  getCacheSettings,
+  isCacheEnabled,
+  cacheKey,
+  readCache,
+  writeCache,
+  pruneCache,
+  cacheStats,
+  clearCache
+};
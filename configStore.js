@@ -0,0 +1,358 @@
+// Layered configuration. Settings come from, lowest first: built-in defaults,
+// the user file (~/.config/qaterm/config.json), the project file
+// (.qaterm/config.json), the active profile, QATERM_* environment variables
+// and command-line flags.
+// Every layer is checked against a JSON schema derived from the defaults, and
+// each setting remembers the layer it came from.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const ENV_PREFIX = 'QATERM_';
+
+function userConfigFile() {
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'qaterm', 'config.json');
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// JSON schema for values shaped like the defaults: objects list their keys and
+// refuse any other. refinements ({ 'dotted.path': schema }) replace the derived
+// schema at their path, e.g. to allow open maps, enums or nulls.
+function schemaFromDefaults(defaults, refinements = {}, at = '') {
+  if (refinements[at]) return refinements[at];
+  if (Array.isArray(defaults)) {
+    return defaults.length ? { type: 'array', items: schemaFromDefaults(defaults[0], refinements, `${at}[]`) } : { type: 'array' };
+  }
+  if (isPlainObject(defaults)) {
+    const properties = {};
+    for (const [key, value] of Object.entries(defaults)) {
+      properties[key] = schemaFromDefaults(value, refinements, at ? `${at}.${key}` : key);
+    }
+    return { type: 'object', properties, additionalProperties: false };
+  }
+  if (defaults === null) return {};
+  return { type: typeof defaults };
+}
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+// The known key a mistyped one was most likely meant to be
+function closestKey(key, keys) {
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(key.length / 3)) + 1;
+  for (const candidate of keys) {
+    const lower = candidate.toLowerCase();
+    const distance = lower === key.toLowerCase() ? 0 : key && lower.startsWith(key.toLowerCase()) ? 1 : editDistance(key, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// Problems with value against schema, using the JSON-schema keywords type,
+// enum, minimum, maximum, properties, additionalProperties and items.
+// Returns [{ path, keys, message }]; keys is the path as an array, since map
+// keys such as model names may contain dots.
+function validate(schema, value, at = '', keys = []) {
+  const problems = [];
+  const label = at || '(root)';
+  const problem = (message, path = at, where = keys) => ({ path, keys: where, message });
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  if (types.length && !types.some(type => typeMatches(type, value))) {
+    const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    problems.push(problem(`${label}: expected ${types.join(' or ')}, got ${actual}`));
+    return problems;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(problem(`${label}: must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`));
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(problem(`${label}: must be at least ${schema.minimum}`));
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(problem(`${label}: must be at most ${schema.maximum}`));
+  }
+  if (Array.isArray(value) && schema.items) {
+    // A bad item drops the whole array rather than leaving a shorter one
+    value.forEach((item, i) => problems.push(...validate(schema.items, item, `${at}[${i}]`, keys)));
+  }
+  if (isPlainObject(value) && (schema.properties || schema.additionalProperties !== undefined)) {
+    const known = Object.keys(schema.properties || {});
+    for (const [key, item] of Object.entries(value)) {
+      const child = at ? `${at}.${key}` : key;
+      const childKeys = [...keys, key];
+      if (schema.properties?.[key]) {
+        problems.push(...validate(schema.properties[key], item, child, childKeys));
+      } else if (schema.additionalProperties === false) {
+        const suggestion = closestKey(key, known);
+        problems.push(problem(`${child}: unknown setting${suggestion ? ` (did you mean ${at ? `${at}.` : ''}${suggestion}?)` : ''}`, child, childKeys));
+      } else if (isPlainObject(schema.additionalProperties)) {
+        problems.push(...validate(schema.additionalProperties, item, child, childKeys));
+      }
+    }
+  }
+  return problems;
+}
+
+// Schema of the setting at a dotted path, or null when there is no such setting
+function schemaAt(schema, keyPath) {
+  let node = schema;
+  for (const key of keyPath.split('.')) {
+    if (node.properties?.[key]) node = node.properties[key];
+    else if (isPlainObject(node.additionalProperties)) node = node.additionalProperties;
+    else if (node.additionalProperties === undefined && node.type === undefined) node = {};
+    else return null;
+  }
+  return node;
+}
+
+// Text from the command line or the environment as a value of the setting's
+// type: true/false/on/off/yes/no/1/0 for booleans, JSON for arrays and objects
+function parseSettingValue(schema, text) {
+  const types = [].concat(schema.type || []);
+  if (types.includes('null') && text === 'null') return null;
+  if (types.includes('boolean')) {
+    if (/^(true|on|yes|1)$/i.test(text)) return true;
+    if (/^(false|off|no|0)$/i.test(text)) return false;
+    throw new Error(`"${text}" is not a boolean (use true or false)`);
+  }
+  if (types.includes('number') || types.includes('integer')) {
+    const number = Number(text);
+    if (text.trim() === '' || Number.isNaN(number)) throw new Error(`"${text}" is not a number`);
+    return number;
+  }
+  if (types.includes('array') || types.includes('object') || !types.length) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      if (!types.length) return text;
+      throw new Error(`"${text}" is not valid JSON (${error.message})`);
+    }
+  }
+  return text;
+}
+
+// Paths are dotted strings or arrays of keys
+const pathKeys = keyPath => (Array.isArray(keyPath) ? keyPath : keyPath.split('.'));
+
+function getPath(object, keyPath) {
+  return pathKeys(keyPath).reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), object);
+}
+
+function setPath(object, keyPath, value) {
+  const keys = pathKeys(keyPath);
+  let node = object;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(node[key])) node[key] = {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+// Remove a dotted path, and any objects it leaves empty; true when it was there
+function deletePath(object, keyPath) {
+  const keys = pathKeys(keyPath);
+  const parents = [];
+  let node = object;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(node[key])) return false;
+    parents.push([node, key]);
+    node = node[key];
+  }
+  const last = keys[keys.length - 1];
+  if (!(last in node)) return false;
+  delete node[last];
+  for (const [parent, key] of parents.reverse()) {
+    if (Object.keys(parent[key]).length) break;
+    delete parent[key];
+  }
+  return true;
+}
+
+// Dotted paths of every leaf. Arrays, empty objects and maps whose keys
+// contain dots (model names such as gpt-3.5-turbo) count as leaves.
+function leafPaths(value, at = '') {
+  const keys = isPlainObject(value) ? Object.keys(value) : [];
+  if (!keys.length || keys.some(key => key.includes('.'))) return at ? [at] : [];
+  return keys.flatMap(key => leafPaths(value[key], at ? `${at}.${key}` : key));
+}
+
+// base with value merged in; objects merge key by key, anything else replaces
+function mergeValues(base, value) {
+  if (!isPlainObject(base) || !isPlainObject(value)) return structuredClone(value);
+  const merged = { ...base };
+  for (const [key, item] of Object.entries(value)) merged[key] = mergeValues(base[key], item);
+  return merged;
+}
+
+// Drop the parts of values named by problems, keeping the rest of the layer usable
+function withoutProblems(values, problems) {
+  const copy = structuredClone(values);
+  for (const problem of problems) {
+    if (problem.keys?.length) deletePath(copy, problem.keys);
+  }
+  return copy;
+}
+
+// { values, problems } of a JSON config file; a missing file is an empty layer
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { values: {}, problems: [] };
+    return { values: {}, problems: [{ path: '', keys: [], message: error.message }] };
+  }
+  try {
+    const values = JSON.parse(text);
+    if (!isPlainObject(values)) return { values: {}, problems: [{ path: '', keys: [], message: 'expected a JSON object' }] };
+    return { values, problems: [] };
+  } catch (error) {
+    return { values: {}, problems: [{ path: '', keys: [], message: `invalid JSON: ${error.message}` }] };
+  }
+}
+
+function writeConfigFile(file, values) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, `${JSON.stringify(values, null, 2)}\n`);
+  fs.renameSync(temp, file);
+}
+
+// The setting a QATERM_* variable names, matching its words against the
+// schema's keys: QATERM_CURRENT_PROVIDER is currentProvider and
+// QATERM_SERVER_TOKEN is server.token. Null when nothing matches.
+function settingForEnv(schema, name) {
+  const words = name.slice(ENV_PREFIX.length).toLowerCase().split('_').filter(Boolean);
+  const squash = key => key.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const resolve = (node, rest, keys) => {
+    if (!rest.length) return keys.join('.');
+    for (let count = rest.length; count > 0; count--) {
+      const wanted = rest.slice(0, count).join('');
+      const key = Object.keys(node.properties || {}).find(candidate => squash(candidate) === wanted);
+      if (!key) continue;
+      const found = resolve(node.properties[key], rest.slice(count), [...keys, key]);
+      if (found) return found;
+    }
+    return null;
+  };
+  return words.length ? resolve(schema, words, []) : null;
+}
+
+// Layer of QATERM_* variables; names in ignore are left alone
+function envLayer(schema, env = process.env, ignore = []) {
+  const values = {};
+  const origins = {};
+  const problems = [];
+  for (const [name, text] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX) || ignore.includes(name)) continue;
+    const keyPath = settingForEnv(schema, name);
+    if (!keyPath) {
+      problems.push({ path: '', keys: [], message: `${name} does not name a setting` });
+      continue;
+    }
+    try {
+      setPath(values, keyPath, parseSettingValue(schemaAt(schema, keyPath), text));
+      origins[keyPath] = name;
+    } catch (error) {
+      problems.push({ path: keyPath, keys: [], message: `${name}: ${error.message}` });
+    }
+  }
+  return { values, origins, problems };
+}
+
+// The entry of locked (dotted path prefixes, * matching any one key) that
+// keyPath is at or under, or undefined
+function lockedPrefix(keyPath, locked) {
+  const keys = pathKeys(keyPath);
+  return locked.find(item => {
+    const wanted = item.split('.');
+    return wanted.length <= keys.length && wanted.every((key, i) => key === '*' || key === keys[i]);
+  });
+}
+
+// Check a layer and record where its settings came from. locked lists the
+// path prefixes the layer may not set.
+function checkLayer(schema, layer, locked = []) {
+  const problems = [...(layer.problems || []), ...validate(schema, layer.values)];
+  for (const keyPath of leafPaths(layer.values)) {
+    const prefix = lockedPrefix(keyPath, locked);
+    if (!prefix) continue;
+    const keys = pathKeys(keyPath).slice(0, prefix.split('.').length);
+    problems.push({ path: keys.join('.'), keys, message: `${keyPath}: not allowed in a ${layer.name} config; set it in the user config` });
+  }
+  return { ...layer, values: withoutProblems(layer.values, problems), problems };
+}
+
+// Merge layers (lowest first) over a copy of defaults. A layer's source is
+// the variable that set a value, else layer.source, else its file. Returns
+// { config, origins }, origins mapping each leaf path to its layer.
+function mergeLayers(defaults, layers) {
+  const config = structuredClone(defaults);
+  const origins = {};
+  for (const keyPath of leafPaths(defaults)) origins[keyPath] = { layer: 'default' };
+  for (const layer of layers) {
+    for (const keyPath of leafPaths(layer.values)) {
+      setPath(config, keyPath, mergeValues(getPath(config, keyPath), getPath(layer.values, keyPath)));
+      for (const known of Object.keys(origins)) {
+        if (known.startsWith(`${keyPath}.`)) delete origins[known];
+      }
+      origins[keyPath] = { layer: layer.name, source: layer.origins?.[keyPath] || layer.source || layer.file || null };
+    }
+  }
+  return { config, origins };
+}
+
+// Leaf paths whose value in current differs from base
+function changedPaths(base, current) {
+  const paths = new Set([...leafPaths(base), ...leafPaths(current)]);
+  return [...paths].filter(keyPath => JSON.stringify(getPath(base, keyPath)) !== JSON.stringify(getPath(current, keyPath)));
+}
+
+export {
+  userConfigFile,
+  schemaFromDefaults,
+  validate,
+  schemaAt,
+  closestKey,
+  parseSettingValue,
+  getPath,
+  setPath,
+  deletePath,
+  leafPaths,
+  readConfigFile,
+  writeConfigFile,
+  settingForEnv,
+  envLayer,
+  lockedPrefix,
+  checkLayer,
+  mergeLayers,
+  changedPaths
+};
@@ -0,0 +1,147 @@
+// Line diff used to preview AI file writes and apply only the accepted hunks
+const CONTEXT_LINES = 3;
+
+// Marks a file's last line when no newline follows it, so "y" and "y\n" as
+// the end of a file differ like in a unified diff; never part of op.text
+const NO_EOL = '\u0000no-eol';
+const NO_EOL_NOTE = '\\ No newline at end of file';
+
+// Above this many cells the LCS table gets too large, so the changed middle
+// of the file is shown as one replacement instead
+const MAX_LCS_CELLS = 4000000;
+
+// The final newline is not a line of its own; a last line without one is marked
+function splitLines(text) {
+  const value = String(text ?? '');
+  if (!value) return [];
+  const lines = value.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  else lines[lines.length - 1] += NO_EOL;
+  return lines;
+}
+
+function lcsOps(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const w = m + 1;
+  const table = new Uint32Array((n + 1) * w);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * w + j] = a[i] === b[j]
+        ? table[(i + 1) * w + j + 1] + 1
+        : Math.max(table[(i + 1) * w + j], table[i * w + j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', text: a[i] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * w + j] >= table[i * w + j + 1]) {
+      ops.push({ type: '-', text: a[i++] });
+    } else {
+      ops.push({ type: '+', text: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: '-', text: a[i++] });
+  while (j < m) ops.push({ type: '+', text: b[j++] });
+  return ops;
+}
+
+function diffOps(a, b) {
+  // Common prefix and suffix are cheap to strip and usually most of the file
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(text => ({ type: ' ', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    ops.push(...midA.map(text => ({ type: '-', text })), ...midB.map(text => ({ type: '+', text })));
+  } else {
+    ops.push(...lcsOps(midA, midB));
+  }
+  ops.push(...a.slice(endA).map(text => ({ type: ' ', text })));
+  return ops;
+}
+
+// Diff two texts into unified-style hunks. Every changed op is tagged with
+// the index of its hunk so applyHunks can take or leave each one.
+// A change to only the final newline is a hunk of its own last line, which
+// printers follow with NO_EOL_NOTE where op.noEol is set.
+function diffLines(oldText, newText, context = CONTEXT_LINES) {
+  const ops = diffOps(splitLines(oldText), splitLines(newText));
+  let oldNo = 1;
+  let newNo = 1;
+  let added = 0;
+  let removed = 0;
+  for (const op of ops) {
+    if (op.text.endsWith(NO_EOL)) {
+      op.text = op.text.slice(0, -NO_EOL.length);
+      op.noEol = true;
+    }
+    op.oldNo = oldNo;
+    op.newNo = newNo;
+    if (op.type !== '+') oldNo++;
+    if (op.type !== '-') newNo++;
+    if (op.type === '+') added++;
+    if (op.type === '-') removed++;
+  }
+
+  // Changes separated by no more than two contexts' worth of lines share a hunk
+  const clusters = [];
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const last = clusters[clusters.length - 1];
+    if (last && index - last.end <= context * 2 + 1) {
+      last.end = index;
+    } else {
+      clusters.push({ start: index, end: index });
+    }
+  });
+
+  const hunks = clusters.map((cluster, hunkIndex) => {
+    const from = Math.max(0, cluster.start - context);
+    const to = Math.min(ops.length - 1, cluster.end + context);
+    const lines = ops.slice(from, to + 1);
+    for (const op of lines) {
+      if (op.type !== ' ') op.hunk = hunkIndex;
+    }
+    const oldLines = lines.filter(op => op.type !== '+').length;
+    const newLines = lines.filter(op => op.type !== '-').length;
+    return {
+      index: hunkIndex,
+      oldStart: oldLines ? lines[0].oldNo : lines[0].oldNo - 1,
+      oldLines,
+      newStart: newLines ? lines[0].newNo : lines[0].newNo - 1,
+      newLines,
+      lines
+    };
+  });
+
+  return { ops, hunks, added, removed };
+}
+
+// Rebuild the file keeping the new side of accepted hunks and the old side of
+// the rest; the last line kept says whether a newline ends the file
+function applyHunks(diff, accepted) {
+  const keep = accepted instanceof Set ? accepted : new Set(accepted);
+  const kept = diff.ops.filter(op => op.type === ' ' || keep.has(op.hunk) === (op.type === '+'));
+  if (!kept.length) return '';
+  return kept.map(op => op.text).join('\n') + (kept[kept.length - 1].noEol ? '' : '\n');
+}
+
+function formatHunkHeader(hunk) {
+  return `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+}
+
+export { diffLines, applyHunks, formatHunkHeader, NO_EOL_NOTE };
@@ -0,0 +1,146 @@
+// Git plumbing behind \diff, \commitmsg and \explain. Everything runs against
+// the local working tree; nothing here fetches, pushes or talks to a remote,
+// and the only write is the commit \commitmsg makes once it is confirmed.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+const MAX_OUTPUT = 20 * 1024 * 1024;
+
+// Never page, prompt for credentials or pick up a user's external diff tool
+const GIT_ENV = { ...process.env, GIT_PAGER: 'cat', GIT_TERMINAL_PROMPT: '0', GIT_EXTERNAL_DIFF: '' };
+
+// stdout of git args in cwd; a failure rejects with git's own message
+async function git(args, cwd) {
+  try {
+    const { stdout } = await execFileAsync('git', args, { cwd, env: GIT_ENV, maxBuffer: MAX_OUTPUT });
+    return stdout;
+  } catch (error) {
+    const message = (error.stderr || '').trim().split('\n').pop() || error.message;
+    throw new Error(message.replace(/^(fatal|error): /, ''));
+  }
+}
+
+// Top level of the work tree containing dir, or null outside one
+async function repoRoot(dir) {
+  try {
+    return (await git(['rev-parse', '--show-toplevel'], dir)).trim();
+  } catch {
+    return null;
+  }
+}
+
+// Staged and unstaged diffs plus the untracked files, optionally limited to
+// paths (relative to root): { staged, unstaged, untracked }
+async function workingTreeChanges(root, paths = []) {
+  const scope = paths.length ? ['--', ...paths] : [];
+  const [staged, unstaged, untracked] = await Promise.all([
+    git(['diff', '--cached', '--no-color', '--no-ext-diff', ...scope], root),
+    git(['diff', '--no-color', '--no-ext-diff', ...scope], root),
+    git(['ls-files', '--others', '--exclude-standard', ...scope], root)
+  ]);
+  return { staged, unstaged, untracked: untracked.split('\n').filter(Boolean) };
+}
+
+// Paths a unified diff touches
+function diffFiles(diff) {
+  return [...diff.matchAll(/^diff --git a\/.+? b\/(.+)$/gm)].map(match => match[1]);
+}
+
+// Prefix the lines of a unified diff with their line number in the new file
+// (added and context lines; removed lines get none), so a reader can point
+// at file:line without counting from the hunk headers
+function numberDiff(diff) {
+  let line = 0;
+  return diff.split('\n').map(text => {
+    if (text.startsWith('diff --git')) {
+      line = 0;
+      return text;
+    }
+    const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      line = Number(hunk[1]);
+      return text;
+    }
+    if (!line || text.startsWith('\\')) return text;
+    if (text.startsWith('-')) return `${' '.repeat(6)}${text}`;
+    if (text.startsWith('+') || text.startsWith(' ')) return `${String(line++).padStart(5)} ${text}`;
+    return text;
+  }).join('\n');
+}
+
+// Subjects of the newest commits, to match a repository's message style; [] before the first commit
+async function recentSubjects(root, count = 10) {
+  try {
+    return (await git(['log', `-n${count}`, '--format=%s'], root)).split('\n').filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+// Commit what is staged with message; resolves to git's summary line
+async function commitStaged(root, message) {
+  const file = path.join(os.tmpdir(), `qaterm-commit-${process.pid}-${Date.now()}.txt`);
+  fs.writeFileSync(file, message.endsWith('\n') ? message : `${message}\n`);
+  try {
+    return (await git(['commit', '-F', file], root)).trim().split('\n')[0];
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+// git blame of lines start..end of file (relative to root):
+// [{ line, commit, author, date, summary, text }]. Lines not yet committed
+// have commit null.
+async function blameLines(root, file, start, end) {
+  const output = await git(['blame', '--porcelain', `-L${start},${end}`, '--', file], root);
+  const commits = {};
+  const lines = [];
+  let current = null;
+  for (const text of output.split('\n')) {
+    const header = text.match(/^([0-9a-f]{40}) \d+ (\d+)/);
+    if (header) {
+      current = { sha: header[1], line: Number(header[2]) };
+      commits[current.sha] = commits[current.sha] || {};
+    } else if (text.startsWith('\t') && current) {
+      const commit = commits[current.sha];
+      lines.push({
+        line: current.line,
+        commit: /^0+$/.test(current.sha) ? null : current.sha.slice(0, 8),
+        author: commit.author,
+        date: commit.time ? new Date(commit.time * 1000).toISOString().slice(0, 10) : '',
+        summary: commit.summary,
+        text: text.slice(1)
+      });
+    } else if (current) {
+      const [, key, value] = text.match(/^(\S+) ?(.*)$/) || [];
+      if (key === 'author') commits[current.sha].author = value;
+      else if (key === 'author-time') commits[current.sha].time = Number(value);
+      else if (key === 'summary') commits[current.sha].summary = value;
+    }
+  }
+  return lines;
+}
+
+// The newest commits that changed lines start..end of file, each with its
+// patch to those lines (git log -L); '' when none did
+async function lineHistory(root, file, start, end, count = 5) {
+  return git([
+    'log', `-L${start},${end}:${file}`, `-n${count}`, '--no-color', '--date=short',
+    '--format=commit %h%nAuthor: %an%nDate:   %ad%n%n    %s%n'
+  ], root);
+}
+
+export {
+  repoRoot,
+  workingTreeChanges,
+  diffFiles,
+  numberDiff,
+  recentSubjects,
+  commitStaged,
+  blameLines,
+  lineHistory
+};
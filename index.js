@@ -17,18 +17,42 @@ import chalk from 'chalk';
 import figlet from 'figlet';
 import gradient from 'gradient-string';
 import boxen from 'boxen';
-import ora from 'ora';
-import OpenAI from 'openai';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { Anthropic } from '@anthropic-ai/sdk';
+import createSpinner from 'ora';
 import { exec } from 'child_process';
-import { Worker } from 'worker_threads';
 import { v4 as uuidv4 } from 'uuid';
+import { createHash } from 'crypto';
 import { EventEmitter } from 'events';
 import { promisify } from 'util';
 import readline from 'readline';
 import { startNewCodingProject } from './projectStarter.js';
-import { startTui, startEditor } from './tui.js';
+import { startTui, startEditor, startDashboard } from './tui.js';
+import { providers, providerNames, isProviderAvailable, configureProvider, getProviderSettings, configureRetry, getRetryPolicy, setRetryListener, describeRetry, listModels, complete, supportsTools, completeWithTools, isToolUnsupportedError, setUsageListener } from './providers.js';
+import { agentTools } from './agentTools.js';
+import { WorkerPool } from './workerPool.js';
+import { normalizePlan, buildTaskGraph, readyNodes, blockDependents, isGraphFinished } from './taskGraph.js';
+import { diffLines, applyHunks, formatHunkHeader, NO_EOL_NOTE } from './diff.js';
+import { initJournal, recordChange, undoChanges, listChanges } from './journal.js';
+import { configureCache, getCacheSettings, cacheStats, clearCache } from './cache.js';
+import {
+  loadIndex, saveIndex, findStaleFiles, recordFile, filesNeedingSummary, setSummary, rankFiles, indexOverview, indexStats
+} from './projectIndex.js';
+import {
+  languageFor, loadSymbolIndex, saveSymbolIndex, updateSymbolIndex, qualifiedName, findDefinitions, findCallers, findReferences,
+  namedSymbols, mentionsCode
+} from './symbolIndex.js';
+import { startServer, rpcError, RPC_INVALID_PARAMS } from './server.js';
+import { repoRoot, workingTreeChanges, diffFiles, numberDiff, recentSubjects, commitStaged, blameLines, lineHistory } from './git.js';
+import { createEmbedder, loadVectorStore, saveVectorStore, updateVectorStore, searchVectorStore, vectorStoreStats } from './semanticIndex.js';
+import {
+  initSessions, isValidSessionName, sessionContextFile, sessionExists, loadSession, saveSession,
+  listSessions, renameSession, forkSession, deleteSession, pruneUnnamedSessions
+} from './sessions.js';
+import { countTokens, countMessageTokens, contextWindow, beginRequest, endRequest, recordUsage, taskUsage, usageReport } from './usage.js';
+import {
+  userConfigFile, schemaFromDefaults, validate, schemaAt, closestKey, parseSettingValue, getPath, setPath, deletePath, leafPaths,
+  readConfigFile, writeConfigFile, envLayer, lockedPrefix, checkLayer, mergeLayers, changedPaths
+} from './configStore.js';
+import { loadModes, findMode, unknownModeMessage, modeInstructions } from './modes.js';
 
 // Setup __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -40,11 +64,15 @@ const installDir = __dirname;
 // Save the caller's working directory
 const callerDir = process.cwd();
 
+// One-shot questions (qa ask), qa config and piped output get no banner,
+// startup messages or spinners
+const commandName = process.argv.slice(2).find((arg, i, args) => !arg.startsWith('-') && !['--set', '--profile', '--mode'].includes(args[i - 1]));
+const oneShot = ['ask', 'config'].includes(commandName);
+const plainOutput = oneShot || !process.stdout.isTTY;
+
 // Startup mode flags (also exposed via Commander options)
-const quietStart = process.argv.includes('--qs') || process.argv.includes('--quiet-start');
-const fastAnswersMode = process.argv.includes('--fa') || process.argv.includes('--fast-answers');
-const nvimHelpMode = process.argv.includes('--nvim') || process.argv.includes('--nvim-help');
-const vocabMode = process.argv.includes('--vocab') || process.argv.includes('--vocabulary');
+const quietStart = plainOutput || process.argv.includes('--qs') || process.argv.includes('--quiet-start');
+const noCache = process.argv.includes('--no-cache');
 
 // Change to the caller's directory to operate from there (suppress in quiet mode)
 if (!quietStart) {
@@ -54,23 +82,24 @@ if (!quietStart) {
 // Load environment variables from .env file with absolute path (from installation directory)
 dotenv.config({ path: path.join(installDir, '.env') });
 
-// Initialize OpenRouter client (add this line)
-let openRouter = null;
-if (process.env.OPENROUTER_API_KEY) {
-  // Using OpenAI client with OpenRouter base URL for compatibility
-  openRouter = new OpenAI({
-    apiKey: process.env.OPENROUTER_API_KEY,
-    baseURL: 'https://openrouter.ai/api/v1',
-    defaultHeaders: {
-      'HTTP-Referer': 'https://qaterm.app',  // Replace with your actual site
-      'X-Title': 'QAterm'
-    }
-  });
-}
-
 // Track last outputs for copy actions
 let lastAIResponse = '';
 let sessionTranscript = [];
+// Text of the last answer that was already streamed to the terminal
+let streamedResponse = null;
+
+// Spinners only show on a terminal. With plain output they stay silent apart
+// from failures, which still reach stderr.
+function ora(options) {
+  const spinner = createSpinner({ ...(typeof options === 'string' ? { text: options } : options), isSilent: plainOutput });
+  if (plainOutput) {
+    spinner.fail = (text) => {
+      console.error(stripAnsi(text ?? spinner.text));
+      return spinner.stop();
+    };
+  }
+  return spinner;
+}
 
 // Utility: strip ANSI sequences for clean copying
 function stripAnsi(input) {
@@ -113,11 +142,13 @@ async function copyToClipboard(text) {
   });
 }
 
-// Enable terminal bracketed paste at startup and disable on exit
+// Enable terminal bracketed paste at startup and disable on exit (not when output is piped)
 function enableBracketedPaste() {
+  if (plainOutput) return;
   try { process.stdout.write('\x1b[?2004h'); } catch {}
 }
 function disableBracketedPaste() {
+  if (plainOutput) return;
   try { process.stdout.write('\x1b[?2004l'); } catch {}
 }
 
@@ -255,7 +286,7 @@ globalThis.isMultilinePaste = (input) => {
 // Add a message at the end of the startup process
 const originalExit = process.exit;
 process.exit = (code) => {
-  if (code === 0) {
+  if (code === 0 && !plainOutput) {
     console.log(chalk.blue("\nNew command: ") + chalk.green("\\review [directory]") + chalk.blue(" or ") + chalk.green("\\r [directory]") + chalk.blue(" - Analyze code directories with parallel processing"));
   }
   originalExit(code);
@@ -267,9 +298,10 @@ process.on('SIGINT', () => { disableBracketedPaste(); });
 
 // DirectoryAnalyzer instance will be created after class definition
 
-// Application configuration
+// Application configuration, resolved from the layers in loadConfig()
 let config;
-const DEFAULT_CONFIG_PATH = path.join(installDir, 'config.json');
+// Where older versions saved settings; moved into the user file once (see migrateInstallConfig())
+const INSTALL_CONFIG_PATH = path.join(installDir, 'config.json');
 let aiIgnorePatterns = [];
 // Terminal mode state
 let terminalModeActive = false;
@@ -394,116 +426,61 @@ function extractDirectoryPath(question) {
   return '.'; // Default to current directory
 }
 
-// Function to handle directory review requests
+// \review [dir]: refresh the directory's index, then ask for a review with
+// the file summaries and the most important files in full
 async function handleReviewRequest(question) {
   const dirPath = extractDirectoryPath(question);
-  const results = await reviewDirectory(dirPath);
+  const reviewed = await reviewDirectory(dirPath);
+  if (!reviewed) return false;
   
-  if (results) {
-    // Force using powerful model for analysis
-    let prevAgenticMode = false;
-    if (config && config.agentic) {
-      prevAgenticMode = config.agentic.autoDetect;
-      config.agentic.autoDetect = true;
-    }
-    
-    // Get response from AI
-    const response = await getCompletion();
-    
-    // Reset to config default
-    if (config && config.agentic) {
-      config.agentic.autoDetect = prevAgenticMode;
-    }
-    
-    // Show the response
-    displayAssistantResponse(response);
-    
-    // Add to history
-    conversationHistory.push({
-      role: 'assistant',
-      content: response
-    });
-    
-    return true;
+  const root = reviewed.index.root;
+  const response = await askAI(`Please review the codebase in ${root} and provide a comprehensive analysis.`, { review: { root } });
+  if (!response.match(/(\{\{agent:(fs|exec):(.+?)\}\}|\(Executed: (.+?)\))/g)) {
+    await displayAIResponse(response);
   }
-  
-  return false;
+  return true;
 }
 
-// Function to review a directory
-async function reviewDirectory(dirPath = '.', addToHistory = true) {
+// Bring a directory's project index up to date: only files changed since the
+// last run are read, and only those get a new summary. Resolves to
+// { results, index }, or null on failure.
+async function reviewDirectory(dirPath = '.') {
   // Resolve the directory path relative to current working directory
   const resolvedPath = path.resolve(currentWorkingDirectory, dirPath);
   
-  // No directory restrictions - always allow reviewing from current working directory
-  
   // Show progress spinner
   const spinner = ora({
     text: chalk.blue(`Analyzing directory ${resolvedPath}...`),
     spinner: 'dots'
   }).start();
   
+  const onProgress = (progress) => {
+    spinner.text = chalk.blue(`Analyzing files (${progress.processed}/${progress.total}, ${progress.percentage}%)`);
+  };
+  directoryAnalyzer.on('progress', onProgress);
   try {
-    // Setup progress handler
-    directoryAnalyzer.on('progress', (progress) => {
-      spinner.text = chalk.blue(`Analyzing files (${progress.processed}/${progress.total}, ${progress.percentage}%)`);
-    });
-    
-    // Run analysis
-    const results = await directoryAnalyzer.analyzeDirectory(resolvedPath);
+    const indexFile = projectIndexFile(resolvedPath);
+    const index = loadIndex(indexFile, resolvedPath);
+    const results = await directoryAnalyzer.analyzeDirectory(resolvedPath, { index });
     
-    // Update spinner when complete
-    spinner.succeed(chalk.green(`Directory analysis complete! Analyzed ${results.analyzedFiles} files.`));
+    const summaries = await summarizeIndexedFiles(index, spinner);
+    saveIndex(indexFile, index);
     
-    // Only add to conversation history if required
-    if (addToHistory) {
-      // Add directory structure to conversation
-      conversationHistory.push({
-        role: 'system',
-        content: `Directory analysis results for ${resolvedPath}:
-1. Total files analyzed: ${results.analyzedFiles}
-2. Directory structure: ${results.summary}
-3. ${Object.keys(results.fileContents).length} file contents have been captured and are available for reference.
-4. Errors encountered: ${results.errors.length}
-
-Please provide a comprehensive review of this codebase based on the files analyzed.`
-      });
-      
-      // Group files by type for better context management
-      const fileGroups = {};
-      Object.entries(results.fileContents).forEach(([filePath, content]) => {
-        const ext = path.extname(filePath).toLowerCase();
-        const category = ext.replace('.', '') || 'other';
-        fileGroups[category] = fileGroups[category] || [];
-        fileGroups[category].push({path: filePath, content: content});
-      });
-      
-      // Add file contents by category
-      Object.entries(fileGroups).forEach(([category, files]) => {
-        if (files.length > 0) {
-          // Create a condensed representation of this file type
-          const fileContents = files.map(f => 
-            `File: ${f.path}\n${f.content.substring(0, Math.min(f.content.length, 2000))}\n${f.content.length > 2000 ? '... (truncated)' : ''}`
-          ).join('\n\n---\n\n');
-          
-          conversationHistory.push({
-            role: 'system',
-            content: `${category.toUpperCase()} FILES (${files.length}):\n${fileContents}`
-          });
-        }
-      });
-      
-      // Add a user message to trigger AI response
-      conversationHistory.push({
-        role: 'user',
-        content: `Please review the codebase in ${resolvedPath} and provide a comprehensive analysis.`
-      });
+    spinner.succeed(chalk.green(`Directory analysis complete! ${results.totalFiles} files: ` +
+      `${results.changedFiles.length} new or changed, ${results.unchangedFiles} unchanged, ${results.removedFiles.length} removed; ` +
+      `${summaries.done} summarized`));
+    if (summaries.failed) {
+      console.log(chalk.yellow(`${summaries.failed} file summaries failed (${summaries.error}); they are retried next time.`));
     }
-    
-    return results;
+    if (summaries.left) {
+      console.log(chalk.yellow(`${summaries.left} files still need a summary; run \\index to continue.`));
+    }
+    return { results, index };
   } catch (error) {
     spinner.fail(chalk.red(`Error analyzing directory: ${error.message}`));
     return null;
+  } finally {
+    directoryAnalyzer.off('progress', onProgress);
   }
 }
 
@@ -641,21 +618,42 @@ function addToAiIgnore(dirPath, pattern) {
 
 // Note: Using loadAiIgnorePatterns function defined at the top of the file
 // Note: isPathIgnored function is defined elsewhere in the file
-config = {
+// Built-in defaults, the lowest config layer. The config schema is derived from
+// them, so every setting needs a default here (see configStore.js).
+const DEFAULT_CONFIG = {
   currentProvider: 'anthropic', // Default provider
   models: {
     openai: 'gpt-4o',
     anthropic: 'claude-3-7-sonnet-20250219',
     google: 'gemini-2.0-flash',
-    openrouter: 'openrouter/deepseek/deepseek-r1:free'
+    openrouter: 'openrouter/deepseek/deepseek-r1:free',
+    local: 'llama3.1'
   },
   lightModels: {
     openai: 'gpt-3.5-turbo',
     anthropic: 'claude-3-haiku-20240307',
     google: 'gemini-2.0-flash-lite',
-    openrouter: 'openrouter/deepseek/deepseek-chat:free'
+    openrouter: 'openrouter/deepseek/deepseek-chat:free',
+    local: 'llama3.2'
+  },
+  // OpenAI-compatible self-hosted server (Ollama, llama.cpp, vLLM, LM Studio)
+  localProvider: {
+    baseURL: 'http://localhost:11434/v1',
+    apiKey: '' // Only needed if the server enforces one
+  },
+  // Applies to every model call: chat, reasoning, compaction, conductor and agents
+  retry: {
+    maxRetries: 3, // Retries of a rate-limited, overloaded or unreachable provider before failing over
+    baseDelayMs: 1000, // Backoff doubles from here, with jitter; a Retry-After from the provider wins
+    maxDelayMs: 30000, // Longest wait; a provider asking for more is failed over at once
+    failover: [] // Providers to fall back on in order, e.g. ['anthropic', 'openrouter', 'openai'] or { provider, model }
   },
   maxContextMessages: 100, // Default context window size
+  systemPrompt: '', // Standing instructions added to the system prompt of every question
+  // Named sets of settings applied over the config files, e.g. "deep-coding": { "currentProvider":
+  // "anthropic", "reasoningMode": { "enabled": true }, "codingMode": { "enabled": true } }
+  profiles: {},
+  profile: '', // Profile in use; qa --profile <name> or \profile <name> in chat
   agentMode: {
     enabled: false,
     routingThreshold: 0.7 // Confidence threshold for routing to powerful model
@@ -670,6 +668,8 @@ config = {
     useVirtualEnvironment: false,
     autoApproveExec: true,
     autoApproveFsSafe: true,
+    nativeTools: true, // Use provider tool calling; {{agent:...}} text is the fallback
+    maxToolTurns: 8, // Rounds of tool calls allowed per question
     allowedDirectories: [__dirname], // Default to application directory
     disallowedCommands: [
       'rm -rf', 'sudo', 'chmod', 'chown',
@@ -681,7 +681,7 @@ config = {
     enabled: false,
     maxContextMessages: 500, // Expanded context for coding mode
     projectContextFile: 'ai.md', // Project-specific knowledge and context
-    currentContextFile: 'current.md', // Current conversation context
+    currentContextFile: 'current.md', // Conversation context when sessions are not saved
     lastCompacted: null // Timestamp of last compaction
   },
   agentic: {
@@ -691,6 +691,7 @@ config = {
     maxActionsPerAgent: 20, // Maximum actions per agent before asking permission
     defaultTimeout: 300000, // Default timeout for agent tasks (5 minutes)
     taskHistoryFile: 'task-history.json', // File to store task execution history
+    maxHistoryEntries: 100, // Oldest task records are dropped beyond this
     taskTypes: [
       'research',   // Web research tasks
       'coding',     // Code generation and modification
@@ -698,7 +699,118 @@ config = {
       'filesystem', // File operations
       'automation'  // Local automation tasks
     ],
-    historyPath: __dirname // In your config initialization or wherever you set up default config values
+    historyPath: __dirname, // In your config initialization or wherever you set up default config values
+    autoDetect: true, // Route questions that look like multi-step tasks to agentic mode while it is on
+    maxParallelFileReads: 10, // Files read at once by directory analysis
+    directoryAnalysisChunkSize: 5
+  },
+  directMode: {
+    enabled: true, // Always answer with the main model instead of routing by complexity
+    skipReasoning: true
+  },
+  smartMode: {
+    enabled: false
+  },
+  mode: '', // Chat mode that is on, e.g. fast-answers, nvim-help or vocab (see modes.js); '' for none
+  availableGeminiModels: {
+    complex: ['gemini-2.5-pro', 'gemini-2.5-flash', 'gemini-1.5-flash', 'gemini-1.5-pro'],
+    light: ['gemini-2.5-flash-lite', 'gemini-1.5-flash-8b'],
+    embedding: ['gemini-embedding-exp'] // The first is used by \search with the google provider
+  },
+  streaming: {
+    enabled: true // Print chat answers token by token as they arrive
+  },
+  // Per-project file index built by \review and \index (see projectIndex.js)
+  projectIndex: {
+    codingMode: true, // Add summaries and relevant files to coding-mode questions once the project is indexed
+    relevantFiles: 4, // Files added in full for a question, matched by its words against paths and summaries
+    maxFileChars: 20000, // Longer files are cut when added in full
+    maxOverviewChars: 12000, // Budget for the one-line file summaries
+    maxSummariesPerRun: 200 // New summaries per \review or \index; the rest wait for the next run
+  },
+  // Semantic code search behind \search (see semanticIndex.js)
+  search: {
+    backend: 'provider', // 'provider' calls an embeddings API; 'stub' hashes words locally (offline, for testing)
+    provider: 'openai', // openai, google or local (e.g. Ollama); anthropic and openrouter have no embeddings API
+    model: '', // Empty picks the provider's default embedding model
+    chunkLines: 40, // Lines per embedded chunk
+    chunkOverlap: 8, // Lines shared by neighbouring chunks
+    batchSize: 64, // Chunks per embeddings request
+    maxChunks: 20000, // Files beyond this many chunks are left out of the index
+    maxFileBytes: 200000, // Larger files are not embedded
+    results: 8, // Hits listed by \search
+    codingMode: true, // Add the closest chunks to coding-mode questions once the project is indexed
+    codingChunks: 5,
+    minScore: 0.3 // Chunks less similar than this are not added to questions
+  },
+  // Symbol index behind \outline, \def, \refs and \callers (see symbolIndex.js)
+  symbols: {
+    context: true, // Give the model definitions and callers of symbols a coding-mode question names in code style (`name` or name())
+    contextSymbols: 3, // Most symbols looked up per question
+    maxDefinitionLines: 60, // Longer definitions are cut in that context
+    maxResults: 50 // Lines listed by \def, \refs and \callers
+  },
+  // \diff, \commitmsg and \explain (see git.js)
+  git: {
+    maxDiffChars: 60000, // Longer diffs are cut before they are sent
+    blameContext: 5, // Lines either side of the \explain line that are blamed
+    codeContext: 20, // Lines either side of it shown as code
+    historyCommits: 5, // Commits of git log -L history for \explain
+    maxHistoryChars: 12000
+  },
+  // qa serve (see server.js); it only ever listens on 127.0.0.1
+  server: {
+    port: 4317,
+    token: '', // Bearer token required by every route; usually set with QATERM_SERVER_TOKEN or --token
+    allowedOrigins: [] // Browser origins allowed to call it, e.g. "http://localhost:3000"; other origins are refused
+  },
+  cache: {
+    enabled: true, // Reuse answers to repeated nvim/vocab questions and query classifications; --no-cache skips it for a run
+    dir: 'cache', // Relative to the install directory
+    ttlHours: 168, // Entries older than this are ignored and pruned
+    maxEntries: 1000,
+    maxMB: 50
+  },
+  journal: {
+    enabled: true, // Snapshot files before AI writes and journaled commands so they can be undone
+    dir: 'journal', // Relative to the install directory
+    maxEntries: 200 // Oldest entries and their snapshots are dropped beyond this
+  },
+  usage: {
+    reserveTokens: 4096, // Room left for the reply when trimming history to the context window
+    contextWindows: {}, // Model name or prefix -> context window in tokens, overriding the built-in table
+    // USD per million tokens. A model uses its exact name, else the longest matching prefix, else '*'
+    prices: {
+      openai: {
+        'gpt-5': { input: 1.25, output: 10 },
+        'gpt-4o-mini': { input: 0.15, output: 0.6 },
+        'gpt-4o': { input: 2.5, output: 10 },
+        'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+      },
+      anthropic: {
+        'claude-3-7-sonnet': { input: 3, output: 15 },
+        'claude-3-5-sonnet': { input: 3, output: 15 },
+        'claude-3-5-haiku': { input: 0.8, output: 4 },
+        'claude-3-haiku': { input: 0.25, output: 1.25 },
+        'claude-3-opus': { input: 15, output: 75 }
+      },
+      google: {
+        'gemini-2.5-pro': { input: 1.25, output: 10 },
+        'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+        'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+        'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+        'gemini-1.5-flash-8b': { input: 0.0375, output: 0.15 },
+        'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+        'gemini-1.5-pro': { input: 1.25, output: 5 }
+      },
+      openrouter: {},
+      local: { '*': { input: 0, output: 0 } }
+    }
+  },
+  sessions: {
+    autosave: true, // Save every chat as an automatically named session
+    dir: 'sessions', // Relative to the install directory
+    keepUnnamed: 30 // Automatically named sessions kept before the oldest are dropped
   },
   // Automatic, non-destructive helpers that run before AI
   autoActions: {
@@ -708,10 +820,91 @@ config = {
     snippetContext: 2          // Lines of context around each grep hit
   }
 };
+config = structuredClone(DEFAULT_CONFIG);
+
+// What the defaults cannot say about a setting: enums, ranges, nullable values and open maps
+const CONFIG_SCHEMA = schemaFromDefaults(DEFAULT_CONFIG, {
+  currentProvider: { type: 'string', enum: providerNames },
+  'retry.failover': { type: 'array', items: { type: ['string', 'object'] } },
+  'codingMode.lastCompacted': { type: ['number', 'null'] },
+  'search.backend': { type: 'string', enum: ['provider', 'stub'] },
+  'search.provider': { type: 'string', enum: ['openai', 'google', 'local'] },
+  'server.port': { type: 'integer', minimum: 0, maximum: 65535 },
+  'usage.contextWindows': { type: 'object', additionalProperties: { type: 'number', minimum: 1 } },
+  'usage.prices': {
+    type: 'object',
+    additionalProperties: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: { input: { type: 'number', minimum: 0 }, output: { type: 'number', minimum: 0 } },
+        additionalProperties: false
+      }
+    }
+  },
+  availableGeminiModels: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } }
+});
+// A profile may hold any setting but profile and profiles, and a mode's
+// settings any but those and mode
+const settingsSchemaWithout = (...names) => ({
+  ...CONFIG_SCHEMA,
+  properties: Object.fromEntries(Object.entries(CONFIG_SCHEMA.properties).filter(([key]) => !names.includes(key)))
+});
+CONFIG_SCHEMA.properties.profiles = { type: 'object', additionalProperties: settingsSchemaWithout('profile', 'profiles') };
+const MODE_SETTINGS_SCHEMA = settingsSchemaWithout('profile', 'profiles', 'mode');
+
+// Settings older versions had that are gone; files that still have them are
+// read without them, quietly
+const RETIRED_SETTINGS = ['agentic.parallelFilesystemOperations'];
+
+// Settings files of older versions turned modes on with these sections
+const LEGACY_MODE_KEYS = { fastAnswersMode: 'fast-answers', nvimHelpMode: 'nvim-help', vocabMode: 'vocab' };
+
+// What the config.json checked in with older versions set apart from the
+// defaults. An install-dir file still holding these values was never edited
+// there, so they are not moved into the user file: the author's own
+// directories and paths must not become every user's settings.
+const SHIPPED_INSTALL_CONFIG = {
+  currentProvider: 'google',
+  models: { openai: 'gpt-5', google: 'gemini-2.5-pro', openrouter: 'deepseek/deepseek-chat' },
+  lightModels: { google: 'gemini-1.5-flash-8b', openrouter: 'deepseek/deepseek-r1:free' },
+  reasoningMode: { enabled: true, iterations: 2 },
+  agent: { allowedDirectories: ['/Users/leland/'] },
+  codingMode: { enabled: true },
+  agentic: {
+    enabled: true,
+    usePowerfulConductor: true,
+    maxActionsPerAgent: 100,
+    taskTypes: ['research', 'code', 'analyze', 'write', 'summarize', 'filesystem'],
+    historyPath: '~./Documents/02_projects/QAterm'
+  }
+};
+
+// A project's .qaterm/config.json comes with the repository, so it may not
+// widen what the agent can touch, point requests at another server or move
+// where local state is kept
+const PROJECT_LOCKED_SETTINGS = [
+  'agent', 'localProvider', 'server', 'cache.dir', 'journal.dir', 'sessions.dir',
+  'agentic.historyPath', 'agentic.taskHistoryFile'
+].flatMap(item => [item, `profiles.*.${item}`]);
+
+// Layer each setting came from ({ layer, source } by dotted path), the config
+// as loaded (saveConfig() writes only what changed since), the user and
+// project config files and the command's own settings, kept for \profile
+let configOrigins = {};
+let loadedConfig = null;
+let configFiles = { user: null, project: null };
+let configCliSettings = [];
+
+// Chat modes by name, read from the mode directories with the config (see modes.js)
+let modes = {};
 
 // Message history for context
 let messageHistory = [];
 
+// Session the conversation is saved to (see sessions.js)
+let activeSession = null;
+
 // User input history for up/down navigation
 let inputHistory = [];
 let inputHistoryIndex = -1;
@@ -877,14 +1070,29 @@ async function tryLocalProjectAnswer(question, opts = {}) {
     // Always gather docs/entrypoints
     const entryFiles = guessEntrypointFiles();
 
-    // Grep for keywords
-    let matches = await grepProjectKeywords(keywords);
-    if (matches.length > config.autoActions.maxGrepHits) {
-      matches = matches.slice(0, config.autoActions.maxGrepHits);
+    // Symbols the question names come straight from the symbol index
+    const symbols = await namedSymbolReport(question);
+
+    // A project indexed by \search is searched by meaning; otherwise grep for keywords
+    let matches;
+    let snippetsByFile;
+    const hits = await searchIndexedProject(question, config.search?.results ?? 8);
+    if (hits) {
+      matches = hits;
+      snippetsByFile = new Map();
+      for (const hit of hits) {
+        const file = path.join(hit.root, hit.rel);
+        if (!snippetsByFile.has(file)) snippetsByFile.set(file, []);
+        snippetsByFile.get(file).push({ line: hit.start, snippet: hit.text.split('\n').slice(0, SEARCH_SNIPPET_LINES).join('\n') });
+      }
+    } else {
+      matches = await grepProjectKeywords(keywords);
+      if (matches.length > config.autoActions.maxGrepHits) {
+        matches = matches.slice(0, config.autoActions.maxGrepHits);
+      }
+      snippetsByFile = buildSnippets(matches);
     }
 
-    const snippetsByFile = buildSnippets(matches);
-
     // Build answer
     const lines = [];
     lines.push(`Local project scan for: ${keywords.join(', ')}`);
@@ -892,10 +1100,13 @@ async function tryLocalProjectAnswer(question, opts = {}) {
     if (entryFiles.length) {
       lines.push(`Likely entry/docs: ${entryFiles.map(f => formatPathForPrint(path.relative(currentWorkingDirectory, f))).join(', ')}`);
     }
+    if (symbols) {
+      lines.push(`\nSymbols named in the question:\n\n${symbols}`);
+    }
 
     if (snippetsByFile.size === 0) {
       if (spinner) spinner.succeed(chalk.green('Scan complete (no direct references found).'));
-      lines.push('No direct references found via grep. Consider broader review (\\review .) or ask a follow-up.');
+      if (!symbols) lines.push('No direct references found via grep. Consider broader review (\\review .) or ask a follow-up.');
       return lines.join('\n');
     }
 
@@ -937,6 +1148,38 @@ async function shouldUseAgentic(question) {
   return hasComplexity || isLongQuery;
 }
 
+// Tail of a running action's streamed output kept for the dashboard
+const NODE_PARTIAL_OUTPUT_CHARS = 4000;
+
+// Task and agent events after which the task record is saved
+const TASK_PERSIST_EVENTS = [
+  'task-planned', 'task-executing', 'agent-progress', 'agent-error', 'agent-completed',
+  'agent-blocked', 'agent-cancelled', 'agent-needs-permission', 'task-completed', 'task-error', 'task-cancelled'
+];
+
+function getTaskHistoryPath() {
+  const baseDir = config.agentic?.historyPath || __dirname;
+  const fileName = config.agentic?.taskHistoryFile || 'task-history.json';
+  return path.join(baseDir, fileName);
+}
+
+// One pool of agent threads shared by every task, so maxConcurrentAgents
+// bounds the number of actions running at once across all of them
+let workerPool = null;
+
+function getWorkerPool() {
+  if (!workerPool) {
+    workerPool = new WorkerPool(path.join(__dirname, 'worker.js'), {
+      size: config.agentic.maxConcurrentAgents,
+      timeout: config.agentic.defaultTimeout
+    });
+  } else {
+    workerPool.setSize(config.agentic.maxConcurrentAgents);
+    workerPool.setJobTimeout(config.agentic.defaultTimeout);
+  }
+  return workerPool;
+}
+
 // Agentic task manager class
 class AgentTaskManager extends EventEmitter {
   constructor() {
@@ -944,7 +1187,18 @@ class AgentTaskManager extends EventEmitter {
     this.tasks = new Map();
     this.agents = new Map();
     this.taskHistory = [];
+    this.pendingApprovals = [];
+    this.nextApprovalId = 1;
+    this.nodeControllers = new Map(); // "<taskId>:<nodeId>" -> AbortController of a running action
     this.loadTaskHistory();
+    
+    // Save the full task record whenever a task or one of its agents changes state
+    for (const event of TASK_PERSIST_EVENTS) {
+      this.on(event, (payload) => {
+        const taskId = payload?.task?.id ?? payload?.agent?.taskId ?? payload?.taskId ?? payload?.id;
+        if (taskId) this.persistTask(taskId);
+      });
+    }
   }
 
   // Classify task to determine complexity and parallelization needs
@@ -986,10 +1240,7 @@ class AgentTaskManager extends EventEmitter {
   
   // Load previous task history from file
   loadTaskHistory() {
-    // Set a default path if not provided in config
-    const baseDir = config.agentic?.historyPath || __dirname;
-    const fileName = config.agentic?.taskHistoryFile || 'task-history.json';
-    const taskHistoryPath = path.join(baseDir, fileName);
+    const taskHistoryPath = getTaskHistoryPath();
     
     try {
       if (fs.existsSync(taskHistoryPath)) {
@@ -1010,9 +1261,11 @@ class AgentTaskManager extends EventEmitter {
   
   // Save task history to file (use same base as load)
   saveTaskHistory() {
-    const baseDir = config.agentic?.historyPath || __dirname;
-    const fileName = config.agentic?.taskHistoryFile || 'task-history.json';
-    const taskHistoryPath = path.join(baseDir, fileName);
+    const taskHistoryPath = getTaskHistoryPath();
+    const maxEntries = config.agentic?.maxHistoryEntries || 100;
+    if (this.taskHistory.length > maxEntries) {
+      this.taskHistory = this.taskHistory.slice(-maxEntries);
+    }
     try {
       fs.writeFileSync(taskHistoryPath, JSON.stringify(this.taskHistory, null, 2));
     } catch (error) {
@@ -1020,8 +1273,79 @@ class AgentTaskManager extends EventEmitter {
     }
   }
   
-  // Create a new task with a conductor
-  async createTask(taskDescription, usePowerfulConductor = false) {
+  // Full record of a task for task-history.json: plan, conductor and agents
+  // with their models and results, summary, errors and token usage
+  taskRecord(task) {
+    const agentRecord = (agent) => agent && {
+      id: agent.id,
+      role: agent.role,
+      type: agent.type,
+      goal: agent.goal,
+      provider: agent.provider,
+      model: agent.model,
+      status: agent.status,
+      actionsPerformed: agent.actionsPerformed,
+      usage: agent.usage,
+      results: agent.results
+    };
+    return {
+      id: task.id,
+      description: task.description,
+      status: task.status,
+      created: task.created,
+      updated: task.updated,
+      completed: task.completed,
+      usePowerfulConductor: task.usePowerfulConductor,
+      rerunOf: task.rerunOf || null,
+      cwd: task.cwd,
+      plan: task.plan,
+      graph: task.graph ? Object.values(task.graph).map(({ output, partial, ...node }) => node) : null,
+      conductor: agentRecord(this.agents.get(`${task.id}-conductor`)) || null,
+      agents: task.agents.map(agentId => agentRecord(this.agents.get(agentId))).filter(Boolean),
+      results: task.results,
+      error: task.error,
+      usage: taskUsage(task.id)
+    };
+  }
+  
+  persistTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) return;
+    const record = this.taskRecord(task);
+    const index = this.taskHistory.findIndex(t => t.id === taskId);
+    if (index === -1) this.taskHistory.push(record);
+    else this.taskHistory[index] = record;
+    this.saveTaskHistory();
+  }
+  
+  // Worker tool calls that need the user's go-ahead wait here until they are
+  // settled with \approve or \deny
+  requestApproval(agent, description, write, nodeId) {
+    return new Promise(resolve => {
+      const approval = {
+        id: this.nextApprovalId++,
+        taskId: agent.taskId,
+        agentId: agent.id,
+        nodeId,
+        role: agent.role,
+        description,
+        write,
+        resolve
+      };
+      this.pendingApprovals.push(approval);
+      this.emit('agent-needs-approval', { agent, approval });
+    });
+  }
+  
+  // Answer the pending approvals that match; returns how many there were
+  settleApprovals(filter, approved) {
+    const settled = this.pendingApprovals.filter(filter);
+    this.pendingApprovals = this.pendingApprovals.filter(approval => !settled.includes(approval));
+    settled.forEach(approval => approval.resolve(approved));
+    return settled.length;
+  }
+  
+  addTask(taskDescription, usePowerfulConductor, extra = {}) {
     const taskId = uuidv4();
     const timestamp = Date.now();
     
@@ -1034,31 +1358,49 @@ class AgentTaskManager extends EventEmitter {
       updated: timestamp,
       completed: null,
       usePowerfulConductor,
+      cwd: currentWorkingDirectory, // Worker file and command tools stay inside this directory
       plan: null,
       agents: [],
       results: [],
-      error: null
+      error: null,
+      ...extra
     };
     
     // Add to tasks map and history
     this.tasks.set(taskId, task);
-    this.taskHistory.push({
-      id: taskId,
-      description: taskDescription,
-      created: timestamp,
-      completed: null,
-      status: 'created'
-    });
-    this.saveTaskHistory();
+    this.persistTask(taskId);
+    return task;
+  }
+  
+  // Create a new task with a conductor
+  async createTask(taskDescription, usePowerfulConductor = false) {
+    const task = this.addTask(taskDescription, usePowerfulConductor);
     
     // Create the conductor agent
-    await this.createConductor(taskId, usePowerfulConductor);
+    await this.createConductor(task.id, usePowerfulConductor);
     
-    return taskId;
+    return task.id;
+  }
+  
+  // Run a past task again with its saved plan, skipping the planning step.
+  // Resolves to the new task id, or null when the task has no saved plan.
+  async rerunTask(taskId) {
+    const record = this.taskHistory.find(t => t.id === taskId);
+    if (!record?.plan) return null;
+    const task = this.addTask(record.description, !!record.usePowerfulConductor, {
+      rerunOf: record.id,
+      cwd: record.cwd || currentWorkingDirectory,
+      plan: JSON.parse(JSON.stringify(record.plan)),
+      status: 'planned'
+    });
+    await this.createConductor(task.id, task.usePowerfulConductor, { plan: false });
+    this.emit('task-planned', task);
+    this.executeTask(task.id);
+    return task.id;
   }
   
   // Create the conductor agent for task planning and orchestration
-  async createConductor(taskId, usePowerfulModel = false) {
+  async createConductor(taskId, usePowerfulModel = false, { plan = true } = {}) {
     const task = this.tasks.get(taskId);
     if (!task) return null;
     
@@ -1086,7 +1428,7 @@ class AgentTaskManager extends EventEmitter {
     this.agents.set(conductor.id, conductor);
     
     // Start planning process
-    this.planTask(taskId);
+    if (plan) this.planTask(taskId);
     
     return conductor;
   }
@@ -1175,10 +1517,15 @@ class AgentTaskManager extends EventEmitter {
         "agentCount": <number of agents needed (max ${config.agentic.maxConcurrentAgents})>,
         "agents": [
           {
+            "id": "Short unique id for this agent (e.g., 'research')",
             "role": "Specific role for this agent (e.g., 'researcher', 'coder', 'analyzer')",
             "type": "One of the available agent types listed above",
             "goal": "Specific goal for this agent",
-            "actions": ["Action 1", "Action 2", ...],
+            "dependsOn": ["Ids of agents whose results this agent needs before it starts"],
+            "actions": [
+              { "id": "Short unique id (e.g., 'research-1')", "action": "What to do", "dependsOn": ["Ids of actions or agents this action needs first"] },
+              ...
+            ],
             "requiresPowerfulModel": true/false
           },
           ...
@@ -1188,72 +1535,20 @@ class AgentTaskManager extends EventEmitter {
         "estimatedTimeMinutes": <estimated time in minutes>
       }
       
+      Actions without dependencies run in parallel, including actions of the same agent. Use "dependsOn" wherever an agent or action needs another one's output: it receives that output and starts once it is available. Dependencies must not form a cycle.
+      
       Only respond with the JSON object, no preamble or additional text.`;
       
       // Get AI response based on the conductor's provider/model
-      let planResponse;
-      
-      switch (conductor.provider) {
-        case 'openai':
-          if (!openai) throw new Error('OpenAI API key not configured');
-          
-          const openaiResponse = await openai.chat.completions.create({
-            model: conductor.model,
-            messages: [
-              { role: 'system', content: 'You are an expert AI task planner and orchestrator.' },
-              { role: 'user', content: planningPrompt }
-            ],
-            ...(!(conductor.model && typeof conductor.model === 'string' && conductor.model.startsWith('gpt-5')) ? { temperature: 0.7 } : {}),
-          });
-          
-          planResponse = openaiResponse.choices[0].message.content;
-          break;
-          
-        case 'anthropic':
-          if (!anthropic) throw new Error('Anthropic API key not configured');
-          
-          const anthropicResponse = await anthropic.messages.create({
-            model: conductor.model,
-            system: 'You are an expert at summarizing coding conversations, retaining only the essential information needed for future context.',
-            messages: [
-              { role: 'user', content: summaryPrompt }
-            ],
-            max_tokens: 4000,
-            temperature: 0.3,
-          });
-          
-          planResponse = anthropicResponse.content[0].text;
-          break;
-          
-        case 'google':
-          if (!genAI) throw new Error('Google AI API key not configured');
-          
-          const systemPrompt = 'You are an expert AI task planner and orchestrator.';
-          const googleMessages = [systemPrompt, planningPrompt].join('\n\n');
-          const googleModel = genAI.getGenerativeModel({ model: conductor.model });
-          const googleResponse = await googleModel.generateContent(googleMessages);
-          
-          planResponse = googleResponse.response.text();
-          break;
-          
-        case 'openrouter':
-          if (!openRouter) throw new Error('OpenRouter API key not configured');
-          
-          const openRouterResponse = await openRouter.chat.completions.create({
-            model: conductor.model,
-            messages: [
-              { role: 'system', content: 'You are an expert AI task planner and orchestrator.' },
-              { role: 'user', content: planningPrompt }
-            ],
-            temperature: 0.7,
-          });
-          
-          planResponse = openRouterResponse.choices[0].message.content;
-          break;
-          
-        default:
-          throw new Error(`Unknown provider: ${conductor.provider}`);
-      }
+      const planResponse = await complete({
+        provider: conductor.provider,
+        model: conductor.model,
+        system: 'You are an expert AI task planner and orchestrator.',
+        messages: [{ role: 'user', content: planningPrompt }],
+        maxTokens: 4000,
+        temperature: 0.7,
+        usageTag: taskUsageTag(task)
+      });
       
       // Parse the plan
       let plan;
@@ -1280,6 +1575,9 @@ class AgentTaskManager extends EventEmitter {
           plan.agentCount = config.agentic.maxConcurrentAgents;
         }
         
+        // Ids and dependency edges for scheduling; a dependency cycle rejects the plan
+        normalizePlan(plan);
+        
         // Add plan to conductor results
         conductor.results.push({
           type: 'plan',
@@ -1356,6 +1654,7 @@ class AgentTaskManager extends EventEmitter {
          - Goal (specific objective for this agent)
          - Does this agent require a powerful AI model? (yes/no)
          - List of actions this agent will take (numbered list)
+         - Which other agents or actions each agent or action needs results from before it can start (no cycles)
       
       4. Explain the workflow: How will these agents coordinate and in what sequence?
       
@@ -1366,78 +1665,15 @@ class AgentTaskManager extends EventEmitter {
       Answer each question clearly and separately.`;
       
       // Get AI response
-      let replanResponse;
-      
-      switch (conductor.provider) {
-        case 'openai':
-          if (!openai) throw new Error('OpenAI API key not configured');
-          
-          const openaiResponse = await openai.chat.completions.create({
-            model: conductor.model,
-            messages: [
-              { role: 'system', content: 'You are an expert AI task planner and orchestrator.' },
-              { role: 'user', content: replanningPrompt }
-            ],
-            ...(!(conductor.model && typeof conductor.model === 'string' && conductor.model.startsWith('gpt-5')) ? { temperature: 0.5 } : {}),
-          });
-          
-          replanResponse = openaiResponse.choices[0].message.content;
-          break;
-          
-        case 'anthropic':
-          if (!anthropic) throw new Error('Anthropic API key not configured');
-          
-          // Extract system message if present
-          const anthropicSystemMsg = reasoningContext.find(msg => msg.role === 'system')?.content || '';
-          
-          // Create messages array without system message
-          const anthropicReasoningMessages = reasoningContext
-            .filter(msg => msg.role !== 'system')
-            .map(msg => ({
-              role: msg.role === 'user' ? 'user' : 'assistant',
-              content: msg.content
-            }));
-          
-          const anthropicResponse = await anthropic.messages.create({
-            model: model,
-            system: anthropicSystemMsg,
-            messages: anthropicReasoningMessages,
-            max_tokens: 1024,
-            temperature: 0.7,
-          });
-          
-          replanResponse = anthropicResponse.content[0].text;
-          break;
-          
-        case 'google':
-          if (!genAI) throw new Error('Google AI API key not configured');
-          
-          const systemPrompt = 'You are an expert AI task planner and orchestrator.';
-          const googleMessages = [systemPrompt, replanningPrompt].join('\n\n');
-          const googleModel = genAI.getGenerativeModel({ model: conductor.model });
-          const googleResponse = await googleModel.generateContent(googleMessages);
-          
-          replanResponse = googleResponse.response.text();
-          break;
-          
-        case 'openrouter':
-          if (!openRouter) throw new Error('OpenRouter API key not configured');
-          
-          const openRouterResponse = await openRouter.chat.completions.create({
-            model: conductor.model,
-            messages: [
-              { role: 'system', content: 'You are an expert AI task planner and orchestrator.' },
-              { role: 'user', content: replanningPrompt }
-            ],
-            temperature: 0.5,
-          });
-          
-          replanResponse = openRouterResponse.choices[0].message.content;
-          break;
-          
-        default:
-          throw new Error(`Unknown provider: ${conductor.provider}`);
-      }
+      const replanResponse = await complete({
+        provider: conductor.provider,
+        model: conductor.model,
+        system: 'You are an expert AI task planner and orchestrator.',
+        messages: [{ role: 'user', content: replanningPrompt }],
+        maxTokens: 4000,
+        temperature: 0.5,
+        usageTag: taskUsageTag(task)
+      });
       
       // Now convert the structured response to a plan
       const convertResponsePrompt = `Convert the following structured task planning response into a valid JSON plan object with the format:
@@ -1447,10 +1683,15 @@ class AgentTaskManager extends EventEmitter {
   "agentCount": <number>,
   "agents": [
     {
+      "id": "short-unique-id",
       "role": "Role name",
       "type": "One of the task types",
       "goal": "Goal description",
-      "actions": ["Action 1", "Action 2", ...],
+      "dependsOn": ["ids of agents this agent needs results from"],
+      "actions": [
+        { "id": "short-unique-id", "action": "Action description", "dependsOn": ["ids of actions or agents it needs first"] },
+        ...
+      ],
       "requiresPowerfulModel": true/false
     },
     ...
@@ -1466,69 +1707,15 @@ ${replanResponse}
 Only output valid JSON, no additional text or explanations.`;
       
       // Get conversion response
-      let conversionResponse;
-      
-      switch (conductor.provider) {
-        case 'openai':
-          if (!openai) throw new Error('OpenAI API key not configured');
-          
-          const openaiResponse = await openai.chat.completions.create({
-            model: conductor.model,
-            messages: [
-              { role: 'system', content: 'You convert structured text to JSON without adding any additional content.' },
-              { role: 'user', content: convertResponsePrompt }
-            ],
-            ...(!(conductor.model && typeof conductor.model === 'string' && conductor.model.startsWith('gpt-5')) ? { temperature: 0.1 } : {}),
-          });
-          
-          conversionResponse = openaiResponse.choices[0].message.content;
-          break;
-          
-        case 'anthropic':
-          if (!anthropic) throw new Error('Anthropic API key not configured');
-          
-          const anthropicResponse = await anthropic.messages.create({
-            model: conductor.model,
-            messages: [
-              { role: 'system', content: 'You convert structured text to JSON without adding any additional content.' },
-              { role: 'user', content: convertResponsePrompt }
-            ],
-            max_tokens: 2000,
-            temperature: 0.1,
-          });
-          
-          conversionResponse = anthropicResponse.content[0].text;
-          break;
-          
-        case 'google':
-          if (!genAI) throw new Error('Google AI API key not configured');
-          
-          const systemPrompt = 'You convert structured text to JSON without adding any additional content.';
-          const googleMessages = [systemPrompt, convertResponsePrompt].join('\n\n');
-          const googleModel = genAI.getGenerativeModel({ model: conductor.model });
-          const googleResponse = await googleModel.generateContent(googleMessages);
-          
-          conversionResponse = googleResponse.response.text();
-          break;
-          
-        case 'openrouter':
-          if (!openRouter) throw new Error('OpenRouter API key not configured');
-          
-          const openRouterResponse = await openRouter.chat.completions.create({
-            model: conductor.model,
-            messages: [
-              { role: 'system', content: 'You convert structured text to JSON without adding any additional content.' },
-              { role: 'user', content: convertResponsePrompt }
-            ],
-            temperature: 0.1,
-          });
-          
-          conversionResponse = openRouterResponse.choices[0].message.content;
-          break;
-          
-        default:
-          throw new Error(`Unknown provider: ${conductor.provider}`);
-      }
+      const conversionResponse = await complete({
+        provider: conductor.provider,
+        model: conductor.model,
+        system: 'You convert structured text to JSON without adding any additional content.',
+        messages: [{ role: 'user', content: convertResponsePrompt }],
+        maxTokens: 2000,
+        temperature: 0.1,
+        usageTag: taskUsageTag(task)
+      });
       
       // Parse JSON
       try {
@@ -1554,6 +1741,9 @@ Only output valid JSON, no additional text or explanations.`;
           plan.agentCount = config.agentic.maxConcurrentAgents;
         }
         
+        // Ids and dependency edges for scheduling; a dependency cycle rejects the plan
+        normalizePlan(plan);
+        
         // Add plan to conductor results
         conductor.results.push({
           type: 'plan',
@@ -1602,20 +1792,18 @@ Only output valid JSON, no additional text or explanations.`;
       conductor.updated = Date.now();
     }
     
-    // Launch worker agents in parallel based on plan
+    // Launch worker agents and run the plan's actions as a dependency graph
     try {
-      // Create agents in batches for better performance
-      const batchSize = 3; // Maximum number of agents to create at once
-      for (let i = 0; i < task.plan.agents.length; i += batchSize) {
-        const batch = task.plan.agents.slice(i, i + batchSize);
-        const agentPromises = batch.map(agentSpec => this.launchAgent(taskId, agentSpec));
-        await Promise.all(agentPromises);
+      task.graph = buildTaskGraph(normalizePlan(task.plan));
+      for (const agentSpec of task.plan.agents) {
+        this.launchAgent(taskId, agentSpec);
       }
       
       // Emit task executing event
       this.emit('task-executing', task);
       
-      // The agents will run their actions in parallel in separate threads
+      // Independent actions start right away and run in parallel on the worker pool
+      this.scheduleTask(taskId);
       
     } catch (error) {
       console.error(`Error executing task: ${error.message}`);
@@ -1626,12 +1814,13 @@ Only output valid JSON, no additional text or explanations.`;
     }
   }
   
-  // Launch a worker agent for a specific role
-  async launchAgent(taskId, agentSpec) {
+  // Create a worker agent for one agent of the plan; its actions are started
+  // by scheduleTask as their dependencies finish
+  launchAgent(taskId, agentSpec) {
     const task = this.tasks.get(taskId);
     if (!task) return null;
     
-    const agentId = `${taskId}-${agentSpec.role.toLowerCase().replace(/\s+/g, '-')}`;
+    const agentId = `${taskId}-${agentSpec.id}`;
     
     // Determine which AI model to use
     const provider = config.currentProvider;
@@ -1642,18 +1831,21 @@ Only output valid JSON, no additional text or explanations.`;
     // Create agent
     const agent = {
       id: agentId,
+      planId: agentSpec.id,
       taskId,
       role: agentSpec.role,
       type: agentSpec.type,
       goal: agentSpec.goal,
       provider,
       model,
-      status: 'starting',
+      status: 'waiting',
       actionsPerformed: 0,
       created: Date.now(),
       updated: Date.now(),
+      started: null,
+      usage: { inputTokens: 0, outputTokens: 0 },
       results: [],
-      actions: agentSpec.actions || []
+      actions: agentSpec.actions.map(action => action.id) // Ids of its nodes in task.graph
     };
     
     // Add to agents map
@@ -1662,242 +1854,202 @@ Only output valid JSON, no additional text or explanations.`;
     // Add to task agents array
     task.agents.push(agentId);
     
-    // Start agent execution
-    this.runAgentActions(agentId);
-    
     return agent;
   }
   
-  // Run agent actions using worker threads
-  async runAgentActions(agentId) {
-    const agent = this.agents.get(agentId);
-    if (!agent) return;
-    
-    const task = this.tasks.get(agent.taskId);
-    if (!task) return;
-    
-    // Update agent status
-    agent.status = 'working';
-    agent.updated = Date.now();
-    
-    // Get the agent's actions
-    const actions = agent.actions || [];
-    if (actions.length === 0) {
-      agent.status = 'completed';
-      agent.updated = Date.now();
-      this.checkTaskCompletion(agent.taskId);
-      return;
-    }
-    
-    // Determine how many actions to execute in this batch
-    const remainingActionsAllowed = config.agentic.maxActionsPerAgent - agent.actionsPerformed;
-    const batchSize = Math.min(remainingActionsAllowed, actions.length);
-    
-    if (batchSize <= 0) {
-      // Need permission to continue
-      agent.status = 'awaiting-permission';
-      agent.updated = Date.now();
-      this.emit('agent-needs-permission', agent);
-      return;
+  agentForNode(task, node) {
+    return this.agents.get(`${task.id}-${node.agentId}`);
+  }
+  
+  // Actions of an agent that have not finished yet
+  remainingActions(task, agent) {
+    return agent.actions.filter(id => ['pending', 'running'].includes(task.graph[id]?.status)).length;
+  }
+  
+  // Start every action whose dependencies have completed, within each agent's
+  // action budget. Actions downstream of a failure are blocked, and the task
+  // moves on to its summary once nothing is left to run.
+  scheduleTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task?.graph || task.status !== 'executing') return;
+    
+    for (const node of blockDependents(task.graph)) {
+      const cause = task.graph[node.blockedBy];
+      const agent = this.agentForNode(task, node);
+      agent.results.push({
+        type: 'blocked',
+        action: node.action,
+        content: `Not run because "${cause.action}" ${cause.status === 'failed' ? 'failed' : 'was blocked'}`,
+        timestamp: Date.now()
+      });
     }
     
-    // Store pending actions to be processed in parallel
-    const pendingActions = [];
-    
-    // Prepare context information
-    let actionContext = '';
-    
-    // Add results from other agents if they're complete
-    if (task.plan && task.plan.workflow) {
-      const otherAgentIds = task.agents.filter(id => id !== agent.id);
-      
-      for (const otherId of otherAgentIds) {
-        const otherAgent = this.agents.get(otherId);
-        if (otherAgent && otherAgent.results && otherAgent.results.length > 0) {
-          // Only include completed agent results based on workflow dependencies
-          actionContext += `\n## Results from ${otherAgent.role}\n`;
-          
-          // Add latest result
-          const latestResult = otherAgent.results[otherAgent.results.length - 1];
-          actionContext += latestResult.content || 'No content available.';
-          actionContext += '\n';
+    for (const node of readyNodes(task.graph)) {
+      const agent = this.agentForNode(task, node);
+      if (agent.actionsPerformed >= config.agentic.maxActionsPerAgent) {
+        if (agent.status !== 'awaiting-permission') {
+          agent.status = 'awaiting-permission';
+          agent.updated = Date.now();
+          this.emit('agent-needs-permission', agent);
         }
+        continue;
       }
+      this.runNode(task, agent, node);
     }
     
-    // Add previous results from this agent
-    if (agent.results && agent.results.length > 0) {
-      actionContext += `\n## Your Previous Results\n`;
-      agent.results.forEach((result, idx) => {
-        actionContext += `\n### Result ${idx + 1}\n`;
-        actionContext += result.content || 'No content available.';
-        actionContext += '\n';
-      });
+    for (const agentId of task.agents) {
+      this.updateAgentStatus(task, this.agents.get(agentId));
     }
     
-    // Process actions in parallel using worker threads
-    const workerPromises = [];
-    const pendingResults = new Map();
-    
-    // Create workers for each action in the batch
-    for (let i = 0; i < batchSize; i++) {
-      // Skip if we've exceeded max actions
-      if (agent.actionsPerformed >= config.agentic.maxActionsPerAgent) {
-        agent.status = 'awaiting-permission';
-        agent.updated = Date.now();
-        this.emit('agent-needs-permission', agent);
-        return;
+    if (isGraphFinished(task.graph)) this.checkTaskCompletion(taskId);
+  }
+  
+  updateAgentStatus(task, agent) {
+    const nodes = agent.actions.map(id => task.graph[id]);
+    const previous = agent.status;
+    if (nodes.every(node => ['done', 'failed', 'blocked'].includes(node.status))) {
+      if (agent.cancelled) agent.status = 'cancelled';
+      else if (nodes.some(node => node.status === 'blocked')) agent.status = 'blocked';
+      else if (nodes.length && nodes.every(node => node.status === 'failed')) agent.status = 'error';
+      else agent.status = 'completed';
+    } else if (agent.status !== 'awaiting-permission') {
+      agent.status = nodes.some(node => node.status === 'running') ? 'working' : 'waiting';
+    }
+    if (agent.status === previous) return;
+    agent.updated = Date.now();
+    if (agent.status === 'completed') this.emit('agent-completed', agent);
+    else if (agent.status === 'blocked') this.emit('agent-blocked', agent);
+  }
+  
+  // Outputs of the actions a node depends on, passed along in its prompt
+  upstreamContext(task, node) {
+    return node.dependsOn.map(id => {
+      const upstream = task.graph[id];
+      const owner = this.agentForNode(task, upstream);
+      return `## Results from ${owner?.role || upstream.agentId}: ${upstream.action}\n${upstream.output || 'No content available.'}`;
+    }).join('\n\n');
+  }
+  
+  // Run one action on the worker pool, then schedule whatever it unblocked
+  async runNode(task, agent, node) {
+    node.status = 'running';
+    node.started = Date.now();
+    node.partial = '';
+    agent.started = agent.started || node.started;
+    agent.actionsPerformed++;
+    const controller = new AbortController();
+    this.nodeControllers.set(`${task.id}:${node.id}`, controller);
+    
+    const result = await getWorkerPool().run({
+      agent: {
+        id: agent.id,
+        role: agent.role,
+        type: agent.type,
+        goal: agent.goal,
+        provider: agent.provider,
+        model: agent.model
+      },
+      task: {
+        id: task.id,
+        description: task.description,
+        cwd: task.cwd
+      },
+      action: node.action,
+      actionContext: this.upstreamContext(task, node),
+      providerSettings: getProviderSettings(),
+      retryPolicy: getRetryPolicy(),
+      cacheSettings: getCacheSettings(),
+      useTools: config.agent.enabled,
+      maxToolTurns: config.agent.maxToolTurns
+    }, {
+      group: task.id,
+      signal: controller.signal,
+      onMessage: (message, reply) => {
+        if (message.type === 'usage') {
+          const counted = trackUsage({ ...message, tag: taskUsageTag(task) });
+          agent.usage.inputTokens += counted.inputTokens;
+          agent.usage.outputTokens += counted.outputTokens;
+        } else if (message.type === 'output') {
+          // Only the tail is kept for the dashboard
+          node.partial = (node.partial + message.text).slice(-NODE_PARTIAL_OUTPUT_CHARS);
+        } else if (message.type === 'tool-call') {
+          runWorkerTool(message.call, task, (description, write) => this.requestApproval(agent, description, write, node.id))
+            .catch(error => `Error: ${error.message}`)
+            .then(content => reply({ type: 'tool-result', callId: message.callId, content }));
+        }
       }
+    });
+    this.nodeControllers.delete(`${task.id}:${node.id}`);
+    // A job that timed out can leave its tool call unanswered
+    this.settleApprovals(approval => approval.nodeId === node.id, false);
+    
+    // Results of a cancelled task or agent are dropped
+    if (task.status !== 'executing' || node.status !== 'running') return;
+    node.finished = Date.now();
+    
+    if (result.success) {
+      node.status = 'done';
+      node.output = result.result;
+      agent.results.push({
+        type: 'action',
+        action: node.action,
+        content: result.result,
+        timestamp: Date.now()
+      });
       
-      const actionIndex = i;
-      const action = actions[actionIndex];
-      
-      // Update counts
-      agent.actionsPerformed++;
-      
-      // Create a new worker
-      const worker = new Worker(path.join(__dirname, 'worker.js'));
-      
-      // Create a promise to handle the worker completion
-      const workerPromise = new Promise((resolve, reject) => {
-        // Handle messages from the worker
-        worker.on('message', (message) => {
-          if (message.type === 'ready') {
-            // Worker is ready, send the action to process
-            worker.postMessage({
-              type: 'process-action',
-              data: {
-                agent: { 
-                  id: agent.id, 
-                  role: agent.role, 
-                  type: agent.type, 
-                  goal: agent.goal,
-                  provider: agent.provider,
-                  model: agent.model
-                },
-                task: { 
-                  id: task.id, 
-                  description: task.description 
-                },
-                action,
-                actionContext,
-                actionIndex
-              }
-            });
-          } else if (message.type === 'action-result') {
-            // Store the result for this action index
-            pendingResults.set(message.actionIndex, {
-              success: message.result.success,
-              content: message.result.result,
-              error: message.result.error
-            });
-            
-            // Terminate the worker
-            worker.terminate();
-            resolve();
-          } else if (message.type === 'action-error') {
-            // Store the error for this action index
-            pendingResults.set(message.actionIndex, {
-              success: false,
-              content: null,
-              error: message.error
-            });
-            
-            // Terminate the worker
-            worker.terminate();
-            resolve();
-          }
-        });
-        
-        // Handle worker errors
-        worker.on('error', (error) => {
-          pendingResults.set(actionIndex, {
-            success: false,
-            content: null,
-            error: error.message
-          });
-          
-          worker.terminate();
-          resolve();
-        });
+      // Emit agent progress event
+      this.emit('agent-progress', {
+        agent,
+        action: node.action,
+        result: result.result,
+        actionsRemaining: this.remainingActions(task, agent)
+      });
+    } else {
+      node.status = 'failed';
+      agent.results.push({
+        type: 'error',
+        action: node.action,
+        content: result.error,
+        timestamp: Date.now()
       });
       
-      workerPromises.push(workerPromise);
+      // Emit error event
+      this.emit('agent-error', {
+        agent,
+        action: node.action,
+        error: result.error
+      });
     }
     
-    // Wait for all workers to complete
-    await Promise.all(workerPromises);
-    
-    // Process results in order
-    for (let i = 0; i < batchSize; i++) {
-      const result = pendingResults.get(i);
-      const action = actions[i];
-      
-      if (result) {
-        if (result.success) {
-          // Store the successful result
-          agent.results.push({
-            type: 'action',
-            action,
-            content: result.content,
-            timestamp: Date.now()
-          });
-          
-          // Emit agent progress event
-          this.emit('agent-progress', {
-            agent,
-            action,
-            result: result.content,
-            actionsRemaining: agent.actions.length - (i + 1)
-          });
-        } else {
-          // Store the error
-          agent.results.push({
-            type: 'error',
-            action,
-            content: result.error,
-            timestamp: Date.now()
-          });
-          
-          // Emit error event
-          this.emit('agent-error', {
-            agent,
-            action,
-            error: result.error
-          });
-        }
-      }
-    }
-    
-    // Remove processed actions
-    agent.actions = agent.actions.slice(batchSize);
-    agent.updated = Date.now();
-    
-    // Check if agent has more actions to perform
-    if (agent.actions.length > 0) {
-      // Continue with next batch if we haven't hit the limit
-      if (agent.actionsPerformed < config.agentic.maxActionsPerAgent) {
-        // Schedule next batch
-        setTimeout(() => {
-          this.runAgentActions(agentId);
-        }, 100);
-      } else {
-        // Need permission to continue
-        agent.status = 'awaiting-permission';
-        agent.updated = Date.now();
-        this.emit('agent-needs-permission', agent);
-      }
-    } else {
-      // Agent has completed all actions
-      agent.status = 'completed';
-      agent.updated = Date.now();
-      
-      // Check if task is complete
-      this.checkTaskCompletion(agent.taskId);
-      
-      // Emit agent completion event
-      this.emit('agent-completed', agent);
+    this.scheduleTask(task.id);
+  }
+  
+  // Stop one agent: its running actions are aborted and the rest never start,
+  // so actions that depend on them are blocked
+  cancelAgent(agentId) {
+    const agent = this.agents.get(agentId);
+    const task = agent && this.tasks.get(agent.taskId);
+    if (!task?.graph || task.status !== 'executing' || !agent.actions.length) return false;
+    if (['completed', 'error', 'blocked', 'cancelled'].includes(agent.status)) return false;
+    
+    agent.cancelled = true;
+    for (const id of agent.actions) {
+      const node = task.graph[id];
+      if (node.status !== 'pending' && node.status !== 'running') continue;
+      this.nodeControllers.get(`${task.id}:${node.id}`)?.abort();
+      node.status = 'failed';
+      node.finished = Date.now();
+      agent.results.push({
+        type: 'error',
+        action: node.action,
+        content: 'Cancelled by the user',
+        timestamp: Date.now()
+      });
     }
+    this.settleApprovals(approval => approval.agentId === agentId, false);
+    this.emit('agent-cancelled', agent);
+    this.scheduleTask(task.id);
+    return true;
   }
   
   // Grant permission to agent to continue working
@@ -1907,11 +2059,11 @@ Only output valid JSON, no additional text or explanations.`;
     
     // Reset action counter and continue
     agent.actionsPerformed = 0;
-    agent.status = 'working';
+    agent.status = 'waiting';
     agent.updated = Date.now();
     
     // Continue execution
-    this.runAgentActions(agentId);
+    this.scheduleTask(agent.taskId);
     
     return true;
   }
@@ -1924,7 +2076,7 @@ Only output valid JSON, no additional text or explanations.`;
     // Check if all agents are completed
     const allCompleted = task.agents.every(agentId => {
       const agent = this.agents.get(agentId);
-      return agent && (agent.status === 'completed' || agent.status === 'error');
+      return agent && ['completed', 'error', 'blocked', 'cancelled'].includes(agent.status);
     });
     
     if (allCompleted) {
@@ -1941,14 +2093,6 @@ Only output valid JSON, no additional text or explanations.`;
         task.completed = Date.now();
         task.updated = Date.now();
         
-        // Update task history
-        const historyEntry = this.taskHistory.find(t => t.id === taskId);
-        if (historyEntry) {
-          historyEntry.completed = Date.now();
-          historyEntry.status = 'completed';
-          this.saveTaskHistory();
-        }
-        
         // Emit task completion event
         this.emit('task-completed', task);
       }
@@ -1990,6 +2134,8 @@ Only output valid JSON, no additional text or explanations.`;
               agentResults += `### Action ${idx + 1}: ${result.action}\n\n`;
               agentResults += result.content || 'No content available.';
               agentResults += '\n\n';
+            } else if (result.type === 'error' || result.type === 'blocked') {
+              agentResults += `### Action ${idx + 1} (${result.type === 'error' ? 'failed' : 'not run'}): ${result.action}\n\n${result.content}\n\n`;
             }
           });
         }
@@ -2017,69 +2163,15 @@ Create a comprehensive summary of the results that:
 The summary should be well-structured, concise but complete, and directly useful to the user who requested this task.`;
       
       // Get AI response based on the conductor's provider/model
-      let summaryResponse;
-      
-      switch (conductor.provider) {
-        case 'openai':
-          if (!openai) throw new Error('OpenAI API key not configured');
-          
-          const openaiResponse = await openai.chat.completions.create({
-            model: conductor.model,
-            messages: [
-              { role: 'system', content: 'You are an expert at synthesizing information from multiple sources into coherent summaries.' },
-              { role: 'user', content: summaryPrompt }
-            ],
-            ...(!(conductor.model && typeof conductor.model === 'string' && conductor.model.startsWith('gpt-5')) ? { temperature: 0.3 } : {}),
-          });
-          
-          summaryResponse = openaiResponse.choices[0].message.content;
-          break;
-          
-        case 'anthropic':
-          if (!anthropic) throw new Error('Anthropic API key not configured');
-          
-          const anthropicResponse = await anthropic.messages.create({
-            model: conductor.model,
-            system: 'You are an expert at synthesizing information from multiple sources into coherent summaries.',
-            messages: [
-              { role: 'user', content: summaryPrompt }
-            ],
-            max_tokens: 4000,
-            temperature: 0.3,
-          });
-          
-          summaryResponse = anthropicResponse.content[0].text;
-          break;
-          
-        case 'google':
-          if (!genAI) throw new Error('Google AI API key not configured');
-          
-          const systemPrompt = 'You are an expert at synthesizing information from multiple sources into coherent summaries.';
-          const googleMessages = [systemPrompt, summaryPrompt].join('\n\n');
-          const googleModel = genAI.getGenerativeModel({ model: conductor.model });
-          const googleResponse = await googleModel.generateContent(googleMessages);
-          
-          summaryResponse = googleResponse.response.text();
-          break;
-          
-        case 'openrouter':
-          if (!openRouter) throw new Error('OpenRouter API key not configured');
-          
-          const openRouterResponse = await openRouter.chat.completions.create({
-            model: conductor.model,
-            system: 'You are an expert at synthesizing information from multiple sources into coherent summaries.',
-            messages: [
-              { role: 'user', content: summaryPrompt }
-            ],
-            temperature: 0.3,
-          });
-          
-          summaryResponse = openRouterResponse.choices[0].message.content;
-          break;
-          
-        default:
-          throw new Error(`Unknown provider: ${conductor.provider}`);
-      }
+      const summaryResponse = await complete({
+        provider: conductor.provider,
+        model: conductor.model,
+        system: 'You are an expert at synthesizing information from multiple sources into coherent summaries.',
+        messages: [{ role: 'user', content: summaryPrompt }],
+        maxTokens: 4000,
+        temperature: 0.3,
+        usageTag: taskUsageTag(task)
+      });
       
       // Store the summary
       conductor.results.push({
@@ -2103,14 +2195,6 @@ The summary should be well-structured, concise but complete, and directly useful
       conductor.status = 'completed';
       conductor.updated = Date.now();
       
-      // Update task history
-      const historyEntry = this.taskHistory.find(t => t.id === taskId);
-      if (historyEntry) {
-        historyEntry.completed = Date.now();
-        historyEntry.status = 'completed';
-        this.saveTaskHistory();
-      }
-      
       // Emit task completion event
       this.emit('task-completed', { task, summary: summaryResponse });
       
@@ -2172,12 +2256,13 @@ The summary should be well-structured, concise but complete, and directly useful
       conductor.updated = Date.now();
     }
     
-    // Update task history
-    const historyEntry = this.taskHistory.find(t => t.id === taskId);
-    if (historyEntry) {
-      historyEntry.status = 'cancelled';
-      this.saveTaskHistory();
+    // Stop its running actions, drop those still waiting for a thread and
+    // refuse its pending tool calls
+    for (const [key, controller] of this.nodeControllers) {
+      if (key.startsWith(`${taskId}:`)) controller.abort();
     }
+    if (workerPool) workerPool.cancel(taskId);
+    this.settleApprovals(approval => approval.taskId === taskId, false);
     
     // Emit task cancellation event
     this.emit('task-cancelled', task);
@@ -2208,10 +2293,10 @@ class DirectoryAnalyzer extends EventEmitter {
     this.execPromise = promisify(exec);
   }
 
-  // Check if path is within allowed directories
+  // Check if path is within allowed directories or the current working directory
   isPathAllowed(dirPath) {
     const absolutePath = path.resolve(dirPath);
-    const allowedDirs = this.config.allowedDirectories || [process.cwd()];
+    const allowedDirs = [...(this.config.allowedDirectories || []), currentWorkingDirectory];
     return allowedDirs.some(allowedDir => 
       absolutePath === allowedDir || absolutePath.startsWith(allowedDir + path.sep)
     );
@@ -2226,6 +2311,7 @@ class DirectoryAnalyzer extends EventEmitter {
     if (['.jpg', '.png', '.gif', '.pdf', '.zip'].includes(ext) || 
         filePath.includes('node_modules') || 
         filePath.includes('.git') || 
+        filePath.includes(`${path.sep}${PROJECT_CONTEXT_DIR}${path.sep}`) ||
         isPathIgnored(filePath, aiIgnorePatterns)) {
       return 'ignore';
     }
@@ -2321,7 +2407,10 @@ class DirectoryAnalyzer extends EventEmitter {
   }
 
   // Analyze directory content
-  async analyzeDirectory(dirPath) {
+  // With options.index (see projectIndex.js) only files that changed since
+  // the index was last updated are read, and the index is updated with them;
+  // fileContents then holds just those files.
+  async analyzeDirectory(dirPath, options = {}) {
     if (this.isRunning) {
       throw new Error('Directory analysis already in progress');
     }
@@ -2330,19 +2419,36 @@ class DirectoryAnalyzer extends EventEmitter {
     this.results = {
       totalFiles: 0,
       analyzedFiles: 0,
+      unchangedFiles: 0,
+      changedFiles: [],
+      removedFiles: [],
       fileContents: {},
       errors: [],
       summary: ""
     };
     
     try {
+      const index = options.index;
       const files = await this.listFilesRecursively(dirPath);
       this.results.totalFiles = files.length;
       
-      const fileResults = await this.processFilesBatch(files);
+      let toRead = files;
+      if (index) {
+        const scan = findStaleFiles(index, files);
+        toRead = scan.stale;
+        this.results.unchangedFiles = scan.unchanged;
+        this.results.removedFiles = scan.removed;
+        // Unchanged files count as analyzed for progress
+        this.results.analyzedFiles = files.length - toRead.length;
+      }
+      
+      const fileResults = await this.processFilesBatch(toRead);
       
       // Process results
       fileResults.forEach(result => {
+        if (index && recordFile(index, result.filePath, result.content, result.error)) {
+          this.results.changedFiles.push(path.relative(index.root, result.filePath));
+        }
         if (result.error) {
           this.results.errors.push({ path: result.filePath, error: result.error });
         } else if (result.content !== null) {
@@ -2352,7 +2458,8 @@ class DirectoryAnalyzer extends EventEmitter {
       
       // Generate directory structure summary
       const structure = {};
-      Object.keys(this.results.fileContents).forEach(filePath => {
+      const listed = index ? Object.keys(index.files).map(rel => path.join(index.root, rel)) : Object.keys(this.results.fileContents);
+      listed.forEach(filePath => {
         const relativePath = path.relative(dirPath, filePath);
         const parts = relativePath.split(path.sep);
         let current = structure;
@@ -2424,26 +2531,11 @@ globalThis.directoryReview = async (input) => {
   return false;
 };
 
-// Initialize AI clients
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Initialize Anthropic client with validation
-let anthropic;
-if (process.env.ANTHROPIC_API_KEY) {
-  anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY,
-  });
-} else {
+// AI clients live in providers.js; warn early about keys that are missing
+if (!plainOutput && !isProviderAvailable('anthropic')) {
   console.warn(chalk.yellow('Warning: ANTHROPIC_API_KEY environment variable not set. Anthropic Claude will not be available.'));
 }
-
-// Initialize Google AI client with validation
-let genAI;
-if (process.env.GOOGLE_API_KEY) {
-  genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-} else {
+if (!plainOutput && !isProviderAvailable('google')) {
   console.warn(chalk.yellow('Warning: GOOGLE_API_KEY environment variable not set. Google AI will not be available.'));
 }
 
@@ -2484,50 +2576,234 @@ function displayLogo() {
     modes.push(`Auto-scan: ${config?.autoActions?.localSearchBeforeAI ? chalk.green('On') : chalk.gray('Off')}`);
     modes.push(`Agentic: ${config?.agentic?.enabled ? chalk.green('On') : chalk.gray('Off')}`);
     modes.push(`Provider: ${chalk.yellow(config?.currentProvider || 'n/a')}`);
+    if (config?.profile) modes.push(`Profile: ${chalk.magenta(config.profile)}`);
     console.log(chalk.gray(modes.join('  |  ')) + '\n');
   } catch {
     console.log('\n');
   }
 }
 
-// Load or create configuration file
-function loadConfig() {
+// Where a config problem was found, for messages
+function configLayerLabel(layer) {
+  if (layer.file) return formatPathForPrint(layer.file);
+  if (layer.name === 'profile') return `profile ${layer.source}`;
+  return layer.name === 'env' ? 'environment' : 'command line';
+}
+
+// "unknown setting" with the closest known key, for keys typed on the command line
+function unknownSettingMessage(keyPath) {
+  const keys = keyPath.split('.');
+  const known = [];
+  let node = CONFIG_SCHEMA;
+  for (const key of keys) {
+    if (!node.properties?.[key]) break;
+    node = node.properties[key];
+    known.push(key);
+  }
+  const suggestion = closestKey(keys[known.length] || '', Object.keys(node.properties || {}));
+  return `${keyPath}: unknown setting${suggestion ? ` (did you mean ${[...known, suggestion].join('.')}?)` : ''}`;
+}
+
+function unknownProfileMessage(name, profiles) {
+  const names = Object.keys(profiles);
+  const suggestion = closestKey(name, names);
+  if (suggestion) return `no profile named "${name}" (did you mean ${suggestion}?)`;
+  return `no profile named "${name}" (${names.length ? `profiles: ${names.join(', ')}` : 'none are defined under profiles'})`;
+}
+
+// A settings file's values without what older versions kept that no longer
+// exists: retired settings are dropped and the mode sections become the mode
+// setting, at the top level and in each profile
+function withoutRetiredSettings(values) {
+  for (const scope of [values, ...Object.values(values.profiles || {})]) {
+    if (!scope || typeof scope !== 'object') continue;
+    for (const keyPath of RETIRED_SETTINGS) deletePath(scope, keyPath);
+    for (const [key, name] of Object.entries(LEGACY_MODE_KEYS)) {
+      if (!(key in scope)) continue;
+      if (scope[key]?.enabled === true && scope.mode === undefined) scope.mode = name;
+      delete scope[key];
+    }
+  }
+  return values;
+}
+
+// Older versions kept settings in config.json in the install directory. The
+// ones that differ from both the defaults and the shipped file
+// (SHIPPED_INSTALL_CONFIG) are moved into the user file, where the user
+// file's own values win, and the old file is renamed to
+// config.json.migrated so it is never read again.
+function migrateInstallConfig(userFile) {
+  if (!fs.existsSync(INSTALL_CONFIG_PATH)) return;
+  const legacy = readConfigFile(INSTALL_CONFIG_PATH);
+  const user = readConfigFile(userFile);
+  const unreadable = legacy.problems[0] ? INSTALL_CONFIG_PATH : user.problems[0] ? userFile : null;
+  if (unreadable) {
+    const problem = legacy.problems[0] || user.problems[0];
+    console.error(chalk.yellow(`Config (${formatPathForPrint(unreadable)}): ${problem.message}; settings in ${formatPathForPrint(INSTALL_CONFIG_PATH)} were not moved to ${formatPathForPrint(userFile)} and are ignored`));
+    return;
+  }
+  const layer = checkLayer(CONFIG_SCHEMA, { name: 'install', values: withoutRetiredSettings(legacy.values), problems: [] });
+  const { config: resolved } = mergeLayers(DEFAULT_CONFIG, [layer]);
+  const moved = {};
+  for (const keyPath of changedPaths(DEFAULT_CONFIG, resolved)) {
+    if (JSON.stringify(getPath(resolved, keyPath)) === JSON.stringify(getPath(SHIPPED_INSTALL_CONFIG, keyPath))) continue;
+    setPath(moved, keyPath, getPath(resolved, keyPath));
+  }
+  // Relative allowed directories were relative to the install directory
+  if (moved.agent?.allowedDirectories) {
+    moved.agent.allowedDirectories = moved.agent.allowedDirectories.map(dir => (path.isAbsolute(dir) ? dir : path.resolve(installDir, dir)));
+  }
   try {
-    if (fs.existsSync(DEFAULT_CONFIG_PATH)) {
-      const configData = fs.readFileSync(DEFAULT_CONFIG_PATH, 'utf8');
-      const loadedConfig = JSON.parse(configData);
-      
-      // Ensure all directory paths are absolute
-      if (loadedConfig.agent && loadedConfig.agent.allowedDirectories) {
-        loadedConfig.agent.allowedDirectories = loadedConfig.agent.allowedDirectories.map(dir => 
-          path.isAbsolute(dir) ? dir : path.resolve(__dirname, dir)
-        );
+    if (leafPaths(moved).length) writeConfigFile(userFile, mergeLayers(moved, [{ name: 'user', values: user.values }]).config);
+    fs.renameSync(INSTALL_CONFIG_PATH, `${INSTALL_CONFIG_PATH}.migrated`);
+  } catch (error) {
+    console.error(chalk.yellow(`Could not move ${formatPathForPrint(INSTALL_CONFIG_PATH)} to ${formatPathForPrint(userFile)}: ${error.message}; its settings are ignored`));
+    return;
+  }
+  const count = leafPaths(moved).length;
+  console.error(chalk.gray(count
+    ? `Moved ${count} setting${count === 1 ? '' : 's'} from ${formatPathForPrint(INSTALL_CONFIG_PATH)} to ${formatPathForPrint(userFile)} (the old file is now config.json.migrated)`
+    : `${formatPathForPrint(INSTALL_CONFIG_PATH)} held only the settings older versions shipped with; it is now config.json.migrated`));
+  for (const problem of layer.problems) console.error(chalk.yellow(`Not moved: ${problem.message}`));
+}
+
+// Layer values of key=value pairs, as given with --set
+function settingsFromPairs(pairs) {
+  const values = {};
+  const problems = [];
+  for (const pair of pairs) {
+    const at = pair.indexOf('=');
+    const keyPath = pair.slice(0, Math.max(at, 0));
+    const schema = at > 0 ? schemaAt(CONFIG_SCHEMA, keyPath) : null;
+    if (at <= 0) {
+      problems.push({ path: '', keys: [], message: `--set ${pair}: expected key=value` });
+    } else if (!schema) {
+      problems.push({ path: '', keys: [], message: unknownSettingMessage(keyPath) });
+    } else {
+      try {
+        setPath(values, keyPath, parseSettingValue(schema, pair.slice(at + 1)));
+      } catch (error) {
+        problems.push({ path: keyPath, keys: [], message: `${keyPath}: ${error.message}` });
       }
-      
-      config = deepMerge(config, loadedConfig);
-      return true;
     }
-    return false;
-  } catch (error) {
-    console.error('Error loading config:', error.message);
-    return false;
   }
+  return { values, problems };
+}
+
+// Resolve the config from its layers, lowest first: defaults, the user file
+// (once the install-dir config.json of older versions is moved into it), the
+// project file, QATERM_* variables and the command line: the mode flags, --profile, --set key=value
+// and the key=value pairs cliSettings that the running command's own flags
+// stand for. The active profile goes between the project and the environment;
+// options.profile picks it instead of the profile setting. Bad settings in
+// files and variables are reported and left out; bad ones on the command line
+// end the run. The modes are read first, from the install, user and project
+// mode directories, since the mode setting names one of them.
+function loadConfig(cliSettings = [], options = {}) {
+  const projectDir = projectContextDir();
+  configFiles = { user: userConfigFile(), project: projectDir ? path.join(projectDir, 'config.json') : null };
+  configCliSettings = cliSettings;
+  migrateInstallConfig(configFiles.user);
+  
+  const found = loadModes([
+    { layer: 'install', dir: path.join(installDir, 'modes') },
+    { layer: 'user', dir: path.join(path.dirname(configFiles.user), 'modes') },
+    ...(projectDir ? [{ layer: 'project', dir: path.join(projectDir, 'modes'), root: path.dirname(projectDir), locked: PROJECT_LOCKED_SETTINGS }] : [])
+  ], MODE_SETTINGS_SCHEMA);
+  modes = found.modes;
+  for (const problem of found.problems) {
+    console.error(chalk.yellow(`Mode (${formatPathForPrint(problem.file)}): ${problem.message}`));
+  }
+  
+  const fileLayer = (name, file, locked) => {
+    if (!file) return { name, values: {}, problems: [] };
+    const { values, problems } = readConfigFile(file);
+    return checkLayer(CONFIG_SCHEMA, { name, file, values: withoutRetiredSettings(values), problems }, locked);
+  };
+  const { set = [], profile: profileFlag } = program.opts();
+  const flags = settingsFromPairs([...set, ...(profileFlag ? [`profile=${profileFlag}`] : []), ...cliSettings]);
+  const layers = [
+    fileLayer('user', configFiles.user),
+    fileLayer('project', configFiles.project, PROJECT_LOCKED_SETTINGS),
+    checkLayer(CONFIG_SCHEMA, { name: 'env', ...envLayer(CONFIG_SCHEMA) }),
+    checkLayer(CONFIG_SCHEMA, { name: 'cli', values: deepMerge(startupModeSettings(), flags.values), problems: flags.problems })
+  ];
+  
+  const named = mergeLayers(DEFAULT_CONFIG, layers);
+  const profile = options.profile ?? named.config.profile;
+  if (profile && named.config.profiles[profile]) {
+    layers.splice(2, 0, { name: 'profile', source: profile, values: structuredClone(named.config.profiles[profile]), problems: [] });
+  } else if (profile) {
+    const layer = layers.find(item => item.name === named.origins.profile.layer);
+    layer.problems.push({ path: 'profile', keys: ['profile'], message: `profile: ${unknownProfileMessage(profile, named.config.profiles)}` });
+    deletePath(layer.values, 'profile');
+  }
+  
+  for (const layer of layers) {
+    // Relative allowed directories are relative to the install directory
+    const dirs = layer.values.agent?.allowedDirectories;
+    if (dirs) layer.values.agent.allowedDirectories = dirs.map(dir => (path.isAbsolute(dir) ? dir : path.resolve(__dirname, dir)));
+    // Modes are files, so the schema cannot list them; aliases stand for their mode
+    if (layer.values.mode) {
+      const mode = findMode(modes, layer.values.mode);
+      if (mode) {
+        layer.values.mode = mode.name;
+      } else {
+        layer.problems.push({ path: 'mode', keys: ['mode'], message: `mode: ${unknownModeMessage(layer.values.mode, modes)}` });
+        delete layer.values.mode;
+      }
+    }
+    for (const problem of layer.problems) {
+      const color = layer.name === 'cli' ? chalk.red : chalk.yellow;
+      console.error(color(`Config (${configLayerLabel(layer)}): ${problem.message}`));
+    }
+  }
+  if (layers[layers.length - 1].problems.length) process.exit(2);
+  
+  ({ config, origins: configOrigins } = mergeLayers(DEFAULT_CONFIG, layers));
+  if (options.profile !== undefined) {
+    config.profile = options.profile;
+    configOrigins.profile = { layer: 'profile', source: options.profile || null };
+  }
+  loadedConfig = structuredClone(config);
+  configureProvider('local', config.localProvider);
+  applyRetryPolicy();
 }
 
-// Save configuration
+// Save the settings changed since loading: to the project's config file when
+// the project set them, into the active profile when it set them, otherwise
+// to the user's file. Values that came from the environment or flags are only
+// saved once something changes them.
 function saveConfig() {
   try {
-    // Create a deep copy of config to avoid modifying the original
-    const configToSave = JSON.parse(JSON.stringify(config));
-    
-    // Ensure all directory paths are absolute before saving
-    if (configToSave.agent && configToSave.agent.allowedDirectories) {
-      configToSave.agent.allowedDirectories = configToSave.agent.allowedDirectories.map(dir => 
-        path.isAbsolute(dir) ? dir : path.resolve(__dirname, dir)
-      );
-    }
-    
-    fs.writeFileSync(DEFAULT_CONFIG_PATH, JSON.stringify(configToSave, null, 2));
+    const files = {};
+    for (const keyPath of changedPaths(loadedConfig || DEFAULT_CONFIG, config)) {
+      const origin = configOrigins[keyPath] || { layer: 'default' };
+      let keys = keyPath.split('.');
+      let layer = origin.layer;
+      if (layer === 'profile') {
+        // Into the profile's definition, in the file that defines it
+        keys = ['profiles', config.profile, ...keys];
+        const prefix = `profiles.${config.profile}.`;
+        layer = Object.entries(configOrigins).find(([known]) => known.startsWith(prefix))?.[1].layer;
+        setPath(config, keys, structuredClone(getPath(config, keyPath)));
+      }
+      const file = layer === 'project' && configFiles.project ? configFiles.project : configFiles.user || userConfigFile();
+      if (!files[file]) {
+        const { values, problems } = readConfigFile(file);
+        // Never overwrite a file that could not be read
+        if (problems.length) throw new Error(`${formatPathForPrint(file)}: ${problems[0].message}`);
+        files[file] = values;
+      }
+      const value = getPath(config, keyPath);
+      if (value === undefined) deletePath(files[file], keys);
+      else setPath(files[file], keys, structuredClone(value));
+      if (origin.layer !== 'profile') configOrigins[keyPath] = { layer: file === configFiles.project ? 'project' : 'user', source: file };
+    }
+    for (const [file, values] of Object.entries(files)) writeConfigFile(file, values);
+    loadedConfig = structuredClone(config);
+    // The failover chain follows model changes
+    applyRetryPolicy();
     return true;
   } catch (error) {
     console.error('Error saving config:', error.message);
@@ -2537,11 +2813,6 @@ function saveConfig() {
 
 // Format AI responses for better terminal display
 function formatAIResponse(text) {
-  // Process tool_code blocks in AI responses
-  if (text.includes('```tool_code') && text.includes('{{agent:fs:write:')) {
-    processToolCodeBlocks(text);
-  }
-
   // Return text directly without boxen borders for easier copy/paste
   const out = text;
   // Track last AI response and session transcript for copying
@@ -2550,6 +2821,22 @@ function formatAIResponse(text) {
   return out;
 }
 
+// Print an AI answer, skipping the echo when it was already streamed but still
+// running formatAIResponse so the copy buffers stay in sync. File writes in
+// tool_code blocks are reviewed once the answer is on screen.
+async function displayAIResponse(text) {
+  if (!text) return;
+  const out = formatAIResponse(text);
+  if (text === streamedResponse) {
+    streamedResponse = null;
+  } else {
+    console.log(out);
+  }
+  if (text.includes('```tool_code') && text.includes('{{agent:fs:write:')) {
+    await processToolCodeBlocks(text);
+  }
+}
+
 // Extract shell commands from fenced code blocks in assistant text
 function extractShellCommandsFromText(text) {
   const out = [];
@@ -2582,6 +2869,7 @@ async function runShellCommandsSequentially(commands) {
     }
     try {
       const cmdPrefix = config.agent.useVirtualEnvironment ? 'docker run --rm alpine ' : '';
+      journalCommand(line);
       const result = await executeCommand(cmdPrefix + line);
       if (result.stdout) console.log(result.stdout);
       if (result.stderr) console.log(chalk.yellow(result.stderr));
@@ -2653,8 +2941,10 @@ async function executeAgentCommandsFromText(text, options = {}) {
       const operation = parts[0].trim();
       const filePath = (parts[1] || '').trim();
       const content = parts.length > 2 ? parts.slice(2).join(':').trim() : '';
-      const result = await handleFileOperation(operation, { path: filePath, content });
-      if (!result.success) console.log(chalk.red(`Error: ${result.error}`));
+      const result = operation === 'write'
+        ? await writeAIFile(filePath, content)
+        : await handleFileOperation(operation, { path: filePath, content });
+      if (!result.success) console.log(result.declined ? chalk.yellow(result.error) : chalk.red(`Error: ${result.error}`));
     } else {
       // exec command with special handling for cd
       const trimmed = c.cmd.trim();
@@ -2678,6 +2968,7 @@ async function executeAgentCommandsFromText(text, options = {}) {
       }
       try {
         const cmdPrefix = config.agent.useVirtualEnvironment ? 'docker run --rm alpine ' : '';
+        journalCommand(c.cmd);
         const result = await executeCommand(cmdPrefix + c.cmd);
         if (result.stderr) {
           console.log(chalk.yellow(result.stderr));
@@ -2692,10 +2983,17 @@ async function executeAgentCommandsFromText(text, options = {}) {
   }
 }
 
+const TOOL_CODE_WRITE_PATTERN = /```tool_code\s*\n\s*\{\{agent:fs:write:(.*?):([\s\S]*?)\}\}\s*\n\s*```/g;
+
+// Remove tool_code write blocks so inline agent command parsing skips them
+function stripToolCodeBlocks(text) {
+  return text.replace(new RegExp(TOOL_CODE_WRITE_PATTERN.source, 'g'), '');
+}
+
 // Process tool_code blocks in AI responses
-function processToolCodeBlocks(text) {
+async function processToolCodeBlocks(text) {
   // Match tool_code blocks with agent file write commands
-  const toolCodeRegex = /```tool_code\s*\n\s*\{\{agent:fs:write:(.*?):([\s\S]*?)\}\}\s*\n\s*```/g;
+  const toolCodeRegex = new RegExp(TOOL_CODE_WRITE_PATTERN.source, 'g');
   let match;
   
   while ((match = toolCodeRegex.exec(text)) !== null) {
@@ -2703,21 +3001,13 @@ function processToolCodeBlocks(text) {
       const filePath = match[1].trim();
       const fileContent = match[2];
       
-      // Resolve the file path relative to the current working directory
-      const resolvedPath = path.isAbsolute(filePath) 
-        ? filePath 
-        : path.join(currentWorkingDirectory, filePath);
-      
-      console.log(chalk.cyan(`Writing file: ${resolvedPath}`));
-      
-      // Write the file using our file operation handler
-      const result = handleFileOperation('write', {
-        path: resolvedPath,
-        content: fileContent
-      });
+      // Review the change, then write only what was accepted
+      const result = await writeAIFile(filePath, fileContent);
       
       if (result.success) {
-        console.log(chalk.green(`✓ Successfully wrote file: ${resolvedPath}`));
+        console.log(chalk.green(`✓ ${result.message}`));
+      } else if (result.declined) {
+        console.log(chalk.yellow(`✗ ${result.error}`));
       } else {
         console.log(chalk.red(`✗ Failed to write file: ${result.error}`));
       }
@@ -2780,6 +3070,7 @@ async function handleFileOperation(operation, params) {
         return { success: true, data: content };
       
       case 'write':
+        journalChange(`write ${filePath}`, [{ type: 'write', path: filePath }], params.source);
         fs.writeFileSync(filePath, params.content);
         return { success: true, message: `File ${filePath} written successfully` };
       
@@ -2799,6 +3090,110 @@ async function handleFileOperation(operation, params) {
   }
 }
 
+function printDiffHunk(hunk) {
+  console.log(chalk.cyan(formatHunkHeader(hunk)));
+  for (const op of hunk.lines) {
+    if (op.type === '+') console.log(chalk.green(`+${op.text}`));
+    else if (op.type === '-') console.log(chalk.red(`-${op.text}`));
+    else console.log(chalk.gray(` ${op.text}`));
+    if (op.noEol) console.log(chalk.gray(NO_EOL_NOTE));
+  }
+}
+
+function printFileDiff(label, exists, diff) {
+  console.log(chalk.bold(`\n--- ${exists ? label : '/dev/null'}`));
+  console.log(chalk.bold(`+++ ${label}`) + chalk.gray(`  (+${diff.added} -${diff.removed})`));
+  diff.hunks.forEach(printDiffHunk);
+}
+
+// Diff of a write an agentic worker is waiting to make
+function printProposedWrite(filePath, content) {
+  const exists = fs.existsSync(filePath);
+  let current = '';
+  try {
+    if (exists) current = fs.readFileSync(filePath, 'utf8');
+  } catch {}
+  const diff = diffLines(current, content);
+  if (!diff.hunks.length) console.log(chalk.gray(`No changes to ${filePath}`));
+  else printFileDiff(formatPathForPrint(filePath), exists, diff);
+}
+
+// Show a colored diff of an AI-proposed write and let the user accept all,
+// reject, or pick individual hunks. Resolves to the content to write, or null
+// when nothing was accepted.
+async function reviewAIWrite(filePath, newContent) {
+  const exists = fs.existsSync(filePath);
+  let current = '';
+  if (exists) {
+    try {
+      current = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      console.log(chalk.red(`Cannot read ${filePath} for review: ${error.message}`));
+      return null;
+    }
+  }
+
+  const diff = diffLines(current, newContent);
+  if (!diff.hunks.length) {
+    // Nothing to review; writing it back is harmless
+    console.log(chalk.gray(`No changes to ${filePath}`));
+    return newContent;
+  }
+
+  const label = formatPathForPrint(filePath);
+  printFileDiff(label, exists, diff);
+
+  // A reply cut off by the output limit tends to drop the end of the file
+  const oldCount = current.split('\n').length;
+  const newCount = String(newContent).split('\n').length;
+  if (exists && oldCount > 20 && newCount < oldCount / 2) {
+    console.log(chalk.yellow(`⚠ The new version is ${oldCount - newCount} lines shorter. The AI reply may have been truncated.`));
+  }
+
+  const { action } = await inquirer.prompt([{
+    type: 'list',
+    name: 'action',
+    message: `${exists ? 'Apply changes to' : 'Create'} ${label}?`,
+    choices: [
+      { name: 'Accept all', value: 'all' },
+      ...(diff.hunks.length > 1 ? [{ name: 'Choose hunks', value: 'pick' }] : []),
+      { name: 'Reject', value: 'reject' }
+    ],
+    default: 'all'
+  }]);
+  if (action === 'reject') return null;
+  if (action === 'all') return newContent;
+
+  const accepted = new Set();
+  for (const hunk of diff.hunks) {
+    console.log(chalk.yellow(`\nHunk ${hunk.index + 1}/${diff.hunks.length}`));
+    printDiffHunk(hunk);
+    const { apply } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'apply',
+      message: 'Apply this hunk?',
+      default: true
+    }]);
+    if (apply) accepted.add(hunk.index);
+  }
+  if (!accepted.size) return null;
+  return applyHunks(diff, accepted);
+}
+
+// Every write the AI initiates goes through the diff review first
+async function writeAIFile(filePath, content) {
+  const resolvedPath = path.resolve(currentWorkingDirectory, filePath);
+  const approved = await reviewAIWrite(resolvedPath, content);
+  if (approved === null) {
+    return { success: false, declined: true, error: `Write to ${resolvedPath} was not applied` };
+  }
+  const result = await handleFileOperation('write', { path: resolvedPath, content: approved });
+  if (result.success && approved !== content) {
+    result.message = `${result.message} (only the accepted hunks were applied)`;
+  }
+  return result;
+}
+
 // Agent capabilities - terminal command execution
 function isCommandAllowed(command) {
   return !config.agent.disallowedCommands.some(disallowed => 
@@ -2811,7 +3206,7 @@ function isDangerousExec(command) {
   return /(\brm\b|\brmdir\b|\brd\b|\bdel\b|remove-item|\bmkfs\b|\bdd\s+if=|format\s)/.test(c);
 }
 
-function executeCommand(command, useTerminalMode = false) {
+function executeCommand(command, useTerminalMode = false, cwd = currentWorkingDirectory) {
   return new Promise((resolve, reject) => {
     if (!isCommandAllowed(command)) {
       reject(new Error(`Command contains disallowed operations: ${command}`));
@@ -2865,9 +3260,9 @@ function executeCommand(command, useTerminalMode = false) {
       }
     }
     
-    // Always use the current working directory
+    // The current working directory unless the caller runs elsewhere
     const execOptions = { 
-      cwd: currentWorkingDirectory
+      cwd
     };
     
     exec(command, execOptions, (error, stdout, stderr) => {
@@ -2885,104 +3280,521 @@ function executeCommand(command, useTerminalMode = false) {
   });
 }
 
-// Translate simple natural language instructions to shell commands
-function translateNaturalCommand(input) {
-  const text = input.trim();
-  const home = os.homedir();
-  const expandTilde = (p) => p.replace(/^~(\b|\/)/, home + (p.startsWith('~/') ? '/' : ''));
-  const quote = (p) => '"' + p.replace(/"/g, '\\"') + '"';
-  const isWin = process.platform === 'win32';
-
-  const openCmd = (p) => {
-    if (isWin) return `powershell -NoProfile -Command Start-Process -FilePath ${quote(p)}`;
-    if (process.platform === 'darwin') return `open ${quote(p)}`;
-    return `xdg-open ${quote(p)}`;
-  };
-
-  const copyCmd = (src, dst, recursive = false) => {
-    if (isWin) return `powershell -NoProfile -Command Copy-Item -Path ${quote(src)} -Destination ${quote(dst)}${recursive ? ' -Recurse' : ''}`;
-    return `cp ${recursive ? '-R ' : ''}${quote(src)} ${quote(dst)}`;
-  };
-
-  const moveCmd = (src, dst) => {
-    if (isWin) return `powershell -NoProfile -Command Move-Item -Path ${quote(src)} -Destination ${quote(dst)}`;
-    return `mv ${quote(src)} ${quote(dst)}`;
-  };
-
-  const zipCmd = (src, dstZip) => {
-    if (isWin) return `powershell -NoProfile -Command Compress-Archive -Path ${quote(src)} -DestinationPath ${quote(dstZip)}`;
-    return `zip -r ${quote(dstZip)} ${quote(src)}`;
-  };
+// Snapshots for \undo live next to config.json so they outlive the session
+function openJournal() {
+  if (config.journal?.enabled === false) return;
+  initJournal(path.resolve(installDir, config.journal?.dir || 'journal'), {
+    maxEntries: config.journal?.maxEntries
+  });
+}
 
-  const unzipCmd = (zipFile, destDir) => {
-    if (isWin) return `powershell -NoProfile -Command Expand-Archive -Path ${quote(zipFile)} -DestinationPath ${quote(destDir)}`;
-    return `unzip ${quote(zipFile)} -d ${quote(destDir)}`;
-  };
+// Shared with agent workers through the job data
+function openResponseCache() {
+  configureCache({
+    dir: path.resolve(installDir, config.cache?.dir || 'cache'),
+    enabled: config.cache?.enabled !== false && !noCache,
+    ttlMs: (config.cache?.ttlHours || 0) * 60 * 60 * 1000,
+    maxEntries: config.cache?.maxEntries,
+    maxBytes: (config.cache?.maxMB || 0) * 1024 * 1024
+  });
+}
 
-  // Split arguments by spaces but keep quoted chunks together
-  const splitArgs = (s) => {
-    const out = [];
-    let cur = '';
-    let q = null;
-    for (let i = 0; i < s.length; i++) {
-      const ch = s[i];
-      if (q) {
-        if (ch === q) { q = null; } else { cur += ch; }
-      } else if (ch === '"' || ch === '\'') {
-        q = ch;
-      } else if (/\s/.test(ch)) {
-        if (cur) { out.push(cur); cur = ''; }
-      } else {
-        cur += ch;
-      }
+// Files under dir whose name matches a simple glob (*, ?), skipping VCS and deps
+function findMatchingFiles(dir, pattern) {
+  const regex = new RegExp('^' + pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+  const out = [];
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      if (entry.name === 'node_modules' || entry.name === '.git') continue;
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else if (regex.test(entry.name)) out.push(full);
     }
-    if (cur) out.push(cur);
-    return out;
   };
+  try { walk(dir); } catch {}
+  return out;
+}
 
-  // make/create directory
-  let m = text.match(/^(?:make|create)\s+(?:a\s+)?(?:new\s+)?dir(?:ectory)?(?:\s+(?:called|named))?\s+(.+)$/i);
-  if (m) {
-    const raw = m[1].trim();
-    const pathArg = expandTilde(raw);
-    return { cmd: `mkdir -p ${quote(pathArg)}`, explanation: 'Create directory' };
+// Make effect paths absolute and expand pattern-based writes into files
+function resolveEffects(effects) {
+  const out = [];
+  for (const effect of effects || []) {
+    if (effect.type === 'writeMatching') {
+      findMatchingFiles(resolveFromCwd(effect.dir), effect.pattern)
+        .forEach(file => out.push({ type: 'write', path: file }));
+    } else {
+      out.push({
+        ...effect,
+        ...(effect.path ? { path: resolveFromCwd(effect.path) } : {}),
+        ...(effect.from ? { from: resolveFromCwd(effect.from) } : {}),
+        ...(effect.to ? { to: resolveFromCwd(effect.to) } : {})
+      });
+    }
   }
+  return out;
+}
 
-  // list files in <path>
-  m = text.match(/^(?:list\s+(?:all\s+)?files|show\s+(?:me\s+)?(?:the\s+)?files)\s+(?:in|at)\s+(.+)$/i);
-  if (m) {
-    const raw = m[1].trim();
-    const pathArg = expandTilde(raw);
-    return { cmd: `ls -la ${quote(pathArg)}`, explanation: 'List files' };
+// Snapshot what is about to change; journal problems never block the change itself
+function journalChange(description, effects, source = 'assistant') {
+  try {
+    const entry = recordChange({ description, source, effects: resolveEffects(effects) });
+    entry?.warnings.forEach(warning => console.log(chalk.yellow(`Journal: ${warning}`)));
+  } catch (error) {
+    console.log(chalk.yellow(`Could not journal change: ${error.message}`));
   }
+}
 
-  // list files (no path)
-  m = text.match(/^(?:list\s+(?:all\s+)?files|show\s+(?:me\s+)?files)$/i);
-  if (m) {
-    return { cmd: `ls -la`, explanation: 'List files' };
+// Best-effort side effects of a simple shell command (mv, cp, mkdir, touch,
+// rm, rmdir, sed -i, or a trailing > redirect). Chains and pipelines are not
+// analysed and so are not journaled.
+function shellCommandEffects(command) {
+  let text = (command || '').trim();
+  const effects = [];
+  const redirect = text.match(/^([^|;&<>`]*?)\s*>>?\s*("[^"]+"|'[^']+'|[^\s|;&<>`]+)\s*$/);
+  if (redirect) {
+    effects.push({ type: 'write', path: redirect[2].replace(/^["']|["']$/g, '') });
+    text = redirect[1];
+  }
+  if (/[|;&<>`]/.test(text)) return [];
+
+  const [program, ...rest] = tokenizeArgs(text);
+  const args = rest.filter(arg => !arg.startsWith('-'));
+  switch (program) {
+    case 'mv':
+    case 'cp': {
+      if (args.length < 2) break;
+      const to = args[args.length - 1];
+      args.slice(0, -1).forEach(from => effects.push({ type: program === 'mv' ? 'move' : 'copy', from, to }));
+      break;
+    }
+    case 'mkdir':
+      args.forEach(dir => effects.push({ type: 'mkdir', path: dir }));
+      break;
+    case 'touch':
+      args.forEach(file => effects.push({ type: 'write', path: file }));
+      break;
+    case 'rm':
+    case 'rmdir':
+      args.forEach(target => effects.push({ type: 'delete', path: target }));
+      break;
+    case 'sed':
+      // sed -i [''] 'script' files...: everything after the script is a file
+      if (rest.some(arg => /^-i/.test(arg))) {
+        args.filter(arg => arg !== '').slice(1).forEach(file => effects.push({ type: 'write', path: file }));
+      }
+      break;
+    default:
+      break;
   }
+  return effects;
+}
 
-  // create file <path>
-  m = text.match(/^(?:create|make)\s+(?:a\s+)?file\s+(.+)$/i);
-  if (m) {
-    const raw = m[1].trim();
-    const pathArg = expandTilde(raw);
-    return { cmd: `touch ${quote(pathArg)}`, explanation: 'Create file' };
+// Journal a command's side effects before it runs; nothing local changes in the docker sandbox
+function journalCommand(command, source = 'assistant', effects = shellCommandEffects(command)) {
+  if (config.agent.useVirtualEnvironment || !effects?.length) return;
+  journalChange(command, effects, source);
+}
+
+function formatChangeTime(time) {
+  const d = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// \changes: list the journal, most recent first
+function showChanges(limit = 20) {
+  const entries = listChanges(limit);
+  if (!entries.length) {
+    console.log(chalk.yellow('No changes recorded yet.'));
+    return;
   }
+  console.log(chalk.cyan('Recorded changes (most recent first; \\undo N rolls back the newest N):'));
+  entries.forEach((entry, index) => {
+    const where = entry.currentSession ? 'this session' : 'earlier session';
+    const line = `${String(index + 1).padStart(3)}. ${formatChangeTime(entry.time)}  ${entry.description}  [${entry.source}, ${where}]`;
+    console.log(entry.undone ? chalk.gray(`${line} (undone)`) : line);
+  });
+}
 
-  // copy multiple files to dest: copy a b c to dest
-  m = text.match(/^copy\s+(.+?)\s+to\s+(.+)$/i);
-  if (m) {
-    const srcChunk = m[1].trim();
-    const dstRaw = m[2].trim();
-    const parts = splitArgs(srcChunk);
-    const dst = expandTilde(dstRaw);
-    if (parts.length > 1) {
-      const srcs = parts.map(s => quote(expandTilde(s))).join(isWin ? ', ' : ' ');
+function formatUsageTotals(totals) {
+  const notes = [];
+  if (totals.estimated) notes.push(`${totals.estimated} estimated`);
+  if (totals.unpriced) notes.push(`${totals.unpriced} without a price`);
+  return `${totals.calls} call(s), ${totals.inputTokens.toLocaleString()} in / ${totals.outputTokens.toLocaleString()} out tokens, ` +
+    `$${totals.cost.toFixed(4)}${notes.length ? ` (${notes.join(', ')})` : ''}`;
+}
+
+function truncateLabel(text, length = 50) {
+  const line = String(text || '').replace(/\s+/g, ' ').trim();
+  return line.length > length ? `${line.slice(0, length - 1)}…` : line;
+}
+
+// \usage: tokens and estimated cost for this session, recent questions and agentic tasks
+function showUsage(limit = 10) {
+  const report = usageReport();
+  if (!report.session.calls) {
+    console.log(chalk.yellow('No model calls yet.'));
+    return;
+  }
+  console.log(chalk.cyan(`Session: ${formatUsageTotals(report.session)}`));
+  for (const model of report.models) {
+    console.log(`  ${model.model}: ${formatUsageTotals(model)}`);
+  }
+  if (report.requests.length) {
+    console.log(chalk.cyan('Recent requests (most recent first):'));
+    for (const request of report.requests.slice(-limit).reverse()) {
+      console.log(`  ${formatChangeTime(request.time).slice(11)}  ${truncateLabel(request.label)}  ${chalk.gray(formatUsageTotals(request))}`);
+    }
+  }
+  if (report.tasks.length) {
+    console.log(chalk.cyan('Agentic tasks (conductor and workers):'));
+    for (const task of report.tasks) {
+      console.log(`  ${truncateLabel(task.label)}  ${chalk.gray(formatUsageTotals(task))}`);
+    }
+  }
+  console.log(chalk.gray('Costs use the usage.prices setting; estimated counts come from the local tokenizer.'));
+}
+
+// \cache stats|clear
+function handleCacheCommand(args) {
+  const action = (args.trim().split(/\s+/)[0] || 'stats').toLowerCase();
+  if (action === 'clear') {
+    try {
+      const removed = clearCache();
+      console.log(chalk.green(`✓ Removed ${removed} cached response(s).`));
+    } catch (error) {
+      console.log(chalk.red(`Could not clear the cache: ${error.message}`));
+    }
+    return;
+  }
+  if (action !== 'stats') {
+    console.log(chalk.yellow('Usage: \\cache [stats|clear]'));
+    return;
+  }
+  const stats = cacheStats();
+  const state = stats.enabled ? chalk.green('on') : chalk.gray(noCache ? 'off (--no-cache)' : 'off');
+  console.log(chalk.cyan(`Response cache: ${state}  ${stats.dir}`));
+  console.log(`  Entries: ${stats.entries} / ${stats.maxEntries}, ${formatBytes(stats.bytes)} / ${formatBytes(stats.maxBytes)}, kept ${Math.round(stats.ttlMs / 3600000)}h`);
+  console.log(`  This session: ${stats.hits} hit(s), ${stats.misses} miss(es), ${stats.writes} stored`);
+}
+
+// \undo [N]
+function undoLastChanges(count = 1) {
+  const results = undoChanges(count);
+  if (!results.length) {
+    console.log(chalk.yellow('Nothing to undo.'));
+    return;
+  }
+  for (const { entry, problems } of results) {
+    if (problems.length) {
+      console.log(chalk.yellow(`Partly undone: ${entry.description}`));
+      problems.forEach(problem => console.log(chalk.yellow(`  ${problem}`)));
+    } else {
+      console.log(chalk.green(`✓ Undone: ${entry.description}`));
+    }
+  }
+}
+
+// Tool output fed back to the model is capped to keep the context small
+const TOOL_RESULT_LIMIT = 20000;
+
+function truncateToolResult(text) {
+  const value = String(text ?? '');
+  if (value.length <= TOOL_RESULT_LIMIT) return value;
+  return `${value.slice(0, TOOL_RESULT_LIMIT)}\n[truncated ${value.length - TOOL_RESULT_LIMIT} characters]`;
+}
+
+// Ask before an agent tool runs unless the agent settings auto-approve it.
+// Silent callers (visual mode) cannot prompt, so anything needing approval is refused.
+async function approveAgentTool(description, autoApproved, silent) {
+  if (autoApproved) return true;
+  if (silent) return false;
+  const { confirmed } = await inquirer.prompt([{
+    type: 'confirm',
+    name: 'confirmed',
+    message: `AI wants to ${description}\nAllow this operation?`,
+    default: false
+  }]);
+  if (!confirmed) console.log(chalk.red('Operation declined.'));
+  return confirmed;
+}
+
+// Run one native tool call from the model and return the text fed back to it
+async function runAgentTool(call, options = {}) {
+  const silent = !!options.silent;
+  const args = call.args || {};
+
+  if (call.name === 'exec') {
+    const command = String(args.command || '').trim();
+    if (!command) return 'Error: no command given';
+    if (!silent) console.log(chalk.gray(`→ exec ${command}`));
+    const approved = await approveAgentTool(`run command: ${command}`, config.agent.autoApproveExec && !isDangerousExec(command), silent);
+    if (!approved) return silent ? 'Not executed: commands need user approval, which is unavailable here.' : 'The user declined to run this command.';
+
+    // cd persists for later calls instead of running in a throwaway shell
+    if (/^cd\s+/i.test(command)) {
+      const target = command.replace(/^cd\s+/i, '').trim();
+      return changeWorkingDirectory(target, true)
+        ? `Working directory is now ${currentWorkingDirectory}`
+        : `Error: could not change directory to ${target}`;
+    }
+    try {
+      const cmdPrefix = config.agent.useVirtualEnvironment ? 'docker run --rm alpine ' : '';
+      journalCommand(command);
+      const result = await executeCommand(cmdPrefix + command);
+      if (!silent) {
+        if (result.stdout) console.log(result.stdout.trimEnd());
+        if (result.stderr) console.log(chalk.yellow(result.stderr.trimEnd()));
+      }
+      return truncateToolResult(`stdout:\n${result.stdout || '(empty)'}${result.stderr ? `\nstderr:\n${result.stderr}` : ''}`);
+    } catch (error) {
+      if (!silent) console.log(chalk.red(`Error executing command: ${error.message}`));
+      return truncateToolResult(`Error: ${error.message}`);
+    }
+  }
+
+  if (!['read', 'write', 'list', 'exists'].includes(call.name)) {
+    return `Error: unknown tool ${call.name}`;
+  }
+  if (!args.path) return 'Error: no path given';
+  if (!silent) console.log(chalk.gray(`→ ${call.name} ${args.path}`));
+
+  // Writes are approved through the diff review, which needs a prompt
+  if (call.name === 'write') {
+    if (silent) return 'Not executed: file writes need user review, which is unavailable here.';
+    const written = await writeAIFile(args.path, String(args.content ?? ''));
+    if (written.declined) return 'The user rejected this change; the file was left as it was.';
+    if (!written.success) {
+      console.log(chalk.red(`Error: ${written.error}`));
+      return `Error: ${written.error}`;
+    }
+    console.log(chalk.green(written.message));
+    return written.message;
+  }
+
+  const approved = await approveAgentTool(`${call.name}: ${args.path}`, config.agent.autoApproveFsSafe, silent);
+  if (!approved) return silent ? 'Not executed: this operation needs user approval, which is unavailable here.' : 'The user declined this operation.';
+
+  const result = await handleFileOperation(call.name, { path: args.path });
+  if (!result.success) {
+    if (!silent) console.log(chalk.red(`Error: ${result.error}`));
+    return `Error: ${result.error}`;
+  }
+  if (call.name === 'read') return truncateToolResult(result.data);
+  if (call.name === 'list') return truncateToolResult(result.data.join('\n') || '(empty directory)');
+  return String(result.data);
+}
+
+// Resolve a worker tool path inside the task directory; null when it escapes it
+function resolveTaskPath(root, target = '.') {
+  const resolved = path.resolve(root, String(target));
+  const relative = path.relative(root, resolved);
+  return relative.startsWith('..') || path.isAbsolute(relative) ? null : resolved;
+}
+
+// Journal effects of a command run in another directory than the current one
+function effectsRelativeTo(effects, root) {
+  return effects.map(effect => ({
+    ...effect,
+    ...(effect.path ? { path: path.resolve(root, effect.path) } : {}),
+    ...(effect.dir ? { dir: path.resolve(root, effect.dir) } : {}),
+    ...(effect.from ? { from: path.resolve(root, effect.from) } : {}),
+    ...(effect.to ? { to: path.resolve(root, effect.to) } : {})
+  }));
+}
+
+const GREP_MAX_MATCHES = 200;
+const GREP_MAX_FILE_BYTES = 1024 * 1024;
+
+// Lines matching pattern in target (a file, or the files under a directory
+// whose name matches glob), as "path:line: text" relative to root
+function searchFiles(root, target, pattern, glob = '*') {
+  let regex;
+  try {
+    regex = new RegExp(pattern);
+  } catch (error) {
+    return `Error: invalid pattern: ${error.message}`;
+  }
+  const files = fs.statSync(target).isDirectory() ? findMatchingFiles(target, glob || '*') : [target];
+  const matches = [];
+  for (const file of files) {
+    if (matches.length >= GREP_MAX_MATCHES) break;
+    if (isPathIgnored(file, aiIgnorePatterns)) continue;
+    let text;
+    try {
+      if (fs.statSync(file).size > GREP_MAX_FILE_BYTES) continue;
+      text = fs.readFileSync(file, 'utf8');
+    } catch {
+      continue;
+    }
+    if (text.includes('\0')) continue;
+    text.split('\n').forEach((line, index) => {
+      if (matches.length < GREP_MAX_MATCHES && regex.test(line)) {
+        matches.push(`${path.relative(root, file) || path.basename(file)}:${index + 1}: ${line.trim()}`);
+      }
+    });
+  }
+  if (!matches.length) return 'No matches.';
+  return matches.join('\n') + (matches.length >= GREP_MAX_MATCHES ? `\n[stopped after ${GREP_MAX_MATCHES} matches]` : '');
+}
+
+// Run a tool call from an agentic worker. Paths are confined to the task
+// directory and go through the same .aiignore, disallowedCommands and approval
+// rules as chat. Workers run in the background, so anything that needs the
+// user waits on approve(description, write) until \approve or \deny.
+async function runWorkerTool(call, task, approve) {
+  const args = call.args || {};
+  const root = task.cwd || currentWorkingDirectory;
+
+  if (call.name === 'exec') {
+    const command = String(args.command || '').trim();
+    if (!command) return 'Error: no command given';
+    if (/^cd\s+/i.test(command)) return `Error: commands always run in the task directory ${root}; use paths relative to it instead`;
+    if (!isCommandAllowed(command)) return `Error: Command contains disallowed operations: ${command}`;
+    const autoApproved = config.agent.autoApproveExec && !isDangerousExec(command);
+    if (!autoApproved && !await approve(`run command: ${command}`)) return 'The user declined to run this command.';
+    try {
+      const cmdPrefix = config.agent.useVirtualEnvironment ? 'docker run --rm alpine ' : '';
+      journalCommand(command, 'agentic', effectsRelativeTo(shellCommandEffects(command), root));
+      const result = await executeCommand(cmdPrefix + command, false, root);
+      return truncateToolResult(`stdout:\n${result.stdout || '(empty)'}${result.stderr ? `\nstderr:\n${result.stderr}` : ''}`);
+    } catch (error) {
+      return truncateToolResult(`Error: ${error.message}`);
+    }
+  }
+
+  if (!['read', 'write', 'list', 'exists', 'grep'].includes(call.name)) {
+    return `Error: unknown tool ${call.name}`;
+  }
+  const target = resolveTaskPath(root, args.path ?? '.');
+  if (!target) return `Error: ${args.path} is outside the task directory ${root}`;
+
+  if (call.name === 'write') {
+    const content = String(args.content ?? '');
+    if (!await approve(`write ${formatPathForPrint(target)}`, { path: target, content })) {
+      return 'The user rejected this change; the file was left as it was.';
+    }
+    const written = await handleFileOperation('write', { path: target, content, source: 'agentic' });
+    return written.success ? written.message : `Error: ${written.error}`;
+  }
+
+  if (!config.agent.autoApproveFsSafe && !await approve(`${call.name}: ${formatPathForPrint(target)}`)) {
+    return 'The user declined this operation.';
+  }
+
+  if (call.name === 'grep') {
+    if (!args.pattern) return 'Error: no pattern given';
+    if (aiIgnorePatterns.length === 0) loadAiIgnorePatterns(root);
+    if (isPathIgnored(target, aiIgnorePatterns)) return `Error: Access to ${target} is blocked by .aiignore rules.`;
+    if (!fs.existsSync(target)) return `Error: ${target} does not exist`;
+    return truncateToolResult(searchFiles(root, target, args.pattern, args.glob));
+  }
+
+  const result = await handleFileOperation(call.name, { path: target });
+  if (!result.success) return `Error: ${result.error}`;
+  if (call.name === 'read') return truncateToolResult(result.data);
+  if (call.name === 'list') return truncateToolResult(result.data.join('\n') || '(empty directory)');
+  return String(result.data);
+}
+
+// Translate simple natural language instructions to shell commands
+function translateNaturalCommand(input) {
+  const text = input.trim();
+  const home = os.homedir();
+  const expandTilde = (p) => p.replace(/^~(\b|\/)/, home + (p.startsWith('~/') ? '/' : ''));
+  const quote = (p) => '"' + p.replace(/"/g, '\\"') + '"';
+  const isWin = process.platform === 'win32';
+
+  const openCmd = (p) => {
+    if (isWin) return `powershell -NoProfile -Command Start-Process -FilePath ${quote(p)}`;
+    if (process.platform === 'darwin') return `open ${quote(p)}`;
+    return `xdg-open ${quote(p)}`;
+  };
+
+  const copyCmd = (src, dst, recursive = false) => {
+    if (isWin) return `powershell -NoProfile -Command Copy-Item -Path ${quote(src)} -Destination ${quote(dst)}${recursive ? ' -Recurse' : ''}`;
+    return `cp ${recursive ? '-R ' : ''}${quote(src)} ${quote(dst)}`;
+  };
+
+  const moveCmd = (src, dst) => {
+    if (isWin) return `powershell -NoProfile -Command Move-Item -Path ${quote(src)} -Destination ${quote(dst)}`;
+    return `mv ${quote(src)} ${quote(dst)}`;
+  };
+
+  const zipCmd = (src, dstZip) => {
+    if (isWin) return `powershell -NoProfile -Command Compress-Archive -Path ${quote(src)} -DestinationPath ${quote(dstZip)}`;
+    return `zip -r ${quote(dstZip)} ${quote(src)}`;
+  };
+
+  const unzipCmd = (zipFile, destDir) => {
+    if (isWin) return `powershell -NoProfile -Command Expand-Archive -Path ${quote(zipFile)} -DestinationPath ${quote(destDir)}`;
+    return `unzip ${quote(zipFile)} -d ${quote(destDir)}`;
+  };
+
+  // Split arguments by spaces but keep quoted chunks together
+  const splitArgs = (s) => {
+    const out = [];
+    let cur = '';
+    let q = null;
+    for (let i = 0; i < s.length; i++) {
+      const ch = s[i];
+      if (q) {
+        if (ch === q) { q = null; } else { cur += ch; }
+      } else if (ch === '"' || ch === '\'') {
+        q = ch;
+      } else if (/\s/.test(ch)) {
+        if (cur) { out.push(cur); cur = ''; }
+      } else {
+        cur += ch;
+      }
+    }
+    if (cur) out.push(cur);
+    return out;
+  };
+
+  // make/create directory
+  let m = text.match(/^(?:make|create)\s+(?:a\s+)?(?:new\s+)?dir(?:ectory)?(?:\s+(?:called|named))?\s+(.+)$/i);
+  if (m) {
+    const raw = m[1].trim();
+    const pathArg = expandTilde(raw);
+    return { cmd: `mkdir -p ${quote(pathArg)}`, explanation: 'Create directory', effects: [{ type: 'mkdir', path: pathArg }] };
+  }
+
+  // list files in <path>
+  m = text.match(/^(?:list\s+(?:all\s+)?files|show\s+(?:me\s+)?(?:the\s+)?files)\s+(?:in|at)\s+(.+)$/i);
+  if (m) {
+    const raw = m[1].trim();
+    const pathArg = expandTilde(raw);
+    return { cmd: `ls -la ${quote(pathArg)}`, explanation: 'List files' };
+  }
+
+  // list files (no path)
+  m = text.match(/^(?:list\s+(?:all\s+)?files|show\s+(?:me\s+)?files)$/i);
+  if (m) {
+    return { cmd: `ls -la`, explanation: 'List files' };
+  }
+
+  // create file <path>
+  m = text.match(/^(?:create|make)\s+(?:a\s+)?file\s+(.+)$/i);
+  if (m) {
+    const raw = m[1].trim();
+    const pathArg = expandTilde(raw);
+    return { cmd: `touch ${quote(pathArg)}`, explanation: 'Create file', effects: [{ type: 'write', path: pathArg }] };
+  }
+
+  // copy multiple files to dest: copy a b c to dest
+  m = text.match(/^copy\s+(.+?)\s+to\s+(.+)$/i);
+  if (m) {
+    const srcChunk = m[1].trim();
+    const dstRaw = m[2].trim();
+    const parts = splitArgs(srcChunk);
+    const dst = expandTilde(dstRaw);
+    if (parts.length > 1) {
+      const srcs = parts.map(s => quote(expandTilde(s))).join(isWin ? ', ' : ' ');
       const cmd = isWin
         ? `powershell -NoProfile -Command Copy-Item -Path ${srcs} -Destination ${quote(dst)}`
         : `cp ${parts.map(s => quote(expandTilde(s))).join(' ')} ${quote(dst)}`;
-      return { cmd, explanation: 'Copy items' };
+      return { cmd, explanation: 'Copy items', effects: parts.map(s => ({ type: 'copy', from: expandTilde(s), to: dst })) };
     }
     // Falls through to single copy handled below if only one src
   }
@@ -2992,7 +3804,7 @@ function translateNaturalCommand(input) {
   if (m) {
     const src = expandTilde(m[1].trim());
     const dst = expandTilde(m[2].trim());
-    return { cmd: copyCmd(src, dst, false), explanation: 'Copy file' };
+    return { cmd: copyCmd(src, dst, false), explanation: 'Copy file', effects: [{ type: 'copy', from: src, to: dst }] };
   }
 
   // copy folder/dir <src> to <dest>
@@ -3000,7 +3812,7 @@ function translateNaturalCommand(input) {
   if (m) {
     const src = expandTilde(m[1].trim());
     const dst = expandTilde(m[2].trim());
-    return { cmd: copyCmd(src, dst, true), explanation: 'Copy directory' };
+    return { cmd: copyCmd(src, dst, true), explanation: 'Copy directory', effects: [{ type: 'copy', from: src, to: dst }] };
   }
 
   // move/rename <src> to <dest>
@@ -3008,7 +3820,7 @@ function translateNaturalCommand(input) {
   if (m) {
     const src = expandTilde(m[1].trim());
     const dst = expandTilde(m[2].trim());
-    return { cmd: moveCmd(src, dst), explanation: 'Move/Rename' };
+    return { cmd: moveCmd(src, dst), explanation: 'Move/Rename', effects: [{ type: 'move', from: src, to: dst }] };
   }
 
   // open <path>
@@ -3062,10 +3874,10 @@ function translateNaturalCommand(input) {
     if (isWin) {
       // Best-effort: PowerShell Compress-Archive lacks straightforward excludes
       const note = ' (exclusions not applied on Windows)';
-      return { cmd: zipCmd(src, zipf), explanation: 'Create archive' + note };
+      return { cmd: zipCmd(src, zipf), explanation: 'Create archive' + note, effects: [{ type: 'write', path: zipf }] };
     } else {
       const excludes = patterns.map(p => `-x "**/${p.replace(/^\*+/, '')}/*"`).join(' ');
-      return { cmd: `zip -r ${quote(zipf)} ${quote(src)} ${excludes}`.trim(), explanation: 'Create archive with exclusions' };
+      return { cmd: `zip -r ${quote(zipf)} ${quote(src)} ${excludes}`.trim(), explanation: 'Create archive with exclusions', effects: [{ type: 'write', path: zipf }] };
     }
   }
 
@@ -3076,7 +3888,7 @@ function translateNaturalCommand(input) {
     const cmd = isWin
       ? `powershell -NoProfile -Command Remove-Item -LiteralPath ${quote(p)} -Recurse -Force`
       : `rm -rf ${quote(p)}`;
-    return { cmd, explanation: 'Force delete', danger: true, target: p };
+    return { cmd, explanation: 'Force delete', danger: true, target: p, effects: [{ type: 'delete', path: p }] };
   }
 
   // zip <src> to <zipfile>
@@ -3085,7 +3897,7 @@ function translateNaturalCommand(input) {
     const src = expandTilde(m[1].trim());
     let zipf = expandTilde(m[2].trim());
     if (!zipf.toLowerCase().endsWith('.zip')) zipf += '.zip';
-    return { cmd: zipCmd(src, zipf), explanation: 'Create archive' };
+    return { cmd: zipCmd(src, zipf), explanation: 'Create archive', effects: [{ type: 'write', path: zipf }] };
   }
 
   // zip <src>
@@ -3095,7 +3907,7 @@ function translateNaturalCommand(input) {
     // derive default zip name
     const base = path.basename(src.replace(/[\/]+$/, '')) || 'archive';
     const zipf = base.endsWith('.zip') ? base : `${base}.zip`;
-    return { cmd: zipCmd(src, zipf), explanation: 'Create archive' };
+    return { cmd: zipCmd(src, zipf), explanation: 'Create archive', effects: [{ type: 'write', path: zipf }] };
   }
 
   // zip each of a b c / zip a b c into zips
@@ -3103,18 +3915,22 @@ function translateNaturalCommand(input) {
     || text.match(/^zip\s+each\s+of\s+(.+)$/i);
   if (m) {
     const parts = splitArgs(m[1].trim()).map(s => expandTilde(s));
+    const effects = parts.map(p => {
+      const bn = path.basename(p);
+      return { type: 'write', path: bn.endsWith('.zip') ? bn : `${bn}.zip` };
+    });
     if (parts.length > 1) {
       if (isWin) {
         const arr = parts.map(p => '"' + p.replace(/"/g, '\\"') + '"').join(',');
         const script = `powershell -NoProfile -Command $items=@(${arr}); foreach($p in $items){ $bn=Split-Path -Leaf $p; $zip=($bn -like '*.zip') ? $bn : ($bn + '.zip'); Compress-Archive -Path $p -DestinationPath $zip }`;
-        return { cmd: script, explanation: 'Batch zip items' };
+        return { cmd: script, explanation: 'Batch zip items', effects };
       } else {
         const cmds = parts.map(p => {
           const bn = path.basename(p).replace(/"/g, '\\"');
           const zipf = bn.endsWith('.zip') ? bn : `${bn}.zip`;
           return `zip -r "${zipf}" ${quote(p)}`;
         }).join(' && ');
-        return { cmd: cmds, explanation: 'Batch zip items' };
+        return { cmd: cmds, explanation: 'Batch zip items', effects };
       }
     }
   }
@@ -3146,7 +3962,7 @@ function translateNaturalCommand(input) {
     } else {
       cmd = `sed -i 's/${oldS.replace(/\//g,'\\/').replace(/'/g,"'\\''")}/${newS.replace(/\//g,'\\/').replace(/'/g,"'\\''")}/g' ${quote(file)}`;
     }
-    return { cmd, explanation: 'In-place replace', confirmWord: 'APPLY', confirmMessage: `This will modify: ${file}\nType APPLY to proceed:` };
+    return { cmd, explanation: 'In-place replace', confirmWord: 'APPLY', confirmMessage: `This will modify: ${file}\nType APPLY to proceed:`, effects: [{ type: 'write', path: file }] };
   }
 
   // replace 'old' with 'new' in files matching <glob> under <dir>
@@ -3164,7 +3980,7 @@ function translateNaturalCommand(input) {
     } else {
       cmd = `find ${quote(dir)} -type f -name ${quote(glob)} -exec sed -i 's/${oldS.replace(/\//g,'\\/').replace(/'/g,"'\\''")}/${newS.replace(/\//g,'\\/').replace(/'/g,"'\\''")}/g' {} +`;
     }
-    return { cmd, explanation: 'Batch replace', confirmWord: 'APPLY', confirmMessage: `This will modify multiple files under: ${dir}\nType APPLY to proceed:` };
+    return { cmd, explanation: 'Batch replace', confirmWord: 'APPLY', confirmMessage: `This will modify multiple files under: ${dir}\nType APPLY to proceed:`, effects: [{ type: 'writeMatching', dir, pattern: glob }] };
   }
 
   // unzip <zipfile> to <dest>
@@ -3188,7 +4004,7 @@ function translateNaturalCommand(input) {
   if (m) {
     const raw = m[1].trim();
     const pathArg = expandTilde(raw);
-    return { cmd: `rmdir ${quote(pathArg)}`, explanation: 'Remove directory' };
+    return { cmd: `rmdir ${quote(pathArg)}`, explanation: 'Remove directory', effects: [{ type: 'delete', path: pathArg }] };
   }
 
   // show file <path>
@@ -3238,84 +4054,13 @@ async function applyReasoningIterations(question, initialMessages, provider, mod
       reasoningContext.push({ role: 'user', content: iterationPrompt });
       
       // Get model response for this iteration
-      let iterationResponse = '';
-      
-      switch (provider) {
-        case 'openai':
-          const openaiResponse = await openai.chat.completions.create({
-            model: model,
-            messages: reasoningContext.map(msg => ({
-              role: msg.role === 'user' ? 'user' : 'assistant',
-              content: msg.content
-            })),
-            ...(!(model && typeof model === 'string' && model.startsWith('gpt-5')) ? { temperature: 0.7 } : {}),
-          });
-          
-          iterationResponse = openaiResponse.choices[0].message.content;
-          break;
-          
-        case 'anthropic':
-          if (!anthropic) {
-            throw new Error('Anthropic API key not set or invalid. Please check your ANTHROPIC_API_KEY environment variable.');
-          }
-          
-          // Extract system message if present
-          const anthropicSystemMsg = reasoningContext.find(msg => msg.role === 'system')?.content || '';
-          
-          // Create messages array without system message
-          const anthropicReasoningMessages = reasoningContext
-            .filter(msg => msg.role !== 'system')
-            .map(msg => ({
-              role: msg.role === 'user' ? 'user' : 'assistant',
-              content: msg.content
-            }));
-          
-          const anthropicResponse = await anthropic.messages.create({
-            model: model,
-            system: anthropicSystemMsg,
-            messages: anthropicReasoningMessages,
-            max_tokens: 1024,
-            temperature: 0.7,
-          });
-          
-          iterationResponse = anthropicResponse.content[0].text;
-          break;
-          
-        case 'google':
-          if (!genAI) {
-            throw new Error('Google API key not set or invalid. Please check your GOOGLE_API_KEY environment variable.');
-          }
-          const systemPrompt = reasoningContext.find(msg => msg.role === 'system')?.content || '';
-          
-          const googleMessages = [
-            systemPrompt,
-            ...reasoningContext.filter(msg => msg.role !== 'system').map(msg => 
-              `${msg.role === 'user' ? 'User: ' : 'Assistant: '}${msg.content}`
-            )
-          ].join('\n\n');
-          
-          const googleModel = genAI.getGenerativeModel({ model: model });
-          const googleResponse = await googleModel.generateContent(googleMessages);
-          
-          iterationResponse = googleResponse.response.text();
-          break;
-          
-        case 'openrouter':
-          if (!openRouter) {
-            throw new Error('OpenRouter API key not set or invalid. Please check your OPENROUTER_API_KEY environment variable.');
-          }
-          const openRouterResponse = await openRouter.chat.completions.create({
-            model: model,
-            messages: reasoningContext.map(msg => ({
-              role: msg.role === 'user' ? 'user' : 'assistant',
-              content: msg.content
-            })),
-            temperature: 0.7,
-          });
-          
-          iterationResponse = openRouterResponse.choices[0].message.content;
-          break;
-      }
+      const iterationResponse = await complete({
+        provider,
+        model,
+        messages: reasoningContext,
+        maxTokens: 1024,
+        temperature: 0.7
+      });
       
       // Store the intermediate response
       reasoningContext.push({ role: 'assistant', content: iterationResponse });
@@ -3332,74 +4077,12 @@ async function applyReasoningIterations(question, initialMessages, provider, mod
     });
     
     // Get final response
-    let finalResponse = '';
-    
-    switch (provider) {
-      case 'openai':
-        const openaiResponse = await openai.chat.completions.create({
-          model: model,
-          messages: reasoningContext.map(msg => ({
-            role: msg.role === 'user' ? 'user' : 'assistant',
-            content: msg.content
-          })),
-          ...(!(model && typeof model === 'string' && model.startsWith('gpt-5')) ? { temperature: 0.7 } : {}),
-        });
-        
-        finalResponse = openaiResponse.choices[0].message.content;
-        break;
-        
-      case 'anthropic':
-        if (!anthropic) {
-          throw new Error('Anthropic API key not set or invalid. Please check your ANTHROPIC_API_KEY environment variable.');
-        }
-        const anthropicResponse = await anthropic.messages.create({
-          model: model,
-          messages: reasoningContext.map(msg => ({
-            role: msg.role === 'user' ? 'user' : 'assistant',
-            content: msg.content
-          })),
-          max_tokens: 1024,
-          temperature: 0.7,
-        });
-        
-        finalResponse = anthropicResponse.content[0].text;
-        break;
-        
-      case 'google':
-        if (!genAI) {
-          throw new Error('Google API key not set or invalid. Please check your GOOGLE_API_KEY environment variable.');
-        }
-        const systemPrompt = reasoningContext.find(msg => msg.role === 'system')?.content || '';
-        
-        const googleMessages = [
-          systemPrompt,
-          ...reasoningContext.filter(msg => msg.role !== 'system').map(msg => 
-            `${msg.role === 'user' ? 'User: ' : 'Assistant: '}${msg.content}`
-          )
-        ].join('\n\n');
-        
-        const googleModel = genAI.getGenerativeModel({ model: model });
-        const googleResponse = await googleModel.generateContent(googleMessages);
-        
-        finalResponse = googleResponse.response.text();
-        break;
-        
-      case 'openrouter':
-        if (!openRouter) {
-          throw new Error('OpenRouter API key not set or invalid. Please check your OPENROUTER_API_KEY environment variable.');
-        }
-        const openRouterFinalResponse = await openRouter.chat.completions.create({
-          model: model,
-          messages: reasoningContext.map(msg => ({
-            role: msg.role === 'user' ? 'user' : 'assistant',
-            content: msg.content
-          })),
-          temperature: 0.7,
-        });
-        
-        finalResponse = openRouterFinalResponse.choices[0].message.content;
-        break;
-    }
+    const finalResponse = await complete({
+      provider,
+      model,
+      messages: reasoningContext,
+      temperature: 0.7
+    });
     
     return {
       finalResponse,
@@ -3583,96 +4266,22 @@ CONFIDENCE: [0.0-1.0]
     let classification = 'COMPLEX';  // Default to complex
     let confidence = 1.0;
     
-    switch (config.currentProvider) {
-      case 'openai':
-        const openaiClassifierResponse = await openai.chat.completions.create({
-          model: config.lightModels.openai,
-          messages: [
-            { role: 'system', content: 'You are a helpful query classifier.' },
-            { role: 'user', content: classifierPrompt }
-          ],
-          ...(!(config.lightModels.openai && typeof config.lightModels.openai === 'string' && config.lightModels.openai.startsWith('gpt-5')) ? { temperature: 0.1 } : {}),
-        });
-        
-        const openaiResult = openaiClassifierResponse.choices[0].message.content;
-        // Parse the result
-        const openaiClassMatch = openaiResult.match(/CLASSIFICATION:\s*(SIMPLE|COMPLEX)/i);
-        const openaiConfMatch = openaiResult.match(/CONFIDENCE:\s*([0-9]\.[0-9]+)/i);
-        
-        if (openaiClassMatch) classification = openaiClassMatch[1].toUpperCase();
-        if (openaiConfMatch) confidence = parseFloat(openaiConfMatch[1]);
-        break;
-        
-      case 'anthropic':
-        if (!anthropic) {
-          console.error(chalk.red('Anthropic API key not set or invalid. Defaulting to complex query routing.'));
-          classification = 'COMPLEX';
-          confidence = 1.0;
-          break;
-        }
-        const anthropicClassifierResponse = await anthropic.messages.create({
-          model: config.lightModels.anthropic,
-          system: 'You are a helpful query classifier.',
-          messages: [
-            { role: 'user', content: classifierPrompt }
-          ],
-          max_tokens: 100,
-          temperature: 0.1,
-        });
-        
-        const anthropicResult = anthropicClassifierResponse.content[0].text;
-        // Parse the result
-        const anthropicClassMatch = anthropicResult.match(/CLASSIFICATION:\s*(SIMPLE|COMPLEX)/i);
-        const anthropicConfMatch = anthropicResult.match(/CONFIDENCE:\s*([0-9]\.[0-9]+)/i);
-        
-        if (anthropicClassMatch) classification = anthropicClassMatch[1].toUpperCase();
-        if (anthropicConfMatch) confidence = parseFloat(anthropicConfMatch[1]);
-        break;
-        
-      case 'google':
-        if (!genAI) {
-          console.error(chalk.red('Google API key not set or invalid. Defaulting to complex query routing.'));
-          classification = 'COMPLEX';
-          confidence = 1.0;
-          break;
-        }
-        const googleClassifierModel = genAI.getGenerativeModel({ model: config.lightModels.google });
-        const googleClassifierResponse = await googleClassifierModel.generateContent(classifierPrompt);
-        
-        const googleResult = googleClassifierResponse.response.text();
-        // Parse the result
-        const googleClassMatch = googleResult.match(/CLASSIFICATION:\s*(SIMPLE|COMPLEX)/i);
-        const googleConfMatch = googleResult.match(/CONFIDENCE:\s*([0-9]\.[0-9]+)/i);
-        
-        if (googleClassMatch) classification = googleClassMatch[1].toUpperCase();
-        if (googleConfMatch) confidence = parseFloat(googleConfMatch[1]);
-        break;
-        
-      case 'openrouter':
-        if (!openRouter) {
-          console.error(chalk.red('OpenRouter API key not set or invalid. Defaulting to complex query routing.'));
-          classification = 'COMPLEX';
-          confidence = 1.0;
-          break;
-        }
-        const openRouterClassifierResponse = await openRouter.chat.completions.create({
-          model: config.lightModels.openrouter,
-          system: 'You are a helpful query classifier.',
-          messages: [
-            { role: 'user', content: classifierPrompt }
-          ],
-          temperature: 0.1,
-        });
-        
-        const openRouterResult = openRouterClassifierResponse.choices[0].message.content;
-        // Parse the result
-        const openRouterClassMatch = openRouterResult.match(/CLASSIFICATION:\s*(SIMPLE|COMPLEX)/i);
-        const openRouterConfMatch = openRouterResult.match(/CONFIDENCE:\s*([0-9]\.[0-9]+)/i);
-        
-        if (openRouterClassMatch) classification = openRouterClassMatch[1].toUpperCase();
-        if (openRouterConfMatch) confidence = parseFloat(openRouterConfMatch[1]);
-        break;
-    }
+    const result = await complete({
+      provider: config.currentProvider,
+      model: config.lightModels[config.currentProvider],
+      system: 'You are a helpful query classifier.',
+      messages: [{ role: 'user', content: classifierPrompt }],
+      maxTokens: 100,
+      temperature: 0.1,
+      cache: true
+    });
+    
+    // Parse the result
+    const classMatch = result.match(/CLASSIFICATION:\s*(SIMPLE|COMPLEX)/i);
+    const confMatch = result.match(/CONFIDENCE:\s*([0-9]\.[0-9]+)/i);
+    
+    if (classMatch) classification = classMatch[1].toUpperCase();
+    if (confMatch) confidence = parseFloat(confMatch[1]);
     
     return {
       isComplex: classification === 'COMPLEX',
@@ -3686,19 +4295,181 @@ CONFIDENCE: [0.0-1.0]
   }
 }
 
-// Ask the AI a question based on current provider
-async function askAI(question, options = {}) {
-  const silent = !!options.silent;
-  // Explicit per-query agentic trigger: \a, \agent, or \agentic
-  let agenticRequested = false;
-  const prefixMatch = (question || '').match(/^\\(a|agent|agentic)\b\s*/i);
-  if (prefixMatch) {
-    agenticRequested = true;
-    question = question.slice(prefixMatch[0].length).trim();
-  }
+// Every model call (chat, conductor and worker) is tallied for \usage.
+// Counts the provider did not report are estimated with the tokenizer.
+function trackUsage({ provider, model, usage, system, turns, text, tag }) {
+  const counted = usage || {
+    inputTokens: countTokens(system) + countMessageTokens(turns),
+    outputTokens: countTokens(text),
+    estimated: true
+  };
+  return recordUsage({ provider, model, ...counted, ...(tag || {}) }, config.usage?.prices);
+}
+
+setUsageListener(trackUsage);
+
+// Failover entries name a provider and use its main model unless they give one
+function applyRetryPolicy() {
+  const { failover = [], ...limits } = config.retry || {};
+  configureRetry({
+    ...limits,
+    failover: failover
+      .map(entry => typeof entry === 'string' ? { provider: entry } : entry)
+      .filter(entry => providers[entry?.provider])
+      .map(entry => ({ provider: entry.provider, model: entry.model || config.models[entry.provider] }))
+  });
+}
+
+applyRetryPolicy();
+
+// Worker retries show up in the agent's output instead
+setRetryListener((event) => {
+  console.log(chalk.yellow(`↻ ${describeRetry(event)}`));
+});
+
+// Conductor and worker calls count towards their task
+function taskUsageTag(task) {
+  return { taskId: task.id, label: task.description };
+}
+
+// Drop the oldest conversation turns until the request fits the model's
+// context window. Project and conversation context is always kept.
+function trimHistoryToContextWindow(model, systemContent, silent) {
+  const windowTokens = contextWindow(model, config.usage?.contextWindows);
+  const budget = windowTokens - (config.usage?.reserveTokens ?? 4096) - countTokens(systemContent);
+  const pinned = messageHistory.filter(isContextMessage);
+  const rest = messageHistory.filter(msg => !isContextMessage(msg));
+  let total = countMessageTokens(pinned) + countMessageTokens(rest);
+  let dropped = 0;
+  // The newest message is the question itself, so it always stays
+  while (total > budget && rest.length > 1) {
+    total -= countMessageTokens([rest.shift()]);
+    dropped++;
+  }
+  if (dropped) {
+    messageHistory = [...pinned, ...rest];
+    if (!silent) console.log(chalk.gray(`Dropped ${dropped} older message(s) to fit the ${windowTokens}-token context window of ${model}`));
+  }
+  if (total > budget && !silent) {
+    console.log(chalk.yellow(`⚠ The request (~${total} tokens) may not fit the ${windowTokens}-token context window of ${model}`));
+  }
+}
+
+// Stream a completion to the terminal as it arrives. Ctrl+C aborts the
+// request without leaving the app and resolves to null.
+async function streamToTerminal(request, spinner, run = complete) {
+  const controller = new AbortController();
+  const onInterrupt = () => controller.abort();
+  process.on('SIGINT', onInterrupt);
+  
+  let started = false;
+  try {
+    const result = await run({
+      ...request,
+      signal: controller.signal,
+      onToken: (delta) => {
+        if (!started) {
+          started = true;
+          if (spinner) spinner.stop();
+        }
+        process.stdout.write(delta);
+      }
+    });
+    if (spinner) spinner.stop();
+    if (started) process.stdout.write('\n');
+    return result;
+  } catch (error) {
+    if (error.name !== 'AbortError') throw error;
+    if (spinner) spinner.stop();
+    if (started) process.stdout.write('\n');
+    console.log(chalk.yellow('Request cancelled.'));
+    return null;
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
+// Provider/model pairs that rejected tool definitions; these use the text syntax
+const toolUnsupportedModels = new Set();
+
+// Let the model call agent tools natively. Each round's tool calls run with
+// the usual approvals and their results are fed back until the model answers
+// in plain text. Resolves to the final text, or null if the user cancelled.
+async function runToolLoop(request, options = {}) {
+  const { silent = false, spinner = null, stream = false } = options;
+  const transcript = [...request.messages];
+  const maxTurns = config.agent.maxToolTurns || 8;
+  
+  for (let turn = 0; turn <= maxTurns; turn++) {
+    const toolRequest = { ...request, messages: transcript, tools: agentTools };
+    const reply = stream
+      ? await streamToTerminal(toolRequest, spinner, completeWithTools)
+      : await completeWithTools(toolRequest);
+    if (reply === null) return null;
+    if (!reply.toolCalls.length) return reply.text;
+    if (turn === maxTurns) {
+      return reply.text || `Stopped after ${maxTurns} rounds of tool calls without a final answer.`;
+    }
+    
+    if (spinner) spinner.stop();
+    if (!stream && !silent && reply.text) console.log(reply.text);
+    transcript.push({ role: 'assistant', content: reply.text, toolCalls: reply.toolCalls });
+    for (const call of reply.toolCalls) {
+      const content = await runAgentTool(call, { silent });
+      transcript.push({ role: 'tool', toolCallId: call.id, name: call.name, content });
+    }
+    if (spinner) spinner.start('Thinking...');
+  }
+}
+
+// Ask the AI a question based on current provider. Each question is one
+// request in \usage, however many model calls it takes; options.onUsage
+// receives that request's totals.
+async function askAI(question, options = {}) {
+  beginRequest(question);
+  try {
+    return await answerQuestion(question, options);
+  } finally {
+    const request = endRequest();
+    if (options.onUsage) options.onUsage(request);
+  }
+}
+
+// Who answered a request and what it cost, as reported by qa ask and qa serve.
+// Answers that took no model call (local scan, cache) have no model.
+function usageSummary(request) {
+  return {
+    provider: request?.provider ?? config.currentProvider,
+    model: request?.model ?? null,
+    tokens: {
+      input: request?.inputTokens ?? 0,
+      output: request?.outputTokens ?? 0,
+      calls: request?.calls ?? 0,
+      cost: request ? request.cost : 0
+    }
+  };
+}
+
+// options.review ({ root }) answers a \review: no local scan or agentic
+// routing, and the index of root goes along as context. options.command marks
+// a prompt built by a chat command (\diff, \commitmsg, \explain), which skips
+// the local scan, agentic routing and the search and symbol lookups.
+// options.throwOnError rejects on a failed request instead of answering with
+// an apology.
+async function answerQuestion(question, options = {}) {
+  const silent = !!options.silent;
+  const review = options.review || null;
+  const command = !!options.command || !!review;
+  // Explicit per-query agentic trigger: \a, \agent, or \agentic
+  let agenticRequested = false;
+  const prefixMatch = (question || '').match(/^\\(a|agent|agentic)\b\s*/i);
+  if (prefixMatch) {
+    agenticRequested = true;
+    question = question.slice(prefixMatch[0].length).trim();
+  }
 
   // First, attempt a local non-destructive project scan for direct answers
-  if (!question.startsWith('\\') && !question.startsWith('/') && !agenticRequested) {
+  if (!question.startsWith('\\') && !question.startsWith('/') && !agenticRequested && !command) {
     const localAnswer = await tryLocalProjectAnswer(question, { silent });
     if (localAnswer) {
       // Record and return immediately
@@ -3707,7 +4478,7 @@ async function askAI(question, options = {}) {
     }
   }
   // Check if agentic mode should process this query
-  if (config.agentic && 
+  if (config.agentic && !command &&
       !question.startsWith('/') && !activeTaskId && (agenticRequested || (config.agentic.enabled && config.agentic.autoDetect && await shouldUseAgentic(question)))) {
     
     // Initialize task manager if needed
@@ -3727,6 +4498,12 @@ async function askAI(question, options = {}) {
         if (!silent) console.log(chalk.blue(`Agent ${data.agent.role}: Completed action "${data.action}"`));
       });
       
+      taskManager.on('agent-needs-approval', ({ approval }) => {
+        console.log(chalk.yellow(`\nAgent ${approval.role} wants to ${approval.description} [#${approval.id}]`));
+        if (approval.write) printProposedWrite(approval.write.path, approval.write.content);
+        console.log(chalk.yellow('Type "\\approve" to allow it or "\\deny" to refuse it.'));
+      });
+      
       taskManager.on('task-completed', (result) => {
         if (!silent) console.log(chalk.green('Task completed!'));
         
@@ -3770,38 +4547,36 @@ async function askAI(question, options = {}) {
     const spinner = silent ? null : ora('Thinking...').start();
     let response = '';
     
+    // File summaries and relevant files for reviews and indexed coding projects
+    attachProjectFiles(question, review);
+    if (!command) await attachRelevantCode(question, spinner);
+    if (!command) await attachSymbolContext(question);
+    
     // Add question to history
     messageHistory.push({ role: 'user', content: question });
     
     // Limit history to the configured max context window based on active mode
+    const mode = activeMode();
     let maxMessages = config.maxContextMessages;
     if (config.codingMode.enabled) {
       maxMessages = config.codingMode.maxContextMessages;
-    } else if (config.fastAnswersMode.enabled) {
-      maxMessages = config.fastAnswersMode.maxContextMessages;
-    } else if (config.nvimHelpMode.enabled) {
-      maxMessages = config.nvimHelpMode.maxContextMessages;
-    } else if (config.vocabMode.enabled) {
-      maxMessages = config.vocabMode.maxContextMessages;
+    } else if (mode?.maxContextMessages) {
+      maxMessages = mode.maxContextMessages;
     }
     
     if (messageHistory.length > maxMessages * 2) {
       // If we have project context or previous conversation messages, preserve them
-      const systemMessages = messageHistory.filter(msg => 
-        msg.role === 'system' && 
-        (msg.content.startsWith('PROJECT CONTEXT:') || msg.content.startsWith('PREVIOUS CONVERSATION CONTEXT:'))
-      );
+      const systemMessages = messageHistory.filter(isContextMessage);
       
       // Keep system messages + the most recent messages
       const recentMessages = messageHistory
-        .filter(msg => msg.role !== 'system' || 
-          (!msg.content.startsWith('PROJECT CONTEXT:') && !msg.content.startsWith('PREVIOUS CONVERSATION CONTEXT:')))
+        .filter(msg => !isContextMessage(msg))
         .slice(-(maxMessages * 2 - systemMessages.length));
         
       messageHistory = [...systemMessages, ...recentMessages];
     }
     
-    // Build system instructions including agent capabilities if enabled
+    // Text syntax for agent capabilities, used when native tool calling is unavailable
     const agentInstructions = config.agent.enabled ? 
       `You can suggest file system or terminal operations by using {{agent:fs:operation:path[:content]}} or {{agent:exec:command}} syntax. The user will be asked for permission before executing any command. File operations include: read, write, list, exists.
       Examples:
@@ -3812,24 +4587,11 @@ async function askAI(question, options = {}) {
       - To run a terminal command: {{agent:exec:ls -la}}
       ` : '';
     
-    // Build special mode instructions
-    let specialModeInstructions = '';
-    
-    if (config.fastAnswersMode.enabled) {
-      specialModeInstructions = `FAST ANSWERS MODE: Provide concise, direct answers. No explanations, no reasoning steps, no verbose responses. Answer in 1-2 sentences maximum. Focus on the specific question asked.`;
-    } else if (config.nvimHelpMode.enabled) {
-      // Load nvim keybindings and packages if available
-      let nvimContext = '';
-      try {
-        const keybindings = JSON.parse(fs.readFileSync(path.join(installDir, config.nvimHelpMode.keybindingsFile), 'utf8'));
-        const packages = JSON.parse(fs.readFileSync(path.join(installDir, config.nvimHelpMode.packagesFile), 'utf8'));
-        nvimContext = `NVIM KEYBINDINGS:\n${JSON.stringify(keybindings, null, 2)}\n\nNVIM PACKAGES:\n${JSON.stringify(packages, null, 2)}`;
-      } catch (e) {
-        nvimContext = 'Nvim configuration files not found. Using default vim/neovim knowledge.';
-      }
-      specialModeInstructions = `NVIM HELP MODE: You are a lightning-fast vim/neovim assistant. Provide exact keybindings and commands. Be concise and specific.\n\n${nvimContext}`;
-    } else if (config.vocabMode.enabled) {
-      specialModeInstructions = `VOCABULARY MODE: You are a writing assistant focused on ${config.vocabMode.focusAreas.join(', ')}. Help fix spelling, improve vocabulary, enhance grammar, make writing more professional, and convert bullet points to polished content. Be concise and direct.`;
+    // The active mode's prompt and context files
+    let specialModeInstructions = mode ? modeInstructions(mode) : '';
+    // Standing instructions from the systemPrompt setting, often a profile's
+    if (config.systemPrompt) {
+      specialModeInstructions = specialModeInstructions ? `${specialModeInstructions}\n\n${config.systemPrompt}` : config.systemPrompt;
     }
     
     // Determine if we should use lightweight model based on special modes and agent mode
@@ -3838,19 +4600,11 @@ async function askAI(question, options = {}) {
     let isDirectCmd = false;
     let skipReasoning = false;
     
-    // Handle special modes first
-    if (config.fastAnswersMode.enabled) {
-      useMainModel = !config.fastAnswersMode.useLightModel;
-      skipReasoning = config.fastAnswersMode.disableReasoning;
-      modelDecision = useMainModel ? "Using main model (fast answers)" : "Using lightweight model (fast answers)";
-    } else if (config.nvimHelpMode.enabled) {
-      useMainModel = false; // Always use light model for quick nvim help
-      skipReasoning = true;
-      modelDecision = "Using lightweight model (nvim help)";
-    } else if (config.vocabMode.enabled) {
-      useMainModel = false; // Use light model for vocab corrections
-      skipReasoning = true;
-      modelDecision = "Using lightweight model (vocabulary mode)";
+    // The active mode picks its model tier first
+    if (mode) {
+      useMainModel = mode.model === 'main';
+      skipReasoning = mode.skipReasoning;
+      modelDecision = `Using ${useMainModel ? 'main' : 'lightweight'} model (${mode.name} mode)`;
     }
     // Check if direct mode is enabled
     else if (config.directMode && config.directMode.enabled) {
@@ -3889,185 +4643,84 @@ async function askAI(question, options = {}) {
       if (spinner) spinner.text = 'Thinking...';
     }
     
-    // Create a context-aware history format for each provider
-    switch (config.currentProvider) {
-      case 'openai':
-        const openaiMessages = [
-          {
-            role: 'system',
-            content: `You are a helpful AI assistant in a terminal environment. ${specialModeInstructions ? specialModeInstructions + ' ' : ''}${isDirectCmd ? 
-              `For file and terminal operations, ALWAYS use the most direct approach. When asked to list files or show directory contents, use the {{agent:exec:ls -la /path}} or {{agent:fs:list:/path}} syntax immediately without unnecessary explanation. Be concise and action-oriented.` : 
-              ''} ${agentInstructions}`
-          },
-          ...messageHistory.map(msg => ({
-            role: msg.role === 'user' ? 'user' : 'assistant',
-            content: msg.content
-          }))
-        ];
-        
-        const model = useMainModel ? config.models.openai : config.lightModels.openai;
-        
-        const openaiResponse = await openai.chat.completions.create({
-          model: model,
-          messages: openaiMessages,
-          ...(!(model && typeof model === 'string' && model.startsWith('gpt-5')) ? { temperature: 0.7 } : {}),
-        });
-        
-        response = openaiResponse.choices[0].message.content;
-        break;
-        
-      case 'anthropic':
-        if (!anthropic) {
-          throw new Error('Anthropic API key not set or invalid. Please check your ANTHROPIC_API_KEY environment variable.');
-        }
-        // Format messages for Anthropic
-        const anthropicSystemContent = `You are a helpful AI assistant in a terminal environment. ${specialModeInstructions ? specialModeInstructions + ' ' : ''}${isDirectCmd ? 
-          `For file and terminal operations, ALWAYS use the most direct approach. When asked to list files or show directory contents, use the {{agent:exec:ls -la /path}} or {{agent:fs:list:/path}} syntax immediately without unnecessary explanation. Be concise and action-oriented.` : 
-          ''} ${agentInstructions}`;
-        
-        const anthropicMessages = messageHistory
-          .filter(msg => msg.role !== 'system')
-          .map(msg => ({
-            role: msg.role === 'user' ? 'user' : 'assistant',
-            content: msg.content
-          }));
-        
-        const anthropicModel = useMainModel ? config.models.anthropic : config.lightModels.anthropic;
-        
-        const anthropicResponse = await anthropic.messages.create({
-          model: anthropicModel,
-          system: anthropicSystemContent,
-          messages: anthropicMessages,
-          max_tokens: 1024,
-          temperature: 0.7,
-        });
-        
-        response = anthropicResponse.content[0].text;
-        break;
-        
-      case 'google':
-        if (!genAI) {
-          throw new Error('Google API key not set or invalid. Please check your GOOGLE_API_KEY environment variable.');
-        }
-        // Format messages for Google
-        const systemPrompt = `You are a helpful AI assistant in a terminal environment. ${specialModeInstructions ? specialModeInstructions + ' ' : ''}${isDirectCmd ? 
-          `For file and terminal operations, ALWAYS use the most direct approach. When asked to list files or show directory contents, use the {{agent:exec:ls -la /path}} or {{agent:fs:list:/path}} syntax immediately without unnecessary explanation. Be concise and action-oriented.` : 
-          ''} ${agentInstructions}\n\n`;
-        
-        const googleMessages = [
-          systemPrompt,
-          ...messageHistory.map(msg => 
-            `${msg.role === 'user' ? 'User: ' : 'Assistant: '}${msg.content}`
-          )
-        ].join('\n\n');
-        
-        const googleModelName = useMainModel ? config.models.google : config.lightModels.google;
-        const googleModel = genAI.getGenerativeModel({ model: googleModelName });
-        const googleResponse = await googleModel.generateContent(googleMessages);
-        
-        response = googleResponse.response.text();
-        break;
-        
-      case 'openrouter':
-        if (!openRouter) {
-          throw new Error('OpenRouter API key not set or invalid. Please check your OPENROUTER_API_KEY environment variable.');
-        }
-        
-        // Format messages for OpenRouter (uses OpenAI-compatible format)
-        const openRouterMessages = [
-          {
-            role: 'system',
-            content: `You are a helpful AI assistant in a terminal environment. ${specialModeInstructions ? specialModeInstructions + ' ' : ''}${isDirectCmd ? 
-              `For file and terminal operations, ALWAYS use the most direct approach. When asked to list files or show directory contents, use the {{agent:exec:ls -la /path}} or {{agent:fs:list:/path}} syntax immediately without unnecessary explanation. Be concise and action-oriented.` : 
-              ''} ${agentInstructions}`
-          },
-          ...messageHistory.map(msg => ({
-            role: msg.role === 'user' ? 'user' : 'assistant',
-            content: msg.content
-          }))
-        ];
-        
-        const openRouterModel = useMainModel ? config.models.openrouter : config.lightModels.openrouter;
-        
-        const openRouterResponse = await openRouter.chat.completions.create({
-          model: openRouterModel,
-          messages: openRouterMessages,
-          temperature: 0.7,
-        });
-        
-        response = openRouterResponse.choices[0].message.content;
-        break;
-        
-      default:
-        throw new Error('Unknown provider');
+    const applyReasoning = config.reasoningMode.enabled && 
+      !skipReasoning &&
+      (!config.agentMode.enabled || (config.agentMode.enabled && useMainModel));
+    
+    // Reasoning replaces this first answer, so only stream when it won't run
+    const streamAnswer = !silent && !applyReasoning && config.streaming?.enabled && process.stdout.isTTY;
+    
+    const request = {
+      provider: config.currentProvider,
+      model: useMainModel ? config.models[config.currentProvider] : config.lightModels[config.currentProvider],
+      messages: messageHistory,
+      temperature: 0.7,
+      // Modes such as nvim help and vocabulary see the same questions again and again
+      cache: !!mode?.cache
+    };
+    
+    // Native tool calling, unless reasoning would discard this answer (and
+    // any tools it ran) or the model has already rejected tools
+    const toolModelKey = `${request.provider}:${request.model}`;
+    const useTools = config.agent.enabled && config.agent.nativeTools !== false && !applyReasoning &&
+      supportsTools(request.provider) && !toolUnsupportedModels.has(toolModelKey);
+    
+    // System prompt shared by every provider
+    const buildSystemContent = (nativeTools) => `You are a helpful AI assistant in a terminal environment. ${specialModeInstructions ? specialModeInstructions + ' ' : ''}${isDirectCmd ? 
+      (nativeTools ?
+        `For file and terminal operations, ALWAYS use the most direct approach. When asked to list files or show directory contents, call the list or exec tool immediately without unnecessary explanation. Be concise and action-oriented.` :
+        `For file and terminal operations, ALWAYS use the most direct approach. When asked to list files or show directory contents, use the {{agent:exec:ls -la /path}} or {{agent:fs:list:/path}} syntax immediately without unnecessary explanation. Be concise and action-oriented.`) : 
+      ''} ${nativeTools ?
+      `You can read, write, list and check files and run terminal commands with the provided tools. The user is asked for permission before writes and risky commands. The current working directory is ${currentWorkingDirectory}.` :
+      agentInstructions}`;
+    
+    // The message cap above is per mode; this keeps long messages within the model's limit
+    trimHistoryToContextWindow(request.model, buildSystemContent(useTools), silent);
+    request.messages = messageHistory;
+    
+    let answered = false;
+    if (useTools) {
+      try {
+        response = await runToolLoop({ ...request, system: buildSystemContent(true) }, { silent, spinner, stream: streamAnswer });
+        answered = true;
+      } catch (error) {
+        if (!isToolUnsupportedError(error)) throw error;
+        // Fall back to the {{agent:...}} text syntax for this model from now on
+        toolUnsupportedModels.add(toolModelKey);
+        if (!silent) console.log(chalk.gray(`${request.model} does not support tool calling; using text agent commands.`));
+      }
     }
     
+    if (!answered) {
+      const textRequest = { ...request, system: buildSystemContent(false) };
+      response = streamAnswer
+        ? await streamToTerminal(textRequest, spinner)
+        : await complete(textRequest);
+    }
+    
+    if (response === null) {
+      // Cancelled: forget the question so the next turn starts clean
+      messageHistory.pop();
+      return '';
+    }
+    if (streamAnswer) streamedResponse = response;
+    
     // If agent mode is enabled, log which model was used
     if (config.agentMode.enabled) {
       if (!silent) console.log(chalk.gray(modelDecision));
     }
     
     // Apply reasoning mode if enabled and query is complex enough and not a direct command
-    if (config.reasoningMode.enabled && 
-        !skipReasoning &&
-        (!config.agentMode.enabled || (config.agentMode.enabled && useMainModel))) {
+    if (applyReasoning) {
       
       // Get appropriate messages for the model
-      let modelMessages;
-      switch (config.currentProvider) {
-        case 'openai':
-          modelMessages = [
-            {
-              role: 'system',
-              content: `You are a helpful AI assistant in a terminal environment. ${specialModeInstructions ? specialModeInstructions + ' ' : ''}${agentInstructions}`
-            },
-            ...messageHistory.map(msg => ({
-              role: msg.role === 'user' ? 'user' : 'assistant',
-              content: msg.content
-            }))
-          ];
-          break;
-          
-        case 'anthropic':
-          modelMessages = [
-            {
-              role: 'system',
-              content: `You are a helpful AI assistant in a terminal environment. ${specialModeInstructions ? specialModeInstructions + ' ' : ''}${agentInstructions}`
-            },
-            ...messageHistory.map(msg => ({
-              role: msg.role === 'user' ? 'user' : 'assistant',
-              content: msg.content
-            }))
-          ];
-          break;
-          
-        case 'google':
-          // For Google, we'll handle it in the applyReasoningIterations function
-          modelMessages = [
-            {
-              role: 'system',
-              content: `You are a helpful AI assistant in a terminal environment. ${specialModeInstructions ? specialModeInstructions + ' ' : ''}${agentInstructions}`
-            },
-            ...messageHistory.map(msg => ({
-              role: msg.role === 'user' ? 'user' : 'assistant',
-              content: msg.content
-            }))
-          ];
-          break;
-          
-        case 'openrouter':
-          modelMessages = [
-            {
-              role: 'system',
-              content: `You are a helpful AI assistant in a terminal environment. ${specialModeInstructions ? specialModeInstructions + ' ' : ''}${agentInstructions}`
-            },
-            ...messageHistory.map(msg => ({
-              role: msg.role === 'user' ? 'user' : 'assistant',
-              content: msg.content
-            }))
-          ];
-          break;
-      }
+      const modelMessages = [
+        {
+          role: 'system',
+          content: `You are a helpful AI assistant in a terminal environment. ${specialModeInstructions ? specialModeInstructions + ' ' : ''}${agentInstructions}`
+        },
+        ...messageHistory
+      ];
       
       if (spinner) spinner.text = 'Applying reasoning steps...';
       
@@ -4116,10 +4769,10 @@ async function askAI(question, options = {}) {
       // Add response to history temporarily
       messageHistory.push({ role: 'assistant', content: response });
       
-      if (spinner) spinner.succeed(chalk.blue('Response received!'));
+      if (spinner && !streamAnswer) spinner.succeed(chalk.blue('Response received!'));
       
       // Display the response with the command suggestion
-      if (!silent) console.log(formatAIResponse(response));
+      if (!silent) await displayAIResponse(response);
       
       // In silent mode (e.g., visual), do not prompt or execute; let caller handle safe ops
       if (silent) {
@@ -4135,7 +4788,10 @@ async function askAI(question, options = {}) {
       // This regex captures both {{agent:type:cmd}} format and (Executed: cmd) format
       const singleCommandRegex = /(?:\{\{agent:(fs|exec):(.+?)\}\}|\(Executed: (.+?)\))/g;
       
-      while ((match = singleCommandRegex.exec(response)) !== null) {
+      // tool_code writes were already reviewed when the response was displayed
+      const commandText = stripToolCodeBlocks(response);
+      
+      while ((match = singleCommandRegex.exec(commandText)) !== null) {
         // Check which format was matched
         if (match[0].startsWith('{{agent:')) {
           // {{agent:type:cmd}} format
@@ -4169,7 +4825,8 @@ async function askAI(question, options = {}) {
           const parts = cmd.command.split(':');
           const operation = (parts[0] || '').trim().toLowerCase();
           const safeFs = ['read','list','exists'];
-          if (!(config.agent.autoApproveFsSafe && safeFs.includes(operation))) {
+          // Writes are approved through the diff review instead
+          if (operation !== 'write' && !(config.agent.autoApproveFsSafe && safeFs.includes(operation))) {
             const ans = await inquirer.prompt([{
               type: 'confirm',
               name: 'confirmed',
@@ -4196,10 +4853,12 @@ async function askAI(question, options = {}) {
             const filePath = parts[1].trim();
             const content = parts.length > 2 ? parts.slice(2).join(':').trim() : '';
             
-            const result = await handleFileOperation(operation, { 
-              path: filePath, 
-              content: content 
-            });
+            const result = operation === 'write'
+              ? await writeAIFile(filePath, content)
+              : await handleFileOperation(operation, { 
+                path: filePath, 
+                content: content 
+              });
             
             // Display result
             if (result.success) {
@@ -4222,6 +4881,8 @@ async function askAI(question, options = {}) {
               } else if (result.message) {
                 console.log(chalk.green(result.message));
               }
+            } else if (result.declined) {
+              console.log(chalk.yellow(result.error));
             } else {
               console.log(chalk.red(`Error: ${result.error}`));
             }
@@ -4244,6 +4905,7 @@ async function askAI(question, options = {}) {
                 const cmdPrefix = config.agent.useVirtualEnvironment ? 'docker run --rm alpine ' : '';
                 
                 console.log(chalk.blue('Executing command...'));
+                journalCommand(cmd.command);
                 // Execute the command
                 const result = await executeCommand(cmdPrefix + cmd.command);
                 
@@ -4288,11 +4950,12 @@ async function askAI(question, options = {}) {
       // Add response to history (no agent commands)
       messageHistory.push({ role: 'assistant', content: response });
       
-      spinner.succeed(chalk.blue('Response received!'));
+      if (spinner && !streamAnswer) spinner.succeed(chalk.blue('Response received!'));
       return response;
     }
     
   } catch (error) {
+    if (options.throwOnError) throw error;
     console.error(chalk.red('Error getting AI response:'), error.message);
     return 'Sorry, I encountered an error while processing your request.';
   }
@@ -4375,14 +5038,687 @@ async function configureSettings() {
 }
 
 // Functions for coding mode
+
+// Coding-mode context files live in a .qaterm/ folder at the project root so
+// each repository keeps its own; the install directory is the global fallback
+const PROJECT_CONTEXT_DIR = '.qaterm';
+const PROJECT_ROOT_MARKERS = ['.git', 'package.json', 'pyproject.toml', 'Cargo.toml', 'go.mod', 'setup.py'];
+
+// Context directory whose files are currently loaded into messageHistory
+let loadedCodingContextDir = null;
+
+// Nearest .qaterm/ above dir. Without one, the folder that would be created at
+// the nearest project root; null outside any project.
+function projectContextDir(dir = currentWorkingDirectory) {
+  let markerRoot = null;
+  let current = path.resolve(dir);
+  while (true) {
+    const candidate = path.join(current, PROJECT_CONTEXT_DIR);
+    try {
+      if (fs.statSync(candidate).isDirectory()) return candidate;
+    } catch {}
+    if (!markerRoot && PROJECT_ROOT_MARKERS.some(marker => fs.existsSync(path.join(current, marker)))) {
+      markerRoot = current;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+  return markerRoot ? path.join(markerRoot, PROJECT_CONTEXT_DIR) : null;
+}
+
+function codingContextDir() {
+  return projectContextDir() || __dirname;
+}
+
+// A project's index lives in its .qaterm/ when the indexed directory is the
+// project root and that folder already exists; indexing never creates it.
+// Any other directory gets one under the install directory
+const PROJECT_INDEX_FILE = 'index.json';
+const SUMMARY_CONCURRENCY = 4;
+const SUMMARY_INPUT_CHARS = 12000;
+
+function projectIndexFile(root, fileName = PROJECT_INDEX_FILE) {
+  const contextDir = projectContextDir(root);
+  if (contextDir && path.dirname(contextDir) === root && fs.existsSync(contextDir)) return path.join(contextDir, fileName);
+  const id = createHash('sha1').update(root).digest('hex').slice(0, 16);
+  return path.join(installDir, 'indexes', fileName === PROJECT_INDEX_FILE ? `${id}.json` : `${id}.${fileName}`);
+}
+
+// Root that coding mode looks up an index for
+function codingProjectRoot() {
+  const contextDir = projectContextDir();
+  return contextDir ? path.dirname(contextDir) : currentWorkingDirectory;
+}
+
+// Summarize files that are new or changed with the light model, a few at a
+// time. Identical content is answered from the response cache.
+async function summarizeIndexedFiles(index, spinner) {
+  const all = filesNeedingSummary(index);
+  const pending = all.slice(0, config.projectIndex?.maxSummariesPerRun ?? 200);
+  const outcome = { done: 0, failed: 0, left: all.length - pending.length, error: null };
+  const total = pending.length;
+  const summarizeNext = async () => {
+    while (pending.length) {
+      const rel = pending.shift();
+      try {
+        const content = fs.readFileSync(path.join(index.root, rel), 'utf8');
+        const summary = await complete({
+          provider: config.currentProvider,
+          model: config.lightModels[config.currentProvider],
+          system: 'You summarize source files for a code index. Reply with 2-4 plain sentences: what the file is for, its main functions, classes or exports, and what it depends on. No preamble.',
+          messages: [{ role: 'user', content: `File: ${rel}\n\n${content.slice(0, SUMMARY_INPUT_CHARS)}` }],
+          maxTokens: 200,
+          temperature: 0.2,
+          cache: true
+        });
+        setSummary(index, rel, summary.trim());
+        outcome.done++;
+      } catch (error) {
+        outcome.failed++;
+        outcome.error = error.message;
+      }
+      if (spinner) spinner.text = chalk.blue(`Summarizing files (${outcome.done + outcome.failed}/${total})`);
+    }
+  };
+  await Promise.all(Array.from({ length: SUMMARY_CONCURRENCY }, summarizeNext));
+  return outcome;
+}
+
+// Context message with the index's summaries and, in full, the files that
+// best match the question. fallbackToEntrypoints fills an empty match with
+// the project's entry points and docs (for whole-project reviews).
+function projectFilesContext(index, question, fallbackToEntrypoints) {
+  const limit = config.projectIndex?.relevantFiles ?? 4;
+  let chosen = rankFiles(index, extractQueryKeywords(question));
+  if (!chosen.length && fallbackToEntrypoints) {
+    chosen = guessEntrypointFiles(index.root)
+      .map(file => path.relative(index.root, file))
+      .filter(rel => index.files[rel]?.hash);
+  }
+  chosen = chosen.slice(0, limit);
+  
+  const maxChars = config.projectIndex?.maxFileChars ?? 20000;
+  const fullFiles = [];
+  for (const rel of chosen) {
+    try {
+      const content = fs.readFileSync(path.join(index.root, rel), 'utf8');
+      const cut = content.length > maxChars ? `${content.slice(0, maxChars)}\n... (truncated)` : content;
+      fullFiles.push(`File: ${rel}\n${cut}`);
+    } catch {}
+  }
+  
+  const stats = indexStats(index);
+  const overview = indexOverview(index, chosen, config.projectIndex?.maxOverviewChars ?? 12000);
+  return `PROJECT FILES: index of ${index.root} (${stats.files} files, ${stats.summarized} summarized).\n\n` +
+    `File summaries:\n${overview || '(none yet)'}` +
+    (fullFiles.length ? `\n\nFull contents of the files most relevant to the question:\n\n${fullFiles.join('\n\n---\n\n')}` : '');
+}
+
+// Replace the project files message for this question. Coding mode only uses
+// an index that \review or \index already built.
+function attachProjectFiles(question, review) {
+  messageHistory = messageHistory.filter(msg => !isProjectFilesMessage(msg));
+  let root = review?.root;
+  if (!root) {
+    if (!config.codingMode.enabled || config.projectIndex?.codingMode === false) return;
+    root = codingProjectRoot();
+    if (!fs.existsSync(projectIndexFile(root))) return;
+  }
+  const index = loadIndex(projectIndexFile(root), root);
+  if (!Object.keys(index.files).length) return;
+  messageHistory.push({ role: 'system', content: projectFilesContext(index, question, !!review) });
+}
+
+function isProjectFilesMessage(msg) {
+  return msg.role === 'system' && typeof msg.content === 'string' && msg.content.startsWith('PROJECT FILES:');
+}
+
+// \index [dir] refreshes a directory's index; \index status describes it
+async function handleIndexCommand(args) {
+  const target = args.trim();
+  if (target.toLowerCase() === 'status') {
+    const root = codingProjectRoot();
+    const file = projectIndexFile(root);
+    if (!fs.existsSync(file)) {
+      console.log(chalk.yellow(`No index for ${root} yet. Run \\index or \\review to build it.`));
+      return;
+    }
+    const stats = indexStats(loadIndex(file, root));
+    console.log(chalk.cyan(`Index of ${stats.root}: ${stats.files} files, ${stats.summarized} summarized, ${stats.skipped} skipped`));
+    console.log(chalk.gray(`Updated ${stats.updated ? formatChangeTime(stats.updated) : 'never'}; stored in ${file}`));
+    return;
+  }
+  await reviewDirectory(target || codingProjectRoot());
+}
+
+// Semantic search index (see semanticIndex.js), kept next to the project index
+const SEARCH_INDEX_FILE = 'embeddings.json';
+const SEARCH_SNIPPET_LINES = 8;
+// Used when config.search.model is empty; Google's comes from availableGeminiModels.embedding
+const EMBEDDING_MODELS = {
+  openai: 'text-embedding-3-small',
+  google: 'text-embedding-004',
+  local: 'nomic-embed-text'
+};
+
+function searchEmbedder() {
+  const search = config.search || {};
+  const provider = search.provider || 'openai';
+  const model = search.model ||
+    (provider === 'google' && config.availableGeminiModels?.embedding?.[0]) ||
+    EMBEDDING_MODELS[provider];
+  return createEmbedder({ backend: search.backend || 'provider', provider, model });
+}
+
+// Loaded stores by file, with the file's mtime then, so a question does not
+// parse the whole store again unless another process has rewritten it
+const searchStores = new Map();
+
+function fileMtime(file) {
+  return fs.statSync(file, { throwIfNoEntry: false })?.mtimeMs;
+}
+
+function searchStore(file, root, embedderId) {
+  const cached = searchStores.get(file);
+  if (cached && cached.mtimeMs === fileMtime(file) && cached.store.root === root && cached.store.embedder === embedderId) {
+    return cached.store;
+  }
+  const store = loadVectorStore(file, root, embedderId);
+  searchStores.set(file, { store, mtimeMs: fileMtime(file) });
+  return store;
+}
+
+// Embed the code and docs of root that changed since the last refresh. The
+// store is saved when it changed, and also when embedding fails part way,
+// keeping finished files. Resolves to { store, file, outcome } (see
+// updateVectorStore).
+async function refreshSearchIndex(root, spinner) {
+  const search = config.search || {};
+  const embedder = searchEmbedder();
+  const file = projectIndexFile(root, SEARCH_INDEX_FILE);
+  const store = searchStore(file, root, embedder.id);
+  // 'low' importance files are mostly data, lock files and binaries
+  const files = (await directoryAnalyzer.listFilesRecursively(root))
+    .filter(listed => directoryAnalyzer.categorizeFileImportance(listed) !== 'low');
+  let outcome;
+  try {
+    outcome = await updateVectorStore(store, files, {
+      embedder,
+      read: listed => directoryAnalyzer.readFile(listed),
+      chunkLines: search.chunkLines,
+      chunkOverlap: search.chunkOverlap,
+      batchSize: search.batchSize,
+      maxChunks: search.maxChunks,
+      maxFileBytes: search.maxFileBytes,
+      onProgress: spinner && (({ done, total }) => {
+        spinner.text = chalk.blue(`Embedding changed files (${done}/${total} chunks)`);
+      })
+    });
+    return { store, file, outcome };
+  } finally {
+    if (!outcome || outcome.changed || !store.updated) {
+      saveVectorStore(file, store);
+      searchStores.set(file, { store, mtimeMs: fileMtime(file) });
+    }
+  }
+}
+
+function readLineRange(file, start, end) {
+  try {
+    return fs.readFileSync(file, 'utf8').split('\n').slice(start - 1, end).join('\n');
+  } catch {
+    return '';
+  }
+}
+
+// Refresh root's search index, then find the k chunks closest to query.
+// Resolves to { outcome, stats, hits: [{ root, rel, start, end, score, text }] }.
+async function semanticSearch(root, query, k, spinner) {
+  const { store, outcome } = await refreshSearchIndex(root, spinner);
+  const [vector] = await searchEmbedder().embed([query]);
+  const hits = searchVectorStore(store, vector, k).map(hit => ({
+    ...hit,
+    root,
+    text: readLineRange(path.join(root, hit.rel), hit.start, hit.end)
+  }));
+  return { outcome, stats: vectorStoreStats(store), hits };
+}
+
+// Hits scoring at least config.search.minScore for a project that \search has
+// indexed, or null when there is no index or the lookup failed
+async function searchIndexedProject(question, k, spinner) {
+  const root = codingProjectRoot();
+  if (!fs.existsSync(projectIndexFile(root, SEARCH_INDEX_FILE))) return null;
+  try {
+    const { hits } = await semanticSearch(root, question, k, spinner);
+    const minScore = config.search?.minScore ?? 0.3;
+    return hits.filter(hit => hit.score >= minScore && hit.text.trim());
+  } catch {
+    return null;
+  }
+}
+
+// Replace the relevant code message for this question with the indexed
+// chunks closest to it (coding mode only)
+async function attachRelevantCode(question, spinner) {
+  messageHistory = messageHistory.filter(msg => !isRelevantCodeMessage(msg));
+  if (!config.codingMode.enabled || config.search?.codingMode === false) return;
+  const text = spinner?.text;
+  const hits = await searchIndexedProject(question, config.search?.codingChunks ?? 5, spinner);
+  if (spinner) spinner.text = text;
+  if (!hits?.length) return;
+  messageHistory.push({
+    role: 'system',
+    content: `RELEVANT CODE: the snippets of ${hits[0].root} closest in meaning to the question.\n\n` +
+      hits.map(hit => `File: ${hit.rel} (lines ${hit.start}-${hit.end})\n${hit.text}`).join('\n\n---\n\n')
+  });
+}
+
+function isRelevantCodeMessage(msg) {
+  return msg.role === 'system' && typeof msg.content === 'string' && msg.content.startsWith('RELEVANT CODE:');
+}
+
+// \search <description> lists the code that best matches it, embedding
+// changed files first; \search status describes the search index
+async function handleSearchCommand(args) {
+  const query = args.trim();
+  const root = codingProjectRoot();
+  if (!query) {
+    console.log(chalk.yellow('Usage: \\search <what the code does>, or \\search status'));
+    return;
+  }
+  if (query.toLowerCase() === 'status') {
+    const file = projectIndexFile(root, SEARCH_INDEX_FILE);
+    if (!fs.existsSync(file)) {
+      console.log(chalk.yellow(`No search index for ${root} yet. Run \\search <query> to build it.`));
+      return;
+    }
+    try {
+      const stats = vectorStoreStats(searchStore(file, root, searchEmbedder().id));
+      console.log(chalk.cyan(`Search index of ${stats.root}: ${stats.files} files, ${stats.chunks} chunks, embedded with ${stats.embedder}`));
+      console.log(chalk.gray(`Updated ${stats.updated ? formatChangeTime(stats.updated) : 'never (built with another embedder; the next search rebuilds it)'}; stored in ${file}`));
+    } catch (error) {
+      console.log(chalk.red(error.message));
+    }
+    return;
+  }
+  
+  const spinner = ora({ text: chalk.blue(`Updating search index for ${root}...`), spinner: 'dots' }).start();
+  try {
+    const { outcome, stats, hits } = await semanticSearch(root, query, config.search?.results ?? 8, spinner);
+    spinner.succeed(chalk.green(`Searched ${stats.chunks} chunks in ${stats.files} files` +
+      (outcome.embedded ? ` (${outcome.embedded} new or changed files embedded)` : '')));
+    if (outcome.limited) {
+      console.log(chalk.yellow(`${outcome.limited} files were left out to stay within search.maxChunks (${config.search?.maxChunks}).`));
+    }
+    if (!hits.length) {
+      console.log(chalk.yellow('Nothing indexed to search.'));
+      return;
+    }
+    for (const hit of hits) {
+      console.log(chalk.cyan(`\n${formatPathForPrint(hit.rel)}:${hit.start}-${hit.end}`) + chalk.gray(`  (${hit.score.toFixed(2)})`));
+      const lines = hit.text.split('\n');
+      lines.slice(0, SEARCH_SNIPPET_LINES).forEach(line => console.log(chalk.gray(`  ${line}`)));
+      if (lines.length > SEARCH_SNIPPET_LINES) console.log(chalk.gray('  ...'));
+    }
+  } catch (error) {
+    spinner.fail(chalk.red(`Search failed: ${error.message}`));
+  }
+}
+
+// Symbol index (see symbolIndex.js), kept next to the project index
+const SYMBOL_INDEX_FILE = 'symbols.json';
+
+// Parse the JavaScript, TypeScript and Python files of root that changed
+// since the last refresh; resolves to the index
+async function refreshSymbolIndex(root) {
+  const file = projectIndexFile(root, SYMBOL_INDEX_FILE);
+  const index = loadSymbolIndex(file, root);
+  const files = (await directoryAnalyzer.listFilesRecursively(root)).filter(listed => languageFor(listed));
+  const outcome = await updateSymbolIndex(index, files, listed => directoryAnalyzer.readFile(listed));
+  if (outcome.changed || !index.updated) saveSymbolIndex(file, index);
+  return index;
+}
+
+function sourceLines(root, rel) {
+  try {
+    return fs.readFileSync(path.join(root, rel), 'utf8').split('\n');
+  } catch {
+    return [];
+  }
+}
+
+// Definitions (with their code) and call sites of the given symbols
+function symbolReport(index, names) {
+  const maxLines = config.symbols?.maxDefinitionLines ?? 60;
+  const sections = names.map(name => {
+    const parts = [`### ${name}`];
+    for (const definition of findDefinitions(index, name).slice(0, 3)) {
+      const end = Math.min(definition.endLine, definition.line + maxLines - 1);
+      const code = sourceLines(index.root, definition.rel).slice(definition.line - 1, end).join('\n');
+      parts.push(`${definition.kind} ${qualifiedName(definition)}${definition.exported ? ' (exported)' : ''}, ` +
+        `${definition.rel}:${definition.line}-${definition.endLine}\n${code}${end < definition.endLine ? '\n... (cut)' : ''}`);
+    }
+    const callers = findCallers(index, name);
+    if (callers.length) {
+      const listed = callers.slice(0, 10).map(call => `${call.rel}:${call.line} (${call.caller || 'top level'})`);
+      parts.push(`Called from: ${listed.join(', ')}${callers.length > 10 ? `, and ${callers.length - 10} more` : ''}`);
+    }
+    return parts.join('\n\n');
+  });
+  return sections.join('\n\n---\n\n');
+}
+
+// Report on the symbols the question names, or null when it names none of
+// the current project's. Only coding-mode chat questions that quote code or
+// call something() are looked up; qa ask and qa serve never parse the project.
+async function namedSymbolReport(question) {
+  if (oneShot || commandName === 'serve' || !config.codingMode.enabled || !mentionsCode(question)) return null;
+  const root = codingProjectRoot();
+  if (!isLikelyProjectDir(root)) return null;
+  try {
+    const index = await refreshSymbolIndex(root);
+    const names = namedSymbols(index, question).slice(0, config.symbols?.contextSymbols ?? 3);
+    return names.length ? symbolReport(index, names) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Replace the symbols message for this question
+async function attachSymbolContext(question) {
+  messageHistory = messageHistory.filter(msg => !isSymbolContextMessage(msg));
+  if (config.symbols?.context === false) return;
+  const report = await namedSymbolReport(question);
+  if (!report) return;
+  messageHistory.push({ role: 'system', content: `SYMBOLS: definitions and callers of the symbols named in the question.\n\n${report}` });
+}
+
+function isSymbolContextMessage(msg) {
+  return msg.role === 'system' && typeof msg.content === 'string' && msg.content.startsWith('SYMBOLS:');
+}
+
+// \outline <file>, \def <symbol>, \refs <symbol> and \callers <function> over
+// the symbol index of the current project, which is refreshed first
+async function handleSymbolCommand(command, args) {
+  const target = args.trim();
+  if (!target) {
+    console.log(chalk.yellow(`Usage: \\${command} <${command === 'outline' ? 'file' : 'symbol'}>`));
+    return;
+  }
+  const root = codingProjectRoot();
+  let index;
+  try {
+    index = await refreshSymbolIndex(root);
+  } catch (error) {
+    console.log(chalk.red(`Error indexing symbols: ${error.message}`));
+    return;
+  }
+  const limit = config.symbols?.maxResults ?? 50;
+  const location = (rel, line) => chalk.cyan(`${formatPathForPrint(rel)}:${line}`);
+  const more = (count) => {
+    if (count > limit) console.log(chalk.gray(`... and ${count - limit} more`));
+  };
+  
+  if (command === 'outline') {
+    const rel = path.relative(root, path.resolve(currentWorkingDirectory, target));
+    const entry = index.files[rel];
+    if (!entry) {
+      console.log(chalk.yellow(`${target} is not a JavaScript, TypeScript or Python file of ${root}`));
+      return;
+    }
+    console.log(chalk.cyan(`\n${formatPathForPrint(rel)} (${entry.language}, ${entry.symbols.length} symbols)`));
+    if (entry.imports.length) console.log(chalk.gray(`Imports: ${[...new Set(entry.imports.map(item => item.source))].join(', ')}`));
+    if (entry.exports.length) console.log(chalk.gray(`Exports: ${entry.exports.join(', ')}`));
+    // Nested under the closest enclosing symbol; object keys in between stay in the name
+    const defined = new Set(entry.symbols.map(qualifiedName));
+    for (const symbol of entry.symbols) {
+      const parts = symbol.container ? symbol.container.split('.') : [];
+      const ancestors = parts.map((part, i) => parts.slice(0, i + 1).join('.')).filter(prefix => defined.has(prefix));
+      const parent = ancestors[ancestors.length - 1];
+      const label = parent ? qualifiedName(symbol).slice(parent.length + 1) : qualifiedName(symbol);
+      console.log(`${'  '.repeat(ancestors.length + 1)}${chalk.yellow(symbol.kind)} ${label}` +
+        `${symbol.exported ? chalk.green(' (exported)') : ''} ${chalk.gray(`${symbol.line}-${symbol.endLine}`)}`);
+    }
+    return;
+  }
+  
+  if (command === 'def') {
+    const found = findDefinitions(index, target);
+    if (!found.length) {
+      console.log(chalk.yellow(`No definition of ${target} in ${root}`));
+      return;
+    }
+    for (const definition of found.slice(0, limit)) {
+      console.log(`${location(definition.rel, definition.line)} ${chalk.yellow(definition.kind)} ${qualifiedName(definition)}` +
+        `${definition.exported ? chalk.green(' (exported)') : ''}`);
+      console.log(chalk.gray(`  ${definition.signature}`));
+    }
+    more(found.length);
+    return;
+  }
+  
+  const found = command === 'refs' ? findReferences(index, target) : findCallers(index, target);
+  if (!found.length) {
+    console.log(chalk.yellow(`No ${command === 'refs' ? 'references to' : 'calls of'} ${target} in ${root}`));
+    return;
+  }
+  const files = new Map();
+  for (const item of found.slice(0, limit)) {
+    if (!files.has(item.rel)) files.set(item.rel, sourceLines(root, item.rel));
+    const text = (files.get(item.rel)[item.line - 1] || '').trim().slice(0, 120);
+    const caller = command === 'callers' ? ` ${chalk.white(`in ${item.caller || '(top level)'}`)}` : '';
+    console.log(`${location(item.rel, item.line)}${caller}  ${chalk.gray(text)}`);
+  }
+  more(found.length);
+  const inFiles = new Set(found.map(item => item.rel)).size;
+  console.log(chalk.gray(`${found.length} ${command === 'refs' ? 'references' : 'call sites'} in ${inFiles} file${inFiles === 1 ? '' : 's'}`));
+}
+
+// Git commands (see git.js). They work on the repository around the current
+// directory and send what they gather through askAI, so the answers land in
+// the conversation like any other.
+function cutText(text, maxChars, what) {
+  if (text.length <= maxChars) return text;
+  return `${text.slice(0, maxChars)}\n... (${what} cut at ${maxChars} characters)`;
+}
+
+async function currentRepoRoot() {
+  const root = await repoRoot(currentWorkingDirectory);
+  if (!root) console.log(chalk.yellow(`${formatPathForPrint(currentWorkingDirectory)} is not inside a git repository.`));
+  return root;
+}
+
+// Show an answer from a git command the way \review does
+async function showCommandAnswer(response) {
+  if (!response.match(/(\{\{agent:(fs|exec):(.+?)\}\}|\(Executed: (.+?)\))/g)) {
+    await displayAIResponse(response);
+  }
+}
+
+// \diff [staged|unstaged] [path...] asks for a review of the working tree
+// changes. The diff lines carry their new-file line numbers so findings can
+// name file:line.
+async function handleDiffCommand(args) {
+  const root = await currentRepoRoot();
+  if (!root) return;
+  const words = args.trim().split(/\s+/).filter(Boolean);
+  const which = /^(staged|unstaged)$/i.test(words[0] || '') ? words.shift().toLowerCase() : 'all';
+  const paths = words.map(word => path.relative(root, path.resolve(currentWorkingDirectory, word)) || '.');
+  
+  let changes;
+  try {
+    changes = await workingTreeChanges(root, paths);
+  } catch (error) {
+    console.log(chalk.red(`git diff failed: ${error.message}`));
+    return;
+  }
+  const staged = which === 'unstaged' ? '' : changes.staged;
+  const unstaged = which === 'staged' ? '' : changes.unstaged;
+  if (!staged.trim() && !unstaged.trim()) {
+    console.log(chalk.yellow(`No ${which === 'all' ? '' : `${which} `}changes to review.`));
+    return;
+  }
+  
+  const sections = [];
+  if (staged.trim()) sections.push(`STAGED CHANGES:\n${numberDiff(staged)}`);
+  if (unstaged.trim()) sections.push(`UNSTAGED CHANGES:\n${numberDiff(unstaged)}`);
+  if (which !== 'staged' && changes.untracked.length) {
+    sections.push(`Untracked files (not in the diff): ${changes.untracked.join(', ')}`);
+  }
+  const files = new Set([...diffFiles(staged), ...diffFiles(unstaged)]);
+  console.log(chalk.blue(`Reviewing changes to ${files.size} file${files.size === 1 ? '' : 's'} in ${formatPathForPrint(root)}`));
+  
+  const prompt = `Review these uncommitted changes to the git repository at ${root}. ` +
+    'Added and unchanged lines are prefixed with their line number in the new version of the file.\n\n' +
+    'List your findings from most to least serious. Start each one with its location as path:line (the new-file line number), ' +
+    'then a severity (bug, risk, style or nit), the problem and a concrete fix. Only comment on the changed lines. ' +
+    'If nothing needs changing, say so, and finish with a one-line verdict.\n\n' +
+    cutText(sections.join('\n\n'), config.git?.maxDiffChars ?? 60000, 'diff');
+  await showCommandAnswer(await askAI(prompt, { command: true }));
+}
+
+// \commitmsg drafts a message for the staged changes and commits with it
+// once the user accepts it, optionally after editing it
+async function handleCommitMessageCommand() {
+  const root = await currentRepoRoot();
+  if (!root) return;
+  let staged;
+  try {
+    staged = (await workingTreeChanges(root)).staged;
+  } catch (error) {
+    console.log(chalk.red(`git diff failed: ${error.message}`));
+    return;
+  }
+  if (!staged.trim()) {
+    console.log(chalk.yellow('Nothing is staged. Stage changes with git add first.'));
+    return;
+  }
+  
+  const subjects = await recentSubjects(root);
+  const prompt = 'Write a git commit message for the staged changes below. ' +
+    'Use a subject line of at most 72 characters in the imperative mood, then a blank line and a short body saying what changed and why, wrapped at 72 columns. ' +
+    'Leave the body out for a trivial change. Reply with the commit message only, without code fences or commentary.' +
+    (subjects.length ? `\n\nMatch the style of the repository's recent subjects:\n${subjects.map(subject => `- ${subject}`).join('\n')}` : '') +
+    `\n\nSTAGED DIFF:\n${cutText(staged, config.git?.maxDiffChars ?? 60000, 'diff')}`;
+  const response = await askAI(prompt, { command: true });
+  await displayAIResponse(response);
+  let message = response.trim().replace(/^```\w*\n([\s\S]*?)\n```$/, '$1').trim();
+  if (!message) return;
+  
+  const { action } = await inquirer.prompt([{
+    type: 'list',
+    name: 'action',
+    message: 'Commit the staged changes with this message?',
+    choices: [
+      { name: 'Commit', value: 'commit' },
+      { name: 'Edit, then commit', value: 'edit' },
+      { name: 'Cancel', value: 'cancel' }
+    ],
+    default: 'commit'
+  }]);
+  if (action === 'cancel') return;
+  if (action === 'edit') {
+    const { edited } = await inquirer.prompt([{ type: 'editor', name: 'edited', message: 'Commit message', default: message }]);
+    message = edited.trim();
+    if (!message) {
+      console.log(chalk.yellow('Empty message; nothing committed.'));
+      return;
+    }
+  }
+  try {
+    const summary = await commitStaged(root, message);
+    console.log(chalk.green(`✓ ${summary}`));
+    messageHistory.push({ role: 'assistant', content: `Committed the staged changes: ${summary}` });
+  } catch (error) {
+    console.log(chalk.red(`git commit failed: ${error.message}`));
+  }
+}
+
+// \explain <file>:<line>[-<end>] explains code from its blame and the
+// history of those lines (git log -L) as well as the code around them
+async function handleExplainCommand(args) {
+  const target = args.trim().match(/^(.+?):(\d+)(?:-(\d+))?$/);
+  if (!target) {
+    console.log(chalk.yellow('Usage: \\explain <file>:<line> or \\explain <file>:<start>-<end>'));
+    return;
+  }
+  const root = await currentRepoRoot();
+  if (!root) return;
+  const file = path.resolve(currentWorkingDirectory, target[1]);
+  const rel = path.relative(root, file);
+  const lines = sourceLines(root, rel);
+  if (!lines.length || rel.startsWith('..')) {
+    console.log(chalk.yellow(`${target[1]} is not a readable file of ${formatPathForPrint(root)}`));
+    return;
+  }
+  if (lines[lines.length - 1] === '') lines.pop();
+  const start = Math.min(Number(target[2]), lines.length);
+  const end = Math.min(Math.max(Number(target[3] || target[2]), start), lines.length);
+  if (start < 1) {
+    console.log(chalk.yellow('Line numbers start at 1.'));
+    return;
+  }
+  
+  const settings = config.git || {};
+  const around = (context) => [Math.max(1, start - context), Math.min(lines.length, end + context)];
+  const [codeFrom, codeTo] = around(settings.codeContext ?? 20);
+  const [blameFrom, blameTo] = around(settings.blameContext ?? 5);
+  let blame;
+  let history;
+  try {
+    blame = await blameLines(root, rel, blameFrom, blameTo);
+    history = await lineHistory(root, rel, start, end, settings.historyCommits ?? 5).catch(() => '');
+  } catch (error) {
+    console.log(chalk.red(`git blame failed: ${error.message}`));
+    return;
+  }
+  
+  const range = start === end ? `line ${start}` : `lines ${start}-${end}`;
+  const code = lines.slice(codeFrom - 1, codeTo)
+    .map((text, i) => `${String(codeFrom + i).padStart(5)}${codeFrom + i >= start && codeFrom + i <= end ? ' >' : '  '} ${text}`)
+    .join('\n');
+  const blameText = blame.map(item => item.commit
+    ? `${String(item.line).padStart(5)} ${item.commit} ${item.date} ${item.author}: ${item.summary}`
+    : `${String(item.line).padStart(5)} (not committed yet)`).join('\n');
+  console.log(chalk.blue(`Explaining ${formatPathForPrint(rel)}:${start === end ? start : `${start}-${end}`} from ${new Set(blame.map(item => item.commit).filter(Boolean)).size} commit(s) of blame`));
+  
+  const prompt = `Explain ${range} of ${rel} in the git repository at ${root}: what the code does, and why it looks the way it does, ` +
+    'using the blame and the history of those lines. Name the commits that shaped it and point out anything the history suggests is fragile or unfinished.\n\n' +
+    `CODE (${range} marked with >):\n${code}\n\n` +
+    `BLAME (line, commit, date, author: commit subject):\n${blameText}\n\n` +
+    `HISTORY OF ${range.toUpperCase()} (git log -L, newest first):\n` +
+    (history.trim() ? cutText(history.trim(), settings.maxHistoryChars ?? 12000, 'history') : '(no commits yet)');
+  await showCommandAnswer(await askAI(prompt, { command: true }));
+}
+
+function projectContextFilePath() {
+  return path.join(codingContextDir(), config.codingMode.projectContextFile);
+}
+
+// Reload coding context when the working directory moved into another project
+function syncCodingContext() {
+  if (!config.codingMode.enabled || codingContextDir() === loadedCodingContextDir) return;
+  initializeCodingMode();
+}
+
 function initializeCodingMode() {
-  if (!quietStart) console.log(chalk.blue(`Initializing coding mode in ${__dirname}`));
+  const contextDir = codingContextDir();
+  if (!quietStart) console.log(chalk.blue(`Initializing coding mode in ${contextDir}`));
+  loadedCodingContextDir = contextDir;
+  try {
+    fs.mkdirSync(contextDir, { recursive: true });
+  } catch (error) {
+    console.error(chalk.red(`Error creating context directory: ${error.message}`));
+  }
   
   // Set up project context file (ai.md)
-  const projectContextPath = path.join(__dirname, config.codingMode.projectContextFile);
+  const projectContextPath = projectContextFilePath();
+  const projectName = path.basename(contextDir === __dirname ? __dirname : path.dirname(contextDir));
   if (!fs.existsSync(projectContextPath)) {
     try {
-      fs.writeFileSync(projectContextPath, `# Project Context for ${path.basename(__dirname)}\n\n` +
+      fs.writeFileSync(projectContextPath, `# Project Context for ${projectName}\n\n` +
         `## Overview\n\nThis file contains important project information for AI assistance.\n\n` +
         `## Features\n\n` +
         `## Code Style and Conventions\n\n` +
@@ -4390,26 +5726,26 @@ function initializeCodingMode() {
         `## Dependencies\n\n` +
         `## Configuration\n\n` +
         `## Notes\n\n`);
-      console.log(chalk.green(`✓ Created project context file at ${projectContextPath}`));
+      if (!plainOutput) console.log(chalk.green(`✓ Created project context file at ${projectContextPath}`));
     } catch (error) {
       console.error(chalk.red(`Error creating project context file: ${error.message}`));
     }
   } else {
-    console.log(chalk.green(`✓ Using existing project context file at ${projectContextPath}`));
+    if (!plainOutput) console.log(chalk.green(`✓ Using existing project context file at ${projectContextPath}`));
   }
   
-  // Set up current conversation file (current.md)
-  const currentContextPath = path.join(__dirname, config.codingMode.currentContextFile);
+  // Set up the conversation file for this session
+  const currentContextPath = conversationFilePath();
   if (!fs.existsSync(currentContextPath)) {
     try {
       fs.writeFileSync(currentContextPath, `# Current Conversation\n\n` +
         `Started: ${new Date().toISOString()}\n\n`);
-      console.log(chalk.green(`✓ Created current conversation file at ${currentContextPath}`));
+      if (!plainOutput) console.log(chalk.green(`✓ Created current conversation file at ${currentContextPath}`));
     } catch (error) {
       console.error(chalk.red(`Error creating current conversation file: ${error.message}`));
     }
   } else {
-    console.log(chalk.green(`✓ Using existing current conversation file at ${currentContextPath}`));
+    if (!plainOutput) console.log(chalk.green(`✓ Using existing current conversation file at ${currentContextPath}`));
   }
   
   // Load project context into memory
@@ -4417,7 +5753,10 @@ function initializeCodingMode() {
 }
 
 function loadProjectContext() {
-  const projectContextPath = path.join(__dirname, config.codingMode.projectContextFile);
+  const projectContextPath = projectContextFilePath();
+  
+  // Remove context loaded earlier, possibly from another project
+  messageHistory = messageHistory.filter(msg => !isContextMessage(msg));
   
   try {
     if (fs.existsSync(projectContextPath)) {
@@ -4429,11 +5768,6 @@ function loadProjectContext() {
         content: `PROJECT CONTEXT:\n\n${contextContent}\n\nUse this information to provide better assistance for this project.`
       };
       
-      // Remove any existing project context message
-      messageHistory = messageHistory.filter(msg => 
-        !(msg.role === 'system' && msg.content.startsWith('PROJECT CONTEXT:'))
-      );
-      
       // Add the project context at the beginning
       messageHistory.unshift(projectContextMsg);
       
@@ -4448,7 +5782,7 @@ function loadProjectContext() {
 }
 
 function loadCurrentConversation() {
-  const currentContextPath = path.join(__dirname, config.codingMode.currentContextFile);
+  const currentContextPath = conversationFilePath();
   
   try {
     if (fs.existsSync(currentContextPath)) {
@@ -4482,7 +5816,7 @@ function loadCurrentConversation() {
 function updateConversationFile(question, answer) {
   if (!config.codingMode.enabled) return;
   
-  const currentContextPath = path.join(__dirname, config.codingMode.currentContextFile);
+  const currentContextPath = conversationFilePath();
   
   try {
     // Add the latest Q&A to the conversation file
@@ -4494,7 +5828,8 @@ function updateConversationFile(question, answer) {
     // Append the new conversation
     content += `\n## User\n${question}\n\n## Assistant\n${answer}\n\n`;
     
-    // Write back to file
+    // Write back to file (a project's .qaterm/ is created on first use)
+    fs.mkdirSync(path.dirname(currentContextPath), { recursive: true });
     fs.writeFileSync(currentContextPath, content);
   } catch (error) {
     console.error(chalk.red(`Error updating conversation file: ${error.message}`));
@@ -4507,7 +5842,7 @@ async function compactConversation() {
     return;
   }
   
-  const currentContextPath = path.join(__dirname, config.codingMode.currentContextFile);
+  const currentContextPath = conversationFilePath();
   
   if (!fs.existsSync(currentContextPath)) {
     console.log(chalk.yellow('No conversation file found to compact.'));
@@ -4538,71 +5873,18 @@ ${conversationContent}`;
 
     // Get AI response based on current provider
     let summary = '';
-    
-    switch (config.currentProvider) {
-      case 'openai':
-        if (!openai) {
-          spinner.fail(chalk.red('OpenAI API key not set or invalid.'));
-          return;
-        }
-        const openaiResponse = await openai.chat.completions.create({
-          model: config.models.openai,
-          messages: [
-            { role: 'system', content: 'You are an expert at summarizing coding conversations, retaining only the essential information needed for future context.' },
-            { role: 'user', content: summaryPrompt }
-          ],
-          ...(!(config.models.openai && typeof config.models.openai === 'string' && config.models.openai.startsWith('gpt-5')) ? { temperature: 0.3 } : {}),
-        });
-        summary = openaiResponse.choices[0].message.content;
-        break;
-        
-      case 'anthropic':
-        if (!anthropic) {
-          spinner.fail(chalk.red('Anthropic API key not set or invalid.'));
-          return;
-        }
-        const anthropicResponse = await anthropic.messages.create({
-          model: config.models.anthropic,
-          messages: [
-            { role: 'system', content: 'You are an expert at summarizing coding conversations, retaining only the essential information needed for future context.' },
-            { role: 'user', content: summaryPrompt }
-          ],
-          max_tokens: 4000,
-          temperature: 0.3,
-        });
-        summary = anthropicResponse.content[0].text;
-        break;
-        
-      case 'google':
-        if (!genAI) {
-          spinner.fail(chalk.red('Google API key not set or invalid.'));
-          return;
-        }
-        const systemPrompt = 'You are an expert at summarizing coding conversations, retaining only the essential information needed for future context.';
-        const googleMessages = [systemPrompt, summaryPrompt].join('\n\n');
-        const googleModel = genAI.getGenerativeModel({ model: config.models.google });
-        const googleResponse = await googleModel.generateContent(googleMessages);
-        summary = googleResponse.response.text();
-        break;
-        
-      case 'openrouter':
-        if (!openRouter) throw new Error('OpenRouter API key not configured');
-        
-        const openRouterResponse = await openRouter.chat.completions.create({
-          model: conductor.model,
-          messages: [
-            { role: 'system', content: 'You are an expert at synthesizing information from multiple sources into coherent summaries.' },
-            { role: 'user', content: summaryPrompt }
-          ],
-          temperature: 0.3,
-        });
-        
-        summary = openRouterResponse.choices[0].message.content;
-        break;
-        
-      default:
-        spinner.fail(chalk.red('Unknown provider for conversation compaction.'));
-        return;
+    try {
+      summary = await complete({
+        provider: config.currentProvider,
+        model: config.models[config.currentProvider],
+        system: 'You are an expert at summarizing coding conversations, retaining only the essential information needed for future context.',
+        messages: [{ role: 'user', content: summaryPrompt }],
+        maxTokens: 4000,
+        temperature: 0.3
+      });
+    } catch (error) {
+      spinner.fail(chalk.red(error.message));
+      return;
     }
     
     // Write the summary back to the file with a header
@@ -4629,7 +5911,7 @@ ${conversationContent}`;
 function updateProjectContext(newFeature) {
   if (!config.codingMode.enabled) return;
   
-  const projectContextPath = path.join(__dirname, config.codingMode.projectContextFile);
+  const projectContextPath = projectContextFilePath();
   
   try {
     if (fs.existsSync(projectContextPath)) {
@@ -4655,9 +5937,623 @@ function updateProjectContext(newFeature) {
       
       console.log(chalk.green(`✓ Added new feature to project context: ${newFeature}`));
     }
-  } catch (error) {
-    console.error(chalk.red(`Error updating project context: ${error.message}`));
-  }
+  } catch (error) {
+    console.error(chalk.red(`Error updating project context: ${error.message}`));
+  }
+}
+
+// The chat mode that is on, or null
+function activeMode() {
+  return config.mode ? modes[config.mode] || null : null;
+}
+
+function describeMode(mode) {
+  return mode.description ? `${mode.name} - ${mode.description}` : mode.name;
+}
+
+// The mode a chat toggle such as \fa stands for, or null
+function modeForAlias(alias) {
+  const key = alias.toLowerCase();
+  return Object.values(modes).find(mode => mode.aliases.some(item => item.toLowerCase() === key)) || null;
+}
+
+// \mode with no name: each mode, its toggles and the file it comes from
+function showModes() {
+  const list = Object.values(modes);
+  if (!list.length) {
+    console.log(chalk.yellow(`No modes found. Add a mode file to ${formatPathForPrint(path.join(path.dirname(userConfigFile()), 'modes'))}.`));
+    return;
+  }
+  console.log(chalk.cyan('Modes (\\mode <name> or a toggle to switch, \\mode off to leave one):'));
+  for (const mode of list) {
+    const marker = mode.name === config.mode ? chalk.green('*') : ' ';
+    const toggles = mode.aliases.map(alias => `\\${alias}`).join(', ');
+    const details = [mode.description, toggles && chalk.yellow(toggles), chalk.gray(formatPathForPrint(mode.file))].filter(Boolean);
+    console.log(`${marker} ${chalk.bold(mode.name)}  ${details.join('  ')}`);
+  }
+}
+
+// Turn mode on, switching to the settings it lists, or the active mode off
+// when mode is null
+function switchMode(mode) {
+  if (!mode) {
+    const previous = activeMode();
+    config.mode = '';
+    console.log(chalk.yellow(previous ? `${previous.name} mode off.` : 'No mode was on.'));
+    return;
+  }
+  for (const keyPath of leafPaths(mode.settings)) setPath(config, keyPath, structuredClone(getPath(mode.settings, keyPath)));
+  config.mode = mode.name;
+  if (config.agentic.enabled && !taskManager) taskManager = createChatTaskManager();
+  console.log(chalk.green(`✓ ${mode.name} mode on${mode.description ? ` - ${mode.description}` : ''}`));
+}
+
+// Modes a profile switch reports as on
+const PROFILE_MODE_NAMES = {
+  agentMode: 'agent routing', reasoningMode: 'reasoning', codingMode: 'coding', agentic: 'agentic', directMode: 'direct'
+};
+
+// \profile with no name: the profiles and the settings each one sets
+function showProfiles() {
+  const names = Object.keys(config.profiles);
+  if (!names.length) {
+    console.log(chalk.yellow('No profiles yet. Define them under "profiles" in ~/.config/qaterm/config.json, e.g.'));
+    console.log(chalk.gray('  qa config set profiles.fast-local \'{"currentProvider":"local","reasoningMode":{"enabled":false}}\''));
+    return;
+  }
+  console.log(chalk.cyan('Profiles (\\profile <name> to switch, \\profile off to stop using one):'));
+  for (const name of names) {
+    const profile = config.profiles[name];
+    const settings = leafPaths(profile).map(keyPath => {
+      const value = formatSetting(keyPath, getPath(profile, keyPath), true);
+      return `${keyPath}=${value.length > 40 ? `${value.slice(0, 40)}...` : value}`;
+    });
+    const marker = name === config.profile ? chalk.green('*') : ' ';
+    console.log(`${marker} ${chalk.bold(name)}  ${chalk.gray(settings.join(', '))}`);
+  }
+}
+
+// \profile <name> | off. The config is read again with that profile, so
+// toggles made in chat and not saved give way to it.
+function switchProfile(name) {
+  if (!name) {
+    showProfiles();
+    return;
+  }
+  const off = name.toLowerCase() === 'off';
+  if (!off && !config.profiles[name]) {
+    console.log(chalk.red(`Cannot switch: ${unknownProfileMessage(name, config.profiles)}`));
+    return;
+  }
+  loadConfig(configCliSettings, { profile: off ? '' : name });
+  if (config.agentic.enabled && !taskManager) taskManager = createChatTaskManager();
+  
+  const on = Object.entries(PROFILE_MODE_NAMES).filter(([key]) => config[key].enabled).map(([, label]) => label);
+  if (config.mode) on.unshift(`${config.mode} mode`);
+  const summary = `${config.currentProvider}/${config.models[config.currentProvider]}${on.length ? `, ${on.join(', ')}` : ''}`;
+  console.log(chalk.green(off ? `✓ No profile (${summary})` : `✓ Profile "${name}" (${summary})`));
+  if (!isProviderAvailable(config.currentProvider)) {
+    console.log(chalk.yellow(`Provider ${config.currentProvider} is not configured; set ${providers[config.currentProvider]?.envKey || 'its base URL'} or switch again.`));
+  }
+}
+
+// Named sessions: the conversation, provider/model, mode flags and cwd are
+// saved after every answer so a closed terminal can be picked up with \resume
+const SESSION_MODE_KEYS = [
+  'agentMode', 'reasoningMode', 'codingMode', 'agentic', 'smartMode', 'directMode'
+];
+
+function openSessions() {
+  initSessions(path.resolve(installDir, config.sessions?.dir || 'sessions'));
+}
+
+function startNewSession() {
+  const stamp = formatChangeTime(Date.now()).replace(/[: ]/g, '-');
+  let name = `session-${stamp}`;
+  for (let n = 2; sessionExists(name); n++) name = `session-${stamp}-${n}`;
+  activeSession = { name, named: false, created: Date.now() };
+}
+
+// Inside a project the running conversation is the project's .qaterm/current.md.
+// Elsewhere it is kept per session, and the install-dir current.md is only used
+// when nothing is being saved.
+function conversationFilePath() {
+  const projectDir = projectContextDir();
+  if (projectDir) return path.join(projectDir, config.codingMode.currentContextFile);
+  if (activeSession && (activeSession.named || config.sessions?.autosave !== false)) {
+    return sessionContextFile(activeSession.name);
+  }
+  return path.join(__dirname, config.codingMode.currentContextFile);
+}
+
+// Project and coding-context messages are rebuilt on load, so they are not saved
+function isContextMessage(msg) {
+  return msg.role === 'system' && typeof msg.content === 'string' &&
+    (msg.content.startsWith('PROJECT CONTEXT:') || msg.content.startsWith('PREVIOUS CONVERSATION CONTEXT:') ||
+      isProjectFilesMessage(msg) || isRelevantCodeMessage(msg) || isSymbolContextMessage(msg));
+}
+
+function sessionModes() {
+  const modes = { agent: !!config.agent.enabled };
+  for (const key of SESSION_MODE_KEYS) {
+    if (config[key]) modes[key] = !!config[key].enabled;
+  }
+  if (config.directMode) modes.skipReasoning = !!config.directMode.skipReasoning;
+  modes.mode = config.mode;
+  return modes;
+}
+
+// Sessions saved by older versions name the chat mode by its own flag
+function applySessionModes(saved = {}) {
+  for (const [key, enabled] of Object.entries(saved)) {
+    if (key === 'agent') config.agent.enabled = enabled;
+    else if (key === 'skipReasoning') { if (config.directMode) config.directMode.skipReasoning = enabled; }
+    else if (key === 'mode') config.mode = findMode(modes, enabled)?.name || '';
+    else if (LEGACY_MODE_KEYS[key]) { if (enabled && findMode(modes, LEGACY_MODE_KEYS[key])) config.mode = LEGACY_MODE_KEYS[key]; }
+    else if (config[key]) config[key].enabled = enabled;
+  }
+}
+
+function persistSession() {
+  if (!activeSession) return;
+  if (!activeSession.named && config.sessions?.autosave === false) return;
+  const messages = messageHistory.filter(msg => !isContextMessage(msg));
+  if (!messages.length && !sessionExists(activeSession.name)) return;
+  try {
+    const { name, named, created, forkedFrom } = saveSession({
+      ...activeSession,
+      provider: config.currentProvider,
+      model: config.models[config.currentProvider],
+      modes: sessionModes(),
+      cwd: currentWorkingDirectory,
+      messages,
+      transcript: sessionTranscript,
+      lastResponse: lastAIResponse
+    });
+    activeSession = { name, named, created, forkedFrom };
+    if (!named) pruneUnnamedSessions(config.sessions?.keepUnnamed ?? 30, name);
+  } catch (error) {
+    console.error(chalk.red(`Error saving session: ${error.message}`));
+  }
+}
+
+function applySession(session) {
+  messageHistory = session.messages || [];
+  sessionTranscript = session.transcript || [];
+  lastAIResponse = session.lastResponse || '';
+  if (session.provider && providers[session.provider]) {
+    config.currentProvider = session.provider;
+    if (session.model) config.models[session.provider] = session.model;
+  }
+  applySessionModes(session.modes);
+  activeSession = { name: session.name, named: !!session.named, created: session.created, forkedFrom: session.forkedFrom };
+  if (session.cwd) {
+    if (fs.existsSync(session.cwd)) changeWorkingDirectory(session.cwd);
+    else console.log(chalk.yellow(`Session directory no longer exists: ${session.cwd}`));
+  }
+}
+
+async function pickSession(message) {
+  const sessions = listSessions();
+  if (!sessions.length) {
+    console.log(chalk.yellow('No saved sessions.'));
+    return null;
+  }
+  const { name } = await inquirer.prompt([{
+    type: 'list',
+    name: 'name',
+    message,
+    choices: sessions.map(session => ({
+      name: `${session.name}  ${chalk.gray(`${formatChangeTime(session.updated)}, ${session.messageCount} messages`)}`,
+      value: session.name
+    }))
+  }]);
+  return name;
+}
+
+// \resume [name]. Startup passes reloadContext=false because coding mode is
+// initialized afterwards anyway.
+async function resumeSession(name, { reloadContext = true } = {}) {
+  if (!name) name = await pickSession('Resume which session?');
+  if (!name) return false;
+  const session = loadSession(name);
+  if (!session) {
+    console.log(chalk.red(`Session "${name}" not found. Use \\sessions to list saved sessions.`));
+    return false;
+  }
+  if (activeSession?.name !== name) persistSession();
+  applySession(session);
+  if (reloadContext && config.codingMode.enabled) initializeCodingMode();
+  console.log(chalk.green(`✓ Resumed session "${name}" (${messageHistory.length} messages, ${config.currentProvider}/${config.models[config.currentProvider]})`));
+  return true;
+}
+
+// \sessions
+function showSessions() {
+  const sessions = listSessions();
+  if (!sessions.length) {
+    console.log(chalk.yellow('No saved sessions.'));
+    return;
+  }
+  console.log(chalk.cyan('Saved sessions (most recent first; \\resume <name> to continue one):'));
+  for (const session of sessions) {
+    const marker = session.name === activeSession?.name ? chalk.green('*') : ' ';
+    const label = session.named ? session.name : chalk.gray(`${session.name} (auto)`);
+    console.log(`${marker} ${label}  ${formatChangeTime(session.updated)}  ${session.messageCount} messages  ${session.provider}/${session.model}  ${session.cwd || ''}`);
+  }
+}
+
+// \save [name]: name the current session, or save a copy under a new name
+// and continue in it
+function saveCurrentSession(name) {
+  if (!activeSession) startNewSession();
+  if (name && !isValidSessionName(name)) {
+    console.log(chalk.red(`Invalid session name "${name}" (use letters, digits, ".", "_" or "-")`));
+    return;
+  }
+  if (!name || name === activeSession.name) {
+    activeSession.named = true;
+    persistSession();
+    console.log(chalk.green(`✓ Saved session "${activeSession.name}"`));
+    return;
+  }
+  if (sessionExists(name)) {
+    console.log(chalk.red(`Session "${name}" already exists. Delete it first or pick another name.`));
+    return;
+  }
+  const previous = activeSession;
+  persistSession();
+  const result = sessionExists(previous.name)
+    ? (previous.named ? forkSession(previous.name, name) : renameSession(previous.name, name))
+    : null;
+  if (result && !result.success) {
+    console.log(chalk.red(result.message));
+    return;
+  }
+  // Nothing saved yet, but coding mode may already have started a context file
+  if (!result && fs.existsSync(sessionContextFile(previous.name))) {
+    fs.renameSync(sessionContextFile(previous.name), sessionContextFile(name));
+  }
+  activeSession = { name, named: true, created: result ? result.data.created : Date.now() };
+  persistSession();
+  console.log(chalk.green(`✓ Saved session "${name}"`));
+}
+
+// \session rename|fork|delete ...
+async function handleSessionCommand(args) {
+  const [action, ...rest] = args.trim().split(/\s+/).filter(Boolean);
+  const current = activeSession?.name;
+  if (action === 'rename' && rest.length) {
+    const [from, to] = rest.length > 1 ? rest : [current, rest[0]];
+    if (from === current) persistSession();
+    const result = renameSession(from, to);
+    if (!result.success) {
+      console.log(chalk.red(result.message));
+      return;
+    }
+    if (from === current) activeSession = { ...activeSession, name: to, named: true };
+    console.log(chalk.green(`✓ Renamed session "${from}" to "${to}"`));
+  } else if (action === 'fork' && rest.length) {
+    const [from, to] = rest.length > 1 ? rest : [current, rest[0]];
+    if (from === current) persistSession();
+    const result = forkSession(from, to);
+    if (!result.success) {
+      console.log(chalk.red(result.message));
+      return;
+    }
+    console.log(chalk.green(`✓ Forked session "${from}" into "${to}"`));
+    await resumeSession(to);
+  } else if (action === 'delete' && rest.length === 1) {
+    const { confirmed } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirmed',
+      message: `Delete session "${rest[0]}"?`,
+      default: false
+    }]);
+    if (!confirmed) return;
+    const result = deleteSession(rest[0]);
+    if (!result.success) {
+      console.log(chalk.red(result.message));
+      return;
+    }
+    // Deleting the open session leaves the conversation unsaved until the next answer
+    if (rest[0] === current) startNewSession();
+    console.log(chalk.green(`✓ Deleted session "${rest[0]}"`));
+  } else {
+    console.log(chalk.yellow('Usage: \\session rename [name] <new-name> | \\session fork [name] <new-name> | \\session delete <name>'));
+  }
+}
+
+// Saved task records, newest last
+function readTaskHistory() {
+  if (taskManager) return taskManager.taskHistory;
+  try {
+    return JSON.parse(fs.readFileSync(getTaskHistoryPath(), 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+// Look up a saved task by id or unique id prefix
+function findTaskRecord(idPrefix) {
+  const matches = readTaskHistory().filter(record => record.id.startsWith(idPrefix));
+  if (!idPrefix || !matches.length) {
+    console.log(chalk.red(`No task matches "${idPrefix || ''}". Use \\tasks to list past tasks.`));
+    return null;
+  }
+  if (matches.length > 1) {
+    console.log(chalk.yellow(`"${idPrefix}" matches ${matches.length} tasks; use more of the id.`));
+    return null;
+  }
+  return matches[0];
+}
+
+// \tasks [status] [words]: past tasks, newest first. A word naming a status
+// filters on it; other words must all appear in the description.
+function listTasks(filter = '') {
+  const statuses = new Set(readTaskHistory().map(record => record.status));
+  const words = filter.toLowerCase().split(/\s+/).filter(Boolean);
+  const status = words.find(word => statuses.has(word));
+  const terms = words.filter(word => word !== status);
+  const records = readTaskHistory()
+    .filter(record => !status || record.status === status)
+    .filter(record => terms.every(term => String(record.description || '').toLowerCase().includes(term)))
+    .slice(-20)
+    .reverse();
+  if (!records.length) {
+    console.log(chalk.yellow(filter ? 'No tasks match that filter.' : 'No tasks recorded yet.'));
+    return;
+  }
+  console.log(chalk.cyan('Past tasks (most recent first; \\task show <id> for details):'));
+  for (const record of records) {
+    const agents = record.agents ? `${record.agents.length} agent(s)` : 'no details saved';
+    const cost = record.usage ? `  $${record.usage.cost.toFixed(4)}` : '';
+    console.log(`${chalk.bold(record.id.slice(0, 8))}  ${formatChangeTime(record.created)}  ${record.status.padEnd(10)}  ${truncateLabel(record.description)}  ${chalk.gray(agents + cost)}`);
+  }
+}
+
+// \task show <id>: replay a saved task
+function showTaskRecord(record) {
+  console.log(chalk.cyan.bold(`Task ${record.id}`));
+  console.log(chalk.cyan(`Description: ${record.description}`));
+  console.log(chalk.cyan(`Status: ${record.status}${record.error ? chalk.red(` (${record.error})`) : ''}`));
+  console.log(chalk.cyan(`Created: ${new Date(record.created).toLocaleString()}${record.completed ? `, completed: ${new Date(record.completed).toLocaleString()}` : ''}`));
+  if (record.rerunOf) console.log(chalk.gray(`Rerun of ${record.rerunOf}`));
+  if (record.conductor) console.log(chalk.cyan(`Conductor: ${record.conductor.provider}/${record.conductor.model}`));
+  if (record.usage) console.log(chalk.cyan(`Usage: ${formatUsageTotals(record.usage)}`));
+  if (!record.plan) {
+    console.log(chalk.yellow('No plan was saved for this task.'));
+    return;
+  }
+  console.log(chalk.cyan('\nPlan:'));
+  if (record.plan.analysis) console.log(record.plan.analysis);
+  if (record.plan.workflow) console.log(chalk.gray(`Workflow: ${record.plan.workflow}`));
+  for (const agent of record.agents || []) {
+    console.log(chalk.yellow(`\n${agent.role} (${agent.type}) - ${agent.provider}/${agent.model} - ${agent.status}`));
+    if (agent.goal) console.log(chalk.gray(`Goal: ${agent.goal}`));
+    for (const result of agent.results || []) {
+      const heading = result.type === 'error' ? chalk.red(`✗ ${result.action}`)
+        : result.type === 'blocked' ? chalk.gray(`⊘ ${result.action}`)
+        : chalk.green(`✓ ${result.action}`);
+      console.log(heading);
+      console.log(result.content || '');
+    }
+  }
+  const summary = (record.results || []).find(result => result.type === 'summary');
+  if (summary) {
+    console.log(boxen(summary.content, {
+      padding: 1,
+      margin: 1,
+      borderStyle: 'round',
+      borderColor: 'green',
+      backgroundColor: '#222'
+    }));
+  }
+}
+
+// Plain data for the live dashboard, rebuilt on every refresh
+function dashboardSnapshot(taskId) {
+  const task = taskManager?.getTask(taskId);
+  if (!task) return null;
+  const now = Date.now();
+  const finished = ['completed', 'error', 'cancelled'].includes(task.status);
+  const agents = task.agents.map(id => taskManager.getAgent(id)).filter(Boolean);
+  const nodes = Object.values(task.graph || {});
+  const pool = workerPool?.status();
+  return {
+    title: task.description,
+    status: task.status,
+    elapsedMs: (task.completed || (finished ? task.updated : now)) - task.created,
+    usage: taskUsage(task.id),
+    pool: pool ? `${pool.busy}/${pool.size} busy, ${pool.queued} queued` : '',
+    approvals: taskManager.pendingApprovals.filter(approval => approval.taskId === task.id).length,
+    agents: agents.map(agent => {
+      const running = nodes.filter(node => node.agentId === agent.planId && node.status === 'running');
+      const working = agent.status === 'working' || agent.status === 'awaiting-permission';
+      const lastResult = agent.results[agent.results.length - 1];
+      return {
+        id: agent.id,
+        role: agent.role,
+        type: agent.type,
+        model: agent.model,
+        status: agent.status,
+        action: running.map(node => node.action).join('; '),
+        elapsedMs: agent.started ? (working ? now : agent.updated) - agent.started : null,
+        inputTokens: agent.usage?.inputTokens || 0,
+        outputTokens: agent.usage?.outputTokens || 0,
+        output: running.length ? running.map(node => node.partial).join('\n\n') : (lastResult?.content || ''),
+        results: agent.results
+      };
+    }),
+    nodes: nodes.map(node => ({
+      id: node.id,
+      agent: taskManager.getAgent(`${task.id}-${node.agentId}`)?.role || node.agentId,
+      action: node.action,
+      status: node.status,
+      dependsOn: node.dependsOn
+    }))
+  };
+}
+
+// \dashboard [id]: full-screen live view of the active (or given) task. Task
+// events that would print to the chat are held back and shown on close.
+async function openDashboard(idPrefix) {
+  const taskId = idPrefix
+    ? [...(taskManager?.tasks.keys() || [])].find(id => id.startsWith(idPrefix))
+    : activeTaskId;
+  if (!taskId) {
+    console.log(chalk.yellow(idPrefix ? `No task of this session matches "${idPrefix}". Use \\task show for past tasks.` : 'No active agentic task.'));
+    return;
+  }
+  console.log(chalk.blue('Opening task dashboard... (q to close, the task keeps running)'));
+  const held = [];
+  const originalLog = console.log;
+  const originalError = console.error;
+  console.log = (...args) => held.push(args);
+  console.error = (...args) => held.push(args);
+  try {
+    await startDashboard({
+      getSnapshot: () => dashboardSnapshot(taskId),
+      onCancelAgent: (agentId) => taskManager.cancelAgent(agentId) ? 'Agent cancelled' : 'This agent has nothing left to cancel',
+      onGrantPermission: (agentId) => taskManager.grantAgentPermission(agentId) ? 'Permission granted' : 'This agent is not waiting for permission'
+    });
+  } catch (e) {
+    held.push([chalk.red(`Dashboard error: ${e.message}`)]);
+  } finally {
+    console.log = originalLog;
+    console.error = originalError;
+  }
+  held.forEach(args => console.log(...args));
+}
+
+// Task manager for the chat prompt: prints the plan, agent progress and the summary
+function createChatTaskManager() {
+  const manager = new AgentTaskManager();
+  
+  // Set up event handlers
+  manager.on('task-planned', (task) => {
+    console.log(chalk.green(`✓ Task planned: ${task.plan.agentCount} agents`));
+    console.log(chalk.cyan('Analysis:'), task.plan.analysis);
+    console.log(chalk.cyan('Estimated steps:'), task.plan.estimatedSteps);
+    console.log(chalk.cyan('Estimated time:'), `${task.plan.estimatedTimeMinutes} minutes`);
+  
+    console.log(chalk.cyan('\nAgents:'));
+    task.plan.agents.forEach(agent => {
+      const after = agent.dependsOn?.length ? `, after ${agent.dependsOn.join(', ')}` : '';
+      console.log(chalk.yellow(`- ${agent.role} (${agent.type}) - ${agent.actions.length} actions${after}`));
+    });
+  });
+  
+  manager.on('task-executing', (task) => {
+    console.log(chalk.green(`✓ Task execution started with ${task.agents.length} agents`));
+  });
+  
+  manager.on('agent-progress', (data) => {
+    const { agent, action, actionsRemaining } = data;
+    console.log(chalk.blue(`Agent ${agent.role} completed action: ${action}`));
+    console.log(chalk.gray(`${actionsRemaining} actions remaining`));
+  });
+  
+  manager.on('agent-needs-permission', (agent) => {
+    console.log(chalk.yellow(`\nAgent ${agent.role} needs permission to continue.`));
+    console.log(chalk.yellow('Type "/continue" to allow the agent to perform more actions.'));
+  });
+  
+  manager.on('agent-needs-approval', ({ approval }) => {
+    console.log(chalk.yellow(`\nAgent ${approval.role} wants to ${approval.description} [#${approval.id}]`));
+    if (approval.write) printProposedWrite(approval.write.path, approval.write.content);
+    console.log(chalk.yellow('Type "\\approve" to allow it or "\\deny" to refuse it (\\approvals lists everything waiting).'));
+  });
+  
+  manager.on('agent-completed', (agent) => {
+    console.log(chalk.green(`✓ Agent ${agent.role} completed all actions`));
+  });
+  
+  manager.on('agent-blocked', (agent) => {
+    console.log(chalk.red(`✗ Agent ${agent.role} is blocked: an action it depends on failed`));
+  });
+  
+  manager.on('agent-cancelled', (agent) => {
+    console.log(chalk.yellow(`⊘ Agent ${agent.role} was cancelled`));
+  });
+  
+  manager.on('task-completed', (data) => {
+    const { task, summary } = data;
+    console.log(chalk.green.bold(`\n✓ Task completed: ${task.description}`));
+  
+    if (summary) {
+      console.log(boxen(summary, {
+        padding: 1,
+        margin: 1,
+        borderStyle: 'round',
+        borderColor: 'green',
+        backgroundColor: '#222'
+      }));
+    }
+  
+    // Reset active task
+    activeTaskId = null;
+  });
+  
+  manager.on('task-error', (task) => {
+    console.log(chalk.red(`\n✗ Task error: ${task.error}`));
+  
+    // Reset active task
+    activeTaskId = null;
+  });
+  
+  return manager;
+}
+
+// Task manager for qa serve: task and agent events go out as server-sent events
+function createServerTaskManager(broadcast) {
+  const manager = new AgentTaskManager();
+  const agentEvent = (agent) => ({ taskId: agent.taskId, agent: agent.id, role: agent.role, status: agent.status });
+  const taskDone = (task) => {
+    if (task.id === activeTaskId) activeTaskId = null;
+  };
+  
+  manager.on('task-planned', (task) => {
+    broadcast('task-planned', { taskId: task.id, status: task.status, agents: task.plan?.agentCount ?? null });
+  });
+  manager.on('task-executing', (task) => {
+    broadcast('task-executing', { taskId: task.id, agents: task.agents.length });
+  });
+  manager.on('agent-progress', ({ agent, action, actionsRemaining }) => {
+    broadcast('agent-progress', { ...agentEvent(agent), action, actionsRemaining });
+  });
+  manager.on('agent-error', ({ agent, action, error }) => {
+    broadcast('agent-error', { ...agentEvent(agent), action, error });
+  });
+  for (const event of ['agent-completed', 'agent-blocked', 'agent-cancelled', 'agent-needs-permission']) {
+    manager.on(event, (agent) => broadcast(event, agentEvent(agent)));
+  }
+  manager.on('agent-needs-approval', ({ approval }) => {
+    broadcast('agent-needs-approval', {
+      taskId: approval.taskId,
+      agent: approval.agentId,
+      role: approval.role,
+      approval: approval.id,
+      description: approval.description,
+      path: approval.write?.path ?? null
+    });
+  });
+  // Emitted with the task itself, or with { task, summary } once summarized
+  manager.on('task-completed', (data) => {
+    const task = data.task || data;
+    broadcast('task-completed', { taskId: task.id, status: task.status, summary: data.summary ?? null });
+    taskDone(task);
+  });
+  manager.on('task-error', (task) => {
+    broadcast('task-error', { taskId: task.id, error: task.error });
+    taskDone(task);
+  });
+  manager.on('task-cancelled', (task) => {
+    broadcast('task-cancelled', { taskId: task.id });
+    taskDone(task);
+  });
+  
+  return manager;
 }
 
 // Interactive chat mode
@@ -4666,27 +6562,26 @@ async function startChatMode() {
     displayLogo();
   }
   
+  openSessions();
+  if (!activeSession) startNewSession();
+  
   // Initialize coding mode if enabled
   if (config.codingMode.enabled) {
     initializeCodingMode();
   }
   
-  // Check if API key is set for the current provider
-  if (config.currentProvider === 'openai' && !process.env.OPENAI_API_KEY) {
-    console.log(chalk.red('Error: OPENAI_API_KEY environment variable is not set.'));
-    console.log(chalk.yellow('Please set it in your .env file or export it in your shell.'));
-    console.log(chalk.yellow('Use the /menu command to switch to a different provider or exit and set the key.'));
-  } else if (config.currentProvider === 'anthropic' && !process.env.ANTHROPIC_API_KEY) {
-    console.log(chalk.red('Error: ANTHROPIC_API_KEY environment variable is not set.'));
-    console.log(chalk.yellow('Please set it in your .env file or export it in your shell.'));
-    console.log(chalk.yellow('Use the /menu command to switch to a different provider or exit and set the key.'));
-  } else if (config.currentProvider === 'google' && !process.env.GOOGLE_API_KEY) {
-    console.log(chalk.red('Error: GOOGLE_API_KEY environment variable is not set.'));
-    console.log(chalk.yellow('Please set it in your .env file or export it in your shell.'));
-    console.log(chalk.yellow('Use the /menu command to switch to a different provider or exit and set the key.'));
-  } else if (config.currentProvider === 'openrouter' && !process.env.OPENROUTER_API_KEY) {
-    console.log(chalk.red('Error: OPENROUTER_API_KEY environment variable is not set.'));
-    console.log(chalk.yellow('Please set it in your .env file or export it in your shell.'));
+  openJournal();
+  openResponseCache();
+  
+  // Check if the current provider is usable
+  if (!isProviderAvailable(config.currentProvider)) {
+    if (config.currentProvider === 'local') {
+      console.log(chalk.red('Error: no base URL configured for the local provider.'));
+    } else {
+      const envKey = providers[config.currentProvider]?.envKey || 'API key';
+      console.log(chalk.red(`Error: ${envKey} environment variable is not set.`));
+      console.log(chalk.yellow('Please set it in your .env file or export it in your shell.'));
+    }
     console.log(chalk.yellow('Use the /menu command to switch to a different provider or exit and set the key.'));
   }
   
@@ -4715,15 +6610,9 @@ async function startChatMode() {
     }
   }
   
-  // Show special mode status
-  if (!quietStart) {
-    if (config.fastAnswersMode.enabled) {
-      console.log(chalk.cyan('🚀 Fast Answers Mode: Lightning-fast responses for quick questions'));
-    } else if (config.nvimHelpMode.enabled) {
-      console.log(chalk.cyan('⚡ Nvim Help Mode: Instant vim/neovim keybinding assistance'));
-    } else if (config.vocabMode.enabled) {
-      console.log(chalk.cyan('📝 Vocabulary Mode: Writing, spelling, and grammar assistance'));
-    }
+  // Show the active chat mode
+  if (!quietStart && activeMode()) {
+    console.log(chalk.cyan(`Mode: ${describeMode(activeMode())} ("\\mode off" to leave it)`));
   }
   
   if (!quietStart) {
@@ -4741,7 +6630,7 @@ async function startChatMode() {
     console.log(chalk.yellow('In paste mode, type "\\end" or "/end" on a new line to finish pasting'));
     console.log(chalk.yellow('Use \\ at the end of a line + Enter for multi-line input'));
     console.log(chalk.yellow('Hotkeys: F8 copies last AI response to clipboard'));
-  } else {
+  } else if (!plainOutput) {
     console.log(chalk.green('<Connected>'));
   }
 
@@ -4750,13 +6639,16 @@ async function startChatMode() {
   
   // Show new file operation functionality (quiet in quiet-start)
   if (!quietStart) {
-    console.log(chalk.yellow('Auto-file-saving: AI can save files with ```tool_code {{agent:fs:write:file:content}} ``` syntax\n'));
+    console.log(chalk.yellow('Auto-file-saving: AI can save files with ```tool_code {{agent:fs:write:file:content}} ``` syntax (changes are shown as a diff for approval)\n'));
   }
   
   // We've moved these handlers inline to reduce complexity
 
   // Main chat loop
   while (true) {
+    // Follow \cd (and agent cd) into another project's coding context
+    syncCodingContext();
+    
     let multilineInput = '';
     let continueInput = true;
     
@@ -4769,7 +6661,7 @@ async function startChatMode() {
         {
           type: 'input',
           name: 'userInput',
-          message: chalk.green(`${formatCwdForPrompt()} >`),
+          message: `${config.profile ? chalk.magenta(`[${config.profile}] `) : ''}${chalk.green(`${formatCwdForPrompt()} >`)}`,
           prefix: '',
           // Fix backspace bug by handling raw input properly
           rl: {
@@ -5024,7 +6916,7 @@ async function startChatMode() {
       
       // Display response if it doesn't contain agent commands
       if (!response.match(/(\{\{agent:(fs|exec):(.+?)\}\}|\(Executed: (.+?)\))/g)) {
-        console.log(formatAIResponse(response));
+        await displayAIResponse(response);
       }
       
       continue;
@@ -5047,17 +6939,21 @@ async function startChatMode() {
 
     // Handle special commands with forward slash
     if (question.toLowerCase() === '/exit' || question.toLowerCase() === '/quit' || question.toLowerCase() === '/end' || question.toLowerCase() === '/q') {
+      persistSession();
       console.log(chalk.yellow('Goodbye!'));
       break;
     } else if (question.toLowerCase() === '/clear' || question.toLowerCase() === '/c') {
-      // Clear context and screen
+      // Clear context and screen; the cleared conversation stays saved and a fresh session starts
+      persistSession();
       messageHistory = [];
+      sessionTranscript = [];
+      startNewSession();
       console.clear();
       if (!quietStart) displayLogo();
       
       // In coding mode, clear the current conversation file
       if (config.codingMode.enabled) {
-        const currentContextPath = path.join(__dirname, config.codingMode.currentContextFile);
+        const currentContextPath = conversationFilePath();
         try {
           fs.writeFileSync(currentContextPath, `# Current Conversation\n\nStarted: ${new Date().toISOString()}\n\n`);
           if (!quietStart) {
@@ -5151,66 +7047,7 @@ async function startChatMode() {
       
       if (config.agentic.enabled) {
         // Initialize task manager if needed
-        if (!taskManager) {
-          taskManager = new AgentTaskManager();
-          
-          // Set up event handlers
-          taskManager.on('task-planned', (task) => {
-            console.log(chalk.green(`✓ Task planned: ${task.plan.agentCount} agents`));
-            console.log(chalk.cyan('Analysis:'), task.plan.analysis);
-            console.log(chalk.cyan('Estimated steps:'), task.plan.estimatedSteps);
-            console.log(chalk.cyan('Estimated time:'), `${task.plan.estimatedTimeMinutes} minutes`);
-            
-            console.log(chalk.cyan('\nAgents:'));
-            task.plan.agents.forEach(agent => {
-              console.log(chalk.yellow(`- ${agent.role} (${agent.type}) - ${agent.actions.length} actions`));
-            });
-          });
-          
-          taskManager.on('task-executing', (task) => {
-            console.log(chalk.green(`✓ Task execution started with ${task.agents.length} agents`));
-          });
-          
-          taskManager.on('agent-progress', (data) => {
-            const { agent, action, actionsRemaining } = data;
-            console.log(chalk.blue(`Agent ${agent.role} completed action: ${action}`));
-            console.log(chalk.gray(`${actionsRemaining} actions remaining`));
-          });
-          
-          taskManager.on('agent-needs-permission', (agent) => {
-            console.log(chalk.yellow(`\nAgent ${agent.role} needs permission to continue.`));
-            console.log(chalk.yellow('Type "/continue" to allow the agent to perform more actions.'));
-          });
-          
-          taskManager.on('agent-completed', (agent) => {
-            console.log(chalk.green(`✓ Agent ${agent.role} completed all actions`));
-          });
-          
-          taskManager.on('task-completed', (data) => {
-            const { task, summary } = data;
-            console.log(chalk.green.bold(`\n✓ Task completed: ${task.description}`));
-            
-            if (summary) {
-              console.log(boxen(summary, {
-                padding: 1,
-                margin: 1,
-                borderStyle: 'round',
-                borderColor: 'green',
-                backgroundColor: '#222'
-              }));
-            }
-            
-            // Reset active task
-            activeTaskId = null;
-          });
-          
-          taskManager.on('task-error', (task) => {
-            console.log(chalk.red(`\n✗ Task error: ${task.error}`));
-            
-            // Reset active task
-            activeTaskId = null;
-          });
-        }
+        if (!taskManager) taskManager = createChatTaskManager();
         
         console.log(chalk.green(`✓ Agentic mode enabled`));
         console.log(chalk.yellow('Enter a task description or use "/task <description>" to start a new task.'));
@@ -5219,52 +7056,35 @@ async function startChatMode() {
         console.log(chalk.yellow('Agentic mode disabled.'));
       }
       continue;
-    } else if (question.toLowerCase() === '\\fast-answers' || question.toLowerCase() === '\\fa') {
-      // Toggle fast answers mode
-      config.fastAnswersMode.enabled = !config.fastAnswersMode.enabled;
-      if (config.fastAnswersMode.enabled) {
-        // Disable other modes when enabling fast answers
-        config.reasoningMode.enabled = false;
-        config.agentMode.enabled = false;
-        config.agentic.enabled = false;
-        config.codingMode.enabled = false;
-        config.nvimHelpMode.enabled = false;
-        config.vocabMode.enabled = false;
-        console.log(chalk.green('🚀 Fast Answers Mode enabled - Lightning-fast responses for quick questions'));
-      } else {
-        console.log(chalk.yellow('Fast Answers Mode disabled.'));
-      }
+    } else if (/^\\mode(\s|$)/i.test(question.trim())) {
+      const name = question.trim().slice('\\mode'.length).trim();
+      const mode = findMode(modes, name);
+      if (!name) showModes();
+      else if (name.toLowerCase() === 'off') switchMode(null);
+      else if (mode) switchMode(mode);
+      else console.log(chalk.red(`Cannot switch: ${unknownModeMessage(name, modes)}`));
       continue;
-    } else if (question.toLowerCase() === '\\nvim-help' || question.toLowerCase() === '\\nvim') {
-      // Toggle nvim help mode
-      config.nvimHelpMode.enabled = !config.nvimHelpMode.enabled;
-      if (config.nvimHelpMode.enabled) {
-        // Disable other modes when enabling nvim help
-        config.reasoningMode.enabled = false;
-        config.agentMode.enabled = false;
-        config.agentic.enabled = false;
-        config.codingMode.enabled = false;
-        config.fastAnswersMode.enabled = false;
-        config.vocabMode.enabled = false;
-        console.log(chalk.green('⚡ Nvim Help Mode enabled - Instant vim/neovim keybinding assistance'));
-      } else {
-        console.log(chalk.yellow('Nvim Help Mode disabled.'));
-      }
+    } else if (/^\\tasks(\s|$)/i.test(question.trim())) {
+      listTasks(question.trim().slice('\\tasks'.length).trim());
+      continue;
+    } else if (/^\\task\s+show(\s|$)/i.test(question.trim())) {
+      const record = findTaskRecord(question.trim().split(/\s+/)[2]);
+      if (record) showTaskRecord(record);
       continue;
-    } else if (question.toLowerCase() === '\\vocabulary' || question.toLowerCase() === '\\vocab') {
-      // Toggle vocabulary mode
-      config.vocabMode.enabled = !config.vocabMode.enabled;
-      if (config.vocabMode.enabled) {
-        // Disable other modes when enabling vocabulary mode
-        config.reasoningMode.enabled = false;
-        config.agentMode.enabled = false;
-        config.agentic.enabled = false;
-        config.codingMode.enabled = false;
-        config.fastAnswersMode.enabled = false;
-        config.nvimHelpMode.enabled = false;
-        console.log(chalk.green('📝 Vocabulary Mode enabled - Writing, spelling, and grammar assistance'));
+    } else if (/^\\task\s+rerun(\s|$)/i.test(question.trim())) {
+      if (!config.agentic.enabled) {
+        console.log(chalk.yellow('Agentic mode is not enabled. Use "\\agentic" to enable it.'));
+        continue;
+      }
+      const record = findTaskRecord(question.trim().split(/\s+/)[2]);
+      if (!record) continue;
+      if (!taskManager) taskManager = createChatTaskManager();
+      const rerunId = await taskManager.rerunTask(record.id);
+      if (rerunId) {
+        activeTaskId = rerunId;
+        console.log(chalk.green(`Rerunning "${truncateLabel(record.description)}" with its saved plan as task ${rerunId}`));
       } else {
-        console.log(chalk.yellow('Vocabulary Mode disabled.'));
+        console.log(chalk.yellow('That task has no saved plan to rerun.'));
       }
       continue;
     } else if (question.toLowerCase().startsWith('\\task ')) {
@@ -5273,6 +7093,7 @@ async function startChatMode() {
         console.log(chalk.yellow('Agentic mode is not enabled. Use "\\agentic" to enable it.'));
         continue;
       }
+      if (!taskManager) taskManager = createChatTaskManager();
       
       const taskDescription = question.slice(6).trim();
       if (!taskDescription) {
@@ -5334,6 +7155,38 @@ async function startChatMode() {
         console.log(chalk.yellow('No agents are currently awaiting permission.'));
       }
       
+      continue;
+    } else if (/^\\(dashboard|dash)(\s|$)/i.test(question.trim())) {
+      await openDashboard(question.trim().split(/\s+/)[1]);
+      continue;
+    } else if (question.trim().toLowerCase() === '\\approvals') {
+      const pending = taskManager?.pendingApprovals || [];
+      if (!pending.length) {
+        console.log(chalk.yellow('No agent operations are waiting for approval.'));
+        continue;
+      }
+      console.log(chalk.cyan('Agent operations waiting for approval:'));
+      for (const approval of pending) {
+        console.log(`${chalk.bold(`#${approval.id}`)}  ${approval.role} wants to ${approval.description}`);
+        if (approval.write) printProposedWrite(approval.write.path, approval.write.content);
+      }
+      continue;
+    } else if (/^\\(approve|deny)(\s|$)/i.test(question.trim())) {
+      // \approve / \deny [#id|all]; the oldest pending operation by default
+      const [command, which] = question.trim().split(/\s+/);
+      const approved = command.toLowerCase() === '\\approve';
+      const pending = taskManager?.pendingApprovals || [];
+      if (!pending.length) {
+        console.log(chalk.yellow('No agent operations are waiting for approval.'));
+        continue;
+      }
+      const targetId = which ? Number(which.replace(/^#/, '')) : pending[0].id;
+      const count = taskManager.settleApprovals(approval => which === 'all' || approval.id === targetId, approved);
+      if (!count) {
+        console.log(chalk.red(`No pending operation ${which}. Use \\approvals to list them.`));
+      } else {
+        console.log(approved ? chalk.green(`Approved ${count} operation(s).`) : chalk.yellow(`Denied ${count} operation(s).`));
+      }
       continue;
     } else if (question.toLowerCase() === '\\cancel-task') {
       // Cancel the current task
@@ -5373,8 +7226,12 @@ async function startChatMode() {
       }
       
       if (task.plan) {
-        console.log(chalk.cyan(`Agents: ${task.plan.agentCount} running in parallel`));
+        console.log(chalk.cyan(`Agents: ${task.plan.agentCount}, independent actions running in parallel`));
         console.log(chalk.cyan(`Execution: ${task.plan.workflow}`));
+        if (workerPool) {
+          const pool = workerPool.status();
+          console.log(chalk.cyan(`Worker threads: ${pool.busy}/${pool.size} busy, ${pool.queued} action(s) queued`));
+        }
         
         // Count agents by status
         const agentStats = {
@@ -5398,8 +7255,10 @@ async function startChatMode() {
         console.log(chalk.cyan('\nAgent Summary:'));
         console.log(chalk.green(`- Completed: ${agentStats.completed || 0}`));
         console.log(chalk.blue(`- Working: ${agentStats.working || 0}`));
+        console.log(chalk.gray(`- Waiting on dependencies: ${agentStats.waiting || 0}`));
         console.log(chalk.yellow(`- Awaiting Permission: ${agentStats['awaiting-permission'] || 0}`));
         console.log(chalk.red(`- Error: ${agentStats.error || 0}`));
+        console.log(chalk.red(`- Blocked by a failed dependency: ${agentStats.blocked || 0}`));
         
         console.log(chalk.cyan('\nAgent Details:'));
         for (const agentId of task.agents) {
@@ -5410,12 +7269,13 @@ async function startChatMode() {
               case 'working': statusColor = chalk.blue; break;
               case 'completed': statusColor = chalk.green; break;
               case 'awaiting-permission': statusColor = chalk.yellow; break;
-              case 'error': statusColor = chalk.red; break;
+              case 'error':
+              case 'blocked': statusColor = chalk.red; break;
               default: statusColor = chalk.white;
             }
             
             console.log(statusColor(`- ${agent.role} (${agent.type}): ${agent.status.toUpperCase()}`));
-            console.log(chalk.gray(`  Actions performed: ${agent.actionsPerformed}, Results: ${agent.results.length}, Remaining actions: ${agent.actions.length}`));
+            console.log(chalk.gray(`  Actions performed: ${agent.actionsPerformed}, Results: ${agent.results.length}, Remaining actions: ${task.graph ? taskManager.remainingActions(task, agent) : agent.actions.length}`));
             if (agent.results.length > 0 && agent.results[agent.results.length - 1].timestamp) {
               const lastUpdateTime = new Date(agent.results[agent.results.length - 1].timestamp).toLocaleTimeString();
               console.log(chalk.gray(`  Last update: ${lastUpdateTime}`));
@@ -5426,17 +7286,21 @@ async function startChatMode() {
       
       continue;
     } else if (question.toLowerCase() === '\\exit' || question.toLowerCase() === '\\quit' || question.toLowerCase() === '\\end' || question.toLowerCase() === '\\q') {
+      persistSession();
       console.log(chalk.yellow('Goodbye!'));
       break;
     } else if (question.toLowerCase() === '\\clear' || question.toLowerCase() === '\\c') {
-      // Clear context and screen
+      // Clear context and screen; the cleared conversation stays saved and a fresh session starts
+      persistSession();
       messageHistory = [];
+      sessionTranscript = [];
+      startNewSession();
       console.clear();
       if (!quietStart) displayLogo();
       
       // In coding mode, clear the current conversation file
       if (config.codingMode.enabled) {
-        const currentContextPath = path.join(__dirname, config.codingMode.currentContextFile);
+        const currentContextPath = conversationFilePath();
         try {
           fs.writeFileSync(currentContextPath, `# Current Conversation\n\nStarted: ${new Date().toISOString()}\n\n`);
           if (!quietStart) {
@@ -5503,6 +7367,57 @@ async function startChatMode() {
         console.log(chalk.red('Failed to copy session to clipboard'));
       }
       continue;
+    } else if (question.toLowerCase() === '\\changes') {
+      showChanges();
+      continue;
+    } else if (/^\\undo(\s+\d+)?$/i.test(question.trim())) {
+      // \undo rolls back the newest change; \undo N the newest N
+      const count = parseInt(question.trim().split(/\s+/)[1] || '1', 10);
+      undoLastChanges(count);
+      continue;
+    } else if (/^\\usage(\s+\d+)?$/i.test(question.trim())) {
+      showUsage(parseInt(question.trim().split(/\s+/)[1] || '10', 10));
+      continue;
+    } else if (globalThis.isReviewRequest(question.trim())) {
+      await handleReviewRequest(question.trim());
+      continue;
+    } else if (/^\\index(\s|$)/i.test(question.trim())) {
+      await handleIndexCommand(question.trim().slice('\\index'.length));
+      continue;
+    } else if (/^\\(outline|def|refs|callers)(\s|$)/i.test(question.trim())) {
+      const [, command] = question.trim().match(/^\\(\w+)/);
+      await handleSymbolCommand(command.toLowerCase(), question.trim().slice(command.length + 1));
+      continue;
+    } else if (/^\\diff(\s|$)/i.test(question.trim())) {
+      await handleDiffCommand(question.trim().slice('\\diff'.length));
+      continue;
+    } else if (question.trim().toLowerCase() === '\\commitmsg') {
+      await handleCommitMessageCommand();
+      continue;
+    } else if (/^\\explain(\s|$)/i.test(question.trim())) {
+      await handleExplainCommand(question.trim().slice('\\explain'.length));
+      continue;
+    } else if (/^\\search(\s|$)/i.test(question.trim())) {
+      await handleSearchCommand(question.trim().slice('\\search'.length));
+      continue;
+    } else if (/^\\cache(\s|$)/i.test(question.trim())) {
+      handleCacheCommand(question.trim().slice('\\cache'.length));
+      continue;
+    } else if (/^\\profile(\s|$)/i.test(question.trim())) {
+      switchProfile(question.trim().slice('\\profile'.length).trim());
+      continue;
+    } else if (question.toLowerCase() === '\\sessions') {
+      showSessions();
+      continue;
+    } else if (/^\\resume(\s|$)/i.test(question.trim())) {
+      await resumeSession(question.trim().split(/\s+/)[1]);
+      continue;
+    } else if (/^\\save(\s|$)/i.test(question.trim())) {
+      saveCurrentSession(question.trim().split(/\s+/)[1]);
+      continue;
+    } else if (/^\\session(\s|$)/i.test(question.trim())) {
+      await handleSessionCommand(question.trim().slice('\\session'.length));
+      continue;
     } else if (question.toLowerCase() === '\\compact' || question.toLowerCase() === '\\co') {
       await compactConversation();
       continue;
@@ -5536,39 +7451,61 @@ async function startChatMode() {
       console.log(chalk.yellow('  Options: -r recursive, -i ignore-case, -n line numbers, -F fixed string, --files-only, --ext .js,.ts'));
       console.log(chalk.yellow('- \\copy, \\copy-last - Copy last AI response to clipboard'));
       console.log(chalk.yellow('- \\copy-all, \\copy-session - Copy entire session transcript'));
+      console.log(chalk.yellow('- \\undo [N] - Roll back the last N file changes (writes, moves, deletes, commands)'));
+      console.log(chalk.yellow('- \\changes - List recent journaled file changes'));
+      console.log(chalk.yellow('- \\usage [N] - Show tokens and estimated cost for this session, the last N requests and agentic tasks'));
+      console.log(chalk.yellow('- \\cache [stats|clear] - Show or empty the response cache for repeated nvim/vocab questions and query classification'));
+      console.log(chalk.yellow('- \\profile [name|off] - List profiles or switch to one (provider, models and modes in one go)'));
+      console.log(chalk.yellow('- \\sessions - List saved chat sessions'));
+      console.log(chalk.yellow('- \\resume [name], \\save [name] - Continue a saved session / name the current one'));
+      console.log(chalk.yellow('- \\session rename|fork|delete ... - Manage saved sessions'));
       console.log(chalk.yellow('- \\direct, \\dr - Toggle direct mode (always use powerful model)'));
       console.log(chalk.yellow('- \\directfast, \\df - Toggle fast direct mode (powerful model with reasoning disabled)'));
       console.log(chalk.yellow('- \\home - Navigate to your home directory'));
       console.log(chalk.yellow('- \\start-project, \\new-project - Start a new coding project'));
-      console.log(chalk.yellow('- \\review-project - Analyze the current project directory'));
+      console.log(chalk.yellow('- \\review [dir], \\r [dir] - Review a directory from its index: file summaries plus the key files in full (only changed files are re-read)'));
+      console.log(chalk.yellow('- \\index [dir], \\index status - Build or refresh the project index that coding mode draws on, without a review'));
+      console.log(chalk.yellow('- \\outline <file> - List the functions, classes, imports and exports of a JS/TS or Python file'));
+      console.log(chalk.yellow('- \\def <symbol>, \\refs <symbol>, \\callers <function> - Find where a symbol is defined, used or called'));
+      console.log(chalk.yellow('- \\search <description>, \\search status - Find code by meaning over an embedding index of the project (coding mode then adds the closest snippets to questions)'));
+      console.log(chalk.yellow('- \\diff [staged|unstaged] [path...] - Review uncommitted changes; findings point at file:line'));
+      console.log(chalk.yellow('- \\commitmsg - Draft a commit message for the staged changes and commit once you accept it'));
+      console.log(chalk.yellow('- \\explain <file>:<line>[-<end>] - Explain code from its git blame and line history'));
       console.log(chalk.yellow('- Automatic local scan: Ask “what can you tell me about X in this app?” to run a non-destructive repo scan (toggle in Settings)'));
       console.log(chalk.yellow('- \\auto-scan [on|off] (alias: \\autoscan) - Toggle automatic local scan'));
       console.log(chalk.yellow('- \\visual, \\v - Open visual tri-pane (files | chat | preview). Inside: [V] toggle panes, [C] ask AI'));
       
       console.log(chalk.cyan('\nSpecial Mode Commands:'));
-      console.log(chalk.yellow('- \\fast-answers, \\fa - Toggle fast answers mode (quick responses, no reasoning)'));
-      console.log(chalk.yellow('- \\nvim-help, \\nvim - Toggle nvim help mode (vim/neovim keybinding assistance)'));
-      console.log(chalk.yellow('- \\vocabulary, \\vocab - Toggle vocabulary mode (spelling, grammar, writing help)'));
+      console.log(chalk.yellow('- \\mode [name|off] - List the modes, switch to one or leave it'));
+      for (const mode of Object.values(modes).filter(item => item.aliases.length)) {
+        console.log(chalk.yellow(`- ${mode.aliases.map(alias => `\\${alias}`).join(', ')} - Toggle ${mode.name} mode${mode.description ? ` (${mode.description.toLowerCase()})` : ''}`));
+      }
       
       if (config.codingMode.enabled) {
         console.log(chalk.cyan('\nCoding Mode Commands:'));
         console.log(chalk.yellow('- \\compact, \\co - Summarize the current conversation to preserve context'));
-        console.log(chalk.yellow('- \\clear, \\c - Clear conversation history and current.md file'));
+        console.log(chalk.yellow('- \\clear, \\c - Clear conversation history and start a new session'));
         console.log(chalk.yellow('- \\feature <description>, \\ft <description> - Add a new feature to the project context'));
-        console.log(chalk.yellow(`- Project context file: ${config.codingMode.projectContextFile}`));
+        console.log(chalk.yellow(`- Project context file: ${formatPathForPrint(projectContextFilePath())}`));
       }
       
       console.log(chalk.cyan('\nAgentic Mode Commands (Multi-threaded Parallel Execution):'));
       console.log(chalk.yellow('- Prefix a query with \\a (or \\agent, \\agentic) to run just that query agentically'));
       console.log(chalk.yellow('- \\agentic or \\schedule - Toggle agentic mode on/off'));
+      console.log(chalk.yellow('- \\tasks [status] [words] - List past tasks, optionally filtered by status or description'));
+      console.log(chalk.yellow('- \\task show <id> - Show a past task\'s plan, agent results and errors'));
       if (config.agentic.enabled) {
         console.log(chalk.yellow('- \\task <description> - Create a new task with parallel agents'));
+        console.log(chalk.yellow('- \\task rerun <id> - Run a past task again with its saved plan'));
         console.log(chalk.yellow('- \\smart-conductor - Toggle using a powerful model as conductor'));
         console.log(chalk.yellow('- \\continue - Grant permission to agents to continue working'));
+        console.log(chalk.yellow('- \\approvals - List agent file writes and commands waiting for approval'));
+        console.log(chalk.yellow('- \\approve [#id|all], \\deny [#id|all] - Answer them (the oldest by default)'));
         console.log(chalk.yellow('- \\cancel-task - Cancel the current task'));
         console.log(chalk.yellow('- \\status - Show current task status and agent progress'));
+        console.log(chalk.yellow('- \\dashboard [id], \\dash - Live full-screen view of the task: plan graph, agents, tokens and streaming output'));
         
-        console.log(chalk.yellow(`- Max parallel agents: ${config.agentic.maxConcurrentAgents} (each runs in a separate thread)`));
+        console.log(chalk.yellow(`- Max parallel agents: ${config.agentic.maxConcurrentAgents} (actions running at once on the worker thread pool)`));
         console.log(chalk.yellow(`- Max actions per agent: ${config.agentic.maxActionsPerAgent}`));
         console.log(chalk.yellow(`- Using ${config.agentic.usePowerfulConductor ? 'powerful' : 'lightweight'} conductor`));
       }
@@ -5637,7 +7574,7 @@ async function startChatMode() {
           
           // Display response if it doesn't contain agent commands
           if (!response.match(/(\{\{agent:(fs|exec):(.+?)\}\}|\(Executed: (.+?)\))/g)) {
-            console.log(formatAIResponse(response));
+            await displayAIResponse(response);
           }
         }
       } catch (error) {
@@ -5677,7 +7614,7 @@ async function startChatMode() {
             const prompt = `Please review the following file and provide insights, issues, and suggestions.\n\nFile: ${res.path}\n\nContent:\n\n${data}`;
             // No explicit user echo; prompt already shows cwd
             const answer = await askAI(prompt);
-            console.log(formatAIResponse(answer));
+            await displayAIResponse(answer);
           } catch (e) {
             console.log(chalk.red(`Failed to read file: ${e.message}`));
           }
@@ -5687,7 +7624,7 @@ async function startChatMode() {
             const prompt = `You are editing a file. Apply the user's fix instruction to the code and respond ONLY with a tool_code block that writes the full updated file.\n\nInstruction: ${res.instruction}\n\nFile: ${res.path}\n\nCurrent content:\n\n${data}\n\nRespond in this exact format:\n\n\`\`\`tool_code\n{{agent:fs:write:${res.path}:<paste full updated file content here>}}\n\`\`\``;
             // No explicit user echo; prompt already shows cwd
             const answer = await askAI(prompt);
-            console.log(formatAIResponse(answer));
+            await displayAIResponse(answer);
           } catch (e) {
             console.log(chalk.red(`Failed to read file: ${e.message}`));
           }
@@ -5963,7 +7900,7 @@ async function startChatMode() {
       
       // Display response if it doesn't contain agent commands
       if (!response.match(/(\{\{agent:(fs|exec):(.+?)\}\}|\(Executed: (.+?)\))/g)) {
-        console.log(formatAIResponse(response));
+        await displayAIResponse(response);
       }
       
       continue;
@@ -6075,7 +8012,8 @@ async function startChatMode() {
       // Execute the file operation
       const result = await handleFileOperation(operation, { 
         path: filePath, 
-        content: content 
+        content: content,
+        source: 'user'
       });
       
       // Display result
@@ -6177,6 +8115,7 @@ async function startChatMode() {
       console.log(chalk.blue('Executing command...'));
       
       try {
+        journalCommand(command, 'user', nl?.effects || shellCommandEffects(command));
         // Execute the command
         const result = await executeCommand(cmdPrefix + command);
         
@@ -6245,10 +8184,12 @@ async function startChatMode() {
             
             console.log(chalk.blue(`Executing file operation ${operation} on ${filePath}...`));
             
-            const result = await handleFileOperation(operation, { 
-              path: filePath, 
-              content: content 
-            });
+            const result = operation === 'write'
+              ? await writeAIFile(filePath, content)
+              : await handleFileOperation(operation, { 
+                path: filePath, 
+                content: content 
+              });
             
             // Display result
             if (result.success) {
@@ -6279,6 +8220,7 @@ async function startChatMode() {
             console.log(chalk.blue(`Executing command: ${command}`));
             
             try {
+              journalCommand(command);
               const result = await executeCommand(command);
               
               // Display result
@@ -6312,11 +8254,17 @@ async function startChatMode() {
           
           // Get new AI response after command execution
           const newResponse = await askAI(`I've executed the command "${command}" as you suggested. What's next?`);
-          console.log(formatAIResponse(newResponse));
+          await displayAIResponse(newResponse);
           
           continue;
         }
       }
+    } else if (/^\\[\w-]+$/.test(question.trim()) && modeForAlias(question.trim().slice(1))) {
+      // A mode's toggle, e.g. \fa: on, or off when that mode is already on.
+      // Built-in commands above win over a toggle of the same name.
+      const mode = modeForAlias(question.trim().slice(1));
+      switchMode(mode.name === config.mode ? null : mode);
+      continue;
     } else if (question.toLowerCase() === '\\terminal' || question.toLowerCase() === '\\term' || 
                question.toLowerCase() === '/terminal' || question.toLowerCase() === '/t') {
       await startTerminalMode();
@@ -6375,15 +8323,391 @@ async function startChatMode() {
     // Only display the response if it doesn't contain agent commands
     // (if it has agent commands, it's already displayed in askAI)
     if (!response.match(/(\{\{agent:(fs|exec):(.+?)\}\}|\(Executed: (.+?)\))/g)) {
-      console.log(formatAIResponse(response));
+      await displayAIResponse(response);
       
-      // In coding mode, update the conversation file with Q&A
-      if (config.codingMode.enabled) {
+      // In coding mode, update the conversation file with Q&A (skipped if cancelled)
+      if (config.codingMode.enabled && response) {
         updateConversationFile(question, response);
       }
       
       // Removed auto-prompt for creating agentic tasks; use \a prefix instead
     }
+    
+    persistSession();
+  }
+}
+
+// Settings --mode (or its shorthands --fa, --nvim and --vocab) stands for:
+// the mode and the settings it switches to, part of the command-line config
+// layer. An unknown name is left for loadConfig() to report.
+function startupModeSettings() {
+  const { mode: name, fastAnswers, nvimHelp, vocabulary } = program.opts();
+  const shorthand = [[fastAnswers, 'fast-answers'], [nvimHelp, 'nvim-help'], [vocabulary, 'vocab']].find(([flag]) => flag);
+  const wanted = name || shorthand?.[1];
+  if (!wanted) return {};
+  const mode = findMode(modes, wanted);
+  return mode ? { ...structuredClone(mode.settings), mode: mode.name } : { mode: wanted };
+}
+
+// Apply the startup mode flags again, e.g. over the modes of a resumed session
+function applyStartupModes() {
+  const values = startupModeSettings();
+  for (const keyPath of leafPaths(values)) setPath(config, keyPath, getPath(values, keyPath));
+}
+
+// Piped input longer than this keeps its end, where logs usually say what failed
+const ASK_INPUT_CHARS = 100000;
+
+// Exit codes of qa ask
+const ASK_EXIT = { answered: 0, failed: 1, usage: 2, unavailable: 3 };
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// The question with any piped input after it
+function askPrompt(question, input) {
+  const text = input.trim();
+  if (!text) return question;
+  const cut = text.length > ASK_INPUT_CHARS
+    ? `... (first ${text.length - ASK_INPUT_CHARS} characters cut)\n${text.slice(-ASK_INPUT_CHARS)}`
+    : text;
+  if (!question) return cut;
+  return `${question}\n\nInput:\n\`\`\`\n${cut}\n\`\`\``;
+}
+
+// qa ask: answer one question without the chat loop and exit. Nothing is
+// prompted for, so tool calls that need approval are refused, and nothing
+// is saved as a session.
+async function runOneShot(words, options) {
+  const started = Date.now();
+  const finish = (code, result) => {
+    const out = options.json ? `${JSON.stringify({ ...result, exitCode: code }, null, 2)}\n` : result.answer ? `${result.answer}\n` : '';
+    if (!options.json && result.error) console.error(result.error);
+    process.stdout.write(out, () => process.exit(code));
+  };
+  
+  if (options.provider && !providerNames.includes(options.provider)) {
+    return finish(ASK_EXIT.usage, { error: `Unknown provider: ${options.provider} (known: ${providerNames.join(', ')})` });
+  }
+  loadConfig([
+    'agentic.enabled=false',
+    `codingMode.enabled=${!!options.coding}`,
+    ...(options.provider ? [`currentProvider=${options.provider}`] : [])
+  ]);
+  if (options.model) {
+    // A named model answers everything, so no routing to the light model
+    config.models[config.currentProvider] = options.model;
+    config.agentMode.enabled = false;
+  }
+  if (!isProviderAvailable(config.currentProvider)) {
+    const envKey = providers[config.currentProvider]?.envKey || 'a base URL';
+    return finish(ASK_EXIT.unavailable, { error: `Provider ${config.currentProvider} is not configured (set ${envKey}).` });
+  }
+  
+  const input = options.stdin !== false && !process.stdin.isTTY ? await readStdin() : '';
+  const question = askPrompt(words.join(' ').trim(), input);
+  if (!question) {
+    return finish(ASK_EXIT.usage, { error: 'Nothing to ask: give a question or pipe text in (qa ask "question").' });
+  }
+  
+  if (config.codingMode.enabled) initializeCodingMode();
+  openJournal();
+  openResponseCache();
+  
+  const asked = Date.now();
+  let answer;
+  let request = null;
+  try {
+    answer = await askAI(question, { silent: true, throwOnError: true, onUsage: (totals) => { request = totals; } });
+  } catch (error) {
+    return finish(ASK_EXIT.failed, { error: `Request failed: ${error.message}` });
+  }
+  const result = {
+    answer,
+    ...usageSummary(request),
+    timings: { startupMs: asked - started, answerMs: Date.now() - asked }
+  };
+  finish(answer ? ASK_EXIT.answered : ASK_EXIT.failed, answer ? result : { ...result, error: 'No answer was returned.' });
+}
+
+// qa serve: each session id keeps its own history. Questions are answered one
+// at a time, since askAI works on the shared messageHistory.
+const serverSessions = new Map();
+let serverQueue = Promise.resolve();
+
+function requireString(params, name) {
+  const value = params[name];
+  if (typeof value !== 'string' || !value.trim()) throw rpcError(RPC_INVALID_PARAMS, `${name} must be a non-empty string`);
+  return value;
+}
+
+// Methods of the JSON-RPC endpoint. New sessions start from baseHistory, the
+// project context loaded at startup.
+function serverMethods(baseHistory) {
+  const findTask = (params) => {
+    const id = requireString(params, 'task');
+    const task = taskManager.getTask(id);
+    if (!task) throw rpcError(RPC_INVALID_PARAMS, `No task ${id}`);
+    return task;
+  };
+  const settle = (params, approved) => {
+    const id = params.approval;
+    if (id !== 'all' && !Number.isInteger(id)) throw rpcError(RPC_INVALID_PARAMS, 'approval must be an approval number or "all"');
+    return { settled: taskManager.settleApprovals(approval => id === 'all' || approval.id === id, approved) };
+  };
+  
+  return {
+    chat: (params) => {
+      const message = requireString(params, 'message');
+      const session = params.session === undefined ? uuidv4() : requireString(params, 'session');
+      const answered = serverQueue.then(async () => {
+        const entry = serverSessions.get(session) || { history: [...baseHistory], created: Date.now() };
+        let request = null;
+        // askAI adds the question to the history before asking; a failed call
+        // takes it back out so the next one does not send two user turns
+        const before = [...entry.history];
+        messageHistory = entry.history;
+        try {
+          const answer = await askAI(message, { silent: true, throwOnError: true, onUsage: (totals) => { request = totals; } });
+          entry.history = messageHistory;
+          return { session, answer, ...usageSummary(request) };
+        } catch (error) {
+          entry.history = before;
+          messageHistory = before;
+          throw error;
+        } finally {
+          entry.updated = Date.now();
+          serverSessions.set(session, entry);
+        }
+      });
+      serverQueue = answered.catch(() => {});
+      return answered;
+    },
+    'sessions.list': () => [...serverSessions].map(([session, entry]) => ({
+      session,
+      messages: entry.history.filter(msg => !isContextMessage(msg)).length,
+      created: entry.created,
+      updated: entry.updated
+    })),
+    'sessions.delete': (params) => ({ deleted: serverSessions.delete(requireString(params, 'session')) }),
+    'tasks.create': async (params) => {
+      const description = requireString(params, 'description');
+      const powerful = params.powerfulConductor ?? config.agentic.usePowerfulConductor;
+      const id = await taskManager.createTask(description, !!powerful);
+      return taskManager.taskRecord(taskManager.getTask(id));
+    },
+    'tasks.get': (params) => taskManager.taskRecord(findTask(params)),
+    'tasks.list': () => [...taskManager.tasks.values()].map(task => ({
+      id: task.id,
+      description: task.description,
+      status: task.status,
+      created: task.created,
+      updated: task.updated
+    })),
+    'tasks.cancel': (params) => ({ cancelled: taskManager.cancelTask(findTask(params).id) }),
+    'agents.continue': (params) => ({ continued: taskManager.grantAgentPermission(requireString(params, 'agent')) }),
+    'approvals.list': () => taskManager.pendingApprovals.map(approval => ({
+      approval: approval.id,
+      taskId: approval.taskId,
+      agent: approval.agentId,
+      role: approval.role,
+      description: approval.description,
+      path: approval.write?.path ?? null
+    })),
+    'approvals.approve': (params) => settle(params, true),
+    'approvals.deny': (params) => settle(params, false)
+  };
+}
+
+async function runServer(options) {
+  // Chat answers itself; agentic work goes through the tasks.* methods, so
+  // chat never hands a question to a task of its own
+  loadConfig([
+    'agentic.enabled=false',
+    `codingMode.enabled=${!!options.coding}`,
+    ...(options.port !== undefined ? [`server.port=${options.port}`] : []),
+    ...(options.token !== undefined ? [`server.token=${options.token}`] : [])
+  ]);
+  const { port, token, allowedOrigins } = config.server;
+  if (!isProviderAvailable(config.currentProvider)) {
+    console.error(chalk.yellow(`Provider ${config.currentProvider} is not configured; chat and tasks will fail until it is.`));
+  }
+  
+  if (config.codingMode.enabled) initializeCodingMode();
+  openJournal();
+  openResponseCache();
+  
+  let server = null;
+  taskManager = createServerTaskManager((event, data) => server?.broadcast(event, data));
+  try {
+    server = await startServer({
+      port,
+      token,
+      allowedOrigins,
+      methods: serverMethods(messageHistory.filter(isContextMessage)),
+      health: () => ({
+        version: program.version(),
+        provider: config.currentProvider,
+        model: config.models[config.currentProvider],
+        sessions: serverSessions.size,
+        tasks: taskManager.tasks.size
+      })
+    });
+  } catch (error) {
+    console.error(chalk.red(`Could not listen on 127.0.0.1:${port}: ${error.message}`));
+    process.exit(1);
+  }
+  
+  console.log(chalk.green(`QAterm server listening on ${server.url} (JSON-RPC on /rpc, events on /events)`));
+  if (!token) {
+    console.log(chalk.yellow('No bearer token set, so any local process can use it. Set QATERM_SERVER_TOKEN or pass --token.'));
+  }
+  const stop = async () => {
+    await server.close();
+    process.exit(130);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+// qa config: read and change settings and show which layer each one comes from
+const CONFIG_LAYERS = ['default', 'user', 'project', 'profile', 'env', 'cli'];
+const SECRET_SETTINGS = ['server.token', 'localProvider.apiKey'];
+
+// Origin of the setting at keyPath, or of the map it is part of
+function settingOrigin(keyPath) {
+  const keys = keyPath.split('.');
+  for (let count = keys.length; count > 0; count--) {
+    const origin = configOrigins[keys.slice(0, count).join('.')];
+    if (origin) return origin;
+  }
+  return { layer: 'default' };
+}
+
+function formatOrigin(origin) {
+  if (!origin.source) return origin.layer;
+  return `${origin.layer}: ${path.isAbsolute(origin.source) ? formatPathForPrint(origin.source) : origin.source}`;
+}
+
+// Secrets are hidden when listing everything, but not when asked for by name
+function maskSetting(keyPath, value, masked) {
+  return masked && SECRET_SETTINGS.includes(keyPath) && value ? '********' : value;
+}
+
+function formatSetting(keyPath, value, masked = false) {
+  const shown = maskSetting(keyPath, value, masked);
+  return typeof shown === 'string' ? shown : JSON.stringify(shown);
+}
+
+// The settings at and under keyPath (all of them without one), one per line
+function printSettings(keyPath, options) {
+  const value = keyPath ? getPath(config, keyPath) : config;
+  const leaves = leafPaths(value).map(leaf => (keyPath ? `${keyPath}.${leaf}` : leaf));
+  const paths = leaves.length ? leaves : [keyPath];
+  if (options.json) {
+    const masked = !keyPath;
+    let out;
+    if (options.origin) {
+      out = Object.fromEntries(paths.map(leaf => [leaf, { value: maskSetting(leaf, getPath(config, leaf), masked), origin: settingOrigin(leaf) }]));
+    } else if (masked) {
+      out = structuredClone(value);
+      for (const secret of SECRET_SETTINGS) setPath(out, secret, maskSetting(secret, getPath(out, secret), true));
+    } else {
+      out = value;
+    }
+    console.log(JSON.stringify(out, null, 2));
+    return;
+  }
+  for (const leaf of paths) {
+    const line = keyPath === leaf && !options.origin ? formatSetting(leaf, getPath(config, leaf)) : `${leaf} = ${formatSetting(leaf, getPath(config, leaf), !keyPath)}`;
+    console.log(options.origin ? `${line}  ${chalk.gray(`(${formatOrigin(settingOrigin(leaf))})`)}` : line);
+  }
+}
+
+// Schema of a setting named on the command line; unknown names end the run
+function requireSetting(keyPath) {
+  const schema = schemaAt(CONFIG_SCHEMA, keyPath);
+  if (!schema) {
+    console.error(chalk.red(unknownSettingMessage(keyPath)));
+    process.exit(2);
+  }
+  return schema;
+}
+
+// The config file qa config set/unset change: the user's, or the project's with --project
+function configFileFor(options) {
+  if (!options.project) return configFiles.user;
+  if (!configFiles.project) {
+    console.error(chalk.red('Not inside a project (no .qaterm, .git, package.json, ... above this directory).'));
+    process.exit(2);
+  }
+  return configFiles.project;
+}
+
+// Rewrite file with change applied to its settings
+function updateConfigFile(file, change) {
+  const { values, problems } = readConfigFile(file);
+  if (problems.length) {
+    console.error(chalk.red(`${formatPathForPrint(file)}: ${problems[0].message}; fix or remove it first.`));
+    process.exit(1);
+  }
+  const changed = change(values);
+  if (changed !== false) writeConfigFile(file, values);
+  return changed;
+}
+
+// A note when a higher layer hides what was just written to layer
+function noteOverride(keyPath, layer) {
+  const origin = settingOrigin(keyPath);
+  if (CONFIG_LAYERS.indexOf(origin.layer) > CONFIG_LAYERS.indexOf(layer)) {
+    console.log(chalk.yellow(`Note: ${formatOrigin(origin)} overrides it for now.`));
+  }
+}
+
+function runConfigSet(keyPath, text, options) {
+  loadConfig();
+  const schema = requireSetting(keyPath);
+  let value;
+  try {
+    value = parseSettingValue(schema, text);
+  } catch (error) {
+    console.error(chalk.red(`${keyPath}: ${error.message}`));
+    process.exit(2);
+  }
+  const problems = validate(schema, value, keyPath);
+  if (keyPath === 'profile' && value && !config.profiles[value]) {
+    problems.push({ message: `profile: ${unknownProfileMessage(value, config.profiles)}` });
+  }
+  if (keyPath === 'mode' && value) {
+    if (findMode(modes, value)) value = findMode(modes, value).name;
+    else problems.push({ message: `mode: ${unknownModeMessage(value, modes)}` });
+  }
+  if (options.project) {
+    const leaves = leafPaths(value).map(leaf => `${keyPath}.${leaf}`);
+    const locked = (leaves.length ? leaves : [keyPath]).find(leaf => lockedPrefix(leaf, PROJECT_LOCKED_SETTINGS));
+    if (locked) problems.push({ message: `${locked}: not allowed in a project config; set it in the user config` });
+  }
+  if (problems.length) {
+    problems.forEach(problem => console.error(chalk.red(problem.message)));
+    process.exit(2);
+  }
+  const file = configFileFor(options);
+  updateConfigFile(file, values => setPath(values, keyPath, value));
+  console.log(chalk.green(`✓ ${keyPath} = ${formatSetting(keyPath, value)} in ${formatPathForPrint(file)}`));
+  noteOverride(keyPath, options.project ? 'project' : 'user');
+}
+
+function runConfigUnset(keyPath, options) {
+  loadConfig();
+  requireSetting(keyPath);
+  const file = configFileFor(options);
+  if (updateConfigFile(file, values => deletePath(values, keyPath))) {
+    console.log(chalk.green(`✓ Removed ${keyPath} from ${formatPathForPrint(file)}`));
+  } else {
+    console.log(chalk.yellow(`${keyPath} is not set in ${formatPathForPrint(file)}`));
   }
 }
 
@@ -6393,12 +8717,17 @@ program
   .description('QA - Terminal AI Assistant with multi-provider support, coding assistance, and agentic parallel execution')
   .version('1.0.0')
   .option('--qs, --quiet-start', 'Quiet start (suppress banner and startup messages)')
-  .option('--fa, --fast-answers', 'Fast answers mode (quick responses, no reasoning)')
-  .option('--nvim, --nvim-help', 'Neovim help mode (vim/nvim keybinding assistance)')
-  .option('--vocab, --vocabulary', 'Vocabulary mode (spelling, grammar, and writing assistance)');
+  .option('--mode <name>', 'Start in a chat mode, e.g. fast-answers, nvim-help or vocab (see \\mode in chat)')
+  .option('--fa, --fast-answers', 'Same as --mode fast-answers')
+  .option('--nvim, --nvim-help', 'Same as --mode nvim-help')
+  .option('--vocab, --vocabulary', 'Same as --mode vocab')
+  .option('--resume [name]', 'Resume a saved chat session (the most recent one when no name is given)')
+  .option('--no-cache', 'Do not read or write the response cache for this run')
+  .option('--profile <name>', 'Start with a profile from the profiles setting')
+  .option('--set <key=value>', 'Override a setting for this run, e.g. --set streaming.enabled=false (repeatable)', (pair, pairs) => [...pairs, pair], []);
 
 // Enrich CLI help output with examples and notes
-program.addHelpText('after', `\nExamples:\n  $ qa --qs\n  $ qa --fast-answers\n  $ qa --nvim\n  $ qa --vocab\n  $ qa settings\n\nSpecial Modes:\n  - Fast Answers: Quick responses without reasoning for simple questions\n  - Nvim Help: Lightning-fast vim/neovim keybinding assistance\n  - Vocabulary: Spelling, grammar, and professional writing assistance\n\nNotes:\n  - Inside chat, commands start with \\ (backslash). Forward-slash / is supported but deprecated.\n  - Paste mode: type \\p, finish with \\end (Windows: Ctrl+Z then Enter).\n  - Agentic: prefix a single query with \\a (or \\agent, \\agentic).\n  - Exec: use \\e or \\exec to run commands; common natural-language ops are translated (e.g.,\n    "make a new directory ~/Documents/testabc", "open terminal here",\n    "zip each of src docs", "replace 'old' with 'new' in files matching *.js under ./src").\n`);
+program.addHelpText('after', `\nExamples:\n  $ qa --qs\n  $ qa ask "what does this regex do: ^a+$"\n  $ cat build.log | qa ask --json "why did this fail"\n  $ qa --resume\n  $ qa --resume my-feature\n  $ qa --fast-answers\n  $ qa --mode nvim-help\n  $ qa --mode vocab ask "their going to the meeting tomorow"\n  $ qa settings\n\nSpecial Modes:\n  - Fast Answers: Quick responses without reasoning for simple questions\n  - Nvim Help: Lightning-fast vim/neovim keybinding assistance\n  - Vocabulary: Spelling, grammar, and professional writing assistance\n  - Your own: a JSON file per mode in ~/.config/qaterm/modes/ or .qaterm/modes/ (see modes/ for the built-in ones)\n\nNotes:\n  - Inside chat, commands start with \\ (backslash). Forward-slash / is supported but deprecated.\n  - Paste mode: type \\p, finish with \\end (Windows: Ctrl+Z then Enter).\n  - Agentic: prefix a single query with \\a (or \\agent, \\agentic).\n  - Exec: use \\e or \\exec to run commands; common natural-language ops are translated (e.g.,\n    "make a new directory ~/Documents/testabc", "open terminal here",\n    "zip each of src docs", "replace 'old' with 'new' in files matching *.js under ./src").\n`);
 
 // Default command starts chat mode
 program
@@ -6406,34 +8735,95 @@ program
     // Load configuration
     loadConfig();
     
-    // Configure special modes based on startup flags
-    if (fastAnswersMode) {
-      config.fastAnswersMode.enabled = true;
-      config.reasoningMode.enabled = false;
-      config.agentMode.enabled = false;
-      config.agentic.enabled = false;
-      config.codingMode.enabled = false;
-    }
-    
-    if (nvimHelpMode) {
-      config.nvimHelpMode.enabled = true;
-      config.reasoningMode.enabled = false;
-      config.agentMode.enabled = false;
-      config.agentic.enabled = false;
-      config.codingMode.enabled = false;
-    }
-    
-    if (vocabMode) {
-      config.vocabMode.enabled = true;
-      config.reasoningMode.enabled = false;
-      config.agentMode.enabled = false;
-      config.agentic.enabled = false;
-      config.codingMode.enabled = false;
+    // Restore a saved session first so explicit mode flags below still win
+    const { resume } = program.opts();
+    if (resume) {
+      openSessions();
+      const name = resume === true ? listSessions()[0]?.name : resume;
+      if (!name || !(await resumeSession(name, { reloadContext: false }))) {
+        if (!name) console.log(chalk.red('No saved sessions to resume.'));
+        process.exit(1);
+      }
     }
     
+    applyStartupModes();
     await startChatMode();
   });
 
+// One-shot question for scripts, hooks and editors
+program
+  .command('ask')
+  .description('Answer one question and exit; text piped on stdin is added to it')
+  .argument('[question...]', 'The question (optional when input is piped)')
+  .option('--provider <name>', `Provider for this question (${providerNames.join(', ')})`)
+  .option('--model <name>', 'Model for this question')
+  .option('--coding', 'Answer in coding mode with the current project\'s context')
+  .option('--json', 'Print the answer, model, tokens and timings as JSON')
+  .option('--no-stdin', 'Do not read piped input')
+  .addHelpText('after', `\nThe --fa, --nvim and --vocab mode flags apply too.\n\nExit codes: 0 answered, 1 the request failed, 2 bad usage, 3 the provider is not configured.\n\nExamples:\n  $ qa ask "what does git rebase --onto do"\n  $ cat build.log | qa ask "why did this fail"\n  $ git diff | qa ask --json "summarize these changes" | jq -r .answer\n`)
+  .action(async (words, options) => {
+    await runOneShot(words, options);
+  });
+
+// Local server for editor plugins and dashboards
+program
+  .command('serve')
+  .description('Serve chat and agentic tasks over HTTP/JSON-RPC on 127.0.0.1')
+  .option('--port <number>', 'Port to listen on (default: server.port, 4317)')
+  .option('--token <token>', 'Bearer token clients must send (or set QATERM_SERVER_TOKEN)')
+  .option('--coding', 'Answer in coding mode with the current project\'s context')
+  .addHelpText('after', `\nThe --fa, --nvim and --vocab mode flags apply too.\n\nExamples:\n  $ QATERM_SERVER_TOKEN=secret qa serve --port 4317\n  $ curl -s localhost:4317/rpc -H 'Authorization: Bearer secret' -H 'Content-Type: application/json' \\\n      -d '{"jsonrpc":"2.0","id":1,"method":"chat","params":{"message":"hello"}}'\n  $ curl -N localhost:4317/events -H 'Authorization: Bearer secret'\n`)
+  .action(async (options) => {
+    await runServer(options);
+  });
+
+// Layered configuration: defaults < ~/.config/qaterm/config.json < .qaterm/config.json < profile < QATERM_* < flags
+const configCommand = program
+  .command('config')
+  .description('Show and change settings, and where each one comes from')
+  .addHelpText('after', `\nSettings are read, lowest first, from the built-in defaults, the user file\n(~/.config/qaterm/config.json), the project file (.qaterm/config.json), the active\nprofile, QATERM_* environment variables (QATERM_SERVER_TOKEN is server.token) and\n--set key=value.\n\nExamples:\n  $ qa config list --origin\n  $ qa config get retry\n  $ qa config set streaming.enabled false\n  $ qa config set search.backend stub --project\n  $ qa --set currentProvider=local ask "hello"\n`);
+
+configCommand
+  .command('list')
+  .description('List every setting')
+  .option('--origin', 'Show the layer and file each value comes from')
+  .option('--json', 'Print JSON')
+  .action((options) => {
+    loadConfig();
+    printSettings('', options);
+  });
+
+configCommand
+  .command('get')
+  .description('Show one setting, or a group of them')
+  .argument('<key>', 'Dotted setting name, e.g. retry.maxRetries')
+  .option('--origin', 'Show the layer and file each value comes from')
+  .option('--json', 'Print JSON')
+  .action((keyPath, options) => {
+    loadConfig();
+    requireSetting(keyPath);
+    printSettings(keyPath, options);
+  });
+
+configCommand
+  .command('set')
+  .description('Save a setting to the user config file')
+  .argument('<key>', 'Dotted setting name')
+  .argument('<value>', 'true/false, a number, text, or JSON for lists and groups')
+  .option('--project', 'Save it in the project\'s .qaterm/config.json instead')
+  .action((keyPath, value, options) => {
+    runConfigSet(keyPath, value, options);
+  });
+
+configCommand
+  .command('unset')
+  .description('Remove a setting from the user config file')
+  .argument('<key>', 'Dotted setting name')
+  .option('--project', 'Remove it from the project\'s .qaterm/config.json instead')
+  .action((keyPath, options) => {
+    runConfigUnset(keyPath, options);
+  });
+
 // Settings command
 program
   .command('settings')
@@ -6463,8 +8853,8 @@ program
     console.log('- Enable in settings or with the /menu command\n');
     
     console.log(chalk.yellow.bold('Coding Mode:'));
-    console.log('- Creates and maintains project-specific context in ai.md');
-    console.log('- Stores conversation in current.md for persistence');
+    console.log('- Creates and maintains project-specific context in .qaterm/ai.md at the project root');
+    console.log('- Stores the conversation in .qaterm/current.md for persistence');
     console.log('- Allows compacting/summarizing conversation with /compact');
     console.log('- Tracks features with /feature command');
     console.log('- Uses expanded context window for better code assistance');
@@ -6502,13 +8892,15 @@ program
     console.log('- Integration with agentic mode for complex coding tasks\n');
     
     console.log(chalk.yellow.bold('Files Created:'));
-    console.log(`- ${config.codingMode.projectContextFile}: Stores project information, features, and code structure`);
-    console.log(`- ${config.codingMode.currentContextFile}: Maintains current conversation history\n`);
+    console.log(`- .qaterm/${config.codingMode.projectContextFile}: Stores project information, features, and code structure`);
+    console.log(`- .qaterm/${config.codingMode.currentContextFile}: Maintains the project's conversation history`);
+    console.log('- .qaterm/ is created at the project root (nearest .git, package.json, ...) on first use;');
+    console.log('  outside a project the files in the install directory are used\n');
     
     console.log(chalk.yellow.bold('Commands:'));
     console.log('- /compact: Summarize the current conversation to preserve context');
     console.log('- /feature <description>: Add a new feature to the project context');
-    console.log('- /clear: Clear conversation history and current.md file\n');
+    console.log('- /clear: Clear conversation history and start a new session\n');
     
     console.log(chalk.yellow.bold('Benefits:'));
     console.log('- Better code suggestions through persistent project understanding');
@@ -6594,6 +8986,12 @@ async function configureFileTerminalAgent() {
         message: 'Auto-approve non-destructive exec commands (skip confirm)?',
         default: config.agent.autoApproveExec
       },
+      {
+        type: 'confirm',
+        name: 'nativeTools',
+        message: 'Use native tool calling when the model supports it?',
+        default: config.agent.nativeTools !== false
+      },
       {
         type: 'input',
         name: 'allowedDirectories',
@@ -6606,10 +9004,12 @@ async function configureFileTerminalAgent() {
     hasChanged = hasChanged ||
       (config.agent.useVirtualEnvironment !== agentAnswers.useVirtualEnvironment) ||
       (config.agent.autoApproveExec !== agentAnswers.autoApproveExec) ||
+      ((config.agent.nativeTools !== false) !== agentAnswers.nativeTools) ||
       (JSON.stringify(config.agent.allowedDirectories) !== JSON.stringify(agentAnswers.allowedDirectories));
     
     config.agent.useVirtualEnvironment = agentAnswers.useVirtualEnvironment;
     config.agent.autoApproveExec = agentAnswers.autoApproveExec;
+    config.agent.nativeTools = agentAnswers.nativeTools;
     config.agent.allowedDirectories = agentAnswers.allowedDirectories;
     
     // Manage disallowed commands
@@ -6670,6 +9070,31 @@ async function configureFileTerminalAgent() {
   return hasChanged;
 }
 
+// Build the model picker question. The local provider lists whatever its
+// server has installed, falling back to free text if the server is unreachable.
+async function modelPrompt(provider, builtInChoices, message, current) {
+  let choices = builtInChoices;
+  if (provider === 'local') {
+    try {
+      choices = await listModels('local');
+      if (!choices.length) console.log(chalk.yellow('The local server reported no models.'));
+    } catch (error) {
+      console.log(chalk.yellow(`Could not list local models: ${error.message}`));
+      choices = [];
+    }
+  }
+  if (!choices || !choices.length) {
+    return {
+      type: 'input',
+      name: 'model',
+      message: message.replace(/^Select/, 'Enter'),
+      default: current,
+      validate: value => value.trim() !== '' ? true : 'Please enter a model name'
+    };
+  }
+  return { type: 'list', name: 'model', message, choices, default: current };
+}
+
 // Configure provider and model settings
 async function configureProviderAndModel() {
   const providerAnswer = await inquirer.prompt([
@@ -6677,24 +9102,28 @@ async function configureProviderAndModel() {
       type: 'list',
       name: 'provider',
       message: 'Select AI provider:',
-      choices: ['anthropic', 'openai', 'google', 'openrouter'],
+      choices: providerNames,
       default: config.currentProvider
     }
   ]);
   
-  // Check API keys for the selected provider
-  if (providerAnswer.provider === 'openai' && !process.env.OPENAI_API_KEY) {
-    console.log(chalk.red('Warning: OPENAI_API_KEY environment variable is not set.'));
-    console.log(chalk.yellow('You will need to set the OPENAI_API_KEY environment variable to use OpenAI.'));
-  } else if (providerAnswer.provider === 'anthropic' && !process.env.ANTHROPIC_API_KEY) {
-    console.log(chalk.red('Warning: ANTHROPIC_API_KEY environment variable is not set.'));
-    console.log(chalk.yellow('You will need to set the ANTHROPIC_API_KEY environment variable to use Anthropic Claude.'));
-  } else if (providerAnswer.provider === 'google' && !process.env.GOOGLE_API_KEY) {
-    console.log(chalk.red('Warning: GOOGLE_API_KEY environment variable is not set.'));
-    console.log(chalk.yellow('You will need to set the GOOGLE_API_KEY environment variable to use Google AI.'));
-  } else if (providerAnswer.provider === 'openrouter' && !process.env.OPENROUTER_API_KEY) {
-    console.log(chalk.red('Warning: OPENROUTER_API_KEY environment variable is not set.'));
-    console.log(chalk.yellow('You will need to set the OPENROUTER_API_KEY environment variable to use OpenRouter.'));
+  // Check API keys (or the server URL for local) for the selected provider
+  if (providerAnswer.provider === 'local') {
+    const localAnswer = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'baseURL',
+        message: 'Local server base URL (OpenAI-compatible, e.g. Ollama):',
+        default: config.localProvider.baseURL,
+        validate: value => /^https?:\/\//.test(value.trim()) ? true : 'Please enter an http(s) URL'
+      }
+    ]);
+    config.localProvider.baseURL = localAnswer.baseURL.trim();
+    configureProvider('local', config.localProvider);
+  } else if (!isProviderAvailable(providerAnswer.provider)) {
+    const { label, envKey } = providers[providerAnswer.provider];
+    console.log(chalk.red(`Warning: ${envKey} environment variable is not set.`));
+    console.log(chalk.yellow(`You will need to set the ${envKey} environment variable to use ${label}.`));
   }
 
   // Provider-specific main model selection
@@ -6702,26 +9131,35 @@ async function configureProviderAndModel() {
     openai: ['gpt-5', 'gpt-4o', 'gpt-4-turbo', 'gpt-3.5-turbo'],
     anthropic: ['claude-3-7-sonnet-20250219', 'claude-3-5-sonnet-20240620', 'claude-3-opus-20240229'],
     google: ['gemini-2.0-flash', 'gemini-2.5-pro-exp-03-25', 'gemini-1.5-flash', 'gemini-1.5-pro'],
-    openrouter: ['deepseek/deepseek-r1:free', 'deepseek/deepseek-chat', 'anthropic/claude-3-opus-20240229', 'anthropic/claude-3-5-sonnet-20240620']
+    openrouter: ['deepseek/deepseek-r1:free', 'deepseek/deepseek-chat', 'anthropic/claude-3-opus-20240229', 'anthropic/claude-3-5-sonnet-20240620'],
+    local: [] // Listed from the local server
   };
 
   const modelAnswer = await inquirer.prompt([
-    {
-      type: 'list',
-      name: 'model',
-      message: `Select main ${providerAnswer.provider} model for complex queries:`,
-      choices: modelChoices[providerAnswer.provider],
-      default: config.models[providerAnswer.provider]
-    }
+    await modelPrompt(
+      providerAnswer.provider,
+      modelChoices[providerAnswer.provider],
+      `Select main ${providerAnswer.provider} model for complex queries:`,
+      config.models[providerAnswer.provider]
+    )
   ]);
 
-  // Update configuration
+  // Update configuration (the local base URL may have changed above)
   const hasChanged = (config.currentProvider !== providerAnswer.provider) || 
-                     (config.models[providerAnswer.provider] !== modelAnswer.model);
+                     (config.models[providerAnswer.provider] !== modelAnswer.model) ||
+                     providerAnswer.provider === 'local';
   
   config.currentProvider = providerAnswer.provider;
   config.models[providerAnswer.provider] = modelAnswer.model;
 
+  // Local servers have no fixed light model list, so pick it here too
+  if (providerAnswer.provider === 'local') {
+    const lightAnswer = await inquirer.prompt([
+      await modelPrompt('local', [], 'Select lightweight local model for simple queries:', config.lightModels.local)
+    ]);
+    config.lightModels.local = lightAnswer.model;
+  }
+
   if (hasChanged) {
     console.log(chalk.green(`✓ Now using ${chalk.bold(providerAnswer.provider)} with model ${chalk.bold(modelAnswer.model)}`));
     saveConfig();
@@ -6848,21 +9286,21 @@ async function configureAgentMode() {
       openai: ['gpt-5-mini', 'gpt-4o-mini', 'gpt-3.5-turbo'],
       anthropic: ['claude-3-haiku-20240307'],
       google: ['gemini-2.0-flash-lite', 'gemini-1.5-flash-8b'],
-      openrouter: ['deepseek/deepseek-r1:free']
+      openrouter: ['deepseek/deepseek-r1:free'],
+      local: [] // Listed from the local server
     };
     
     const lightModelAnswer = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'lightModel',
-        message: `Select lightweight ${config.currentProvider} model for simple queries:`,
-        choices: lightModelChoices[config.currentProvider],
-        default: config.lightModels[config.currentProvider]
-      }
+      await modelPrompt(
+        config.currentProvider,
+        lightModelChoices[config.currentProvider],
+        `Select lightweight ${config.currentProvider} model for simple queries:`,
+        config.lightModels[config.currentProvider]
+      )
     ]);
     
-    hasChanged = hasChanged || (config.lightModels[config.currentProvider] !== lightModelAnswer.lightModel);
-    config.lightModels[config.currentProvider] = lightModelAnswer.lightModel;
+    hasChanged = hasChanged || (config.lightModels[config.currentProvider] !== lightModelAnswer.model);
+    config.lightModels[config.currentProvider] = lightModelAnswer.model;
     
     console.log(chalk.green(`✓ Agent mode enabled with ${chalk.bold(config.lightModels[config.currentProvider])} for simple queries`));
     console.log(chalk.green(`✓ Routing threshold set to ${chalk.bold(config.agentMode.routingThreshold)}`));
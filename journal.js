@@ -0,0 +1,236 @@
+// Change journal: snapshots what a file write, move or shell command is about
+// to touch so it can be rolled back later, across restarts
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+const DEFAULT_MAX_ENTRIES = 200;
+// Directories bigger than this are not copied into the journal
+const DEFAULT_MAX_SNAPSHOT_BYTES = 50 * 1024 * 1024;
+
+const state = {
+  dir: null,
+  sessionId: null,
+  maxEntries: DEFAULT_MAX_ENTRIES,
+  maxSnapshotBytes: DEFAULT_MAX_SNAPSHOT_BYTES,
+  entries: []
+};
+
+function indexPath() {
+  return path.join(state.dir, 'journal.json');
+}
+
+function snapshotDir(entryId) {
+  return path.join(state.dir, 'snapshots', entryId);
+}
+
+function save() {
+  fs.mkdirSync(state.dir, { recursive: true });
+  fs.writeFileSync(indexPath(), JSON.stringify(state.entries, null, 2));
+}
+
+// Load the journal kept in dir; entries recorded afterwards carry sessionId
+function initJournal(dir, options = {}) {
+  state.dir = dir;
+  state.sessionId = options.sessionId || uuidv4();
+  state.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+  state.maxSnapshotBytes = options.maxSnapshotBytes || DEFAULT_MAX_SNAPSHOT_BYTES;
+  try {
+    state.entries = fs.existsSync(indexPath()) ? JSON.parse(fs.readFileSync(indexPath(), 'utf8')) : [];
+  } catch {
+    state.entries = [];
+  }
+  return state.sessionId;
+}
+
+function treeSize(target, limit) {
+  let total = 0;
+  const pending = [target];
+  while (pending.length) {
+    const current = pending.pop();
+    const stat = fs.lstatSync(current);
+    if (stat.isDirectory()) {
+      for (const name of fs.readdirSync(current)) pending.push(path.join(current, name));
+    } else {
+      total += stat.size;
+    }
+    if (total > limit) return total;
+  }
+  return total;
+}
+
+// Record the current state of one path before it is changed
+function capture(target, entryId, index, options = {}) {
+  if (!fs.existsSync(target)) {
+    return { path: target, prior: 'missing', emptyOnly: !!options.emptyOnly };
+  }
+  const stat = fs.statSync(target);
+  const snapshot = path.join(snapshotDir(entryId), String(index));
+  fs.mkdirSync(snapshotDir(entryId), { recursive: true });
+  if (stat.isDirectory()) {
+    if (treeSize(target, state.maxSnapshotBytes) > state.maxSnapshotBytes) {
+      return { path: target, prior: 'dir', snapshot: null, skipped: 'too large to snapshot' };
+    }
+    fs.cpSync(target, snapshot, { recursive: true });
+    return { path: target, prior: 'dir', snapshot };
+  }
+  fs.copyFileSync(target, snapshot);
+  return { path: target, prior: 'file', snapshot };
+}
+
+// mkdir -p may create several levels; the topmost missing one is what to remove
+function topmostMissing(target) {
+  let current = target;
+  while (!fs.existsSync(path.dirname(current)) && path.dirname(current) !== current) {
+    current = path.dirname(current);
+  }
+  return current;
+}
+
+// A move or copy into an existing directory lands inside it
+function landingPath(from, to) {
+  try {
+    if (from && fs.statSync(to).isDirectory()) return path.join(to, path.basename(from));
+  } catch {}
+  return to;
+}
+
+// Snapshot everything the effects are about to touch. Effects (absolute paths):
+//   { type: 'write', path }   file or directory created or overwritten
+//   { type: 'delete', path }
+//   { type: 'mkdir', path }   removed on undo only while still empty
+//   { type: 'move', from, to }
+//   { type: 'copy', from, to }
+// Returns the entry, or null when there was nothing to record.
+function recordChange({ description, source = 'assistant', effects = [] }) {
+  if (!state.dir || !effects.length) return null;
+  const entry = {
+    id: uuidv4(),
+    session: state.sessionId,
+    time: Date.now(),
+    source,
+    description,
+    captures: [],
+    moves: [],
+    warnings: []
+  };
+  const seen = new Set();
+  const add = (target, options) => {
+    if (seen.has(target)) return;
+    seen.add(target);
+    const item = capture(target, entry.id, entry.captures.length, options);
+    if (item.skipped) entry.warnings.push(`${target}: ${item.skipped}`);
+    entry.captures.push(item);
+  };
+
+  for (const effect of effects) {
+    try {
+      if (effect.type === 'move') {
+        const to = landingPath(effect.from, effect.to);
+        add(to);
+        entry.moves.push({ from: effect.from, to });
+      } else if (effect.type === 'copy') {
+        add(landingPath(effect.from, effect.to));
+      } else if (effect.type === 'mkdir') {
+        add(topmostMissing(effect.path), { emptyOnly: true });
+      } else if (effect.path) {
+        add(effect.path);
+      }
+    } catch (error) {
+      entry.warnings.push(`${effect.path || effect.from}: ${error.message}`);
+    }
+  }
+
+  state.entries.push(entry);
+  prune();
+  save();
+  return entry;
+}
+
+function removeSnapshots(entry) {
+  fs.rmSync(snapshotDir(entry.id), { recursive: true, force: true });
+}
+
+function prune() {
+  while (state.entries.length > state.maxEntries) {
+    removeSnapshots(state.entries.shift());
+  }
+}
+
+// Remove a directory tree only if it holds nothing but empty directories
+function removeEmptyTree(target) {
+  if (!fs.statSync(target).isDirectory()) return false;
+  for (const name of fs.readdirSync(target)) {
+    if (!removeEmptyTree(path.join(target, name))) return false;
+  }
+  fs.rmdirSync(target);
+  return true;
+}
+
+function restoreEntry(entry) {
+  const problems = [];
+  // Moves go back first so restored snapshots land on the right paths
+  for (const move of [...entry.moves].reverse()) {
+    try {
+      if (fs.existsSync(move.to) && !fs.existsSync(move.from)) {
+        fs.mkdirSync(path.dirname(move.from), { recursive: true });
+        fs.renameSync(move.to, move.from);
+      }
+    } catch (error) {
+      problems.push(`${move.to} → ${move.from}: ${error.message}`);
+    }
+  }
+  for (const item of [...entry.captures].reverse()) {
+    try {
+      if (item.prior === 'missing') {
+        if (!fs.existsSync(item.path)) continue;
+        if (item.emptyOnly) {
+          if (!removeEmptyTree(item.path)) problems.push(`${item.path}: left in place because it is no longer empty`);
+        } else {
+          fs.rmSync(item.path, { recursive: true, force: true });
+        }
+      } else if (!item.snapshot) {
+        problems.push(`${item.path}: ${item.skipped || 'no snapshot'}`);
+      } else if (item.prior === 'dir') {
+        fs.rmSync(item.path, { recursive: true, force: true });
+        fs.cpSync(item.snapshot, item.path, { recursive: true });
+      } else {
+        fs.mkdirSync(path.dirname(item.path), { recursive: true });
+        fs.rmSync(item.path, { recursive: true, force: true });
+        fs.copyFileSync(item.snapshot, item.path);
+      }
+    } catch (error) {
+      problems.push(`${item.path}: ${error.message}`);
+    }
+  }
+  return problems;
+}
+
+// Roll back the most recent `count` changes that are not undone yet, newest
+// first. Returns [{ entry, problems }] in the order they were undone.
+function undoChanges(count = 1) {
+  const results = [];
+  for (const entry of [...state.entries].reverse()) {
+    if (results.length >= count) break;
+    if (entry.undone) continue;
+    const problems = restoreEntry(entry);
+    entry.undone = Date.now();
+    results.push({ entry, problems });
+  }
+  if (results.length) save();
+  return results;
+}
+
+// Most recent first; undone entries are included and flagged
+function listChanges(limit = 20) {
+  return [...state.entries].reverse().slice(0, limit).map(entry => ({
+    ...entry,
+    currentSession: entry.session === state.sessionId
+  }));
+}
+
+function pendingChangeCount() {
+  return state.entries.filter(entry => !entry.undone).length;
+}
+
+export { initJournal, recordChange, undoChanges, listChanges, pendingChangeCount };
@@ -0,0 +1,165 @@
+// Chat modes such as fast answers, nvim help and vocabulary. Each mode is a
+// JSON file named after it in one of the mode directories: modes/ in the
+// install directory (the built-in ones), ~/.config/qaterm/modes/ and the
+// project's .qaterm/modes/, where a later directory's file replaces an earlier
+// one of the same name. A mode file holds:
+//   description         shown by \mode and in \help
+//   aliases             chat toggles, e.g. ["fa"] for \fa
+//   systemPrompt        instructions added to every question
+//   contextFiles        files added after the prompt, relative to the mode
+//                       file: "file.json" or { "path": "file.json", "label": "..." }
+//   model               "light" or "main", the model tier that answers
+//   maxContextMessages  history kept while the mode is on (0 keeps maxContextMessages)
+//   skipReasoning       answer without the reasoning passes
+//   cache               reuse cached answers to repeated questions
+//   settings            config values switched to when the mode is turned on
+import fs from 'fs';
+import path from 'path';
+import { validate, checkLayer, closestKey } from './configStore.js';
+
+const MODE_SCHEMA = {
+  type: 'object',
+  properties: {
+    description: { type: 'string' },
+    aliases: { type: 'array', items: { type: 'string' } },
+    systemPrompt: { type: 'string' },
+    contextFiles: {
+      type: 'array',
+      items: {
+        type: ['string', 'object'],
+        properties: { path: { type: 'string' }, label: { type: 'string' } },
+        additionalProperties: false
+      }
+    },
+    model: { type: 'string', enum: ['light', 'main'] },
+    maxContextMessages: { type: 'integer', minimum: 0 },
+    skipReasoning: { type: 'boolean' },
+    cache: { type: 'boolean' },
+    settings: { type: 'object' }
+  },
+  additionalProperties: false
+};
+
+const MODE_DEFAULTS = {
+  description: '',
+  aliases: [],
+  systemPrompt: '',
+  contextFiles: [],
+  model: 'main',
+  maxContextMessages: 0,
+  skipReasoning: false,
+  cache: false,
+  settings: {}
+};
+
+const MODE_NAME = /^[a-z0-9][a-z0-9_-]*$/;
+
+function isInside(dir, file) {
+  const relative = path.relative(dir, file);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// One mode file: { mode, problems }, mode null when the file is unusable.
+// source: { layer, dir, root, locked }; a source with a root may only name
+// context files inside it, and its settings are checked against locked.
+function readModeFile(file, source, settingsSchema) {
+  const name = path.basename(file, '.json');
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return { mode: null, problems: [error instanceof SyntaxError ? `invalid JSON: ${error.message}` : error.message] };
+  }
+  const problems = validate(MODE_SCHEMA, values).map(problem => problem.message);
+  if (problems.length) return { mode: null, problems };
+
+  const mode = { ...structuredClone(MODE_DEFAULTS), ...values, name, file, layer: source.layer };
+  mode.contextFiles = mode.contextFiles.map(entry => {
+    const item = typeof entry === 'string' ? { path: entry } : entry;
+    const resolved = path.resolve(path.dirname(file), item.path || '');
+    return { path: resolved, label: item.label || path.basename(resolved) };
+  }).filter(item => {
+    if (!source.root || isInside(source.root, item.path)) return true;
+    problems.push(`contextFiles: ${item.path} is outside the project`);
+    return false;
+  });
+  const settings = checkLayer(settingsSchema, { name: source.layer, values: mode.settings, problems: [] }, source.locked || []);
+  mode.settings = settings.values;
+  problems.push(...settings.problems.map(problem => `settings.${problem.message}`));
+  return { mode, problems };
+}
+
+// Modes from sources, lowest first: { modes: { name: mode }, problems: [{ file, message }] }
+function loadModes(sources, settingsSchema) {
+  const modes = {};
+  const problems = [];
+  for (const source of sources) {
+    let files;
+    try {
+      files = fs.readdirSync(source.dir).filter(file => file.endsWith('.json')).sort();
+    } catch {
+      continue;
+    }
+    for (const entry of files) {
+      const file = path.join(source.dir, entry);
+      if (!MODE_NAME.test(path.basename(entry, '.json'))) {
+        problems.push({ file, message: 'mode names may only use lowercase letters, digits, - and _' });
+        continue;
+      }
+      const result = readModeFile(file, source, settingsSchema);
+      problems.push(...result.problems.map(message => ({ file, message })));
+      if (result.mode) modes[result.mode.name] = result.mode;
+    }
+  }
+  // An alias belongs to the last mode that claims it, and never hides a name
+  const claimed = {};
+  for (const mode of Object.values(modes)) {
+    for (const alias of mode.aliases) claimed[alias.toLowerCase()] = mode.name;
+  }
+  for (const mode of Object.values(modes)) {
+    mode.aliases = mode.aliases.filter(alias => {
+      const owner = modes[alias.toLowerCase()] ? alias.toLowerCase() : claimed[alias.toLowerCase()];
+      if (owner === mode.name) return true;
+      problems.push({ file: mode.file, message: `alias "${alias}" is already used by the ${owner} mode` });
+      return false;
+    });
+  }
+  return { modes, problems };
+}
+
+// The mode called name, or whose alias it is; null when there is none
+function findMode(modes, name) {
+  const key = String(name || '').toLowerCase();
+  if (!key) return null;
+  return modes[key] || Object.values(modes).find(mode => mode.aliases.some(alias => alias.toLowerCase() === key)) || null;
+}
+
+function unknownModeMessage(name, modes) {
+  const names = Object.keys(modes);
+  const suggestion = closestKey(String(name).toLowerCase(), [...names, ...Object.values(modes).flatMap(mode => mode.aliases)]);
+  if (suggestion) return `no mode named "${name}" (did you mean ${suggestion}?)`;
+  return `no mode named "${name}" (${names.length ? `modes: ${names.join(', ')}` : 'no mode files found'})`;
+}
+
+// The mode's system prompt followed by its context files; files that cannot
+// be read are left out
+function modeInstructions(mode) {
+  const parts = mode.systemPrompt ? [mode.systemPrompt] : [];
+  for (const item of mode.contextFiles) {
+    let text;
+    try {
+      text = fs.readFileSync(item.path, 'utf8').trim();
+    } catch {
+      continue;
+    }
+    parts.push(`${item.label}:\n${text}`);
+  }
+  return parts.join('\n\n');
+}
+
+export {
+  loadModes,
+  findMode,
+  unknownModeMessage,
+  modeInstructions
+};
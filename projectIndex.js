@@ -0,0 +1,158 @@
+// Persistent per-project file index behind \review and coding mode. Each file
+// keeps its size, mtime and content hash, so a refresh only re-reads files that
+// changed on disk, and a summary that is generated once per content version.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const INDEX_VERSION = 1;
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+function emptyIndex(root) {
+  return { version: INDEX_VERSION, root, updated: null, files: {} };
+}
+
+// The index stored in file for root, or an empty one
+function loadIndex(file, root) {
+  try {
+    const index = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (index.version === INDEX_VERSION && index.root === root) return index;
+  } catch {}
+  return emptyIndex(root);
+}
+
+function saveIndex(file, index) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  index.updated = Date.now();
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(index));
+  fs.renameSync(temp, file);
+}
+
+// Compare the listed files (absolute paths) with the index by size and mtime.
+// Entries for files no longer listed are dropped. Returns { stale, unchanged,
+// removed }: the files to re-read, how many still match, and the removed paths.
+function findStaleFiles(index, files) {
+  const listed = new Set();
+  const stale = [];
+  let unchanged = 0;
+  for (const file of files) {
+    const rel = path.relative(index.root, file);
+    listed.add(rel);
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch {
+      continue;
+    }
+    const entry = index.files[rel];
+    if (entry && entry.size === stat.size && entry.mtimeMs === stat.mtimeMs) unchanged++;
+    else stale.push(file);
+  }
+  const removed = Object.keys(index.files).filter(rel => !listed.has(rel));
+  removed.forEach(rel => delete index.files[rel]);
+  return { stale, unchanged, removed };
+}
+
+// Record a file that was just read. Files that could not be read are kept
+// with the reason so they are not retried until they change. Returns true
+// when the content is new or different, i.e. its summary is out of date.
+function recordFile(index, file, content, error) {
+  const rel = path.relative(index.root, file);
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    delete index.files[rel];
+    return false;
+  }
+  const entry = index.files[rel] || {};
+  if (content === null || content === undefined) {
+    index.files[rel] = { size: stat.size, mtimeMs: stat.mtimeMs, skipped: error || 'unreadable' };
+    return false;
+  }
+  const hash = hashContent(content);
+  const { skipped, ...kept } = entry;
+  index.files[rel] = { ...kept, size: stat.size, mtimeMs: stat.mtimeMs, hash };
+  return entry.hash !== hash;
+}
+
+// Relative paths of files whose summary is missing or older than their content
+function filesNeedingSummary(index) {
+  return Object.entries(index.files)
+    .filter(([, entry]) => entry.hash && entry.summaryHash !== entry.hash)
+    .map(([rel]) => rel);
+}
+
+function setSummary(index, rel, summary) {
+  const entry = index.files[rel];
+  if (!entry) return;
+  entry.summary = summary;
+  entry.summaryHash = entry.hash;
+}
+
+// Relative paths scored by keyword hits: a hit in the path counts more than
+// one in the summary. Files without any hit are left out.
+function rankFiles(index, keywords) {
+  const words = keywords.map(word => word.toLowerCase()).filter(Boolean);
+  if (!words.length) return [];
+  return Object.entries(index.files)
+    .filter(([, entry]) => entry.hash)
+    .map(([rel, entry]) => {
+      const file = rel.toLowerCase();
+      const summary = (entry.summary || '').toLowerCase();
+      const score = words.reduce((total, word) =>
+        total + (file.includes(word) ? 3 : 0) + (summary.includes(word) ? 1 : 0), 0);
+      return { rel, score };
+    })
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score || a.rel.localeCompare(b.rel))
+    .map(item => item.rel);
+}
+
+// One line per summarized file, the given ones first, within maxChars
+function indexOverview(index, first = [], maxChars = Infinity) {
+  const order = [...new Set([...first, ...Object.keys(index.files).sort()])];
+  const lines = [];
+  let length = 0;
+  let left = 0;
+  for (const rel of order) {
+    const entry = index.files[rel];
+    if (!entry?.summary) continue;
+    const line = `- ${rel}: ${entry.summary.replace(/\s+/g, ' ')}`;
+    if (length + line.length + 1 > maxChars) {
+      left++;
+      continue;
+    }
+    lines.push(line);
+    length += line.length + 1;
+  }
+  if (left) lines.push(`- ... ${left} more summarized file(s) not shown`);
+  return lines.join('\n');
+}
+
+function indexStats(index) {
+  const entries = Object.values(index.files);
+  return {
+    root: index.root,
+    updated: index.updated,
+    files: entries.length,
+    summarized: entries.filter(entry => entry.hash && entry.summaryHash === entry.hash).length,
+    skipped: entries.filter(entry => entry.skipped).length
+  };
+}
+
+export {
+  loadIndex,
+  saveIndex,
+  findStaleFiles,
+  recordFile,
+  filesNeedingSummary,
+  setSummary,
+  rankFiles,
+  indexOverview,
+  indexStats
+};
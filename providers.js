@@ -0,0 +1,837 @@
+// Provider adapter layer shared by the main thread and agent workers
+import OpenAI from 'openai';
+import { Anthropic } from '@anthropic-ai/sdk';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { isCacheEnabled, cacheKey, readCache, writeCache } from './cache.js';
+
+// Output cap used when a call site does not pass one
+const DEFAULT_MAX_TOKENS = 4096;
+const DEFAULT_TEMPERATURE = 0.7;
+
+function cancelledError() {
+  const error = new Error('Request cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Clients are created on first use so a missing key only breaks its own provider
+const clients = {};
+
+// The SDKs' own retries are turned off; run() applies retryPolicy to every provider alike
+const SDK_RETRIES = 0;
+
+// Runtime settings for providers that are configured rather than keyed by env
+const settings = {
+  local: {
+    baseURL: 'http://localhost:11434/v1',
+    apiKey: ''
+  }
+};
+
+// gpt-5 models only accept the default temperature, and their completion cap
+// also counts hidden reasoning tokens, so both are left to the API
+function usesFixedSampling(model) {
+  return typeof model === 'string' && model.startsWith('gpt-5');
+}
+
+// Fold every system message (explicit system prompt plus any project context,
+// search summaries, etc. stored in history) into one system string, and map
+// the remaining turns onto user/assistant roles. Tool-calling turns are kept:
+// assistant turns may carry toolCalls, and { role: 'tool' } turns carry the
+// result for one call.
+function normalizeMessages(messages, system) {
+  const systemParts = system ? [system] : [];
+  const turns = [];
+  for (const msg of messages || []) {
+    if (!msg) continue;
+    if (msg.role === 'tool') {
+      turns.push({ role: 'tool', toolCallId: msg.toolCallId, name: msg.name, content: String(msg.content ?? '') });
+      continue;
+    }
+    if (msg.toolCalls?.length) {
+      turns.push({ role: 'assistant', content: msg.content || '', toolCalls: msg.toolCalls });
+      continue;
+    }
+    if (!msg.content) continue;
+    if (msg.role === 'system') {
+      systemParts.push(msg.content);
+      continue;
+    }
+    turns.push({ role: msg.role === 'user' ? 'user' : 'assistant', content: msg.content });
+  }
+  return { system: systemParts.join('\n\n'), turns };
+}
+
+// Models occasionally emit malformed argument JSON; treat that as no arguments
+function parseToolArgs(json) {
+  if (!json) return {};
+  if (typeof json === 'object') return json;
+  try {
+    return JSON.parse(json);
+  } catch {
+    return {};
+  }
+}
+
+function chatCompletionsMessage(turn) {
+  if (turn.role === 'tool') {
+    return { role: 'tool', tool_call_id: turn.toolCallId, content: turn.content };
+  }
+  if (turn.toolCalls) {
+    return {
+      role: 'assistant',
+      content: turn.content || null,
+      tool_calls: turn.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+      }))
+    };
+  }
+  return { role: turn.role, content: turn.content };
+}
+
+// OpenAI and OpenRouter share the chat completions API
+function chatCompletionsBody({ model, system, turns, maxTokens, temperature, tools }) {
+  return {
+    model,
+    messages: [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      ...turns.map(chatCompletionsMessage)
+    ],
+    ...(!usesFixedSampling(model) ? { temperature, max_tokens: maxTokens } : {}),
+    ...(tools ? {
+      tools: tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }))
+    } : {}),
+  };
+}
+
+// Token counts as reported by the provider, stored on params for run()
+function setUsage(params, inputTokens, outputTokens) {
+  if (inputTokens === undefined && outputTokens === undefined) return;
+  params.usage = { inputTokens: inputTokens || 0, outputTokens: outputTokens || 0 };
+}
+
+async function completeChatCompletions(client, params) {
+  const response = await client.chat.completions.create(chatCompletionsBody(params), { signal: params.signal });
+  setUsage(params, response.usage?.prompt_tokens, response.usage?.completion_tokens);
+  return response.choices[0]?.message?.content || '';
+}
+
+async function streamChatCompletions(client, params) {
+  const stream = await client.chat.completions.create({ ...chatCompletionsBody(params), stream: true }, { signal: params.signal });
+  let text = '';
+  for await (const chunk of stream) {
+    // Only some servers include usage in a final chunk
+    if (chunk.usage) setUsage(params, chunk.usage.prompt_tokens, chunk.usage.completion_tokens);
+    const delta = chunk.choices[0]?.delta?.content || '';
+    if (delta) {
+      text += delta;
+      params.onToken(delta);
+    }
+  }
+  return text;
+}
+
+// Tool calls arrive in fragments keyed by index when streaming
+async function completeChatCompletionsWithTools(client, params) {
+  const body = chatCompletionsBody(params);
+  if (!params.onToken) {
+    const response = await client.chat.completions.create(body, { signal: params.signal });
+    setUsage(params, response.usage?.prompt_tokens, response.usage?.completion_tokens);
+    const message = response.choices[0]?.message || {};
+    return {
+      text: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        args: parseToolArgs(call.function.arguments)
+      }))
+    };
+  }
+  const stream = await client.chat.completions.create({ ...body, stream: true }, { signal: params.signal });
+  let text = '';
+  const calls = [];
+  for await (const chunk of stream) {
+    if (chunk.usage) setUsage(params, chunk.usage.prompt_tokens, chunk.usage.completion_tokens);
+    const delta = chunk.choices[0]?.delta || {};
+    if (delta.content) {
+      text += delta.content;
+      params.onToken(delta.content);
+    }
+    for (const part of delta.tool_calls || []) {
+      const call = calls[part.index] || (calls[part.index] = { id: '', name: '', arguments: '' });
+      if (part.id) call.id = part.id;
+      if (part.function?.name) call.name += part.function.name;
+      if (part.function?.arguments) call.arguments += part.function.arguments;
+    }
+  }
+  return {
+    text,
+    toolCalls: calls.filter(Boolean).map(call => ({ id: call.id, name: call.name, args: parseToolArgs(call.arguments) }))
+  };
+}
+
+function anthropicBlocks(turn) {
+  if (turn.role === 'tool') {
+    return [{ type: 'tool_result', tool_use_id: turn.toolCallId, content: turn.content }];
+  }
+  const blocks = turn.content ? [{ type: 'text', text: turn.content }] : [];
+  for (const call of turn.toolCalls || []) {
+    blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: call.args || {} });
+  }
+  return blocks;
+}
+
+function anthropicBody({ model, system, turns, maxTokens, temperature, tools }) {
+  // Anthropic rejects consecutive turns from the same role, so merge them.
+  // Tool results travel as user turns.
+  const merged = [];
+  for (const turn of turns) {
+    const role = turn.role === 'assistant' ? 'assistant' : 'user';
+    const blocks = anthropicBlocks(turn);
+    if (!blocks.length) continue;
+    const last = merged[merged.length - 1];
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      merged.push({ role, content: blocks });
+    }
+  }
+  return {
+    model,
+    ...(system ? { system } : {}),
+    messages: merged,
+    max_tokens: maxTokens,
+    temperature,
+    ...(tools ? {
+      tools: tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters }))
+    } : {}),
+  };
+}
+
+function anthropicReply(content) {
+  return {
+    text: content.filter(block => block.type === 'text').map(block => block.text).join(''),
+    toolCalls: content
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ id: block.id, name: block.name, args: block.input || {} }))
+  };
+}
+
+async function completeAnthropic(client, params) {
+  const response = await client.messages.create(anthropicBody(params), { signal: params.signal });
+  setUsage(params, response.usage?.input_tokens, response.usage?.output_tokens);
+  return response.content[0]?.text || '';
+}
+
+async function streamAnthropic(client, params) {
+  const stream = client.messages.stream(anthropicBody(params), { signal: params.signal });
+  stream.on('text', (delta) => params.onToken(delta));
+  const text = await stream.finalText();
+  const message = await stream.finalMessage();
+  setUsage(params, message.usage?.input_tokens, message.usage?.output_tokens);
+  return text;
+}
+
+// MessageStream in this SDK version only accumulates text blocks, so tool
+// use is streamed from the raw events instead
+async function completeAnthropicWithTools(client, params) {
+  const body = anthropicBody(params);
+  if (!params.onToken) {
+    const response = await client.messages.create(body, { signal: params.signal });
+    setUsage(params, response.usage?.input_tokens, response.usage?.output_tokens);
+    return anthropicReply(response.content);
+  }
+  const stream = await client.messages.create({ ...body, stream: true }, { signal: params.signal });
+  const blocks = [];
+  let inputTokens;
+  let outputTokens;
+  for await (const event of stream) {
+    if (event.type === 'message_start') {
+      inputTokens = event.message?.usage?.input_tokens;
+    } else if (event.type === 'message_delta') {
+      outputTokens = event.usage?.output_tokens;
+    } else if (event.type === 'content_block_start') {
+      blocks[event.index] = { ...event.content_block, partialJson: '' };
+    } else if (event.type === 'content_block_delta') {
+      const block = blocks[event.index];
+      if (!block) continue;
+      if (event.delta.type === 'text_delta') {
+        block.text = (block.text || '') + event.delta.text;
+        params.onToken(event.delta.text);
+      } else if (event.delta.type === 'input_json_delta') {
+        block.partialJson += event.delta.partial_json;
+      }
+    }
+  }
+  setUsage(params, inputTokens, outputTokens);
+  return anthropicReply(blocks.filter(Boolean).map(block => (
+    block.type === 'tool_use' ? { ...block, input: parseToolArgs(block.partialJson) } : block
+  )));
+}
+
+function googleRequest(client, { model, system, turns, maxTokens, temperature }) {
+  const googleModel = client.getGenerativeModel({
+    model,
+    generationConfig: { maxOutputTokens: maxTokens, temperature }
+  });
+  const prompt = [
+    system,
+    ...turns.map(turn => `${turn.role === 'user' ? 'User: ' : 'Assistant: '}${turn.content}`)
+  ].filter(Boolean).join('\n\n');
+  return { googleModel, prompt };
+}
+
+async function completeGoogle(client, params) {
+  const { googleModel, prompt } = googleRequest(client, params);
+  const response = await googleModel.generateContent(prompt);
+  const usage = response.response.usageMetadata;
+  setUsage(params, usage?.promptTokenCount, usage?.candidatesTokenCount);
+  return response.response.text();
+}
+
+// The Gemini SDK takes no abort signal, so cancellation is checked per chunk
+async function streamGoogle(client, params) {
+  const { googleModel, prompt } = googleRequest(client, params);
+  const result = await googleModel.generateContentStream(prompt);
+  let text = '';
+  for await (const chunk of result.stream) {
+    if (params.signal?.aborted) throw cancelledError();
+    if (chunk.usageMetadata) setUsage(params, chunk.usageMetadata.promptTokenCount, chunk.usageMetadata.candidatesTokenCount);
+    const delta = chunk.text();
+    if (delta) {
+      text += delta;
+      params.onToken(delta);
+    }
+  }
+  return text;
+}
+
+// Gemini expects OpenAPI-style upper-case type names in function schemas
+function googleSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const converted = { ...schema };
+  if (typeof converted.type === 'string') converted.type = converted.type.toUpperCase();
+  if (converted.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(converted.properties).map(([key, value]) => [key, googleSchema(value)])
+    );
+  }
+  if (converted.items) converted.items = googleSchema(converted.items);
+  return converted;
+}
+
+// Tool calling needs real turns rather than the flattened prompt
+function googleContents(system, turns) {
+  const contents = [];
+  const push = (role, parts) => {
+    if (!parts.length) return;
+    const last = contents[contents.length - 1];
+    if (last && last.role === role) {
+      last.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  };
+  if (system) push('user', [{ text: system }]);
+  for (const turn of turns) {
+    if (turn.role === 'tool') {
+      push('function', [{ functionResponse: { name: turn.name, response: { name: turn.name, content: turn.content } } }]);
+    } else if (turn.role === 'assistant') {
+      push('model', [
+        ...(turn.content ? [{ text: turn.content }] : []),
+        ...(turn.toolCalls || []).map(call => ({ functionCall: { name: call.name, args: call.args || {} } }))
+      ]);
+    } else {
+      push('user', [{ text: turn.content }]);
+    }
+  }
+  return contents;
+}
+
+// Gemini does not assign call ids, so results are matched back by name
+async function completeGoogleWithTools(client, params) {
+  const googleModel = client.getGenerativeModel({
+    model: params.model,
+    generationConfig: { maxOutputTokens: params.maxTokens, temperature: params.temperature }
+  });
+  const request = {
+    contents: googleContents(params.system, params.turns),
+    tools: [{
+      functionDeclarations: params.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: googleSchema(tool.parameters)
+      }))
+    }]
+  };
+  const parts = [];
+  if (params.onToken) {
+    const result = await googleModel.generateContentStream(request);
+    for await (const chunk of result.stream) {
+      if (params.signal?.aborted) throw cancelledError();
+      if (chunk.usageMetadata) setUsage(params, chunk.usageMetadata.promptTokenCount, chunk.usageMetadata.candidatesTokenCount);
+      for (const part of chunk.candidates?.[0]?.content?.parts || []) {
+        parts.push(part);
+        if (part.text) params.onToken(part.text);
+      }
+    }
+  } else {
+    const result = await googleModel.generateContent(request);
+    const usage = result.response.usageMetadata;
+    setUsage(params, usage?.promptTokenCount, usage?.candidatesTokenCount);
+    parts.push(...(result.response.candidates?.[0]?.content?.parts || []));
+  }
+  return {
+    text: parts.filter(part => part.text).map(part => part.text).join(''),
+    toolCalls: parts
+      .filter(part => part.functionCall)
+      .map((part, index) => ({ id: `call_${index}`, name: part.functionCall.name, args: part.functionCall.args || {} }))
+  };
+}
+
+// Embedding vectors in the order of params.texts
+async function embedChatCompletions(client, params) {
+  const response = await client.embeddings.create({ model: params.model, input: params.texts }, { signal: params.signal });
+  setUsage(params, response.usage?.prompt_tokens, 0);
+  return [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+}
+
+async function embedGoogle(client, params) {
+  const googleModel = client.getGenerativeModel({ model: params.model });
+  const response = await googleModel.batchEmbedContents({
+    requests: params.texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+  });
+  return response.embeddings.map(embedding => embedding.values);
+}
+
+async function listLocalModels(client) {
+  try {
+    const page = await client.models.list();
+    return page.data.map(model => model.id);
+  } catch (error) {
+    // Older Ollama builds only expose their native tag listing
+    const origin = settings.local.baseURL.replace(/\/v1\/?$/, '');
+    const response = await fetch(`${origin}/api/tags`).catch(() => null);
+    if (!response || !response.ok) throw error;
+    const data = await response.json();
+    return (data.models || []).map(model => model.name);
+  }
+}
+
+// Registry of supported providers
+const providers = {
+  openai: {
+    label: 'OpenAI',
+    envKey: 'OPENAI_API_KEY',
+    createClient: () => new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: SDK_RETRIES }),
+    complete: completeChatCompletions,
+    stream: streamChatCompletions,
+    completeWithTools: completeChatCompletionsWithTools,
+    embed: embedChatCompletions
+  },
+  anthropic: {
+    label: 'Anthropic',
+    envKey: 'ANTHROPIC_API_KEY',
+    createClient: () => new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, maxRetries: SDK_RETRIES }),
+    complete: completeAnthropic,
+    stream: streamAnthropic,
+    completeWithTools: completeAnthropicWithTools
+  },
+  google: {
+    label: 'Google AI',
+    envKey: 'GOOGLE_API_KEY',
+    createClient: () => new GoogleGenerativeAI(process.env.GOOGLE_API_KEY),
+    complete: completeGoogle,
+    stream: streamGoogle,
+    completeWithTools: completeGoogleWithTools,
+    embed: embedGoogle
+  },
+  openrouter: {
+    label: 'OpenRouter',
+    envKey: 'OPENROUTER_API_KEY',
+    // Using OpenAI client with OpenRouter base URL for compatibility
+    createClient: () => new OpenAI({
+      apiKey: process.env.OPENROUTER_API_KEY,
+      baseURL: 'https://openrouter.ai/api/v1',
+      maxRetries: SDK_RETRIES,
+      defaultHeaders: {
+        'HTTP-Referer': 'https://qaterm.app',  // Replace with your actual site
+        'X-Title': 'QAterm'
+      }
+    }),
+    complete: completeChatCompletions,
+    stream: streamChatCompletions,
+    completeWithTools: completeChatCompletionsWithTools
+  },
+  // Any OpenAI-compatible server: Ollama, llama.cpp server, vLLM, LM Studio
+  local: {
+    label: 'Local',
+    envKey: 'LOCAL_API_KEY',
+    requiresKey: false,
+    createClient: () => new OpenAI({
+      // Most local servers ignore the key, but the client insists on one
+      apiKey: settings.local.apiKey || process.env.LOCAL_API_KEY || 'local',
+      baseURL: settings.local.baseURL,
+      maxRetries: SDK_RETRIES
+    }),
+    complete: completeChatCompletions,
+    stream: streamChatCompletions,
+    completeWithTools: completeChatCompletionsWithTools,
+    embed: embedChatCompletions,
+    listModels: listLocalModels
+  }
+};
+
+const providerNames = Object.keys(providers);
+
+function isProviderAvailable(name) {
+  const provider = providers[name];
+  if (!provider) return false;
+  if (provider.requiresKey === false) return !!settings[name]?.baseURL;
+  return !!process.env[provider.envKey];
+}
+
+// Update runtime settings (e.g. the local base URL); the client is rebuilt on next use
+function configureProvider(name, options = {}) {
+  settings[name] = { ...settings[name], ...options };
+  delete clients[name];
+}
+
+function getProviderSettings() {
+  return JSON.parse(JSON.stringify(settings));
+}
+
+function getClient(name) {
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown provider: ${name}`);
+  if (provider.requiresKey === false) {
+    if (!settings[name]?.baseURL) {
+      throw new Error(`${provider.label} provider has no base URL configured. Set it in the settings menu.`);
+    }
+  } else if (!process.env[provider.envKey]) {
+    throw new Error(`${provider.label} API key not set or invalid. Please check your ${provider.envKey} environment variable.`);
+  }
+  if (!clients[name]) {
+    clients[name] = provider.createClient();
+  }
+  return clients[name];
+}
+
+// Ask a provider which models it serves (only providers that support listing)
+async function listModels(name) {
+  const provider = providers[name];
+  if (!provider?.listModels) throw new Error(`Model listing is not supported for ${name}`);
+  return provider.listModels(getClient(name));
+}
+
+let usageListener = null;
+
+// Called after every successful call with { provider, model, usage, system,
+// turns, text, tag }. usage is { inputTokens, outputTokens } when the provider
+// reported it and null otherwise; tag is the caller's usageTag option.
+function setUsageListener(listener) {
+  usageListener = listener;
+}
+
+function reportUsage({ provider, model, usageTag }, params, result) {
+  if (!usageListener) return;
+  try {
+    usageListener({
+      provider,
+      model,
+      usage: params.usage || null,
+      system: params.system,
+      turns: params.turns,
+      text: typeof result === 'string' ? result : result?.text || '',
+      tag: usageTag || null
+    });
+  } catch {}
+}
+
+// Shared by every model call. Transient failures (rate limits, overloaded or
+// unreachable servers) are retried with exponential backoff and jitter,
+// honouring Retry-After. When a provider keeps failing, or cannot serve the
+// call at all (bad key, no credit), the call moves down the failover chain.
+const retryPolicy = {
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  failover: [] // [{ provider, model }], tried in order after the requested provider
+};
+
+function configureRetry(options = {}) {
+  Object.assign(retryPolicy, options);
+}
+
+function getRetryPolicy() {
+  return JSON.parse(JSON.stringify(retryPolicy));
+}
+
+let retryListener = null;
+
+// Called before every retry or failover with { provider, model, error,
+// attempt, delayMs, failover }: delayMs is set for a retry of the same
+// provider, failover ({ provider, model }) when moving on to the next one
+function setRetryListener(listener) {
+  retryListener = listener;
+}
+
+const TRANSIENT_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+const PROVIDER_STATUSES = new Set([401, 402, 403]);
+
+function errorStatus(error) {
+  // The Gemini SDK only reports the HTTP status inside the message
+  return error?.status ?? (Number(/\[(\d{3})[^\]]*\]/.exec(error?.message || '')?.[1]) || undefined);
+}
+
+// 'transient' is worth retrying on the same provider; 'provider' means this
+// provider cannot serve the call (missing key, no credit, server down), so
+// only failover helps; 'fatal' means the request itself was refused
+function classifyError(error) {
+  const status = errorStatus(error);
+  const text = `${error?.message || ''} ${error?.code || ''} ${error?.cause?.code || ''} ${error?.cause?.message || ''}`;
+  if (/insufficient_quota|exceeded your current quota|credit balance/i.test(text)) return 'provider';
+  if (TRANSIENT_STATUSES.has(status)) return 'transient';
+  if (PROVIDER_STATUSES.has(status)) return 'provider';
+  if (status) return 'fatal';
+  if (/ECONNREFUSED|ENOTFOUND|API key not set|no base URL/i.test(text)) return 'provider';
+  if (/ECONNRESET|ETIMEDOUT|EAI_AGAIN|EPIPE|socket hang up|fetch failed|Connection error|timed out|overloaded/i.test(text)) return 'transient';
+  return 'fatal';
+}
+
+// Wait the provider asked for, in ms, or null
+function retryAfterMs(error) {
+  const headers = error?.headers;
+  const header = (name) => typeof headers?.get === 'function' ? headers.get(name) : headers?.[name];
+  const ms = parseFloat(header('retry-after-ms'));
+  if (ms >= 0) return ms;
+  const value = header('retry-after');
+  if (value) {
+    const seconds = Number(value);
+    const delay = Number.isNaN(seconds) ? Date.parse(value) - Date.now() : seconds * 1000;
+    if (delay >= 0) return delay;
+  }
+  // Gemini sends it in the error details instead
+  const match = /"retryDelay":"(\d+(?:\.\d+)?)s"/.exec(error?.message || '');
+  return match ? Number(match[1]) * 1000 : null;
+}
+
+// Delay before retry number attempt + 1, or null to give up on this provider
+// (out of retries, or it asked for a longer wait than maxDelayMs)
+function backoffDelay(attempt, error) {
+  if (attempt >= retryPolicy.maxRetries) return null;
+  const asked = retryAfterMs(error);
+  if (asked !== null) return asked <= retryPolicy.maxDelayMs ? asked : null;
+  // Half fixed, half random, so parallel agents do not retry in lockstep
+  const cap = Math.min(retryPolicy.maxDelayMs, retryPolicy.baseDelayMs * 2 ** attempt);
+  return Math.round(cap / 2 + Math.random() * cap / 2);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(cancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// One-line description of a retry event for the user
+function describeRetry({ provider, error, attempt, delayMs, failover }) {
+  const reason = errorStatus(error) || String(error?.message || error).split('\n')[0].slice(0, 80);
+  return delayMs !== null
+    ? `${provider} failed (${reason}), retry ${attempt} in ${(delayMs / 1000).toFixed(1)}s`
+    : `${provider} failed (${reason}), switching to ${failover.provider} (${failover.model})`;
+}
+
+function notifyRetry(event) {
+  if (!retryListener) return;
+  try {
+    retryListener(event);
+  } catch {}
+}
+
+async function callProvider(kind, options) {
+  const { provider, model, messages = [], system = '', maxTokens = DEFAULT_MAX_TOKENS, temperature = DEFAULT_TEMPERATURE, tools, onToken, signal } = options;
+  const client = getClient(provider);
+  const normalized = normalizeMessages(messages, system);
+  const params = {
+    model,
+    system: normalized.system,
+    turns: normalized.turns,
+    maxTokens,
+    temperature,
+    tools,
+    onToken,
+    signal
+  };
+  let result;
+  try {
+    result = await providers[provider][kind](client, params);
+  } catch (error) {
+    if (signal?.aborted) throw cancelledError();
+    throw error;
+  }
+  // Some SDK streams end quietly on abort instead of throwing
+  if (signal?.aborted) throw cancelledError();
+  reportUsage(options, params, result);
+  return result;
+}
+
+async function callEmbed(kind, options) {
+  const { provider, model, texts, signal } = options;
+  const client = getClient(provider);
+  const params = { model, texts, signal };
+  let vectors;
+  try {
+    vectors = await providers[provider].embed(client, params);
+  } catch (error) {
+    if (signal?.aborted) throw cancelledError();
+    throw error;
+  }
+  if (signal?.aborted) throw cancelledError();
+  reportUsage(options, { ...params, system: '', turns: texts.map(text => ({ role: 'user', content: text })) }, '');
+  return vectors;
+}
+
+// kind is the provider method to call: 'complete', 'stream', 'completeWithTools'
+// or 'embed'. failover: false keeps the call on the requested provider.
+// answered, when given, gets the provider and model that gave the result.
+async function runWithRetries(kind, options, answered = {}) {
+  const call = kind === 'embed' ? callEmbed : callProvider;
+  // The requested provider first, then the failover chain, skipping providers
+  // without a key or base URL
+  const targets = [options, ...(options.failover === false ? [] : retryPolicy.failover)
+    .filter(entry => entry.provider !== options.provider && providers[entry.provider]?.[kind] && isProviderAvailable(entry.provider))
+    .map(entry => ({ ...options, provider: entry.provider, model: entry.model }))];
+  let streamed = false;
+  const onToken = options.onToken && ((delta) => {
+    streamed = true;
+    options.onToken(delta);
+  });
+
+  for (let index = 0; index < targets.length; index++) {
+    const target = targets[index];
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await call(kind, { ...target, onToken });
+        Object.assign(answered, { provider: target.provider, model: target.model });
+        return result;
+      } catch (error) {
+        // Once part of a streamed answer is out, trying again would repeat it
+        if (error.name === 'AbortError' || streamed) throw error;
+        const kindOfError = classifyError(error);
+        if (kindOfError === 'fatal') throw error;
+        const delayMs = kindOfError === 'transient' ? backoffDelay(attempt, error) : null;
+        const next = delayMs === null ? targets[index + 1] : null;
+        if (delayMs === null && !next) throw error;
+        notifyRetry({
+          provider: target.provider,
+          model: target.model,
+          error,
+          attempt: attempt + 1,
+          delayMs,
+          failover: next ? { provider: next.provider, model: next.model } : null
+        });
+        if (delayMs === null) break;
+        await sleep(delayMs, options.signal);
+      }
+    }
+  }
+}
+
+// Streaming does not change the answer, so streamed and plain calls share entries
+function requestKey(kind, options) {
+  const { system, turns } = normalizeMessages(options.messages || [], options.system || '');
+  return cacheKey({
+    kind: kind === 'completeWithTools' ? 'tools' : 'text',
+    provider: options.provider,
+    model: options.model,
+    system,
+    turns,
+    maxTokens: options.maxTokens ?? DEFAULT_MAX_TOKENS,
+    temperature: options.temperature ?? DEFAULT_TEMPERATURE,
+    tools: options.tools || null
+  });
+}
+
+// Calls made with cache: true are answered from the response cache when the
+// same request was seen before. Replies that call tools are never stored,
+// since the tools' results can change. A reply from a failover provider is
+// stored as that provider's and model's answer, never as the requested one's.
+async function run(kind, options) {
+  const key = options.cache && isCacheEnabled() ? requestKey(kind, options) : null;
+  if (key) {
+    const cached = readCache(key);
+    if (cached !== undefined) {
+      const text = typeof cached === 'string' ? cached : cached.text;
+      if (text && options.onToken) options.onToken(text);
+      return cached;
+    }
+  }
+  const answered = {};
+  const result = await runWithRetries(kind, options, answered);
+  const text = typeof result === 'string' ? result : result?.text;
+  if (key && text && !result?.toolCalls?.length) {
+    const failedOver = answered.provider !== options.provider || answered.model !== options.model;
+    writeCache(failedOver ? requestKey(kind, { ...options, ...answered }) : key, result, answered);
+  }
+  return result;
+}
+
+// Run a single completion against any provider and return the response text.
+// Passing onToken streams the answer through it as it arrives; aborting
+// the signal rejects with an AbortError. usageTag is handed to the usage listener;
+// cache: true lets the response cache answer it.
+async function complete(options) {
+  if (!providers[options.provider]) throw new Error(`Unknown provider: ${options.provider}`);
+  return run(options.onToken ? 'stream' : 'complete', options);
+}
+
+function supportsTools(name) {
+  return !!providers[name]?.completeWithTools;
+}
+
+// Like complete, but offers tools ({ name, description, parameters } with a
+// JSON schema) and resolves to { text, toolCalls: [{ id, name, args }] }.
+// Feed results back as { role: 'tool', toolCallId, name, content } messages
+// after the assistant turn { role: 'assistant', content, toolCalls }.
+async function completeWithTools(options) {
+  if (!supportsTools(options.provider)) throw new Error(`Tool calling is not supported for ${options.provider}`);
+  return run('completeWithTools', { ...options, tools: options.tools || [] });
+}
+
+function supportsEmbeddings(name) {
+  return !!providers[name]?.embed;
+}
+
+// Embedding vectors (arrays of numbers) for texts, in the same order. Retried
+// like other calls, but never moved to another provider: vectors from
+// different models cannot be compared with each other.
+async function embed(options) {
+  if (!supportsEmbeddings(options.provider)) throw new Error(`Embeddings are not supported for ${options.provider}`);
+  if (!options.texts?.length) return [];
+  return runWithRetries('embed', { ...options, failover: false });
+}
+
+// Servers and models without tool support reject the request outright
+function isToolUnsupportedError(error) {
+  const status = errorStatus(error);
+  return (status === 400 || status === 404 || status === 422) && /tool|function/i.test(error?.message || '');
+}
+
+export { providers, providerNames, isProviderAvailable, configureProvider, getProviderSettings, configureRetry, getRetryPolicy, setRetryListener, describeRetry, listModels, complete, supportsTools, completeWithTools, isToolUnsupportedError, supportsEmbeddings, embed, setUsageListener };
@@ -0,0 +1,260 @@
+// Semantic code search: files are cut into overlapping line windows, each
+// window is embedded, and the vectors are kept on disk next to the file's size,
+// mtime and hash, so a refresh only embeds files that changed. Embedders are
+// pluggable; 'provider' uses a provider's embeddings API and 'stub' hashes
+// words locally, which needs no network and suits offline testing.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { embed } from './providers.js';
+
+const STORE_VERSION = 1;
+const STUB_DIMENSIONS = 256;
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+// FNV-1a, enough to spread words over the stub's dimensions
+function hashWord(word) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < word.length; i++) {
+    hash ^= word.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Identifiers are split into their parts (parseConfig → parse, config) as well
+function stubEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const words = text.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase().match(/[a-z][a-z0-9]+/g) || [];
+  for (const word of words) {
+    const hash = hashWord(word);
+    vector[hash % dimensions] += hash & 0x80000000 ? -1 : 1;
+  }
+  return vector;
+}
+
+// Factories for embedders: (options) => { id, embed(texts, signal) }. The id
+// names the model; a store built with another id is rebuilt from scratch.
+const embedders = {
+  provider: ({ provider, model }) => ({
+    id: `${provider}:${model}`,
+    embed: (texts, signal) => embed({ provider, model, texts, signal })
+  }),
+  stub: ({ dimensions = STUB_DIMENSIONS }) => ({
+    id: `stub:${dimensions}`,
+    embed: async (texts) => texts.map(text => stubEmbedding(text, dimensions))
+  })
+};
+
+function registerEmbedder(name, factory) {
+  embedders[name] = factory;
+}
+
+function createEmbedder(options = {}) {
+  const factory = embedders[options.backend];
+  if (!factory) throw new Error(`Unknown embedding backend: ${options.backend} (known: ${Object.keys(embedders).join(', ')})`);
+  return factory(options);
+}
+
+// Vectors are stored unit length, so similarity is a dot product
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((total, value) => total + value * value, 0)) || 1;
+  return Float32Array.from(vector, value => value / length);
+}
+
+function encodeVector(vector) {
+  return Buffer.from(normalize(vector).buffer).toString('base64');
+}
+
+// Decoded vectors are kept per chunk object so repeated searches skip the work
+const decoded = new WeakMap();
+
+function chunkVector(chunk) {
+  let vector = decoded.get(chunk);
+  if (!vector) {
+    const bytes = Buffer.from(chunk.vector, 'base64');
+    vector = new Float32Array(bytes.buffer, bytes.byteOffset, bytes.length / 4);
+    decoded.set(chunk, vector);
+  }
+  return vector;
+}
+
+function emptyStore(root, embedderId) {
+  return { version: STORE_VERSION, root, embedder: embedderId, updated: null, files: {} };
+}
+
+// The store in file for root, or an empty one when missing or built by another embedder
+function loadVectorStore(file, root, embedderId) {
+  try {
+    const store = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (store.version === STORE_VERSION && store.root === root && store.embedder === embedderId) return store;
+  } catch {}
+  return emptyStore(root, embedderId);
+}
+
+function saveVectorStore(file, store) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  store.updated = Date.now();
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(store));
+  fs.renameSync(temp, file);
+}
+
+// Windows of `lines` lines, each starting `lines - overlap` after the previous;
+// start and end are 1-based and inclusive. Blank windows are dropped.
+function chunkLines(content, { lines = 40, overlap = 8 } = {}) {
+  const all = content.split('\n');
+  if (all.length > 1 && all[all.length - 1] === '') all.pop();
+  const step = Math.max(1, lines - overlap);
+  const chunks = [];
+  for (let start = 0; start < all.length; start += step) {
+    const end = Math.min(all.length, start + lines);
+    const text = all.slice(start, end).join('\n');
+    if (text.trim()) chunks.push({ start: start + 1, end, text });
+    if (end === all.length) break;
+  }
+  return chunks;
+}
+
+// Bring the store in line with files (absolute paths). Files whose size and
+// mtime match are skipped without reading; the rest are read with
+// options.read(file) → { content, error }, and embedded when their content
+// changed. A file's entry is only replaced once all its chunks have vectors,
+// so after a failed batch the store is still consistent and can be saved.
+// Resolves to { embedded, chunks, unchanged, removed, skipped, limited,
+// changed }, changed meaning the store needs saving.
+async function updateVectorStore(store, files, options) {
+  const { embedder, read, signal, onProgress } = options;
+  const batchSize = options.batchSize || 64;
+  const maxChunks = options.maxChunks || Infinity;
+  const maxFileBytes = options.maxFileBytes || Infinity;
+  const outcome = { embedded: 0, chunks: 0, unchanged: 0, removed: 0, skipped: 0, limited: 0, changed: false };
+
+  const listed = new Set();
+  const pending = [];
+  for (const file of files) {
+    const rel = path.relative(store.root, file);
+    listed.add(rel);
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch {
+      continue;
+    }
+    const entry = store.files[rel];
+    if (entry && entry.size === stat.size && entry.mtimeMs === stat.mtimeMs) {
+      outcome.unchanged++;
+      continue;
+    }
+    if (stat.size > maxFileBytes) {
+      if (entry) outcome.changed = true;
+      delete store.files[rel];
+      outcome.skipped++;
+      continue;
+    }
+    const { content } = await read(file);
+    if (content === null || content === undefined) {
+      if (entry) outcome.changed = true;
+      delete store.files[rel];
+      outcome.skipped++;
+      continue;
+    }
+    const hash = hashContent(content);
+    if (entry?.hash === hash) {
+      store.files[rel] = { ...entry, size: stat.size, mtimeMs: stat.mtimeMs };
+      outcome.unchanged++;
+      outcome.changed = true;
+      continue;
+    }
+    const chunks = chunkLines(content, { lines: options.chunkLines, overlap: options.chunkOverlap });
+    pending.push({ rel, entry: { size: stat.size, mtimeMs: stat.mtimeMs, hash, chunks: [] }, chunks });
+  }
+  for (const rel of Object.keys(store.files)) {
+    if (listed.has(rel)) continue;
+    delete store.files[rel];
+    outcome.removed++;
+    outcome.changed = true;
+  }
+
+  // Keep within maxChunks: files that do not fit are left out until others shrink
+  let stored = Object.values(store.files).reduce((total, entry) => total + entry.chunks.length, 0);
+  const queue = [];
+  for (const file of pending) {
+    const previous = store.files[file.rel]?.chunks.length || 0;
+    if (stored - previous + file.chunks.length > maxChunks) {
+      outcome.limited++;
+      continue;
+    }
+    stored += file.chunks.length - previous;
+    queue.push(file);
+  }
+
+  const total = queue.reduce((sum, file) => sum + file.chunks.length, 0);
+  const work = queue.flatMap(file => file.chunks.map(chunk => ({ file, chunk })));
+  for (let i = 0; i < work.length; i += batchSize) {
+    const batch = work.slice(i, i + batchSize);
+    // The path and line range help the embedder place the snippet
+    const vectors = await embedder.embed(
+      batch.map(({ file, chunk }) => `File: ${file.rel} (lines ${chunk.start}-${chunk.end})\n${chunk.text}`),
+      signal
+    );
+    batch.forEach(({ file, chunk }, index) => {
+      file.entry.chunks.push({ start: chunk.start, end: chunk.end, vector: encodeVector(vectors[index]) });
+      if (file.entry.chunks.length === file.chunks.length) {
+        store.files[file.rel] = file.entry;
+        outcome.embedded++;
+        outcome.changed = true;
+      }
+    });
+    outcome.chunks += batch.length;
+    if (onProgress) onProgress({ done: outcome.chunks, total });
+  }
+  // Files that turned out to have no text at all
+  for (const file of queue) {
+    if (file.chunks.length) continue;
+    store.files[file.rel] = file.entry;
+    outcome.changed = true;
+  }
+  return outcome;
+}
+
+// The k chunks closest to the query vector: [{ rel, start, end, score }]
+function searchVectorStore(store, queryVector, k = 8) {
+  const query = normalize(queryVector);
+  const hits = [];
+  for (const [rel, entry] of Object.entries(store.files)) {
+    for (const chunk of entry.chunks) {
+      const vector = chunkVector(chunk);
+      if (vector.length !== query.length) continue;
+      let score = 0;
+      for (let i = 0; i < query.length; i++) score += query[i] * vector[i];
+      hits.push({ rel, start: chunk.start, end: chunk.end, score });
+    }
+  }
+  return hits.sort((a, b) => b.score - a.score).slice(0, k);
+}
+
+function vectorStoreStats(store) {
+  const entries = Object.values(store.files);
+  return {
+    root: store.root,
+    embedder: store.embedder,
+    updated: store.updated,
+    files: entries.length,
+    chunks: entries.reduce((total, entry) => total + entry.chunks.length, 0)
+  };
+}
+
+export {
+  registerEmbedder,
+  createEmbedder,
+  loadVectorStore,
+  saveVectorStore,
+  chunkLines,
+  updateVectorStore,
+  searchVectorStore,
+  vectorStoreStats
+};
@@ -0,0 +1,195 @@
+// Local HTTP server behind `qa serve`: JSON-RPC 2.0 on POST /rpc, server-sent
+// events on GET /events and a health check on GET /health. It only listens on
+// the loopback interface and only answers requests addressed to it by a
+// loopback host name, so web pages cannot reach it through DNS rebinding.
+// Browsers are refused unless their origin is allowed, and a bearer token,
+// when set, guards every route.
+import http from 'http';
+import crypto from 'crypto';
+
+const HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const HEARTBEAT_MS = 15000;
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', 'localhost', '[::1]']);
+
+// JSON-RPC 2.0 error codes
+const RPC_PARSE_ERROR = -32700;
+const RPC_INVALID_REQUEST = -32600;
+const RPC_METHOD_NOT_FOUND = -32601;
+const RPC_INVALID_PARAMS = -32602;
+const RPC_INTERNAL_ERROR = -32603;
+
+// Errors thrown by methods carry their JSON-RPC code; anything else is an internal error
+function rpcError(code, message, data) {
+  return Object.assign(new Error(message), { rpcCode: code, rpcData: data });
+}
+
+function tokenMatches(expected, given) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given || '');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(rpcError(RPC_INVALID_REQUEST, `Request body over ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// One JSON-RPC call; resolves to its response, or null for a notification
+async function handleCall(call, methods) {
+  const id = call && Object.prototype.hasOwnProperty.call(call, 'id') ? call.id : null;
+  const fail = (code, message, data) => ({ jsonrpc: '2.0', id, error: { code, message, ...(data === undefined ? {} : { data }) } });
+  if (!call || call.jsonrpc !== '2.0' || typeof call.method !== 'string') {
+    return fail(RPC_INVALID_REQUEST, 'Not a JSON-RPC 2.0 request');
+  }
+  const method = Object.prototype.hasOwnProperty.call(methods, call.method) ? methods[call.method] : null;
+  let response;
+  if (!method) {
+    response = fail(RPC_METHOD_NOT_FOUND, `Unknown method: ${call.method}`);
+  } else if (call.params !== undefined && (typeof call.params !== 'object' || call.params === null || Array.isArray(call.params))) {
+    response = fail(RPC_INVALID_PARAMS, 'params must be an object');
+  } else {
+    try {
+      response = { jsonrpc: '2.0', id, result: (await method(call.params || {})) ?? null };
+    } catch (error) {
+      response = fail(error.rpcCode || RPC_INTERNAL_ERROR, error.message, error.rpcData);
+    }
+  }
+  return call.id === undefined ? null : response;
+}
+
+// Start listening on 127.0.0.1:port. options: { port, token, allowedOrigins,
+// methods: { name: async (params) => result }, health: () => object }.
+// Resolves to { url, broadcast(event, data), close() } once listening.
+function startServer({ port, token = '', allowedOrigins = [], methods, health = () => ({}) }) {
+  const clients = new Set();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${HOST}`);
+    const hostname = (req.headers.host || '').replace(/:\d+$/, '');
+    if (!LOOPBACK_HOSTS.has(hostname)) {
+      sendJson(res, 403, { error: 'Only loopback host names are served' });
+      return;
+    }
+    const origin = req.headers.origin;
+    if (origin && !allowedOrigins.includes(origin)) {
+      sendJson(res, 403, { error: `Origin ${origin} is not allowed` });
+      return;
+    }
+    const cors = origin ? { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' } : {};
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        ...cors,
+        'Access-Control-Allow-Methods': 'GET, POST',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+      });
+      res.end();
+      return;
+    }
+    // EventSource cannot set headers, so /events also takes the token as ?access_token=
+    const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const given = bearer || (url.pathname === '/events' ? url.searchParams.get('access_token') : '');
+    if (token && !tokenMatches(token, given)) {
+      sendJson(res, 401, { error: 'Missing or wrong bearer token' }, { ...cors, 'WWW-Authenticate': 'Bearer' });
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      sendJson(res, 200, { ok: true, ...health() }, cors);
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/events') {
+      res.writeHead(200, { ...cors, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+      res.write(': connected\n\n');
+      const client = { res, task: url.searchParams.get('task') };
+      clients.add(client);
+      req.on('close', () => clients.delete(client));
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/rpc') {
+      // A JSON content type also keeps plain HTML forms from posting here
+      if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+        sendJson(res, 415, { error: 'Content-Type must be application/json' }, cors);
+        return;
+      }
+      let payload;
+      try {
+        payload = JSON.parse(await readBody(req));
+      } catch (error) {
+        sendJson(res, 200, { jsonrpc: '2.0', id: null, error: { code: error.rpcCode || RPC_PARSE_ERROR, message: error.rpcCode ? error.message : 'Invalid JSON' } }, cors);
+        return;
+      }
+      if (Array.isArray(payload)) {
+        if (!payload.length) {
+          sendJson(res, 200, { jsonrpc: '2.0', id: null, error: { code: RPC_INVALID_REQUEST, message: 'Empty batch' } }, cors);
+          return;
+        }
+        const responses = (await Promise.all(payload.map(call => handleCall(call, methods)))).filter(Boolean);
+        if (responses.length) sendJson(res, 200, responses, cors);
+        else res.writeHead(204, cors).end();
+        return;
+      }
+      const response = await handleCall(payload, methods);
+      if (response) sendJson(res, 200, response, cors);
+      else res.writeHead(204, cors).end();
+      return;
+    }
+
+    sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` }, cors);
+  });
+
+  // Comment lines keep idle event streams from timing out
+  const heartbeat = setInterval(() => {
+    for (const client of clients) client.res.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  // Send an event to every stream, or only to those following its task
+  const broadcast = (event, data = {}) => {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of clients) {
+      if (!client.task || client.task === data.taskId) client.res.write(message);
+    }
+  };
+
+  const close = () => new Promise(resolve => {
+    clearInterval(heartbeat);
+    for (const client of clients) client.res.end();
+    clients.clear();
+    server.close(() => resolve());
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, HOST, () => {
+      server.off('error', reject);
+      resolve({ url: `http://${HOST}:${server.address().port}`, broadcast, close });
+    });
+  });
+}
+
+export {
+  startServer,
+  rpcError,
+  RPC_INVALID_PARAMS
+};
@@ -0,0 +1,141 @@
+// Named chat sessions stored as JSON files, one per session, with an optional
+// coding-mode conversation file (<name>.md) kept next to each
+import fs from 'fs';
+import path from 'path';
+
+const NAME_PATTERN = /^[\w.-]{1,64}$/;
+
+const state = {
+  dir: null
+};
+
+function initSessions(dir) {
+  state.dir = dir;
+  fs.mkdirSync(dir, { recursive: true });
+}
+
+function isValidSessionName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name) && !name.startsWith('.');
+}
+
+function sessionFile(name) {
+  return path.join(state.dir, `${name}.json`);
+}
+
+// Coding mode keeps its running conversation summary here instead of current.md
+function sessionContextFile(name) {
+  return path.join(state.dir, `${name}.md`);
+}
+
+function sessionExists(name) {
+  return isValidSessionName(name) && fs.existsSync(sessionFile(name));
+}
+
+function loadSession(name) {
+  if (!sessionExists(name)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(sessionFile(name), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function saveSession(session) {
+  fs.mkdirSync(state.dir, { recursive: true });
+  const data = { ...session, updated: Date.now() };
+  fs.writeFileSync(sessionFile(session.name), JSON.stringify(data, null, 2));
+  return data;
+}
+
+// Metadata only (no messages), most recently updated first
+function listSessions() {
+  if (!state.dir || !fs.existsSync(state.dir)) return [];
+  const sessions = [];
+  for (const file of fs.readdirSync(state.dir)) {
+    if (!file.endsWith('.json')) continue;
+    const session = loadSession(file.slice(0, -5));
+    if (!session) continue;
+    const { messages = [], transcript, lastResponse, ...meta } = session;
+    sessions.push({ ...meta, messageCount: messages.length });
+  }
+  return sessions.sort((a, b) => (b.updated || 0) - (a.updated || 0));
+}
+
+function copyContextFile(from, to, move) {
+  const source = sessionContextFile(from);
+  if (!fs.existsSync(source)) return;
+  if (move) fs.renameSync(source, sessionContextFile(to));
+  else fs.copyFileSync(source, sessionContextFile(to));
+}
+
+function checkTarget(name) {
+  if (!isValidSessionName(name)) {
+    return { success: false, message: `Invalid session name "${name}" (use letters, digits, ".", "_" or "-")` };
+  }
+  if (sessionExists(name)) {
+    return { success: false, message: `Session "${name}" already exists` };
+  }
+  return null;
+}
+
+function renameSession(name, newName) {
+  const session = loadSession(name);
+  if (!session) return { success: false, message: `Session "${name}" not found` };
+  const problem = checkTarget(newName);
+  if (problem) return problem;
+  try {
+    copyContextFile(name, newName, true);
+    const data = saveSession({ ...session, name: newName, named: true });
+    fs.rmSync(sessionFile(name), { force: true });
+    return { success: true, data };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+}
+
+function forkSession(name, newName) {
+  const session = loadSession(name);
+  if (!session) return { success: false, message: `Session "${name}" not found` };
+  const problem = checkTarget(newName);
+  if (problem) return problem;
+  try {
+    copyContextFile(name, newName, false);
+    const data = saveSession({ ...session, name: newName, named: true, created: Date.now(), forkedFrom: name });
+    return { success: true, data };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+}
+
+function deleteSession(name) {
+  if (!sessionExists(name)) return { success: false, message: `Session "${name}" not found` };
+  try {
+    fs.rmSync(sessionFile(name), { force: true });
+    fs.rmSync(sessionContextFile(name), { force: true });
+    return { success: true };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+}
+
+// Drop the oldest automatically named sessions beyond `keep`
+function pruneUnnamedSessions(keep, except) {
+  const unnamed = listSessions().filter(session => !session.named && session.name !== except);
+  for (const session of unnamed.slice(Math.max(0, keep))) {
+    deleteSession(session.name);
+  }
+}
+
+export {
+  initSessions,
+  isValidSessionName,
+  sessionContextFile,
+  sessionExists,
+  loadSession,
+  saveSession,
+  listSessions,
+  renameSession,
+  forkSession,
+  deleteSession,
+  pruneUnnamedSessions
+};
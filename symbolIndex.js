@@ -0,0 +1,915 @@
+// Symbol index for JavaScript/TypeScript and Python behind \outline, \def,
+// \refs and \callers. A small tokenizer skips comments and strings, and the
+// token stream is read for declarations (functions, classes, methods,
+// module-level variables, TS types), imports, exports and call sites. Each
+// file keeps its size, mtime and hash, so a refresh only parses what changed.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const INDEX_VERSION = 1;
+const MAX_SIGNATURE_CHARS = 160;
+
+const LANGUAGES = {
+  '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'javascript',
+  '.ts': 'typescript', '.mts': 'typescript', '.cts': 'typescript', '.tsx': 'typescript',
+  '.py': 'python', '.pyi': 'python'
+};
+
+function languageFor(file) {
+  return LANGUAGES[path.extname(file).toLowerCase()] || null;
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+// --- JavaScript and TypeScript ---
+
+// A '/' after one of these starts a regex rather than a division
+const REGEX_AFTER = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+const JS_NOT_CALLS = new Set(['if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'typeof', 'super', 'import', 'require', 'with', 'await', 'async', 'void', 'delete', 'in', 'of', 'instanceof']);
+const CLASS_MODIFIERS = new Set(['static', 'async', 'get', 'set', 'public', 'private', 'protected', 'readonly', 'abstract', 'override', 'declare', 'accessor']);
+const EXPORT_MODIFIERS = new Set(['default', 'async', 'declare', 'abstract', 'const']);
+
+// Tokens are { type: 'name' | 'punct' | 'string' | 'num' | 'regex', value, line }.
+// Quoted strings keep their text (for import sources); template literals
+// become '`' tokens with the expressions inside ${} tokenized as code.
+function tokenizeJs(source) {
+  const tokens = [];
+  const braces = []; // true where a '{' is the ${ of a template literal
+  const n = source.length;
+  let i = 0;
+  let line = 1;
+  const push = (type, value, at = line) => tokens.push({ type, value, line: at });
+  const readTemplate = () => {
+    const start = line;
+    while (i < n) {
+      const c = source[i];
+      if (c === '\\') {
+        if (source[i + 1] === '\n') line++;
+        i += 2;
+        continue;
+      }
+      if (c === '\n') line++;
+      if (c === '`') {
+        i++;
+        push('string', '`', start);
+        return;
+      }
+      if (c === '$' && source[i + 1] === '{') {
+        i += 2;
+        braces.push(true);
+        push('string', '`', start);
+        return;
+      }
+      i++;
+    }
+  };
+
+  while (i < n) {
+    const c = source[i];
+    if (c === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(c)) {
+      i++;
+    } else if (c === '/' && source[i + 1] === '/') {
+      while (i < n && source[i] !== '\n') i++;
+    } else if (c === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? n : end + 2;
+      for (let j = i; j < stop; j++) if (source[j] === '\n') line++;
+      i = stop;
+    } else if (c === '"' || c === "'") {
+      const start = i + 1;
+      i++;
+      while (i < n && source[i] !== c && source[i] !== '\n') i += source[i] === '\\' ? 2 : 1;
+      push('string', source.slice(start, i));
+      i++;
+    } else if (c === '`') {
+      i++;
+      readTemplate();
+    } else if (/[A-Za-z_$]/.test(c)) {
+      let j = i + 1;
+      while (j < n && /[\w$]/.test(source[j])) j++;
+      push('name', source.slice(i, j));
+      i = j;
+    } else if (/[0-9]/.test(c)) {
+      let j = i + 1;
+      while (j < n && /[\w.]/.test(source[j])) j++;
+      push('num', source.slice(i, j));
+      i = j;
+    } else if (c === '/' && isRegexStart(tokens[tokens.length - 1])) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < n && source[j] !== '\n') {
+        if (source[j] === '\\') {
+          j += 2;
+          continue;
+        }
+        if (source[j] === '[') inClass = true;
+        else if (source[j] === ']') inClass = false;
+        else if (source[j] === '/' && !inClass) break;
+        j++;
+      }
+      j++;
+      while (j < n && /[a-z]/.test(source[j])) j++;
+      push('regex', '/');
+      i = j;
+    } else if (c === '{') {
+      braces.push(false);
+      push('punct', '{');
+      i++;
+    } else if (c === '}') {
+      i++;
+      if (braces.pop()) readTemplate();
+      else push('punct', '}');
+    } else if (c === '=' && source[i + 1] === '>') {
+      push('punct', '=>');
+      i += 2;
+    } else if (c === '.' && source[i + 1] === '.' && source[i + 2] === '.') {
+      push('punct', '...');
+      i += 3;
+    } else if (c === '?' && source[i + 1] === '.' && !/[0-9]/.test(source[i + 2] || '')) {
+      push('punct', '?.');
+      i += 2;
+    } else {
+      push('punct', c);
+      i++;
+    }
+  }
+  return tokens;
+}
+
+function isRegexStart(prev) {
+  if (!prev) return true;
+  if (prev.type === 'punct') return !')]}'.includes(prev.value);
+  return prev.type === 'name' && REGEX_AFTER.has(prev.value);
+}
+
+function is(token, value) {
+  return !!token && token.type !== 'string' && token.value === value;
+}
+
+// Index of the token closing the bracket at open, or tokens.length
+function matchClose(tokens, open) {
+  const pairs = { '(': ')', '[': ']', '{': '}', '<': '>' };
+  const close = pairs[tokens[open].value];
+  let depth = 0;
+  for (let i = open; i < tokens.length; i++) {
+    if (is(tokens[i], tokens[open].value)) depth++;
+    else if (is(tokens[i], close) && --depth === 0) return i;
+  }
+  return tokens.length;
+}
+
+// The '{' opening the body that follows from index start (after a parameter
+// list or class heading), skipping return types and extends clauses; -1 when
+// a ';' or an unbalanced closer comes first (overloads, declarations)
+function findBody(tokens, start) {
+  let depth = 0;
+  for (let i = start; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'punct') continue;
+    if (token.value === '{' && depth === 0) return i;
+    if ('([<'.includes(token.value)) depth++;
+    else if (')]>'.includes(token.value)) depth--;
+    else if (token.value === '{') i = matchClose(tokens, i);
+    if (depth < 0 || (depth === 0 && (token.value === ';' || token.value === '}'))) return -1;
+    if (token.value === '=>' && depth === 0) return is(tokens[i + 1], '{') ? i + 1 : -1;
+  }
+  return -1;
+}
+
+// For a value starting at index v: { kind: 'function', body } for function
+// expressions and arrows, { kind: 'class', body }, or null
+function functionValue(tokens, v) {
+  let i = v;
+  if (is(tokens[i], 'async')) i++;
+  if (is(tokens[i], 'function')) {
+    let j = i + 1;
+    if (is(tokens[j], '*')) j++;
+    if (tokens[j]?.type === 'name') j++;
+    if (is(tokens[j], '<')) j = matchClose(tokens, j) + 1;
+    return is(tokens[j], '(') ? { kind: 'function', body: findBody(tokens, matchClose(tokens, j) + 1), keyword: i } : null;
+  }
+  if (is(tokens[i], 'class')) return { kind: 'class', body: findBody(tokens, i + 1), keyword: i };
+  if (is(tokens[i], '<')) i = matchClose(tokens, i) + 1;
+  if (is(tokens[i], '(')) {
+    const close = matchClose(tokens, i);
+    let j = close + 1;
+    if (is(tokens[j], ':')) {
+      while (j < tokens.length && !is(tokens[j], '=>') && !is(tokens[j], ';') && !is(tokens[j], '{')) j++;
+    }
+    if (!is(tokens[j], '=>')) return null;
+    return { kind: 'function', body: is(tokens[j + 1], '{') ? j + 1 : -1 };
+  }
+  if (tokens[i]?.type === 'name' && is(tokens[i + 1], '=>')) {
+    return { kind: 'function', body: is(tokens[i + 2], '{') ? i + 2 : -1 };
+  }
+  return null;
+}
+
+function isStatementStart(tokens, i) {
+  const prev = tokens[i - 1];
+  return !prev || (prev.type === 'punct' && [';', '{', '}'].includes(prev.value)) ||
+    (prev.type === 'name' && ['export', 'declare', 'default'].includes(prev.value));
+}
+
+function isExported(tokens, i) {
+  let j = i - 1;
+  while (j >= 0 && tokens[j].type === 'name' && EXPORT_MODIFIERS.has(tokens[j].value)) j--;
+  return is(tokens[j], 'export');
+}
+
+// Names bound by an import, export or destructuring list ({ a, b as c, d: e }):
+// [{ name, imported }] with the local name and the one it refers to
+function bindingNames(tokens, open) {
+  const close = matchClose(tokens, open);
+  const names = [];
+  let expectName = true;
+  for (let i = open + 1; i < close; i++) {
+    const token = tokens[i];
+    if (is(token, ',')) {
+      expectName = true;
+    } else if (is(token, '(') || is(token, '[') || is(token, '{')) {
+      i = matchClose(tokens, i);
+    } else if (expectName && token.type === 'name' && !(token.value === 'type' && tokens[i + 1]?.type === 'name')) {
+      const renamed = is(tokens[i + 1], 'as') || is(tokens[i + 1], ':');
+      const alias = renamed && tokens[i + 2]?.type === 'name' ? tokens[i + 2].value : token.value;
+      names.push({ name: alias, imported: token.value });
+      expectName = false;
+    }
+  }
+  return names;
+}
+
+function parseJs(source) {
+  const tokens = tokenizeJs(source);
+  const symbols = [];
+  const imports = [];
+  const exports = new Set();
+  const calls = [];
+  const bodies = new Map(); // token index of a '{' → the scope it opens
+  const notCalls = new Set(); // declared names followed by '('
+  const handled = new Set(); // 'function'/'class' keywords already recorded
+  const scopes = [];
+  let parens = 0;
+
+  const container = () => {
+    for (let s = scopes.length - 1; s >= 0; s--) if (scopes[s].name) return scopes[s].name;
+    return null;
+  };
+  const enclosingFunction = () => {
+    for (let s = scopes.length - 1; s >= 0; s--) if (scopes[s].type === 'function') return scopes[s].name;
+    return null;
+  };
+  const insideFunction = () => scopes.some(scope => scope.type === 'function');
+  const addSymbol = (name, kind, at, options = {}) => {
+    const parent = options.container === undefined ? container() : options.container;
+    const symbol = {
+      name,
+      kind,
+      line: tokens[at].line,
+      endLine: tokens[at].line,
+      container: parent,
+      exported: !!options.exported
+    };
+    symbols.push(symbol);
+    if (options.exported) exports.add(name);
+    const qualified = parent ? `${parent}.${name}` : name;
+    if (options.body >= 0) bodies.set(options.body, { type: options.scope || 'function', name: qualified, symbol });
+    return symbol;
+  };
+  const addImport = (source, at, names = []) => imports.push({ source, line: tokens[at].line, names });
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const scope = scopes[scopes.length - 1];
+
+    if (token.type === 'punct') {
+      if (token.value === '(') parens++;
+      else if (token.value === ')') parens--;
+      else if (token.value === '{') {
+        scopes.push({ ...(bodies.get(i) || { type: 'block' }), parens });
+      } else if (token.value === '}') {
+        const closed = scopes.pop();
+        if (closed?.symbol) closed.symbol.endLine = token.line;
+      }
+      continue;
+    }
+    if (token.type !== 'name') continue;
+    const next = tokens[i + 1];
+    const value = token.value;
+
+    // Class members: [modifiers] name( or name = function/arrow
+    if (scope?.type === 'class' && parens === scope.parens && (!CLASS_MODIFIERS.has(value) || is(next, '(')) && !is(tokens[i - 1], '.')) {
+      let j = i - 1;
+      while (j >= 0 && ((tokens[j].type === 'name' && CLASS_MODIFIERS.has(tokens[j].value)) || is(tokens[j], '*') || is(tokens[j], '#'))) j--;
+      if (j < 0 || is(tokens[j], '{') || is(tokens[j], '}') || is(tokens[j], ';')) {
+        let paren = i + 1;
+        if (is(tokens[paren], '<')) paren = matchClose(tokens, paren) + 1;
+        if (is(tokens[paren], '(')) {
+          notCalls.add(i);
+          addSymbol(value, 'method', i, { body: findBody(tokens, matchClose(tokens, paren) + 1) });
+          continue;
+        }
+        if (is(next, '=')) {
+          const fn = functionValue(tokens, i + 2);
+          if (fn?.kind === 'function') {
+            if (fn.keyword !== undefined) handled.add(fn.keyword);
+            addSymbol(value, 'method', i, { body: fn.body });
+          }
+          continue;
+        }
+      }
+    }
+
+    // Object literal members of a named object: key: function/arrow/object, or key() {}
+    if (scope?.type === 'object' && parens === scope.parens && (is(tokens[i - 1], '{') || is(tokens[i - 1], ',') ||
+        (['async', 'get', 'set'].includes(tokens[i - 1]?.value) && (is(tokens[i - 2], '{') || is(tokens[i - 2], ','))))) {
+      if (is(next, ':')) {
+        const fn = functionValue(tokens, i + 2);
+        if (fn?.kind === 'function') {
+          if (fn.keyword !== undefined) handled.add(fn.keyword);
+          addSymbol(value, 'method', i, { body: fn.body });
+        } else if (is(tokens[i + 2], '{')) {
+          bodies.set(i + 2, { type: 'object', name: `${scope.name}.${value}` });
+        }
+        continue;
+      }
+      if (is(next, '(')) {
+        const body = findBody(tokens, matchClose(tokens, i + 1) + 1);
+        if (body >= 0) {
+          notCalls.add(i);
+          addSymbol(value, 'method', i, { body });
+          continue;
+        }
+      }
+    }
+
+    if (value === 'function' && !handled.has(i)) {
+      let j = i + 1;
+      if (is(tokens[j], '*')) j++;
+      // TypeScript type parameters may come between the name and the parameters
+      const paren = is(tokens[j + 1], '<') ? matchClose(tokens, j + 1) + 1 : j + 1;
+      if (tokens[j]?.type === 'name' && is(tokens[paren], '(')) {
+        notCalls.add(j);
+        addSymbol(tokens[j].value, 'function', j, {
+          exported: isExported(tokens, i),
+          body: findBody(tokens, matchClose(tokens, paren) + 1)
+        });
+      }
+      continue;
+    }
+
+    if (value === 'class' && !handled.has(i) && !is(tokens[i - 1], '.')) {
+      const named = next?.type === 'name' && !['extends', 'implements'].includes(next.value);
+      if (named) {
+        addSymbol(next.value, 'class', i + 1, { exported: isExported(tokens, i), body: findBody(tokens, i + 2), scope: 'class' });
+        i++;
+      }
+      continue;
+    }
+
+    // TypeScript declarations
+    if (['interface', 'enum', 'type', 'namespace'].includes(value) && next?.type === 'name' && isStatementStart(tokens, is(tokens[i - 1], 'const') ? i - 1 : i)) {
+      let after = i + 2;
+      if (is(tokens[after], '<')) after = matchClose(tokens, after) + 1;
+      const shapes = {
+        interface: is(tokens[after], '{') || is(tokens[after], 'extends'),
+        enum: is(tokens[after], '{'),
+        type: is(tokens[after], '='),
+        namespace: is(tokens[after], '{') || is(tokens[after], '.')
+      };
+      if (shapes[value]) {
+        const body = value === 'type' ? -1 : findBody(tokens, i + 2);
+        addSymbol(next.value, value, i + 1, { exported: isExported(tokens, i), body, scope: value === 'namespace' ? 'object' : 'type' });
+        i++;
+        continue;
+      }
+    }
+
+    if (['const', 'let', 'var'].includes(value) && isStatementStart(tokens, i)) {
+      // const { a, b } = require('x')
+      if (is(next, '{')) continue;
+      if (next?.type !== 'name') continue;
+      let eq = i + 2;
+      if (is(tokens[eq], ':')) {
+        let depth = 0;
+        for (; eq < tokens.length; eq++) {
+          if (is(tokens[eq], '<') || is(tokens[eq], '(') || is(tokens[eq], '{') || is(tokens[eq], '[')) depth++;
+          else if (is(tokens[eq], '>') || is(tokens[eq], ')') || is(tokens[eq], '}') || is(tokens[eq], ']')) depth--;
+          else if (depth === 0 && (is(tokens[eq], '=') || is(tokens[eq], ';') || is(tokens[eq], ','))) break;
+        }
+      }
+      if (!is(tokens[eq], '=')) {
+        if (!insideFunction()) addSymbol(next.value, 'variable', i + 1, { exported: isExported(tokens, i) });
+        continue;
+      }
+      const v = eq + 1;
+      if (is(tokens[v], 'require')) continue;
+      const exported = isExported(tokens, i);
+      const fn = functionValue(tokens, v);
+      if (fn) {
+        if (fn.keyword !== undefined) handled.add(fn.keyword);
+        addSymbol(next.value, fn.kind, i + 1, { exported, body: fn.body, scope: fn.kind === 'class' ? 'class' : 'function' });
+      } else if (!insideFunction()) {
+        addSymbol(next.value, 'variable', i + 1, { exported, body: is(tokens[v], '{') ? v : -1, scope: 'object' });
+      }
+      i++;
+      continue;
+    }
+
+    if (value === 'import' && !is(tokens[i - 1], '.')) {
+      if (is(next, '(')) {
+        if (tokens[i + 2]?.type === 'string') addImport(tokens[i + 2].value, i);
+        continue;
+      }
+      let j = i + 1;
+      if (is(tokens[j], 'type')) j++;
+      if (tokens[j]?.type === 'string') {
+        addImport(tokens[j].value, i);
+        continue;
+      }
+      const names = [];
+      for (; j < tokens.length && !is(tokens[j], 'from') && !is(tokens[j], ';'); j++) {
+        if (is(tokens[j], '{')) {
+          names.push(...bindingNames(tokens, j));
+          j = matchClose(tokens, j);
+        } else if (is(tokens[j], '*') && is(tokens[j + 1], 'as')) {
+          names.push({ name: tokens[j + 2]?.value, imported: '*' });
+          j += 2;
+        } else if (tokens[j].type === 'name') {
+          names.push({ name: tokens[j].value, imported: 'default' });
+        }
+      }
+      if (is(tokens[j], 'from') && tokens[j + 1]?.type === 'string') addImport(tokens[j + 1].value, i, names);
+      continue;
+    }
+
+    if (value === 'export') {
+      if (is(next, '{')) {
+        const names = bindingNames(tokens, i + 1);
+        names.forEach(entry => exports.add(entry.name));
+        const close = matchClose(tokens, i + 1);
+        if (is(tokens[close + 1], 'from') && tokens[close + 2]?.type === 'string') {
+          addImport(tokens[close + 2].value, i, names.map(entry => ({ name: entry.name, imported: entry.imported })));
+        }
+      } else if (is(next, '*')) {
+        let j = i + 2;
+        if (is(tokens[j], 'as')) {
+          exports.add(tokens[j + 1]?.value);
+          j += 2;
+        }
+        if (is(tokens[j], 'from') && tokens[j + 1]?.type === 'string') addImport(tokens[j + 1].value, i);
+      } else if (is(next, 'default') && tokens[i + 2]?.type === 'name' && !['function', 'class', 'async'].includes(tokens[i + 2].value)) {
+        exports.add(tokens[i + 2].value);
+      }
+      continue;
+    }
+
+    if (value === 'require' && is(next, '(') && tokens[i + 2]?.type === 'string' && is(tokens[i + 3], ')')) {
+      let names = [];
+      if (is(tokens[i - 1], '=')) {
+        if (tokens[i - 2]?.type === 'name') {
+          names = [{ name: tokens[i - 2].value, imported: 'default' }];
+        } else if (is(tokens[i - 2], '}')) {
+          let open = i - 2;
+          while (open > 0 && !is(tokens[open], '{')) open--;
+          names = bindingNames(tokens, open);
+        }
+      }
+      addImport(tokens[i + 2].value, i, names);
+      i += 3;
+      continue;
+    }
+
+    // module.exports = ..., exports.name = ..., Name.prototype.method = function
+    if (isStatementStart(tokens, i) && is(next, '.')) {
+      const chain = [value];
+      let j = i + 1;
+      while (is(tokens[j], '.') && tokens[j + 1]?.type === 'name') {
+        chain.push(tokens[j + 1].value);
+        j += 2;
+      }
+      if (is(tokens[j], '=') && chain.length > 1) {
+        const toModule = chain[0] === 'module' && chain[1] === 'exports';
+        const exportedName = toModule ? chain[2] : chain[0] === 'exports' ? chain[1] : null;
+        if (toModule && chain.length === 2) {
+          if (is(tokens[j + 1], '{')) bindingNames(tokens, j + 1).forEach(entry => exports.add(entry.imported));
+          else if (tokens[j + 1]?.type === 'name') exports.add(tokens[j + 1].value);
+        }
+        const fn = functionValue(tokens, j + 1);
+        if (fn?.kind === 'function') {
+          if (fn.keyword !== undefined) handled.add(fn.keyword);
+          const name = chain[chain.length - 1];
+          if (exportedName) {
+            addSymbol(exportedName, 'function', j - 1, { exported: true, body: fn.body, container: null });
+          } else if (chain.length === 3 && chain[1] === 'prototype') {
+            addSymbol(name, 'method', j - 1, { body: fn.body, container: chain[0] });
+          }
+        } else if (exportedName) {
+          exports.add(exportedName);
+        }
+        i = j;
+        continue;
+      }
+    }
+
+    // Call sites: name( and obj.name(, plus new Name(
+    const callAt = is(next, '?.') ? i + 2 : i + 1;
+    if (is(tokens[callAt], '(') && !JS_NOT_CALLS.has(value) && !notCalls.has(i) && scope?.type !== 'type') {
+      calls.push({ name: value, line: token.line, caller: enclosingFunction() });
+    }
+  }
+
+  return { symbols, imports, exports: [...exports].filter(Boolean), calls };
+}
+
+// --- Python ---
+
+const PY_NOT_CALLS = new Set(['if', 'elif', 'while', 'for', 'return', 'not', 'and', 'or', 'in', 'is', 'lambda', 'def', 'class', 'with', 'assert', 'yield', 'except', 'await', 'del', 'from', 'import', 'raise', 'else']);
+
+// Logical lines ({ indent, line, endLine, tokens }); brackets and backslashes
+// continue a line, comments and string contents are dropped (strings keep
+// their text in value, for __all__)
+function tokenizePython(source) {
+  const lines = [];
+  const n = source.length;
+  let i = 0;
+  let line = 1;
+  let depth = 0;
+  let current = null;
+  let atLineStart = true;
+
+  const finish = () => {
+    if (current?.tokens.length) {
+      current.endLine = line;
+      lines.push(current);
+    }
+    current = null;
+  };
+
+  while (i < n) {
+    if (atLineStart && depth === 0) {
+      let indent = 0;
+      while (i < n && (source[i] === ' ' || source[i] === '\t')) {
+        indent += source[i] === '\t' ? 8 - (indent % 8) : 1;
+        i++;
+      }
+      atLineStart = false;
+      if (!current) current = { indent, line, endLine: line, tokens: [] };
+      continue;
+    }
+    const c = source[i];
+    if (c === '\n') {
+      if (depth === 0) finish();
+      line++;
+      i++;
+      atLineStart = true;
+      continue;
+    }
+    if (c === '\\' && source[i + 1] === '\n') {
+      line++;
+      i += 2;
+      continue;
+    }
+    if (c === '#') {
+      while (i < n && source[i] !== '\n') i++;
+      continue;
+    }
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+    const prefix = /^[rRbBuUfF]{0,2}(['"])/.exec(source.slice(i, i + 3));
+    if (prefix) {
+      const quoteAt = i + prefix[0].length - 1;
+      const quote = source[quoteAt];
+      const triple = source.slice(quoteAt, quoteAt + 3) === quote.repeat(3);
+      const close = triple ? quote.repeat(3) : quote;
+      const start = line;
+      let j = quoteAt + close.length;
+      while (j < n && source.slice(j, j + close.length) !== close) {
+        if (source[j] === '\\') j++;
+        else if (source[j] === '\n') {
+          if (!triple) break;
+          line++;
+        }
+        j++;
+      }
+      current.tokens.push({ type: 'string', value: source.slice(quoteAt + close.length, j), line: start });
+      // An unterminated string ends with its line
+      i = source[j] === '\n' ? j : j + close.length;
+      continue;
+    }
+    if (/[A-Za-z_]/.test(c)) {
+      let j = i + 1;
+      while (j < n && /\w/.test(source[j])) j++;
+      current.tokens.push({ type: 'name', value: source.slice(i, j), line });
+      i = j;
+      continue;
+    }
+    if (/[0-9]/.test(c)) {
+      let j = i + 1;
+      while (j < n && /[\w.]/.test(source[j])) j++;
+      current.tokens.push({ type: 'num', value: source.slice(i, j), line });
+      i = j;
+      continue;
+    }
+    if ('([{'.includes(c)) depth++;
+    else if (')]}'.includes(c)) depth = Math.max(0, depth - 1);
+    current.tokens.push({ type: 'punct', value: c, line });
+    i++;
+  }
+  finish();
+  return lines;
+}
+
+function parsePython(source) {
+  const logical = tokenizePython(source);
+  const symbols = [];
+  const imports = [];
+  const calls = [];
+  const stack = [];
+  let allNames = null;
+  let lastLine = 1;
+
+  const qualified = () => stack.map(entry => entry.name).join('.') || null;
+  const enclosingFunction = () => {
+    for (let s = stack.length - 1; s >= 0; s--) {
+      if (stack[s].type === 'function') return stack.slice(0, s + 1).map(entry => entry.name).join('.');
+    }
+    return null;
+  };
+
+  for (const { indent, line, endLine, tokens } of logical) {
+    while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop().symbol.endLine = lastLine;
+    lastLine = endLine;
+    const first = tokens[0];
+    let t = 0;
+    if (is(first, 'async') && is(tokens[1], 'def')) t = 1;
+
+    if ((is(tokens[t], 'def') || is(tokens[t], 'class')) && tokens[t + 1]?.type === 'name') {
+      const isClass = tokens[t].value === 'class';
+      const parent = stack[stack.length - 1];
+      const symbol = {
+        name: tokens[t + 1].value,
+        kind: isClass ? 'class' : parent?.type === 'class' ? 'method' : 'function',
+        line,
+        endLine,
+        container: qualified(),
+        exported: false
+      };
+      symbols.push(symbol);
+      stack.push({ indent, type: isClass ? 'class' : 'function', name: symbol.name, symbol });
+      continue;
+    }
+
+    if (is(first, 'import')) {
+      for (let j = 1; j < tokens.length; j++) {
+        if (tokens[j].type !== 'name') continue;
+        let source = tokens[j].value;
+        while (is(tokens[j + 1], '.') && tokens[j + 2]?.type === 'name') {
+          source += `.${tokens[j + 2].value}`;
+          j += 2;
+        }
+        const alias = is(tokens[j + 1], 'as') ? tokens[j + 2]?.value : null;
+        if (alias) j += 2;
+        imports.push({ source, line, names: [{ name: alias || source.split('.')[0], imported: source }] });
+      }
+      continue;
+    }
+    if (is(first, 'from')) {
+      const at = tokens.findIndex(token => is(token, 'import'));
+      if (at < 0) continue;
+      const source = tokens.slice(1, at).map(token => token.value).join('');
+      const names = [];
+      for (let j = at + 1; j < tokens.length; j++) {
+        if (is(tokens[j], '*')) names.push({ name: '*', imported: '*' });
+        if (tokens[j].type !== 'name') continue;
+        const alias = is(tokens[j + 1], 'as') ? tokens[j + 2]?.value : null;
+        names.push({ name: alias || tokens[j].value, imported: tokens[j].value });
+        if (alias) j += 2;
+      }
+      imports.push({ source, line, names });
+      continue;
+    }
+
+    // Module-level assignments: NAME = ... or NAME: type = ...
+    if (!stack.length && first?.type === 'name' && (is(tokens[1], '=') || (is(tokens[1], ':') && tokens.some(token => is(token, '='))))) {
+      if (first.value === '__all__') {
+        allNames = tokens.filter(token => token.type === 'string').map(token => token.value);
+      } else {
+        symbols.push({ name: first.value, kind: 'variable', line, endLine, container: null, exported: false });
+      }
+    }
+
+    for (let j = 0; j < tokens.length; j++) {
+      const token = tokens[j];
+      if (token.type === 'name' && is(tokens[j + 1], '(') && !PY_NOT_CALLS.has(token.value)) {
+        calls.push({ name: token.value, line: token.line, caller: enclosingFunction() });
+      }
+    }
+  }
+  while (stack.length) stack.pop().symbol.endLine = lastLine;
+
+  // __all__ decides what a module exports; without it, public top-level names do
+  for (const symbol of symbols) {
+    if (symbol.container) continue;
+    symbol.exported = allNames ? allNames.includes(symbol.name) : !symbol.name.startsWith('_');
+  }
+  const exports = allNames || symbols.filter(symbol => symbol.exported).map(symbol => symbol.name);
+  return { symbols, imports, exports, calls };
+}
+
+// { symbols, imports, exports, calls } for one file. symbols are
+// { name, kind, line, endLine, container, exported, signature }, where
+// container is the qualified name of the enclosing class, object or function
+function parseSymbols(content, language) {
+  const parsed = language === 'python' ? parsePython(content) : parseJs(content);
+  const lines = content.split('\n');
+  for (const symbol of parsed.symbols) {
+    symbol.signature = (lines[symbol.line - 1] || '').trim().slice(0, MAX_SIGNATURE_CHARS);
+  }
+  return parsed;
+}
+
+// Identifier occurrences of name outside comments and strings, as line numbers
+function findNameInSource(content, language, name) {
+  if (!content.includes(name)) return [];
+  const tokens = language === 'python'
+    ? tokenizePython(content).flatMap(logical => logical.tokens)
+    : tokenizeJs(content);
+  return tokens.filter(token => token.type === 'name' && token.value === name).map(token => token.line);
+}
+
+// --- Index ---
+
+function emptyIndex(root) {
+  return { version: INDEX_VERSION, root, updated: null, files: {} };
+}
+
+function loadSymbolIndex(file, root) {
+  try {
+    const index = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (index.version === INDEX_VERSION && index.root === root) return index;
+  } catch {}
+  return emptyIndex(root);
+}
+
+function saveSymbolIndex(file, index) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  index.updated = Date.now();
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(index));
+  fs.renameSync(temp, file);
+}
+
+// Parse the listed files (absolute paths) whose size or mtime changed, reading
+// them with read(file) → { content }; entries for unlisted files are dropped.
+// Resolves to { parsed, unchanged, removed, changed }, changed meaning the
+// index needs saving.
+async function updateSymbolIndex(index, files, read) {
+  const outcome = { parsed: 0, unchanged: 0, removed: 0, changed: false };
+  const listed = new Set();
+  for (const file of files) {
+    const language = languageFor(file);
+    if (!language) continue;
+    const rel = path.relative(index.root, file);
+    listed.add(rel);
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch {
+      continue;
+    }
+    const entry = index.files[rel];
+    if (entry && entry.size === stat.size && entry.mtimeMs === stat.mtimeMs) {
+      outcome.unchanged++;
+      continue;
+    }
+    const { content } = await read(file);
+    outcome.changed = true;
+    if (content === null || content === undefined) {
+      delete index.files[rel];
+      continue;
+    }
+    const hash = hashContent(content);
+    if (entry?.hash !== hash) {
+      index.files[rel] = { size: stat.size, mtimeMs: stat.mtimeMs, hash, language, ...parseSymbols(content, language) };
+      outcome.parsed++;
+    } else {
+      index.files[rel] = { ...entry, size: stat.size, mtimeMs: stat.mtimeMs };
+      outcome.unchanged++;
+    }
+  }
+  for (const rel of Object.keys(index.files)) {
+    if (listed.has(rel)) continue;
+    delete index.files[rel];
+    outcome.removed++;
+    outcome.changed = true;
+  }
+  return outcome;
+}
+
+function qualifiedName(symbol) {
+  return symbol.container ? `${symbol.container}.${symbol.name}` : symbol.name;
+}
+
+// Definitions of name, or of Container.name when qualified: [{ rel, ...symbol }]
+function findDefinitions(index, query) {
+  const parts = query.split('.');
+  const name = parts[parts.length - 1];
+  const results = [];
+  for (const [rel, entry] of Object.entries(index.files)) {
+    for (const symbol of entry.symbols || []) {
+      if (symbol.name !== name) continue;
+      if (parts.length > 1 && !qualifiedName(symbol).endsWith(query)) continue;
+      results.push({ rel, ...symbol });
+    }
+  }
+  // Exported and top-level definitions first
+  return results.sort((a, b) => (b.exported - a.exported) || (!!a.container - !!b.container) || a.rel.localeCompare(b.rel) || a.line - b.line);
+}
+
+// Call sites of name (the last part when qualified): [{ rel, line, caller }],
+// where caller is the enclosing function or null at the top level
+function findCallers(index, query) {
+  const name = query.split('.').pop();
+  const results = [];
+  for (const [rel, entry] of Object.entries(index.files)) {
+    for (const call of entry.calls || []) {
+      if (call.name === name) results.push({ rel, line: call.line, caller: call.caller });
+    }
+  }
+  return results;
+}
+
+// Every use of name as an identifier in the indexed files: [{ rel, line }]
+function findReferences(index, query) {
+  const name = query.split('.').pop();
+  const results = [];
+  for (const [rel, entry] of Object.entries(index.files)) {
+    let content;
+    try {
+      content = fs.readFileSync(path.join(index.root, rel), 'utf8');
+    } catch {
+      continue;
+    }
+    for (const line of new Set(findNameInSource(content, entry.language, name))) results.push({ rel, line });
+  }
+  return results;
+}
+
+// Text outside fenced code blocks: pasted code and logs name plenty of
+// symbols without asking about them
+function proseOf(text) {
+  return text.replace(/```[\s\S]*?(```|$)/g, ' ');
+}
+
+// Names in free text that are written as code (`quoted` in single backticks
+// or called()) and defined in the index, in order of appearance
+function namedSymbols(index, text) {
+  const prose = proseOf(text);
+  const candidates = [];
+  for (const match of prose.matchAll(/(?<!`)`([^`\n]+)`(?!`)/g)) {
+    candidates.push(...(match[1].match(/[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*/g) || []));
+  }
+  for (const match of prose.matchAll(/([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\(\)/g)) candidates.push(match[1]);
+  return [...new Set(candidates)].filter(word => findDefinitions(index, word).length);
+}
+
+// Cheap test before loading an index: does the text outside fenced blocks
+// quote code or call something()?
+function mentionsCode(text) {
+  return /(?<!`)`[^`\n]+`(?!`)|[A-Za-z_$][\w$]*\(\)/.test(proseOf(text));
+}
+
+function symbolStats(index) {
+  const entries = Object.values(index.files);
+  return {
+    root: index.root,
+    updated: index.updated,
+    files: entries.length,
+    symbols: entries.reduce((total, entry) => total + (entry.symbols?.length || 0), 0),
+    calls: entries.reduce((total, entry) => total + (entry.calls?.length || 0), 0)
+  };
+}
+
+export {
+  languageFor,
+  parseSymbols,
+  loadSymbolIndex,
+  saveSymbolIndex,
+  updateSymbolIndex,
+  qualifiedName,
+  findDefinitions,
+  findCallers,
+  findReferences,
+  namedSymbols,
+  mentionsCode,
+  symbolStats
+};
@@ -0,0 +1,135 @@
+// Conductor plans as a dependency graph. Agents and their actions can name
+// the agents or actions they depend on; an action runs once everything
+// upstream of it has finished, and is blocked when something upstream failed.
+
+const FINISHED = new Set(['done', 'failed', 'blocked']);
+
+function slug(text, fallback) {
+  const value = String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return value || fallback;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map(item => slug(item, '')).filter(Boolean);
+}
+
+// Give every agent and action a unique id and a dependsOn list, turning plain
+// string actions into { id, action, dependsOn }. References to unknown ids
+// (e.g. agents cut by the concurrency limit) are dropped. Safe to run again on
+// a normalized plan. Throws when the dependencies form a cycle.
+function normalizePlan(plan) {
+  const used = new Set();
+  const uniqueId = (wanted) => {
+    let id = wanted;
+    for (let n = 2; used.has(id); n++) id = `${wanted}-${n}`;
+    used.add(id);
+    return id;
+  };
+
+  plan.agents.forEach((agent, index) => {
+    agent.id = uniqueId(slug(agent.id || agent.role, `agent-${index + 1}`));
+  });
+  for (const agent of plan.agents) {
+    agent.actions = (agent.actions || []).map((action, index) => {
+      const spec = typeof action === 'string' ? { action } : action || {};
+      return {
+        id: uniqueId(slug(spec.id, `${agent.id}-${index + 1}`)),
+        action: String(spec.action ?? spec.description ?? ''),
+        dependsOn: spec.dependsOn
+      };
+    });
+  }
+
+  const known = (self) => (id) => used.has(id) && id !== self;
+  for (const agent of plan.agents) {
+    agent.dependsOn = toList(agent.dependsOn).filter(known(agent.id));
+    for (const action of agent.actions) {
+      action.dependsOn = toList(action.dependsOn).filter(known(action.id)).filter(id => id !== agent.id);
+    }
+  }
+
+  const cycle = findCycle(buildTaskGraph(plan));
+  if (cycle) throw new Error(`Plan has a dependency cycle: ${cycle.join(' → ')}`);
+  return plan;
+}
+
+// Nodes keyed by action id: { id, agentId, action, dependsOn, status }, where
+// dependsOn lists action ids and depending on an agent means on all its actions
+function buildTaskGraph(plan) {
+  const agentActions = new Map(plan.agents.map(agent => [agent.id, agent.actions.map(action => action.id)]));
+  const nodes = {};
+  for (const agent of plan.agents) {
+    for (const action of agent.actions) {
+      const upstream = [...agent.dependsOn, ...action.dependsOn]
+        .flatMap(id => agentActions.get(id) || [id])
+        .filter(id => id !== action.id);
+      nodes[action.id] = {
+        id: action.id,
+        agentId: agent.id,
+        action: action.action,
+        dependsOn: [...new Set(upstream)],
+        status: 'pending'
+      };
+    }
+  }
+  return nodes;
+}
+
+// Ids along one dependency cycle (first id repeated at the end), or null
+function findCycle(nodes) {
+  const state = new Map();
+  const trail = [];
+  const visit = (id) => {
+    state.set(id, 'visiting');
+    trail.push(id);
+    for (const next of nodes[id]?.dependsOn || []) {
+      if (state.get(next) === 'visiting') return [...trail.slice(trail.indexOf(next)), next];
+      if (!state.has(next)) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+    trail.pop();
+    state.set(id, 'done');
+    return null;
+  };
+  for (const id of Object.keys(nodes)) {
+    if (state.has(id)) continue;
+    const cycle = visit(id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+// Pending nodes whose dependencies have all completed
+function readyNodes(nodes) {
+  return Object.values(nodes).filter(node =>
+    node.status === 'pending' && node.dependsOn.every(id => nodes[id]?.status === 'done'));
+}
+
+// Block pending nodes downstream of a failed or blocked node, recording which
+// upstream node stopped them. Returns the newly blocked nodes.
+function blockDependents(nodes) {
+  const blocked = [];
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const node of Object.values(nodes)) {
+      if (node.status !== 'pending') continue;
+      const cause = node.dependsOn.find(id => ['failed', 'blocked'].includes(nodes[id]?.status));
+      if (!cause) continue;
+      node.status = 'blocked';
+      node.blockedBy = cause;
+      blocked.push(node);
+      changed = true;
+    }
+  }
+  return blocked;
+}
+
+function isGraphFinished(nodes) {
+  return Object.values(nodes).every(node => FINISHED.has(node.status));
+}
+
+export { normalizePlan, buildTaskGraph, findCycle, readyNodes, blockDependents, isGraphFinished };
@@ -0,0 +1,129 @@
+// Schema checks, environment variables, locking and layer merging in configStore.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  schemaFromDefaults, validate, parseSettingValue, settingForEnv, envLayer, lockedPrefix, checkLayer, mergeLayers, changedPaths
+} from '../configStore.js';
+
+const DEFAULTS = {
+  currentProvider: 'openai',
+  maxContextMessages: 100,
+  models: { openai: 'gpt-4o', 'gpt-3.5-turbo': 'old' },
+  agent: { enabled: true, allowedDirectories: ['.'] },
+  server: { port: 8765, token: '' },
+  cache: { enabled: false, dir: null }
+};
+
+const SCHEMA = schemaFromDefaults(DEFAULTS, {
+  currentProvider: { type: 'string', enum: ['openai', 'local'] },
+  maxContextMessages: { type: 'integer', minimum: 1 },
+  models: { type: 'object', additionalProperties: { type: 'string' } },
+  'cache.dir': { type: ['string', 'null'] }
+});
+
+function messages(problems) {
+  return problems.map(problem => problem.message);
+}
+
+test('validate accepts values shaped like the defaults', () => {
+  assert.deepEqual(validate(SCHEMA, {
+    currentProvider: 'local',
+    models: { 'any-model': 'name' },
+    agent: { allowedDirectories: ['/srv'] },
+    cache: { dir: null }
+  }), []);
+});
+
+test('validate reports wrong types, enums, ranges and unknown keys with where they are', () => {
+  const problems = validate(SCHEMA, {
+    currentProvider: 'nope',
+    maxContextMessages: 0,
+    agent: { enabled: 'yes', allowedDirectories: ['/srv', 3] },
+    server: { prot: 1 },
+    models: { 'gpt-3.5-turbo': 5 }
+  });
+  assert.deepEqual(messages(problems), [
+    'currentProvider: must be one of "openai", "local"',
+    'maxContextMessages: must be at least 1',
+    'agent.enabled: expected boolean, got string',
+    'agent.allowedDirectories[1]: expected string, got number',
+    'server.prot: unknown setting (did you mean server.port?)',
+    'models.gpt-3.5-turbo: expected string, got number'
+  ]);
+  // Map keys with dots keep their place in keys
+  assert.deepEqual(problems[5].keys, ['models', 'gpt-3.5-turbo']);
+  assert.deepEqual(messages(validate(SCHEMA, [])), ['(root): expected object, got array']);
+});
+
+test('parseSettingValue reads text as the setting type', () => {
+  assert.equal(parseSettingValue({ type: 'boolean' }, 'off'), false);
+  assert.equal(parseSettingValue({ type: 'integer' }, '42'), 42);
+  assert.deepEqual(parseSettingValue({ type: 'array' }, '["a"]'), ['a']);
+  assert.equal(parseSettingValue({ type: ['string', 'null'] }, 'null'), null);
+  assert.throws(() => parseSettingValue({ type: 'boolean' }, 'maybe'), /is not a boolean/);
+  assert.throws(() => parseSettingValue({ type: 'number' }, ''), /is not a number/);
+});
+
+test('settingForEnv matches variable words against the schema keys', () => {
+  assert.equal(settingForEnv(SCHEMA, 'QATERM_CURRENT_PROVIDER'), 'currentProvider');
+  assert.equal(settingForEnv(SCHEMA, 'QATERM_SERVER_TOKEN'), 'server.token');
+  assert.equal(settingForEnv(SCHEMA, 'QATERM_AGENT_ALLOWED_DIRECTORIES'), 'agent.allowedDirectories');
+  assert.equal(settingForEnv(SCHEMA, 'QATERM_SERVER_NOPE'), null);
+  assert.equal(settingForEnv(SCHEMA, 'QATERM_'), null);
+});
+
+test('envLayer turns QATERM_ variables into settings and reports the ones it cannot use', () => {
+  const layer = envLayer(SCHEMA, {
+    PATH: '/bin',
+    QATERM_SERVER_PORT: '9000',
+    QATERM_AGENT_ENABLED: 'no',
+    QATERM_MAX_CONTEXT_MESSAGES: 'lots',
+    QATERM_COLOUR: 'red',
+    QATERM_CONFIG: '/tmp/config.json'
+  }, ['QATERM_CONFIG']);
+  assert.deepEqual(layer.values, { server: { port: 9000 }, agent: { enabled: false } });
+  assert.deepEqual(layer.origins, { 'server.port': 'QATERM_SERVER_PORT', 'agent.enabled': 'QATERM_AGENT_ENABLED' });
+  assert.deepEqual(messages(layer.problems), [
+    'QATERM_MAX_CONTEXT_MESSAGES: "lots" is not a number',
+    'QATERM_COLOUR does not name a setting'
+  ]);
+});
+
+test('lockedPrefix finds the locked entry a path is at or under', () => {
+  const locked = ['agent', 'cache.dir', 'profiles.*.agent'];
+  assert.equal(lockedPrefix('agent.allowedDirectories', locked), 'agent');
+  assert.equal(lockedPrefix('cache.dir', locked), 'cache.dir');
+  assert.equal(lockedPrefix('cache.enabled', locked), undefined);
+  assert.equal(lockedPrefix('profiles.work.agent.enabled', locked), 'profiles.*.agent');
+  assert.equal(lockedPrefix('profiles.work.cache.dir', locked), undefined);
+});
+
+test('checkLayer drops bad and locked settings and keeps the rest', () => {
+  const layer = checkLayer(SCHEMA, {
+    name: 'project',
+    values: { maxContextMessages: 'many', currentProvider: 'local', agent: { allowedDirectories: ['/'] }, cache: { enabled: true } }
+  }, ['agent']);
+  assert.deepEqual(layer.values, { currentProvider: 'local', cache: { enabled: true } });
+  assert.deepEqual(messages(layer.problems), [
+    'maxContextMessages: expected integer, got string',
+    'agent.allowedDirectories: not allowed in a project config; set it in the user config'
+  ]);
+});
+
+test('mergeLayers applies layers in order and records where each setting came from', () => {
+  const { config, origins } = mergeLayers(DEFAULTS, [
+    { name: 'user', file: '/home/me/.config/qaterm/config.json', values: { currentProvider: 'local', server: { port: 9000 } } },
+    { name: 'env', values: { server: { port: 9100 } }, origins: { 'server.port': 'QATERM_SERVER_PORT' } },
+    { name: 'cli', source: '--set', values: { agent: { allowedDirectories: ['/srv'] } } }
+  ]);
+  assert.equal(config.currentProvider, 'local');
+  assert.deepEqual(config.server, { port: 9100, token: '' });
+  assert.deepEqual(config.agent, { enabled: true, allowedDirectories: ['/srv'] });
+  assert.deepEqual(origins.currentProvider, { layer: 'user', source: '/home/me/.config/qaterm/config.json' });
+  assert.deepEqual(origins['server.port'], { layer: 'env', source: 'QATERM_SERVER_PORT' });
+  assert.deepEqual(origins['agent.allowedDirectories'], { layer: 'cli', source: '--set' });
+  assert.deepEqual(origins['server.token'], { layer: 'default' });
+  // Defaults are copied, never changed
+  assert.deepEqual(DEFAULTS.agent.allowedDirectories, ['.']);
+  assert.deepEqual(changedPaths(DEFAULTS, config).sort(), ['agent.allowedDirectories', 'currentProvider', 'server.port']);
+});
@@ -0,0 +1,189 @@
+// providers.js against a local OpenAI-compatible stub server
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureCache } from '../cache.js';
+import { configureProvider, configureRetry, complete, completeWithTools, embed, listModels } from '../providers.js';
+
+const requests = [];
+let server;
+
+function sendJson(res, body) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendStream(res, chunks) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const delta of chunks) {
+    res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta }] })}\n\n`);
+  }
+  res.end('data: [DONE]\n\n');
+}
+
+function chatReply(res, body) {
+  const question = body.messages.at(-1).content;
+  if (body.tools) {
+    const call = { id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '{"path":"README.md"}' } };
+    if (body.stream) {
+      sendStream(res, [
+        { tool_calls: [{ index: 0, id: call.id, type: 'function', function: { name: 'read_file', arguments: '{"path":' } }] },
+        { tool_calls: [{ index: 0, function: { arguments: '"README.md"}' } }] }
+      ]);
+      return;
+    }
+    sendJson(res, { choices: [{ index: 0, message: { role: 'assistant', content: 'Reading it', tool_calls: [call] } }] });
+    return;
+  }
+  if (body.stream) {
+    sendStream(res, [{ content: 'You said: ' }, { content: question }]);
+    return;
+  }
+  sendJson(res, {
+    choices: [{ index: 0, message: { role: 'assistant', content: `You said: ${question}` } }],
+    usage: { prompt_tokens: 5, completion_tokens: 3 }
+  });
+}
+
+function handle(req, res) {
+  let raw = '';
+  req.on('data', chunk => raw += chunk);
+  req.on('end', () => {
+    const body = raw ? JSON.parse(raw) : null;
+    requests.push({ method: req.method, url: req.url, body });
+    if (req.method === 'GET' && req.url === '/v1/models') {
+      sendJson(res, { object: 'list', data: [{ id: 'stub-small', object: 'model' }, { id: 'stub-large', object: 'model' }] });
+    } else if (req.method === 'POST' && req.url === '/v1/chat/completions' && body.model === 'stub-locked') {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'Invalid API key' } }));
+    } else if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+      chatReply(res, body);
+    } else if (req.method === 'POST' && req.url === '/v1/embeddings') {
+      // Out of order on purpose: embed() sorts by index
+      const data = body.input.map((text, index) => ({ object: 'embedding', index, embedding: [text.length, index] }));
+      sendJson(res, { object: 'list', data: data.reverse(), usage: { prompt_tokens: body.input.length } });
+    } else {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: `No route for ${req.method} ${req.url}` } }));
+    }
+  });
+}
+
+before(async () => {
+  server = http.createServer(handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  configureProvider('local', { baseURL: `http://127.0.0.1:${server.address().port}/v1`, apiKey: 'test' });
+  configureRetry({ maxRetries: 0, failover: [] });
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests.length = 0;
+});
+
+test('complete returns the reply and sends the system prompt first', async () => {
+  const text = await complete({
+    provider: 'local',
+    model: 'stub-small',
+    system: 'Be brief',
+    messages: [{ role: 'user', content: 'hello' }]
+  });
+  assert.equal(text, 'You said: hello');
+  assert.equal(requests.length, 1);
+  assert.deepEqual(requests[0].body.messages, [
+    { role: 'system', content: 'Be brief' },
+    { role: 'user', content: 'hello' }
+  ]);
+  assert.equal(requests[0].body.stream, undefined);
+});
+
+test('complete streams tokens through onToken', async () => {
+  const tokens = [];
+  const text = await complete({
+    provider: 'local',
+    model: 'stub-small',
+    messages: [{ role: 'user', content: 'stream me' }],
+    onToken: token => tokens.push(token)
+  });
+  assert.equal(text, 'You said: stream me');
+  assert.deepEqual(tokens, ['You said: ', 'stream me']);
+  assert.equal(requests[0].body.stream, true);
+});
+
+test('completeWithTools offers the tools and parses the tool calls', async () => {
+  const tools = [{
+    name: 'read_file',
+    description: 'Read a file',
+    parameters: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] }
+  }];
+  const result = await completeWithTools({
+    provider: 'local',
+    model: 'stub-small',
+    messages: [{ role: 'user', content: 'show the readme' }],
+    tools
+  });
+  assert.equal(result.text, 'Reading it');
+  assert.deepEqual(result.toolCalls, [{ id: 'call_1', name: 'read_file', args: { path: 'README.md' } }]);
+  assert.deepEqual(requests[0].body.tools, [{ type: 'function', function: tools[0] }]);
+});
+
+test('completeWithTools joins tool call fragments when streaming', async () => {
+  const result = await completeWithTools({
+    provider: 'local',
+    model: 'stub-small',
+    messages: [{ role: 'user', content: 'show the readme' }],
+    tools: [{ name: 'read_file', description: 'Read a file', parameters: { type: 'object', properties: {} } }],
+    onToken: () => {}
+  });
+  assert.deepEqual(result.toolCalls, [{ id: 'call_1', name: 'read_file', args: { path: 'README.md' } }]);
+});
+
+test('embed returns one vector per text in input order', async () => {
+  const vectors = await embed({ provider: 'local', model: 'stub-embed', texts: ['a', 'bbb', 'cc'] });
+  assert.deepEqual(vectors, [[1, 0], [3, 1], [2, 2]]);
+  assert.deepEqual(requests[0].body, { model: 'stub-embed', input: ['a', 'bbb', 'cc'] });
+});
+
+test('embed skips the request when there is nothing to embed', async () => {
+  assert.deepEqual(await embed({ provider: 'local', model: 'stub-embed', texts: [] }), []);
+  assert.equal(requests.length, 0);
+});
+
+test('a failover answer is cached for the provider and model that gave it', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-cache-'));
+  // The openai provider reaches the same stub through the SDK's base URL variable
+  process.env.OPENAI_API_KEY = 'test';
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  configureCache({ dir, enabled: true });
+  configureRetry({ failover: [{ provider: 'openai', model: 'stub-large' }] });
+  try {
+    const request = { messages: [{ role: 'user', content: 'cache me' }], cache: true };
+    assert.equal(await complete({ provider: 'local', model: 'stub-locked', ...request }), 'You said: cache me');
+    assert.deepEqual(requests.map(entry => entry.body.model), ['stub-locked', 'stub-large']);
+
+    // Asking the locked model again goes to the server instead of the cache
+    requests.length = 0;
+    await complete({ provider: 'local', model: 'stub-locked', ...request });
+    assert.equal(requests[0].body.model, 'stub-locked');
+
+    // while asking the model that answered is served from the cache
+    requests.length = 0;
+    assert.equal(await complete({ provider: 'openai', model: 'stub-large', ...request }), 'You said: cache me');
+    assert.equal(requests.length, 0);
+  } finally {
+    configureRetry({ failover: [] });
+    configureCache({ enabled: false });
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_BASE_URL;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('listModels lists the models the local server serves', async () => {
+  assert.deepEqual(await listModels('local'), ['stub-small', 'stub-large']);
+  assert.equal(requests[0].url, '/v1/models');
+});
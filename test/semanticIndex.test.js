@@ -0,0 +1,98 @@
+// Index and search a small project with the offline stub embedder
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createEmbedder, loadVectorStore, saveVectorStore, chunkLines, updateVectorStore, searchVectorStore, vectorStoreStats } from '../semanticIndex.js';
+
+const FILES = {
+  'config.js': 'function parseConfig(text) {\n  return JSON.parse(text);\n}\n',
+  'server.js': 'function startServer(port) {\n  return http.createServer(handleRequest).listen(port);\n}\n',
+  'colors.js': 'const palette = ["red", "green", "blue"];\nfunction pickColor(index) {\n  return palette[index];\n}\n'
+};
+
+let root;
+let storeFile;
+
+function read(file) {
+  return { content: fs.readFileSync(file, 'utf8') };
+}
+
+function projectFiles() {
+  return Object.keys(FILES).map(name => path.join(root, name));
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-semantic-'));
+  storeFile = path.join(root, 'index', 'vectors.json');
+  for (const [name, content] of Object.entries(FILES)) fs.writeFileSync(path.join(root, name), content);
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('chunkLines cuts overlapping windows with 1-based line ranges', () => {
+  const content = Array.from({ length: 10 }, (_, index) => `line ${index + 1}`).join('\n') + '\n';
+  assert.deepEqual(chunkLines(content, { lines: 4, overlap: 1 }).map(chunk => [chunk.start, chunk.end]), [[1, 4], [4, 7], [7, 10]]);
+});
+
+test('an index built with the stub embedder finds the file a query is about', async () => {
+  const embedder = createEmbedder({ backend: 'stub' });
+  const store = loadVectorStore(storeFile, root, embedder.id);
+  const outcome = await updateVectorStore(store, projectFiles(), { embedder, read });
+  assert.equal(outcome.embedded, 3);
+  assert.equal(outcome.chunks, 3);
+  saveVectorStore(storeFile, store);
+
+  // A fresh load of the saved store answers the same way
+  const saved = loadVectorStore(storeFile, root, embedder.id);
+  assert.equal(vectorStoreStats(saved).files, 3);
+  const [query] = await embedder.embed(['where is the config parsed']);
+  const hits = searchVectorStore(saved, query, 2);
+  assert.equal(hits.length, 2);
+  assert.deepEqual(hits[0], { rel: 'config.js', start: 1, end: 3, score: hits[0].score });
+  assert.ok(hits[0].score > hits[1].score);
+});
+
+test('a refresh only embeds files that changed and drops removed ones', async () => {
+  const embedder = createEmbedder({ backend: 'stub' });
+  const store = loadVectorStore(storeFile, root, embedder.id);
+  await updateVectorStore(store, projectFiles(), { embedder, read });
+
+  fs.appendFileSync(path.join(root, 'server.js'), 'function stopServer(server) {\n  server.close();\n}\n');
+  const outcome = await updateVectorStore(store, projectFiles().filter(file => !file.endsWith('colors.js')), { embedder, read });
+  assert.equal(outcome.embedded, 1);
+  assert.equal(outcome.unchanged, 1);
+  assert.equal(outcome.removed, 1);
+  assert.equal(outcome.changed, true);
+
+  const [query] = await embedder.embed(['stop the server']);
+  assert.equal(searchVectorStore(store, query, 1)[0].rel, 'server.js');
+});
+
+test('a refresh with nothing to do leaves the store unchanged', async () => {
+  const embedder = createEmbedder({ backend: 'stub' });
+  const store = loadVectorStore(storeFile, root, embedder.id);
+  assert.equal((await updateVectorStore(store, projectFiles(), { embedder, read })).changed, true);
+
+  const outcome = await updateVectorStore(store, projectFiles(), { embedder, read });
+  assert.equal(outcome.unchanged, 3);
+  assert.equal(outcome.changed, false);
+  // A file too large to index that never was indexed changes nothing either
+  fs.writeFileSync(path.join(root, 'big.js'), 'x'.repeat(200));
+  const files = [...projectFiles(), path.join(root, 'big.js')];
+  assert.equal((await updateVectorStore(store, files, { embedder, read, maxFileBytes: 100 })).changed, false);
+});
+
+test('a store built by another embedder is started over', async () => {
+  const embedder = createEmbedder({ backend: 'stub' });
+  const store = loadVectorStore(storeFile, root, embedder.id);
+  await updateVectorStore(store, projectFiles(), { embedder, read });
+  saveVectorStore(storeFile, store);
+
+  const other = createEmbedder({ backend: 'stub', dimensions: 64 });
+  assert.equal(vectorStoreStats(loadVectorStore(storeFile, root, other.id)).files, 0);
+  assert.throws(() => createEmbedder({ backend: 'nope' }), /Unknown embedding backend: nope/);
+});
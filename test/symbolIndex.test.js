@@ -0,0 +1,279 @@
+// Parse JavaScript, TypeScript and Python sources and query an index of a small project
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  languageFor, parseSymbols, loadSymbolIndex, saveSymbolIndex, updateSymbolIndex, qualifiedName,
+  findDefinitions, findCallers, findReferences, namedSymbols, mentionsCode
+} from '../symbolIndex.js';
+
+// [name, kind, container, exported, line, endLine] per symbol
+function outline(parsed) {
+  return parsed.symbols.map(symbol => [symbol.name, symbol.kind, symbol.container, symbol.exported, symbol.line, symbol.endLine]);
+}
+
+function callsOf(parsed) {
+  return parsed.calls.map(call => [call.name, call.line, call.caller]);
+}
+
+test('JavaScript classes, function expressions and arrows are found with their containers', () => {
+  const parsed = parseSymbols([
+    'export class Store extends Base {',
+    '  static create(options) { return new Store(options); }',
+    '  get size() { return this.items.length; }',
+    '  async load(file) {',
+    '    return parse(await read(file));',
+    '  }',
+    '  reset = () => {',
+    '    this.items = [];',
+    '  };',
+    '}',
+    'export const parse = (text) => JSON.parse(text);',
+    'const format = function (value) { return String(value); };',
+    'function outer() {',
+    '  const inner = () => helper();',
+    '  return inner();',
+    '}'
+  ].join('\n'), 'javascript');
+  assert.deepEqual(outline(parsed), [
+    ['Store', 'class', null, true, 1, 10],
+    ['create', 'method', 'Store', false, 2, 2],
+    ['size', 'method', 'Store', false, 3, 3],
+    ['load', 'method', 'Store', false, 4, 6],
+    ['reset', 'method', 'Store', false, 7, 9],
+    ['parse', 'function', null, true, 11, 11],
+    ['format', 'function', null, false, 12, 12],
+    ['outer', 'function', null, false, 13, 16],
+    ['inner', 'function', 'outer', false, 14, 14]
+  ]);
+  assert.deepEqual(parsed.exports, ['Store', 'parse']);
+  assert.deepEqual(callsOf(parsed).filter(([, , caller]) => caller), [
+    ['Store', 2, 'Store.create'],
+    ['parse', 5, 'Store.load'],
+    ['read', 5, 'Store.load'],
+    ['String', 12, 'format'],
+    ['helper', 14, 'outer'],
+    ['inner', 15, 'outer']
+  ]);
+});
+
+test('template literals, regex literals, strings and comments do not upset the parser', () => {
+  const parsed = parseSymbols([
+    'const closer = /[}{]\\/(\\w+)/g;',
+    'const ratio = total / count / 2;',
+    'const greeting = `Hello ${user.name({ nested: `x${y}` })} } done`;',
+    "const text = 'notCalled() {';",
+    '// commented() {',
+    '/* blockComment() } */',
+    'function after() {',
+    '  return closer.test(greeting) && ratio;',
+    '}'
+  ].join('\n'), 'javascript');
+  assert.deepEqual(outline(parsed), [
+    ['closer', 'variable', null, false, 1, 1],
+    ['ratio', 'variable', null, false, 2, 2],
+    ['greeting', 'variable', null, false, 3, 3],
+    ['text', 'variable', null, false, 4, 4],
+    ['after', 'function', null, false, 7, 9]
+  ]);
+  assert.deepEqual(callsOf(parsed), [['name', 3, null], ['test', 8, 'after']]);
+});
+
+test('JavaScript imports, requires and exports are recorded', () => {
+  const parsed = parseSymbols([
+    "import fs from 'fs';",
+    "import { readFile as read, join } from 'path';",
+    "import * as utils from './utils.js';",
+    "const { spawn } = require('child_process');",
+    "export { helper as assist } from './helper.js';"
+  ].join('\n'), 'javascript');
+  assert.deepEqual(parsed.imports, [
+    { source: 'fs', line: 1, names: [{ name: 'fs', imported: 'default' }] },
+    { source: 'path', line: 2, names: [{ name: 'read', imported: 'readFile' }, { name: 'join', imported: 'join' }] },
+    { source: './utils.js', line: 3, names: [{ name: 'utils', imported: '*' }] },
+    { source: 'child_process', line: 4, names: [{ name: 'spawn', imported: 'spawn' }] },
+    { source: './helper.js', line: 5, names: [{ name: 'assist', imported: 'helper' }] }
+  ]);
+  assert.deepEqual(parsed.exports, ['assist']);
+});
+
+test('TypeScript interfaces, enums, types, namespaces and generic functions', () => {
+  const parsed = parseSymbols([
+    "import type { Options } from './options';",
+    'export interface Shape extends Base {',
+    '  area(): number;',
+    '}',
+    "export enum Color { Red, Green = 'green' }",
+    'type Pair<T> = [T, T];',
+    'export function measure<T extends Shape>(shape: T): number {',
+    '  return shape.area();',
+    '}',
+    'const cast = <T,>(value: unknown): T => value as T;',
+    'export namespace Geometry {',
+    '  export const unit = 1;',
+    '}'
+  ].join('\n'), 'typescript');
+  assert.deepEqual(outline(parsed), [
+    ['Shape', 'interface', null, true, 2, 4],
+    ['Color', 'enum', null, true, 5, 5],
+    ['Pair', 'type', null, false, 6, 6],
+    ['measure', 'function', null, true, 7, 9],
+    ['cast', 'function', null, false, 10, 10],
+    ['Geometry', 'namespace', null, true, 11, 13],
+    ['unit', 'variable', 'Geometry', true, 12, 12]
+  ]);
+  // Members of an interface are not calls
+  assert.deepEqual(callsOf(parsed), [['area', 8, 'measure']]);
+  assert.deepEqual(parsed.imports, [{ source: './options', line: 1, names: [{ name: 'Options', imported: 'Options' }] }]);
+});
+
+test('Python nesting, imports and __all__', () => {
+  const parsed = parseSymbols([
+    '"""Mentions fake_call() in the docstring."""',
+    'import os',
+    'import json as j, sys',
+    'from .util import load, save as store',
+    'from pkg import (',
+    '    alpha,',
+    '    beta as b,',
+    ')',
+    '',
+    "__all__ = ['Client', 'connect']",
+    'LIMIT = 10',
+    '',
+    'class Client(Base):',
+    '    def __init__(self, url):',
+    '        self.url = url',
+    '',
+    '    async def fetch(self, path):',
+    '        def build():',
+    '            return os.path.join(self.url, path)',
+    '        return await get(build())',
+    '',
+    'def connect(url):',
+    '    # helper() in a comment',
+    '    return Client(url)',
+    '',
+    'def _private():',
+    "    return connect('notcall()')"
+  ].join('\n'), 'python');
+  assert.deepEqual(outline(parsed), [
+    ['LIMIT', 'variable', null, false, 11, 11],
+    ['Client', 'class', null, true, 13, 20],
+    ['__init__', 'method', 'Client', false, 14, 15],
+    ['fetch', 'method', 'Client', false, 17, 20],
+    ['build', 'function', 'Client.fetch', false, 18, 19],
+    ['connect', 'function', null, true, 22, 24],
+    ['_private', 'function', null, false, 26, 27]
+  ]);
+  assert.equal(qualifiedName(parsed.symbols[4]), 'Client.fetch.build');
+  assert.deepEqual(parsed.exports, ['Client', 'connect']);
+  assert.deepEqual(parsed.imports, [
+    { source: 'os', line: 2, names: [{ name: 'os', imported: 'os' }] },
+    { source: 'json', line: 3, names: [{ name: 'j', imported: 'json' }] },
+    { source: 'sys', line: 3, names: [{ name: 'sys', imported: 'sys' }] },
+    { source: '.util', line: 4, names: [{ name: 'load', imported: 'load' }, { name: 'store', imported: 'save' }] },
+    { source: 'pkg', line: 5, names: [{ name: 'alpha', imported: 'alpha' }, { name: 'b', imported: 'beta' }] }
+  ]);
+  assert.deepEqual(callsOf(parsed), [
+    ['join', 19, 'Client.fetch.build'],
+    ['get', 20, 'Client.fetch'],
+    ['build', 20, 'Client.fetch'],
+    ['Client', 24, 'connect'],
+    ['connect', 27, '_private']
+  ]);
+});
+
+test('mentionsCode only counts code quoted or called outside fenced blocks', () => {
+  assert.equal(mentionsCode('what does `loadConfig` return?'), true);
+  assert.equal(mentionsCode('why does parse() throw?'), true);
+  assert.equal(mentionsCode('why is the sky blue?'), false);
+  assert.equal(mentionsCode('this fails:\n```\nparse()\n```'), false);
+});
+
+let root;
+let indexFile;
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-symbols-'));
+  indexFile = path.join(root, 'index', 'symbols.json');
+  fs.mkdirSync(path.join(root, 'lib'));
+  fs.writeFileSync(path.join(root, 'lib', 'config.js'), [
+    'export function loadConfig(file) {',
+    '  return parseConfig(readText(file));',
+    '}',
+    'export function parseConfig(text) {',
+    '  return JSON.parse(text);',
+    '}'
+  ].join('\n'));
+  fs.writeFileSync(path.join(root, 'main.js'), [
+    "import { loadConfig } from './lib/config.js';",
+    'class App {',
+    '  start() {',
+    "    this.config = loadConfig('app.json');",
+    '  }',
+    '}'
+  ].join('\n'));
+  fs.writeFileSync(path.join(root, 'tool.py'), [
+    'def parse_config(text):',
+    '    return text',
+    '',
+    'class Runner:',
+    '    def start(self):',
+    "        return parse_config('x')"
+  ].join('\n'));
+  fs.writeFileSync(path.join(root, 'README.md'), 'loadConfig() reads the config');
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function projectFiles() {
+  return ['lib/config.js', 'main.js', 'tool.py', 'README.md'].map(rel => path.join(root, rel));
+}
+
+function read(file) {
+  return { content: fs.readFileSync(file, 'utf8') };
+}
+
+test('findDefinitions and findCallers answer from an index of a small project', async () => {
+  const index = loadSymbolIndex(indexFile, root);
+  const outcome = await updateSymbolIndex(index, projectFiles(), read);
+  assert.deepEqual(outcome, { parsed: 3, unchanged: 0, removed: 0, changed: true });
+  assert.equal(languageFor('README.md'), null);
+
+  assert.deepEqual(findDefinitions(index, 'loadConfig').map(found => [found.rel, found.line, found.exported]), [
+    [path.join('lib', 'config.js'), 1, true]
+  ]);
+  assert.deepEqual(findDefinitions(index, 'start').map(found => qualifiedName(found)), ['App.start', 'Runner.start']);
+  assert.deepEqual(findDefinitions(index, 'Runner.start').map(found => found.rel), ['tool.py']);
+  assert.deepEqual(findDefinitions(index, 'missing'), []);
+
+  assert.deepEqual(findCallers(index, 'loadConfig'), [{ rel: 'main.js', line: 4, caller: 'App.start' }]);
+  assert.deepEqual(findCallers(index, 'parseConfig'), [{ rel: path.join('lib', 'config.js'), line: 2, caller: 'loadConfig' }]);
+  assert.deepEqual(findCallers(index, 'parse_config'), [{ rel: 'tool.py', line: 6, caller: 'Runner.start' }]);
+  assert.deepEqual(findReferences(index, 'loadConfig').map(found => [found.rel, found.line]), [
+    [path.join('lib', 'config.js'), 1],
+    ['main.js', 1],
+    ['main.js', 4]
+  ]);
+  assert.deepEqual(namedSymbols(index, 'why does `parseConfig` call loadConfig() and not unknownThing()?'), ['parseConfig', 'loadConfig']);
+});
+
+test('a saved index is only reparsed for files that changed', async () => {
+  const index = loadSymbolIndex(indexFile, root);
+  await updateSymbolIndex(index, projectFiles(), read);
+  saveSymbolIndex(indexFile, index);
+
+  const saved = loadSymbolIndex(indexFile, root);
+  assert.deepEqual(await updateSymbolIndex(saved, projectFiles(), read), { parsed: 0, unchanged: 3, removed: 0, changed: false });
+
+  fs.appendFileSync(path.join(root, 'main.js'), '\nfunction stop() {}\n');
+  const outcome = await updateSymbolIndex(saved, projectFiles().filter(file => !file.endsWith('tool.py')), read);
+  assert.deepEqual(outcome, { parsed: 1, unchanged: 1, removed: 1, changed: true });
+  assert.deepEqual(findDefinitions(saved, 'stop').map(found => found.rel), ['main.js']);
+  assert.deepEqual(findCallers(saved, 'parse_config'), []);
+});
@@ -0,0 +1,94 @@
+// Conductor plans in taskGraph.js: ids, cycles and which actions can run
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePlan, buildTaskGraph, findCycle, readyNodes, blockDependents, isGraphFinished } from '../taskGraph.js';
+
+function ids(nodes) {
+  return nodes.map(node => node.id).sort();
+}
+
+test('normalizePlan gives agents and actions unique ids and drops unknown references', () => {
+  const plan = normalizePlan({
+    agents: [
+      { role: 'Researcher', actions: ['read the docs', { id: 'Summary', action: 'summarise', dependsOn: 'researcher-1' }] },
+      { role: 'Researcher', dependsOn: ['researcher', 'cut-agent'], actions: ['write notes'] }
+    ]
+  });
+  assert.deepEqual(plan.agents.map(agent => agent.id), ['researcher', 'researcher-2']);
+  assert.deepEqual(plan.agents[0].actions, [
+    { id: 'researcher-1', action: 'read the docs', dependsOn: [] },
+    { id: 'summary', action: 'summarise', dependsOn: ['researcher-1'] }
+  ]);
+  assert.deepEqual(plan.agents[1].dependsOn, ['researcher']);
+  // Running it again changes nothing
+  assert.deepEqual(normalizePlan(structuredClone(plan)), plan);
+});
+
+test('normalizePlan rejects a dependency cycle', () => {
+  assert.throws(() => normalizePlan({
+    agents: [
+      { id: 'a', dependsOn: 'b', actions: ['one'] },
+      { id: 'b', dependsOn: 'a', actions: ['two'] }
+    ]
+  }), /dependency cycle: /);
+});
+
+test('findCycle returns the ids along a cycle, or null', () => {
+  const nodes = {
+    a: { id: 'a', dependsOn: ['b'] },
+    b: { id: 'b', dependsOn: ['c'] },
+    c: { id: 'c', dependsOn: ['a'] },
+    d: { id: 'd', dependsOn: [] }
+  };
+  assert.deepEqual(findCycle(nodes), ['a', 'b', 'c', 'a']);
+  nodes.c.dependsOn = ['d'];
+  assert.equal(findCycle(nodes), null);
+});
+
+test('depending on an agent means depending on all its actions', () => {
+  const nodes = buildTaskGraph(normalizePlan({
+    agents: [
+      { id: 'build', actions: ['compile', 'bundle'] },
+      { id: 'ship', dependsOn: 'build', actions: ['upload'] }
+    ]
+  }));
+  assert.deepEqual(nodes['ship-1'].dependsOn, ['build-1', 'build-2']);
+});
+
+test('readyNodes returns independent nodes together and waits for dependencies', () => {
+  const nodes = buildTaskGraph(normalizePlan({
+    agents: [
+      { id: 'lint', actions: ['run eslint'] },
+      { id: 'test', actions: ['run tests'] },
+      { id: 'report', dependsOn: ['lint', 'test'], actions: ['write report'] }
+    ]
+  }));
+  assert.deepEqual(ids(readyNodes(nodes)), ['lint-1', 'test-1']);
+
+  nodes['lint-1'].status = 'done';
+  assert.deepEqual(ids(readyNodes(nodes)), ['test-1']);
+  nodes['test-1'].status = 'done';
+  assert.deepEqual(ids(readyNodes(nodes)), ['report-1']);
+});
+
+test('blockDependents blocks everything downstream of a failure', () => {
+  const nodes = buildTaskGraph(normalizePlan({
+    agents: [
+      { id: 'fetch', actions: ['download data'] },
+      { id: 'parse', dependsOn: 'fetch', actions: ['parse data'] },
+      { id: 'chart', dependsOn: 'parse', actions: ['draw chart'] },
+      { id: 'docs', actions: ['update docs'] }
+    ]
+  }));
+  nodes['fetch-1'].status = 'failed';
+  nodes['docs-1'].status = 'done';
+
+  const blocked = blockDependents(nodes);
+  assert.deepEqual(ids(blocked), ['chart-1', 'parse-1']);
+  assert.equal(nodes['parse-1'].blockedBy, 'fetch-1');
+  assert.equal(nodes['chart-1'].blockedBy, 'parse-1');
+  assert.deepEqual(readyNodes(nodes), []);
+  assert.equal(isGraphFinished(nodes), true);
+  // Nothing new to block the second time
+  assert.deepEqual(blockDependents(nodes), []);
+});
@@ -3,6 +3,7 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { diffLines, applyHunks, formatHunkHeader, NO_EOL_NOTE } from './diff.js';
 
 function clear() { process.stdout.write('\x1b[2J\x1b[H'); }
 function hideCursor() { process.stdout.write('\x1b[?25l'); }
@@ -781,6 +782,8 @@ async function startEditor(filePath, options = {}) {
   const chat = [];
   const onAsk = options.onAsk || null;
   const onApplyAI = options.onApplyAI || null;
+  // Set while the user steps through AI changes: { diff, index, accepted, scroll }
+  let review = null;
 
   let showHelp = true;
   function draw() {
@@ -793,19 +796,34 @@ async function startEditor(filePath, options = {}) {
     const title = ` Editor — ${humanPath(filePath)} `;
     process.stdout.write(color(title.padEnd(cols), '44;37'));
     // Headers
-    move(2,1); process.stdout.write(color(truncate('File', leftW).padEnd(leftW),'1'));
+    const fileHeader = review
+      ? `Review AI changes — hunk ${review.index + 1}/${review.diff.hunks.length} (+${review.diff.added} -${review.diff.removed})`
+      : 'File';
+    move(2,1); process.stdout.write(color(truncate(fileHeader, leftW).padEnd(leftW),'1'));
     move(2,leftW+3); process.stdout.write(color(truncate('AI Chat', rightW).padEnd(rightW),'1'));
     // Editor area
     const area = rows - 4;
-    for (let i=0;i<area;i++){
-      const y = top + i;
-      const line = lines[y] ?? '';
-      move(3+i,1); process.stdout.write(truncate(line, leftW).padEnd(leftW));
+    if (review) {
+      const hunk = review.diff.hunks[review.index];
+      const body = [formatHunkHeader(hunk), ...hunk.lines.flatMap(op => (op.noEol ? [op.type + op.text, NO_EOL_NOTE] : [op.type + op.text]))];
+      review.scroll = Math.min(review.scroll, Math.max(0, body.length - area));
+      for (let i=0;i<area;i++){
+        const text = body[review.scroll + i];
+        const cell = truncate(text ?? '', leftW).padEnd(leftW);
+        const code = text === undefined ? '0' : (i + review.scroll === 0 ? '36' : (text[0] === '+' ? '32' : (text[0] === '-' ? '31' : '90')));
+        move(3+i,1); process.stdout.write(color(cell, code));
+      }
+    } else {
+      for (let i=0;i<area;i++){
+        const y = top + i;
+        const line = lines[y] ?? '';
+        move(3+i,1); process.stdout.write(truncate(line, leftW).padEnd(leftW));
+      }
     }
     // Highlight cursor cell in NORMAL mode for visibility
     const cy = 3 + (curY - top);
     const cx = 1 + Math.min(curX, leftW-1);
-    if (mode === 'normal') {
+    if (mode === 'normal' && !review) {
       const chLine = lines[curY] ?? '';
       const ch = (curX < chLine.length) ? chLine[curX] : ' ';
       move(cy, cx);
@@ -820,7 +838,9 @@ async function startEditor(filePath, options = {}) {
     }
     // Status line
     const statusLeft = ` ${mode.toUpperCase()} ${modified ? '*' : ' '} ${curY+1}:${curX+1}`;
-    const statusRight = ` :w save  :q quit  C ask-AI  Esc cancel-input  ? help `;
+    const statusRight = review
+      ? ` y accept hunk  n skip hunk  a accept rest  r reject rest  j/k scroll `
+      : ` :w save  :q quit  C ask-AI  Esc cancel-input  ? help `;
     move(rows-1,1);
     process.stdout.write(color(truncate(statusLeft + ' | ' + statusRight, cols).padEnd(cols),'100;37'));
     // Help bar (mode-aware)
@@ -874,20 +894,62 @@ async function startEditor(filePath, options = {}) {
     const re = /```tool_code\s*\n\s*\{\{agent:fs:write:(.*?):([\s\S]*?)\}\}\s*\n\s*```/;
     const m = (ans||'').match(re);
     if (m) {
-      const newContent = m[2];
-      lines = newContent.replace(/\r\n/g,'\n').split('\n');
-      modified = true; curX=0; curY=0; top=0;
-      if (onApplyAI) try { await onApplyAI(newContent); } catch{}
+      // Nothing reaches the buffer until the user has reviewed the diff
+      const newContent = await reviewChanges(m[2].replace(/\r\n/g,'\n'));
+      if (newContent !== null) {
+        lines = newContent.split('\n');
+        modified = true; curX=0; curY=0; top=0;
+        chat.push('Applied the accepted changes (:w to save)');
+        if (onApplyAI) try { await onApplyAI(newContent); } catch{}
+      } else {
+        chat.push('No changes applied');
+      }
     }
     draw();
   }
 
+  // Step through the AI's hunks in the editor pane. Resolves to the merged
+  // text, or null if no hunk was accepted.
+  function reviewChanges(newContent) {
+    const diff = diffLines(lines.join('\n'), newContent);
+    if (!diff.hunks.length) return Promise.resolve(null);
+    review = { diff, index: 0, accepted: new Set(), scroll: 0 };
+    draw();
+    return new Promise((resolve)=>{
+      const finish = ()=>{
+        process.stdin.off('data',handler);
+        const accepted = review.accepted;
+        review = null;
+        resolve(accepted.size ? applyHunks(diff, accepted) : null);
+      };
+      const handler=(b)=>{
+        const s=b.toString('utf8');
+        const total = diff.hunks.length;
+        if (s==='y' || s==='n'){
+          if (s==='y') review.accepted.add(review.index);
+          review.index++; review.scroll=0;
+          if (review.index >= total){ finish(); return; }
+        } else if (s==='a'){
+          for (let i=review.index;i<total;i++) review.accepted.add(i);
+          finish(); return;
+        } else if (s==='r' || s==='\u001b' || s==='\u0003'){
+          finish(); return;
+        } else if (s==='j'){ review.scroll++; }
+        else if (s==='k'){ review.scroll=Math.max(0, review.scroll-1); }
+        draw();
+      };
+      process.stdin.on('data',handler);
+    });
+  }
+
   return new Promise((resolve)=>{
     const prevRaw = process.stdin.isRaw;
     try { if (process.stdin.isTTY) process.stdin.setRawMode(true);} catch{}
     try { process.stdin.resume(); } catch{}
     draw();
     const onKey = async (buf)=>{
+      // Keys belong to the change review while it is open
+      if (review) return;
       const s = buf.toString('utf8');
       if (s==='\u0003'){ showCursor(); try { if (process.stdin.isTTY) process.stdin.setRawMode(!!prevRaw);} catch{} resolve(); return; }
       if (s==='q' && mode==='normal'){ showCursor(); try { if (process.stdin.isTTY) process.stdin.setRawMode(!!prevRaw);} catch{} resolve({ saved:false }); return; }
@@ -939,3 +1001,213 @@ async function startEditor(filePath, options = {}) {
 }
 
 export { startEditor };
+
+// Live view of a running agentic task. options.getSnapshot() is polled every
+// refreshMs and returns { title, status, elapsedMs, usage, pool, approvals,
+// agents: [{ id, role, type, model, status, action, elapsedMs, inputTokens,
+// outputTokens, output, results }], nodes: [{ id, agent, action, status, dependsOn }] }.
+// onCancelAgent(id) and onGrantPermission(id) return a short message to show.
+const AGENT_STATUS_COLORS = {
+  working: '36',
+  waiting: '90',
+  completed: '32',
+  'awaiting-permission': '33',
+  error: '31',
+  blocked: '31',
+  cancelled: '31'
+};
+const NODE_SYMBOLS = { pending: '·', running: '▶', done: '✓', failed: '✗', blocked: '⊘' };
+const NODE_COLORS = { pending: '90', running: '36', done: '32', failed: '31', blocked: '31' };
+
+function formatElapsed(ms) {
+  if (!ms && ms !== 0) return '';
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return minutes ? `${minutes}m${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+function formatTokens(input, output) {
+  const k = (n) => n >= 10000 ? `${Math.round(n / 1000)}k` : String(n || 0);
+  return `${k(input)}↑ ${k(output)}↓`;
+}
+
+async function startDashboard(options = {}) {
+  const getSnapshot = options.getSnapshot;
+  const onCancelAgent = typeof options.onCancelAgent === 'function' ? options.onCancelAgent : null;
+  const onGrantPermission = typeof options.onGrantPermission === 'function' ? options.onGrantPermission : null;
+  const refreshMs = options.refreshMs || 250;
+  let selected = 0;
+  let view = 'overview'; // 'overview' | 'log'
+  let logScroll = 0;
+  let pendingCancel = null;
+  let toast = '';
+  let toastUntil = 0;
+
+  const showToast = (msg, durationMs = 2000) => {
+    toast = msg;
+    toastUntil = Date.now() + durationMs;
+  };
+
+  const selectedAgent = (snapshot) => {
+    if (!snapshot?.agents.length) return null;
+    selected = Math.max(0, Math.min(selected, snapshot.agents.length - 1));
+    return snapshot.agents[selected];
+  };
+
+  const logLines = (agent, width) => {
+    if (!agent) return [];
+    const lines = [];
+    for (const result of agent.results || []) {
+      const mark = result.type === 'error' ? color('✗', '31') : result.type === 'blocked' ? color('⊘', '90') : color('✓', '32');
+      lines.push(`${mark} ${color(result.action || result.type, '1')}`);
+      lines.push(...wrapText(String(result.content ?? ''), width));
+      lines.push('');
+    }
+    if (agent.output && agent.status === 'working') {
+      lines.push(color('▶ In progress', '36'));
+      lines.push(...wrapText(agent.output, width));
+    }
+    return lines.length ? lines : ['No results yet.'];
+  };
+
+  const render = () => {
+    const rows = process.stdout.rows || 30;
+    const cols = process.stdout.columns || 100;
+    const snapshot = getSnapshot();
+    const out = [];
+    const line = (text = '', style) => out.push(style ? color(truncate(text, cols).padEnd(cols), style) : truncate(text, cols).padEnd(cols));
+    const plain = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+    // Lines with their own color codes are padded by their visible length
+    const rich = (text) => out.push(text + ' '.repeat(Math.max(0, cols - plain(text).length)));
+
+    if (!snapshot) {
+      line(' No agentic task to show.', '44;37');
+    } else {
+      const agent = selectedAgent(snapshot);
+      const usage = snapshot.usage
+        ? `  ${formatTokens(snapshot.usage.inputTokens, snapshot.usage.outputTokens)}${snapshot.usage.cost ? `  $${snapshot.usage.cost.toFixed(4)}` : ''}`
+        : '';
+      line(` Task: ${snapshot.title}`, '44;37');
+      line(` ${snapshot.status.toUpperCase()}  ${formatElapsed(snapshot.elapsedMs)}${usage}  |  Threads: ${snapshot.pool || 'idle'}${snapshot.approvals ? `  |  ${snapshot.approvals} operation(s) waiting for \\approve` : ''}`, '100;37');
+
+      if (view === 'log') {
+        const width = cols - 2;
+        line(` Result log: ${agent ? `${agent.role} (${agent.type})` : ''}`, '1');
+        const lines = logLines(agent, width);
+        const area = rows - 4;
+        logScroll = Math.max(0, Math.min(logScroll, Math.max(0, lines.length - area)));
+        for (let i = 0; i < area; i++) {
+          const text = lines[logScroll + i];
+          if (text === undefined) line('');
+          else rich(' ' + (plain(text).length > width ? truncate(plain(text), width) : text));
+        }
+      } else {
+        const area = rows - 3;
+        const agentRows = Math.min(snapshot.agents.length, Math.max(3, Math.floor(area / 4)));
+        const planRows = Math.min(snapshot.nodes.length, Math.max(3, Math.floor(area / 3)));
+        const roleW = Math.max(10, Math.min(20, Math.max(...snapshot.agents.map(a => a.role.length))));
+
+        line(' Agents', '1');
+        const first = Math.max(0, Math.min(selected - agentRows + 1, snapshot.agents.length - agentRows));
+        snapshot.agents.slice(first, first + agentRows).forEach((a, i) => {
+          const isSelected = first + i === selected;
+          const status = color(a.status.padEnd(19), AGENT_STATUS_COLORS[a.status] || '37');
+          const stats = `${formatElapsed(a.elapsedMs).padStart(7)} ${formatTokens(a.inputTokens, a.outputTokens).padStart(12)}`;
+          const head = `${isSelected ? '>' : ' '} ${truncate(a.role, roleW).padEnd(roleW)} `;
+          const action = truncate(a.action || '', Math.max(0, cols - head.length - 19 - stats.length - 3));
+          const text = `${head}${status} ${stats}  ${action}`;
+          if (isSelected) rich(color(plain(text).padEnd(cols), '7'));
+          else rich(text);
+        });
+
+        line(' Plan', '1');
+        const idW = Math.max(8, Math.min(18, Math.max(...snapshot.nodes.map(n => n.id.length))));
+        snapshot.nodes.slice(0, planRows).forEach(node => {
+          const symbol = color(NODE_SYMBOLS[node.status] || '?', NODE_COLORS[node.status] || '37');
+          const deps = node.dependsOn.length ? `  ← ${node.dependsOn.join(', ')}` : '';
+          const text = `${truncate(node.id, idW).padEnd(idW)} ${truncate(node.agent, roleW).padEnd(roleW)} ${node.action}${deps}`;
+          rich(`  ${symbol} ${truncate(text, cols - 4)}`);
+        });
+        if (snapshot.nodes.length > planRows) line(`  … ${snapshot.nodes.length - planRows} more`, '90');
+
+        line(` Output: ${agent ? agent.role : ''}`, '1');
+        const outputArea = rows - 1 - out.length;
+        const wrapped = wrapText(agent?.output || '', cols - 2);
+        const tail = wrapped.slice(Math.max(0, wrapped.length - outputArea));
+        for (let i = 0; i < outputArea; i++) line(tail[i] !== undefined ? ' ' + tail[i] : '');
+      }
+    }
+
+    while (out.length < rows - 1) line('');
+    const help = view === 'log'
+      ? '[↑/↓] Scroll  [PgUp/PgDn] Page  [Esc] Back  [q] Close'
+      : '[↑/↓] Select agent  [Enter] Result log  [p] Permit (\\continue)  [c] Cancel agent  [q/Esc] Close (the task keeps running)';
+    const toastActive = toast && Date.now() < toastUntil;
+    out.length = rows - 1;
+    out.push(color(truncate(toastActive ? ` ${toast}` : help, cols).padEnd(cols), toastActive ? '103;30' : '100;30'));
+    for (let i = 0; i < out.length; i++) {
+      move(i + 1, 1);
+      process.stdout.write(out[i]);
+    }
+  };
+
+  return new Promise((resolve) => {
+    const prevRaw = process.stdin.isRaw;
+    const sigintGuard = () => {};
+    let timer = null;
+    let onData;
+    const close = () => {
+      clearInterval(timer);
+      process.stdin.off('data', onData);
+      try { process.removeListener('SIGINT', sigintGuard); } catch {}
+      try { if (process.stdin.isTTY) process.stdin.setRawMode(!!prevRaw); } catch {}
+      showCursor();
+      clear();
+      resolve();
+    };
+    try { if (process.stdin.isTTY) process.stdin.setRawMode(true); } catch {}
+    try { process.stdin.resume(); } catch {}
+    process.prependListener('SIGINT', sigintGuard);
+    hideCursor();
+    clear();
+    render();
+    timer = setInterval(render, refreshMs);
+
+    onData = (buf) => {
+      const s = buf.toString('utf8');
+      const snapshot = getSnapshot();
+      const agent = selectedAgent(snapshot);
+      const page = Math.max(1, (process.stdout.rows || 30) - 5);
+      if (s === '\u0003' || s === 'q') { close(); return; }
+      if (view === 'log') {
+        if (s === '\u001b') view = 'overview';
+        else if (s === '\u001b[A') logScroll = Math.max(0, logScroll - 1);
+        else if (s === '\u001b[B') logScroll++;
+        else if (s === '\u001b[5~') logScroll = Math.max(0, logScroll - page);
+        else if (s === '\u001b[6~') logScroll += page;
+        render();
+        return;
+      }
+      if (s === '\u001b') { close(); return; }
+      if (s === '\u001b[A') selected = Math.max(0, selected - 1);
+      else if (s === '\u001b[B') selected++;
+      else if ((s === '\r' || s === '\n') && agent) { view = 'log'; logScroll = 0; }
+      else if (s === 'p' && agent && onGrantPermission) showToast(onGrantPermission(agent.id));
+      else if (s === 'c' && agent && onCancelAgent) {
+        if (pendingCancel === agent.id) {
+          pendingCancel = null;
+          showToast(onCancelAgent(agent.id));
+        } else {
+          pendingCancel = agent.id;
+          showToast(`Press c again to cancel ${agent.role}`);
+          setTimeout(() => { if (pendingCancel === agent.id) pendingCancel = null; }, 2000);
+        }
+      }
+      if (s !== 'c') pendingCancel = null;
+      render();
+    };
+    process.stdin.on('data', onData);
+  });
+}
+
+export { startDashboard };
@@ -0,0 +1,169 @@
+// Token counting, context windows and usage/cost tracking for model calls
+import { countTokens as countEncoded } from 'gpt-tokenizer/encoding/o200k_base';
+
+// o200k_base is exact for current OpenAI models and a close estimate for the rest
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const DEFAULT_CONTEXT_WINDOW = 32000;
+const MAX_TRACKED_REQUESTS = 50;
+
+// Matched by longest prefix of the model name (without any vendor/ prefix);
+// config usage.contextWindows adds to and overrides this table
+const CONTEXT_WINDOWS = {
+  'gpt-5': 400000,
+  'gpt-4.1': 1000000,
+  'gpt-4o': 128000,
+  'gpt-4-turbo': 128000,
+  'gpt-4': 8192,
+  'gpt-3.5-turbo': 16385,
+  'o1': 200000,
+  'o3': 200000,
+  'o4': 200000,
+  'claude': 200000,
+  'gemini-1.5-pro': 2000000,
+  'gemini': 1000000,
+  'deepseek': 64000,
+  'llama3.1': 128000,
+  'llama3.2': 128000,
+  'llama3': 8192
+};
+
+// Token counts are cached per message object; history messages never change
+const messageTokenCache = new WeakMap();
+
+function countTokens(text) {
+  if (!text) return 0;
+  return countEncoded(typeof text === 'string' ? text : JSON.stringify(text));
+}
+
+function countMessageTokens(messages = []) {
+  let total = 0;
+  for (const message of messages) {
+    let tokens = messageTokenCache.get(message);
+    if (tokens === undefined) {
+      tokens = MESSAGE_OVERHEAD_TOKENS + countTokens(message.content) +
+        (message.toolCalls ? countTokens(message.toolCalls) : 0);
+      messageTokenCache.set(message, tokens);
+    }
+    total += tokens;
+  }
+  return total;
+}
+
+function baseModelName(model) {
+  return String(model || '').split('/').pop();
+}
+
+// Value of the longest key that prefixes the model name
+function lookupByPrefix(table, model) {
+  const names = [String(model || ''), baseModelName(model)];
+  let best = null;
+  for (const key of Object.keys(table || {})) {
+    if (!names.some(name => name.startsWith(key))) continue;
+    if (!best || key.length > best.length) best = key;
+  }
+  return best === null ? undefined : table[best];
+}
+
+function contextWindow(model, overrides = {}) {
+  return lookupByPrefix(overrides, model) ?? lookupByPrefix(CONTEXT_WINDOWS, model) ?? DEFAULT_CONTEXT_WINDOW;
+}
+
+// prices: { provider: { modelOrPrefix: { input, output } } } in USD per million
+// tokens. Returns null when the model has no price.
+function estimateCost(prices, provider, model, inputTokens, outputTokens) {
+  // OpenRouter marks free models with a :free suffix
+  if (provider === 'openrouter' && String(model).endsWith(':free')) return 0;
+  const table = prices?.[provider] || {};
+  const price = lookupByPrefix(table, model) ?? table['*'];
+  if (!price) return null;
+  return ((inputTokens * (price.input || 0)) + (outputTokens * (price.output || 0))) / 1e6;
+}
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0, estimated: 0 };
+}
+
+function addTo(totals, entry) {
+  totals.calls++;
+  totals.inputTokens += entry.inputTokens;
+  totals.outputTokens += entry.outputTokens;
+  if (entry.cost === null) totals.unpriced++;
+  else totals.cost += entry.cost;
+  if (entry.estimated) totals.estimated++;
+}
+
+const tally = {
+  session: emptyTotals(),
+  models: new Map(),
+  requests: [],
+  tasks: new Map(),
+  current: null
+};
+
+// Calls without a task tag made between beginRequest and endRequest count
+// towards that request
+function beginRequest(label) {
+  tally.current = { label, time: Date.now(), ...emptyTotals() };
+  tally.requests.push(tally.current);
+  if (tally.requests.length > MAX_TRACKED_REQUESTS) tally.requests.shift();
+  return tally.current;
+}
+
+function endRequest() {
+  const request = tally.current;
+  tally.current = null;
+  return request;
+}
+
+// entry: { provider, model, inputTokens, outputTokens, estimated, taskId, label }
+function recordUsage(entry, prices) {
+  const cost = estimateCost(prices, entry.provider, entry.model, entry.inputTokens, entry.outputTokens);
+  const counted = { ...entry, cost };
+  addTo(tally.session, counted);
+
+  const modelKey = `${entry.provider}/${entry.model}`;
+  if (!tally.models.has(modelKey)) tally.models.set(modelKey, emptyTotals());
+  addTo(tally.models.get(modelKey), counted);
+
+  if (entry.taskId) {
+    if (!tally.tasks.has(entry.taskId)) {
+      tally.tasks.set(entry.taskId, { label: entry.label || entry.taskId, ...emptyTotals() });
+    }
+    addTo(tally.tasks.get(entry.taskId), counted);
+  } else if (tally.current) {
+    addTo(tally.current, counted);
+    // The last call of a request is the one that produced its answer
+    tally.current.provider = entry.provider;
+    tally.current.model = entry.model;
+  }
+  return counted;
+}
+
+// Totals for one task, for storing with its history entry
+function taskUsage(taskId) {
+  const entry = tally.tasks.get(taskId);
+  if (!entry) return null;
+  const { label, ...totals } = entry;
+  return totals;
+}
+
+function usageReport() {
+  return {
+    session: { ...tally.session },
+    models: [...tally.models].map(([model, totals]) => ({ model, ...totals })),
+    requests: tally.requests.filter(request => request.calls).map(request => ({ ...request })),
+    tasks: [...tally.tasks].map(([id, totals]) => ({ id, ...totals }))
+  };
+}
+
+export {
+  countTokens,
+  countMessageTokens,
+  contextWindow,
+  estimateCost,
+  beginRequest,
+  endRequest,
+  recordUsage,
+  taskUsage,
+  usageReport
+};
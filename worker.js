@@ -1,49 +1,89 @@
-// Agent worker thread implementation
-import { parentPort, workerData } from 'worker_threads';
-import OpenAI from 'openai';
-import { Anthropic } from '@anthropic-ai/sdk';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+// Agent worker thread implementation. Workers are long-lived and run one job
+// at a time for the pool in workerPool.js.
+import { parentPort } from 'worker_threads';
 import dotenv from 'dotenv';
+import { configureProvider, configureRetry, setRetryListener, describeRetry, complete, supportsTools, completeWithTools, isToolUnsupportedError, setUsageListener } from './providers.js';
+import { workerTools } from './agentTools.js';
+import { configureCache } from './cache.js';
 
 // Load environment variables
 dotenv.config();
 
-// Initialize AI clients based on provider
-let openai = null;
-let anthropic = null;
-let genAI = null;
-let openRouter = null;
+// Apply provider settings from the main thread (e.g. the local server URL);
+// they are sent with every job since they can change while the worker lives
+function applyProviderSettings(settings = {}) {
+  for (const [name, options] of Object.entries(settings)) {
+    configureProvider(name, options);
+  }
+}
 
-if (process.env.OPENAI_API_KEY) {
-  openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
+// Token usage is tallied on the main thread. Prompt and reply text are only
+// sent along when the provider did not report counts, so they can be estimated.
+setUsageListener(({ provider, model, usage, system, turns, text }) => {
+  parentPort.postMessage({
+    type: 'usage',
+    provider,
+    model,
+    usage,
+    ...(usage ? {} : { system, turns, text })
   });
-}
+});
+
+// Tool calls run on the main thread, which owns the working directory, the
+// .aiignore rules, approvals and the change journal
+const pendingToolCalls = new Map();
+let nextToolCallId = 1;
 
-if (process.env.ANTHROPIC_API_KEY) {
-  anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY,
+function callTool(call) {
+  return new Promise(resolve => {
+    const callId = nextToolCallId++;
+    pendingToolCalls.set(callId, resolve);
+    parentPort.postMessage({ type: 'tool-call', callId, call });
   });
 }
 
-if (process.env.GOOGLE_API_KEY) {
-  genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+// Partial output goes to the main thread for the live dashboard, batched so a
+// fast stream does not flood the channel
+const OUTPUT_FLUSH_MS = 100;
+let pendingOutput = '';
+let outputTimer = null;
+
+function flushOutput() {
+  clearTimeout(outputTimer);
+  outputTimer = null;
+  if (pendingOutput) parentPort.postMessage({ type: 'output', text: pendingOutput });
+  pendingOutput = '';
+}
+
+function streamOutput(delta) {
+  pendingOutput += delta;
+  if (!outputTimer) outputTimer = setTimeout(flushOutput, OUTPUT_FLUSH_MS);
 }
 
-if (process.env.OPENROUTER_API_KEY) {
-  // Using OpenAI client with OpenRouter base URL for compatibility
-  openRouter = new OpenAI({
-    apiKey: process.env.OPENROUTER_API_KEY,
-    baseURL: 'https://openrouter.ai/api/v1',
-    defaultHeaders: {
-      'HTTP-Referer': 'https://qaterm.app',  // Replace with your actual site
-      'X-Title': 'QAterm'
+setRetryListener((event) => {
+  streamOutput(`\n↻ ${describeRetry(event)}\n`);
+});
+
+// Let the model use the worker tools until it answers in plain text
+async function runToolLoop(request, maxTurns) {
+  const transcript = [...request.messages];
+  for (let turn = 0; turn <= maxTurns; turn++) {
+    const reply = await completeWithTools({ ...request, messages: transcript, tools: workerTools, onToken: streamOutput });
+    if (!reply.toolCalls.length) return reply.text;
+    if (turn === maxTurns) {
+      return reply.text || `Stopped after ${maxTurns} rounds of tool calls without a final answer.`;
     }
-  });
+    transcript.push({ role: 'assistant', content: reply.text, toolCalls: reply.toolCalls });
+    for (const call of reply.toolCalls) {
+      streamOutput(`\n→ ${call.name} ${call.args?.path || call.args?.command || call.args?.pattern || ''}\n`);
+      const content = await callTool(call);
+      transcript.push({ role: 'tool', toolCallId: call.id, name: call.name, content });
+    }
+  }
 }
 
 // Process the action based on agent configuration
-async function processAction(agent, task, action, actionContext) {
+async function processAction(agent, task, action, actionContext, { useTools = false, maxToolTurns = 8 } = {}) {
   try {
     // Construct the action prompt
     const actionPrompt = `You are an AI agent with the role of "${agent.role}" working on a task. Your goal is: "${agent.goal}".
@@ -59,68 +99,24 @@ ${actionContext ? '## Additional Context\n' + actionContext : ''}
 Execute the current action carefully and provide your result. Format your response as a clear report of what you did and what you found.`;
 
     // Get AI response based on the agent's provider/model
+    const request = {
+      provider: agent.provider,
+      model: agent.model,
+      system: `You are an AI agent specialized in ${agent.type} tasks.`,
+      messages: [{ role: 'user', content: actionPrompt }],
+      maxTokens: 2000,
+      temperature: 0.7
+    };
+    const toolSystem = `${request.system} You can read, list, search and write files and run commands within the task directory ${task.cwd} using the tools provided; use them to do the work rather than describing it.`;
     let actionResponse;
-    
-    switch (agent.provider) {
-      case 'openai':
-        if (!openai) throw new Error('OpenAI API key not configured');
-        
-        const openaiResponse = await openai.chat.completions.create({
-          model: agent.model,
-          messages: [
-            { role: 'system', content: `You are an AI agent specialized in ${agent.type} tasks.` },
-            { role: 'user', content: actionPrompt }
-          ],
-          ...(!(agent.model && typeof agent.model === 'string' && agent.model.startsWith('gpt-5')) ? { temperature: 0.7 } : {}),
-        });
-        
-        actionResponse = openaiResponse.choices[0].message.content;
-        break;
-        
-      case 'anthropic':
-        if (!anthropic) throw new Error('Anthropic API key not configured');
-        
-        const anthropicResponse = await anthropic.messages.create({
-          model: agent.model,
-          system: `You are an AI agent specialized in ${agent.type} tasks.`,
-          messages: [
-            { role: 'user', content: actionPrompt }
-          ],
-          max_tokens: 2000,
-          temperature: 0.7,
-        });
-        
-        actionResponse = anthropicResponse.content[0].text;
-        break;
-        
-      case 'google':
-        if (!genAI) throw new Error('Google AI API key not configured');
-        
-        const systemPrompt = `You are an AI agent specialized in ${agent.type} tasks.`;
-        const googleMessages = [systemPrompt, actionPrompt].join('\n\n');
-        const googleModel = genAI.getGenerativeModel({ model: agent.model });
-        const googleResponse = await googleModel.generateContent(googleMessages);
-        
-        actionResponse = googleResponse.response.text();
-        break;
-        
-      case 'openrouter':
-        if (!openRouter) throw new Error('OpenRouter API key not configured');
-        
-        const openRouterResponse = await openRouter.chat.completions.create({
-          model: agent.model,
-          messages: [
-            { role: 'system', content: `You are an AI agent specialized in ${agent.type} tasks.` },
-            { role: 'user', content: actionPrompt }
-          ],
-          temperature: 0.7,
-        });
-        
-        actionResponse = openRouterResponse.choices[0].message.content;
-        break;
-        
-      default:
-        throw new Error(`Unknown provider: ${agent.provider}`);
+    try {
+      actionResponse = useTools && supportsTools(agent.provider)
+        ? await runToolLoop({ ...request, system: toolSystem }, maxToolTurns)
+        : await complete({ ...request, onToken: streamOutput });
+    } catch (error) {
+      // Models without tool support can still report in text
+      if (!isToolUnsupportedError(error)) throw error;
+      actionResponse = await complete({ ...request, onToken: streamOutput });
     }
     
     return {
@@ -136,27 +132,30 @@ Execute the current action carefully and provide your result. Format your respon
   }
 }
 
-// Handle messages from the main thread
+// Handle jobs from the pool and tool results for the job in progress
 parentPort.on('message', async (message) => {
-  if (message.type === 'process-action') {
-    const { agent, task, action, actionContext } = message.data;
+  if (message.type === 'tool-result') {
+    const resolve = pendingToolCalls.get(message.callId);
+    pendingToolCalls.delete(message.callId);
+    if (resolve) resolve(message.content);
+  } else if (message.type === 'job') {
+    const { agent, task, action, actionContext, providerSettings, retryPolicy, cacheSettings, useTools, maxToolTurns } = message.data;
     
+    let result;
     try {
-      const result = await processAction(agent, task, action, actionContext);
-      parentPort.postMessage({
-        type: 'action-result',
-        agentId: agent.id,
-        actionIndex: message.data.actionIndex,
-        result
-      });
+      applyProviderSettings(providerSettings);
+      configureRetry(retryPolicy);
+      configureCache(cacheSettings);
+      result = await processAction(agent, task, action, actionContext, { useTools, maxToolTurns });
     } catch (error) {
-      parentPort.postMessage({
-        type: 'action-error',
-        agentId: agent.id,
-        actionIndex: message.data.actionIndex,
-        error: error.message
-      });
+      result = { success: false, error: error.message };
     }
+    flushOutput();
+    parentPort.postMessage({
+      type: 'job-result',
+      jobId: message.jobId,
+      result
+    });
   }
 });
 
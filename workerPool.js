@@ -0,0 +1,228 @@
+// Bounded pool of long-lived worker threads with a job queue. At most `size`
+// jobs run at once; the rest wait their turn. A job that times out or whose
+// worker dies is failed and the worker replaced on the next dispatch; the
+// timeout counts from when the job starts, not while it waits in the queue.
+// Workers that die before they are ready are started again after a growing
+// delay, and after MAX_START_FAILURES in a row the queued jobs are failed
+// with the reason.
+import { Worker } from 'worker_threads';
+
+const MAX_START_FAILURES = 3;
+const START_BACKOFF_MS = 500;
+
+class WorkerPool {
+  constructor(file, options = {}) {
+    this.file = file;
+    this.size = Math.max(1, options.size || 1);
+    this.timeout = options.timeout || 0;
+    this.workers = [];
+    this.queue = [];
+    this.nextJobId = 1;
+    this.stats = { completed: 0, failed: 0, timedOut: 0, respawned: 0, startFailures: 0 };
+    // Workers that died in a row before becoming ready, and when to try again
+    this.startFailures = 0;
+    this.startRetryAt = 0;
+    this.startTimer = null;
+  }
+
+  // Takes effect as workers free up; extra idle workers are retired
+  setSize(size) {
+    this.size = Math.max(1, size || 1);
+    for (const slot of this.workers.filter(w => !w.job)) {
+      if (this.workers.length <= this.size) break;
+      this.retire(slot);
+    }
+    this.dispatch();
+  }
+
+  setJobTimeout(timeout) {
+    this.timeout = timeout || 0;
+  }
+
+  // Queue a job. Resolves with the worker's result message, or
+  // { success: false, error } on timeout, crash or cancellation.
+  // options.group tags the job for cancel(); options.onMessage(message, reply)
+  // receives any other messages the worker posts while running it (e.g. usage
+  // or tool calls), and reply() answers the worker while the job still runs.
+  // Aborting options.signal drops the job, stopping its worker if it started.
+  run(data, options = {}) {
+    return new Promise(resolve => {
+      if (options.signal?.aborted) {
+        resolve({ success: false, error: 'Cancelled' });
+        return;
+      }
+      const job = {
+        id: this.nextJobId++,
+        data,
+        group: options.group,
+        onMessage: options.onMessage,
+        timeout: options.timeout ?? this.timeout,
+        resolve
+      };
+      options.signal?.addEventListener('abort', () => this.abort(job), { once: true });
+      this.queue.push(job);
+      this.dispatch();
+    });
+  }
+
+  abort(job) {
+    if (this.queue.includes(job)) {
+      this.queue = this.queue.filter(queued => queued !== job);
+      job.resolve({ success: false, error: 'Cancelled' });
+      return;
+    }
+    const slot = this.workers.find(w => w.job === job);
+    if (!slot) return;
+    this.finish(slot, { success: false, error: 'Cancelled' });
+    this.retire(slot);
+    this.dispatch();
+  }
+
+  // Drop queued jobs of a group; jobs already running finish normally
+  cancel(group) {
+    const dropped = this.queue.filter(job => job.group === group);
+    this.queue = this.queue.filter(job => job.group !== group);
+    for (const job of dropped) job.resolve({ success: false, error: 'Cancelled' });
+    return dropped.length;
+  }
+
+  status() {
+    return {
+      size: this.size,
+      workers: this.workers.length,
+      busy: this.workers.filter(w => w.job).length,
+      queued: this.queue.length,
+      ...this.stats
+    };
+  }
+
+  destroy() {
+    clearTimeout(this.startTimer);
+    this.startTimer = null;
+    this.cancelAll('Worker pool shut down');
+    for (const slot of [...this.workers]) this.retire(slot);
+  }
+
+  cancelAll(reason) {
+    const queued = this.queue;
+    this.queue = [];
+    for (const job of queued) job.resolve({ success: false, error: reason });
+  }
+
+  spawn() {
+    const slot = { worker: new Worker(this.file), ready: false, job: null };
+    slot.worker.on('message', message => this.handleMessage(slot, message));
+    slot.worker.on('error', error => this.handleExit(slot, error.message));
+    slot.worker.on('exit', code => this.handleExit(slot, `Worker exited with code ${code}`));
+    this.workers.push(slot);
+    return slot;
+  }
+
+  retire(slot) {
+    this.workers = this.workers.filter(w => w !== slot);
+    this.detach(slot);
+    slot.worker.terminate();
+  }
+
+  detach(slot) {
+    slot.worker.removeAllListeners();
+    slot.worker.on('error', () => {});
+  }
+
+  dispatch() {
+    while (this.queue.length) {
+      const slot = this.workers.find(w => w.ready && !w.job);
+      if (!slot) {
+        // Workers still starting up will pick up queued jobs once ready
+        const starting = this.workers.filter(w => !w.ready).length;
+        if (this.workers.length >= this.size || starting >= this.queue.length) return;
+        // After a worker died starting up, wait before trying another
+        const wait = this.startRetryAt - Date.now();
+        if (wait > 0) {
+          if (!this.startTimer) {
+            this.startTimer = setTimeout(() => {
+              this.startTimer = null;
+              this.dispatch();
+            }, wait);
+          }
+          return;
+        }
+        this.spawn();
+        continue;
+      }
+      this.start(slot, this.queue.shift());
+    }
+  }
+
+  start(slot, job) {
+    slot.job = job;
+    slot.worker.ref();
+    if (job.timeout > 0) {
+      job.timer = setTimeout(() => {
+        this.stats.timedOut++;
+        this.finish(slot, { success: false, error: `Timed out after ${Math.round(job.timeout / 1000)}s` });
+        // The worker may be stuck mid-request; replace it
+        this.retire(slot);
+        this.stats.respawned++;
+        this.dispatch();
+      }, job.timeout);
+    }
+    slot.worker.postMessage({ type: 'job', jobId: job.id, data: job.data });
+  }
+
+  finish(slot, result) {
+    const job = slot.job;
+    if (!job) return;
+    clearTimeout(job.timer);
+    slot.job = null;
+    slot.worker.unref();
+    if (result.success === false) this.stats.failed++;
+    else this.stats.completed++;
+    job.resolve(result);
+  }
+
+  handleMessage(slot, message) {
+    if (message.type === 'ready') {
+      slot.ready = true;
+      this.startFailures = 0;
+      this.startRetryAt = 0;
+      this.dispatch();
+      // Idle workers must not keep the process alive; start() refs them while busy
+      if (!slot.job) slot.worker.unref();
+    } else if (message.type === 'job-result' && slot.job?.id === message.jobId) {
+      this.finish(slot, message.result);
+      if (this.workers.length > this.size) this.retire(slot);
+      this.dispatch();
+    } else if (slot.job?.onMessage) {
+      const job = slot.job;
+      job.onMessage(message, response => {
+        if (slot.job === job) slot.worker.postMessage(response);
+      });
+    }
+  }
+
+  handleExit(slot, reason) {
+    if (!this.workers.includes(slot)) return;
+    this.workers = this.workers.filter(w => w !== slot);
+    this.detach(slot);
+    if (slot.job) {
+      this.finish(slot, { success: false, error: `Worker crashed: ${reason}` });
+      this.stats.respawned++;
+    }
+    if (!slot.ready) {
+      // A bad import or missing module fails every worker the same way
+      this.stats.startFailures++;
+      this.startFailures++;
+      if (this.startFailures >= MAX_START_FAILURES) {
+        this.startFailures = 0;
+        this.startRetryAt = 0;
+        this.cancelAll(`Worker failed to start: ${reason}`);
+        return;
+      }
+      this.startRetryAt = Date.now() + START_BACKOFF_MS * 2 ** (this.startFailures - 1);
+    }
+    this.dispatch();
+  }
+}
+
+export { WorkerPool };